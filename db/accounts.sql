@@ -0,0 +1,106 @@
+-- Keeping anonymous play when someone signs up or signs in.
+-- Apply after db/daily_dig.sql. Matches the local backend.
+--
+-- Guests play as anonymous Supabase users. A guest who registers keeps
+-- their auth ID (the client converts the user in place), so nothing moves.
+-- A guest who signs in to an existing account instead leaves the anonymous
+-- user behind, and its games would be orphaned.
+--
+-- Guest IDs are visible to everyone in players.user_id, so knowing one
+-- proves nothing. While still signed in as the guest, the client asks
+-- create_identity_claim() for a one-time token; after signing in it hands
+-- the token to link_player_identity(), which moves the guest's players,
+-- hosted games and Daily Dig scores to the account. Games played under a
+-- browser-only ID (before guests had auth users) can't be claimed.
+
+CREATE TABLE IF NOT EXISTS identity_claims (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Tokens are secrets - only the functions below touch this table
+ALTER TABLE identity_claims ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON identity_claims FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.create_identity_claim()
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_token uuid;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM auth.users
+        WHERE id = auth.uid()
+          AND COALESCE(is_anonymous, FALSE)
+    ) THEN
+        RETURN public.player_action_failure('Only a guest session can be carried over');
+    END IF;
+
+    INSERT INTO identity_claims (user_id)
+    VALUES (auth.uid())
+    RETURNING id INTO v_token;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL, 'token', v_token);
+END;
+$function$;
+
+-- The first version took the guest ID itself, which anyone could read
+DROP FUNCTION IF EXISTS public.link_player_identity(text, text);
+
+CREATE OR REPLACE FUNCTION public.link_player_identity(p_claim_token uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_from text;
+    v_to text := auth.uid()::text;
+BEGIN
+    IF v_to IS NULL THEN
+        RETURN public.player_action_failure('Sign in to the account first');
+    END IF;
+
+    DELETE FROM identity_claims
+    WHERE id = p_claim_token
+      AND created_at > NOW() - INTERVAL '1 hour'
+    RETURNING user_id::text INTO v_from;
+
+    IF v_from IS NULL THEN
+        RETURN public.player_action_failure('That guest claim is invalid or has expired');
+    END IF;
+
+    IF v_from <> v_to THEN
+        -- A game both IDs played keeps the account's own player
+        UPDATE players p
+        SET user_id = v_to::uuid
+        WHERE p.user_id::text = v_from
+          AND NOT EXISTS (
+              SELECT 1 FROM players o
+              WHERE o.game_id = p.game_id AND o.user_id::text = v_to
+          );
+
+        UPDATE games
+        SET created_by = v_to::uuid
+        WHERE created_by::text = v_from;
+
+        -- The account's own score stands on a day both IDs dug
+        DELETE FROM daily_scores s
+        WHERE s.user_id = v_from
+          AND EXISTS (
+              SELECT 1 FROM daily_scores o
+              WHERE o.daily_date = s.daily_date AND o.user_id = v_to
+          );
+
+        UPDATE daily_scores
+        SET user_id = v_to,
+            updated_at = NOW()
+        WHERE user_id = v_from;
+    END IF;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
@@ -0,0 +1,348 @@
+-- Server-authoritative action economy.
+-- Apply after fix_buy_record.sql and db/pricing_engine.sql.
+--
+-- Every player action is one RPC that checks the game is running, performs
+-- the action, charges its action cost (overflowing into the next hour) and
+-- returns the player's new state. The client no longer writes cash,
+-- location or action counters itself - see the REVOKE at the bottom.
+--
+-- Costs match src/lib/actionEconomy.js: 4 actions per hour, buy / sell /
+-- store visit cost 1, travel costs its travel time (see db/travel.sql).
+
+-- Moves the whole game on one hour; players start it with their overflow used
+CREATE OR REPLACE FUNCTION public.advance_game_hour(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_next_hour INTEGER;
+BEGIN
+    UPDATE games
+    SET current_hour = current_hour - 1,
+        status = CASE WHEN current_hour - 1 <= 0 THEN 'completed' ELSE status END,
+        ended_at = CASE WHEN current_hour - 1 <= 0 THEN NOW() ELSE ended_at END
+    WHERE id = p_game_id
+    RETURNING current_hour INTO v_next_hour;
+
+    UPDATE players
+    SET actions_used_this_hour = COALESCE(actions_overflow, 0),
+        actions_overflow = 0
+    WHERE game_id = p_game_id;
+
+    RETURN v_next_hour;
+END;
+$function$;
+
+-- Charges actions, advancing the hour when the cost runs past it.
+-- Returns TRUE when the hour advanced.
+CREATE OR REPLACE FUNCTION public.spend_actions(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_cost integer
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_remaining INTEGER;
+BEGIN
+    SELECT 4 - COALESCE(actions_used_this_hour, 0) INTO v_remaining
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    IF p_cost <= v_remaining THEN
+        UPDATE players
+        SET actions_used_this_hour = COALESCE(actions_used_this_hour, 0) + p_cost
+        WHERE id = p_player_id;
+        RETURN FALSE;
+    END IF;
+
+    -- A negative remainder (earlier overflow) carries into the next hour too
+    UPDATE players
+    SET actions_overflow = p_cost - v_remaining
+    WHERE id = p_player_id;
+
+    PERFORM public.advance_game_hour(p_game_id);
+    RETURN TRUE;
+END;
+$function$;
+
+-- The JSON every action RPC returns
+CREATE OR REPLACE FUNCTION public.player_action_result(
+    p_player_id uuid,
+    p_hour_advanced boolean
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $function$
+    SELECT jsonb_build_object(
+        'success', TRUE,
+        'error', NULL,
+        'player', to_jsonb(p),
+        'current_hour', g.current_hour,
+        'hour_advanced', p_hour_advanced,
+        'game_over', g.status = 'completed'
+    )
+    FROM players p
+    JOIN games g ON p.game_id = g.id
+    WHERE p.id = p_player_id;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.player_action_failure(p_error text)
+RETURNS jsonb
+LANGUAGE sql
+IMMUTABLE
+AS $function$
+    SELECT jsonb_build_object('success', FALSE, 'error', p_error);
+$function$;
+
+-- Whether the caller plays p_player_id: only a player's own user can act
+-- for it
+CREATE OR REPLACE FUNCTION public.is_callers_player(p_player_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $function$
+    SELECT EXISTS (
+        SELECT 1
+        FROM players
+        WHERE id = p_player_id AND user_id::text = auth.uid()::text
+    );
+$function$;
+
+-- Shared preamble: NULL when the player can act, otherwise the failure to return
+CREATE OR REPLACE FUNCTION public.check_player_can_act(
+    p_player_id uuid,
+    p_game_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+BEGIN
+    SELECT g.status, g.current_hour INTO v_game
+    FROM players p
+    JOIN games g ON p.game_id = g.id
+    WHERE p.id = p_player_id AND p.game_id = p_game_id;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Player not found');
+    END IF;
+
+    IF NOT public.is_callers_player(p_player_id) THEN
+        RETURN public.player_action_failure('That isn''t your player');
+    END IF;
+
+    IF v_game.status = 'completed' OR v_game.current_hour <= 0 THEN
+        RETURN public.player_action_failure('The game is over');
+    END IF;
+
+    RETURN NULL;
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.player_buy_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    IF NOT public.buy_record(p_player_id, p_game_id, p_store_id, p_product_id, p_quantity) THEN
+        RETURN public.player_action_failure(
+            'Purchase failed. You may not have enough funds or space, or the item is out of stock.'
+        );
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.player_sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    IF NOT public.sell_record(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_quantity, p_inventory_id
+    ) THEN
+        RETURN public.player_action_failure('Sale failed. That record isn''t in your inventory.');
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.player_visit_store(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM stores s
+        JOIN players p ON p.current_borough_id = s.borough_id
+        WHERE s.id = p_store_id AND p.id = p_player_id
+    ) THEN
+        RETURN public.player_action_failure('That store isn''t in this borough');
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+-- Gives up the rest of the hour
+CREATE OR REPLACE FUNCTION public.player_end_hour(
+    p_player_id uuid,
+    p_game_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    PERFORM public.advance_game_hour(p_game_id);
+    RETURN public.player_action_result(p_player_id, TRUE);
+END;
+$function$;
+
+-- Moves the player, charging the fare and travel time
+CREATE OR REPLACE FUNCTION public.travel_to_borough(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_travel RECORD;
+    v_cash NUMERIC(10,2);
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT action_cost, monetary_cost INTO v_travel
+    FROM transportation_options
+    WHERE player_id = p_player_id
+      AND transportation_id = p_transportation_id
+      AND to_borough_id = p_to_borough_id;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('You can''t travel there that way');
+    END IF;
+
+    SELECT cash INTO v_cash
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    IF v_cash < v_travel.monetary_cost THEN
+        RETURN public.player_action_failure(format(
+            'Not enough money. Travel costs $%s but you only have $%s.',
+            v_travel.monetary_cost, v_cash
+        ));
+    END IF;
+
+    UPDATE players
+    SET current_borough_id = p_to_borough_id,
+        cash = cash - v_travel.monetary_cost
+    WHERE id = p_player_id;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, v_travel.action_cost)
+    );
+END;
+$function$;
+
+-- Clients go through the RPCs above; they can't call the building blocks
+-- directly or write the columns the action economy owns.
+REVOKE EXECUTE ON FUNCTION public.buy_record(uuid, uuid, uuid, uuid, integer, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.sell_record(uuid, uuid, uuid, uuid, integer, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.advance_game_hour(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.spend_actions(uuid, uuid, integer) FROM PUBLIC, anon, authenticated;
+
+REVOKE UPDATE ON public.players FROM anon, authenticated;
+GRANT UPDATE (username, turn_completed) ON public.players TO anon, authenticated;
+
+-- Stock, holdings and the trade log only change inside the RPCs
+REVOKE INSERT, UPDATE, DELETE ON public.player_inventory FROM anon, authenticated;
+REVOKE INSERT, UPDATE, DELETE ON public.market_inventory FROM anon, authenticated;
+REVOKE INSERT, UPDATE, DELETE ON public.transactions FROM anon, authenticated;
+
+-- Clients may create a game and a player in it, and nothing more: the clock,
+-- status, cash and loan start from the column defaults
+REVOKE INSERT, UPDATE, DELETE ON public.games FROM anon, authenticated;
+GRANT INSERT (name, created_by) ON public.games TO anon, authenticated;
+REVOKE INSERT, DELETE ON public.players FROM anon, authenticated;
+GRANT INSERT (game_id, user_id, username, current_borough_id) ON public.players TO anon, authenticated;
@@ -0,0 +1,216 @@
+-- Multi-day games: the game clock, day numbers and skipping the night.
+-- Apply after db/lobby.sql. Matches src/lib/timeUtils.js.
+--
+-- games.current_hour counts down from max_hours; the first hour is midnight
+-- on Day 1 and every 24 hours is a new day, so stores.open_hour and
+-- close_hour (clock hours) hold every day. With skip_overnight set, the hour
+-- runs straight on from 11 PM to 9 AM, when the first store opens. The
+-- skipped hours still tick the market and charge interest; nobody can act
+-- in them.
+
+ALTER TABLE public.games
+    ADD COLUMN IF NOT EXISTS skip_overnight BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- game_clock_hour(), the hour on the clock, is in db/pricing_engine.sql,
+-- whose peak hours already need it.
+
+-- Every store is shut from 11 PM until 9 AM
+CREATE OR REPLACE FUNCTION public.is_overnight(p_clock_hour integer)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $function$
+    SELECT p_clock_hour >= 23 OR p_clock_hour < 9;
+$function$;
+
+-- Advances a skip_overnight game through the night. The caller holds the
+-- game lock. Returns how many hours were skipped.
+CREATE OR REPLACE FUNCTION public.skip_overnight_hours(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_skipped INTEGER := 0;
+BEGIN
+    LOOP
+        SELECT status, current_hour, max_hours, skip_overnight INTO v_game
+        FROM games
+        WHERE id = p_game_id;
+
+        EXIT WHEN NOT v_game.skip_overnight
+            OR v_game.status <> 'active'
+            OR NOT public.is_overnight(public.game_clock_hour(v_game.current_hour, v_game.max_hours));
+
+        PERFORM public.advance_game_hour(p_game_id);
+        v_skipped := v_skipped + 1;
+    END LOOP;
+
+    RETURN v_skipped;
+END;
+$function$;
+
+-- Replaces the version in db/turns.sql: skips the night once the hour
+-- advances into it
+CREATE OR REPLACE FUNCTION public.resolve_turn(p_game_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM players
+        WHERE game_id = p_game_id
+          AND NOT COALESCE(turn_completed, FALSE)
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    PERFORM public.advance_game_hour(p_game_id);
+    PERFORM public.skip_overnight_hours(p_game_id);
+
+    UPDATE players
+    SET turn_completed = FALSE
+    WHERE game_id = p_game_id;
+
+    UPDATE games
+    SET hour_started_at = NOW()
+    WHERE id = p_game_id;
+
+    RETURN TRUE;
+END;
+$function$;
+
+-- Replaces the version in db/lobby.sql: the shelves are stocked as the game
+-- starts, and a game that starts at night skips to the morning
+CREATE OR REPLACE FUNCTION public.start_game(p_game_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+BEGIN
+    SELECT * INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can start the game');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('The game has already started');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM players
+        WHERE game_id = p_game_id
+          AND user_id::text IS DISTINCT FROM auth.uid()::text
+          AND NOT is_ready
+    ) THEN
+        RETURN public.player_action_failure('Not everyone is ready');
+    END IF;
+
+    UPDATE players
+    SET cash = v_game.starting_cash,
+        loan_amount = v_game.starting_loan,
+        current_borough_id = COALESCE(
+            (SELECT id FROM boroughs WHERE name = 'Downtown'),
+            current_borough_id
+        ),
+        actions_used_this_hour = 0,
+        actions_overflow = 0,
+        turn_completed = FALSE
+    WHERE game_id = p_game_id;
+
+    UPDATE games
+    SET status = 'active',
+        current_hour = max_hours,
+        started_at = NOW(),
+        hour_started_at = NOW()
+    WHERE id = p_game_id;
+
+    PERFORM public.initialize_game_data(p_game_id);
+    PERFORM public.skip_overnight_hours(p_game_id);
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
+
+-- Replaces the version in db/lobby.sql: multi-day lengths and the
+-- skip_overnight setting
+CREATE OR REPLACE FUNCTION public.update_game_settings(
+    p_game_id uuid,
+    p_settings jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_max_hours integer;
+    v_borough_ids uuid[];
+BEGIN
+    SELECT * INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can change the settings');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('Settings can only change before the game starts');
+    END IF;
+
+    v_max_hours := COALESCE((p_settings->>'max_hours')::integer, v_game.max_hours);
+    IF v_max_hours NOT IN (12, 24, 72, 168) THEN
+        RETURN public.player_action_failure('Pick one of the game lengths');
+    END IF;
+
+    v_borough_ids := CASE
+        WHEN NOT p_settings ? 'enabled_borough_ids' THEN v_game.enabled_borough_ids
+        WHEN jsonb_typeof(p_settings->'enabled_borough_ids') = 'null' THEN NULL
+        ELSE ARRAY(SELECT jsonb_array_elements_text(p_settings->'enabled_borough_ids')::uuid)
+    END;
+    IF v_borough_ids IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM boroughs
+        WHERE name = 'Downtown' AND id = ANY (v_borough_ids)
+    ) THEN
+        RETURN public.player_action_failure('Downtown is where everyone starts, so it stays in play');
+    END IF;
+
+    UPDATE games
+    SET max_hours = v_max_hours,
+        starting_cash = COALESCE((p_settings->>'starting_cash')::numeric, starting_cash),
+        starting_loan = COALESCE((p_settings->>'starting_loan')::numeric, starting_loan),
+        actions_per_hour = COALESCE((p_settings->>'actions_per_hour')::integer, actions_per_hour),
+        enabled_borough_ids = v_borough_ids,
+        turn_seconds = CASE
+            WHEN p_settings ? 'turn_seconds' THEN (p_settings->>'turn_seconds')::integer
+            ELSE turn_seconds
+        END,
+        skip_overnight = COALESCE((p_settings->>'skip_overnight')::boolean, skip_overnight)
+    WHERE id = p_game_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.skip_overnight_hours(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.resolve_turn(uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,426 @@
+-- Carrier upgrades: Backpack -> Crate -> Van.
+-- Apply after db/loans.sql. The carriers rows match CARRIERS in
+-- src/lib/carriers.js; change them together.
+--
+-- A carrier sets players.inventory_capacity, is bought in one borough, and
+-- can change travel: a crate makes walking slower, a van halves taxi fares
+-- (you drive yourself) but can't go on the subway.
+
+CREATE TABLE IF NOT EXISTS public.carriers (
+    type TEXT PRIMARY KEY,
+    capacity INTEGER NOT NULL,
+    price NUMERIC(10,2) NOT NULL,
+    borough_name TEXT,                      -- Where it's sold; NULL = not for sale
+    walk_extra_actions INTEGER NOT NULL DEFAULT 0,
+    taxi_fare_factor NUMERIC(4,2) NOT NULL DEFAULT 1,
+    allows_subway BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO public.carriers
+    (type, capacity, price, borough_name, walk_extra_actions, taxi_fare_factor, allows_subway)
+VALUES
+    ('Backpack', 10, 0, NULL, 0, 1, TRUE),
+    ('Crate', 25, 150, 'Brooklyn', 1, 1, TRUE),
+    ('Van', 60, 600, 'Queens', 0, 0.5, FALSE)
+ON CONFLICT (type) DO UPDATE SET
+    capacity = EXCLUDED.capacity,
+    price = EXCLUDED.price,
+    borough_name = EXCLUDED.borough_name,
+    walk_extra_actions = EXCLUDED.walk_extra_actions,
+    taxi_fare_factor = EXCLUDED.taxi_fare_factor,
+    allows_subway = EXCLUDED.allows_subway;
+
+ALTER TABLE public.carriers ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS carriers_read ON public.carriers;
+CREATE POLICY carriers_read ON public.carriers FOR SELECT USING (TRUE);
+
+ALTER TABLE public.transactions DROP CONSTRAINT IF EXISTS transactions_transaction_type_check;
+ALTER TABLE public.transactions
+    ADD CONSTRAINT transactions_transaction_type_check
+    CHECK (transaction_type IN ('buy', 'sell', 'travel', 'borrow', 'repay', 'loan_penalty', 'carrier'));
+
+-- Space the player's records take up
+CREATE OR REPLACE FUNCTION public.player_used_space(p_player_id uuid)
+RETURNS integer
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT COALESCE(SUM(pi.quantity * COALESCE(pr.space_required, 1)), 0)::integer
+    FROM player_inventory pi
+    JOIN products pr ON pi.product_id = pr.id
+    WHERE pi.player_id = p_player_id;
+$function$;
+
+-- Replaces fix_buy_record.sql. Same checks, but capacity is enforced against
+-- the locked player row and there is no COMMIT/ROLLBACK inside the function.
+DROP FUNCTION IF EXISTS public.buy_record(uuid, uuid, uuid, uuid, integer, uuid);
+
+CREATE OR REPLACE FUNCTION public.buy_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $function$
+DECLARE
+    v_player RECORD;
+    v_market_item RECORD;
+    v_total_price NUMERIC(10,2);
+    v_space_required INTEGER;
+    v_current_hour INTEGER;
+BEGIN
+    SELECT p.id, p.cash, p.inventory_capacity, p.inventory_count INTO v_player
+    FROM players p
+    WHERE p.id = p_player_id AND p.game_id = p_game_id
+    FOR UPDATE;
+
+    SELECT current_hour INTO v_current_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    SELECT id, current_price, quantity, condition, quality_rating INTO v_market_item
+    FROM market_inventory
+    WHERE store_id = p_store_id
+      AND game_id = p_game_id
+      AND product_id = p_product_id
+    LIMIT 1
+    FOR UPDATE;
+
+    IF v_player.id IS NULL OR v_market_item.id IS NULL OR p_quantity < 1 THEN
+        RETURN FALSE;
+    END IF;
+
+    v_total_price := v_market_item.current_price * p_quantity;
+
+    SELECT COALESCE(space_required, 1) * p_quantity INTO v_space_required
+    FROM products
+    WHERE id = p_product_id;
+
+    IF v_player.cash < v_total_price
+        OR v_player.inventory_capacity - public.player_used_space(p_player_id) < v_space_required
+        OR v_market_item.quantity < p_quantity THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE players
+    SET cash = cash - v_total_price,
+        inventory_count = COALESCE(inventory_count, 0) + p_quantity
+    WHERE id = p_player_id;
+
+    INSERT INTO player_inventory (
+        player_id, product_id, quantity, purchase_price,
+        condition, quality_rating, created_at, updated_at,
+        estimated_current_price
+    ) VALUES (
+        p_player_id, p_product_id, p_quantity, v_market_item.current_price,
+        v_market_item.condition, v_market_item.quality_rating,
+        NOW(), NOW(),
+        v_market_item.current_price
+    );
+
+    UPDATE market_inventory
+    SET quantity = quantity - p_quantity,
+        day_updated = v_current_hour
+    WHERE id = v_market_item.id;
+
+    DELETE FROM market_inventory
+    WHERE id = v_market_item.id AND quantity <= 0;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id, transaction_type,
+        quantity, price, store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, p_product_id, 'buy',
+        p_quantity, v_market_item.current_price, p_store_id,
+        v_current_hour
+    );
+
+    RETURN TRUE;
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.buy_record(uuid, uuid, uuid, uuid, integer, uuid) FROM PUBLIC, anon, authenticated;
+
+-- Replaces the version in db/action_economy.sql: says why a purchase won't fit
+CREATE OR REPLACE FUNCTION public.player_buy_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_player RECORD;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT carrier_type, inventory_capacity INTO v_player
+    FROM players
+    WHERE id = p_player_id;
+
+    IF public.player_used_space(p_player_id)
+        + (SELECT COALESCE(space_required, 1) * p_quantity FROM products WHERE id = p_product_id)
+        > v_player.inventory_capacity THEN
+        RETURN public.player_action_failure(format(
+            'No room - your %s only holds %s records',
+            LOWER(COALESCE(v_player.carrier_type, 'Backpack')), v_player.inventory_capacity
+        ));
+    END IF;
+
+    IF NOT public.buy_record(p_player_id, p_game_id, p_store_id, p_product_id, p_quantity) THEN
+        RETURN public.player_action_failure(
+            'Purchase failed. You may not have enough funds or space, or the item is out of stock.'
+        );
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.player_buy_carrier(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_carrier_type text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_player RECORD;
+    v_carrier RECORD;
+    v_current_hour INTEGER;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT p.cash, p.inventory_capacity, b.name AS borough_name INTO v_player
+    FROM players p
+    LEFT JOIN boroughs b ON p.current_borough_id = b.id
+    WHERE p.id = p_player_id
+    FOR UPDATE OF p;
+
+    SELECT * INTO v_carrier
+    FROM carriers
+    WHERE type = p_carrier_type;
+
+    IF NOT FOUND OR v_carrier.borough_name IS NULL THEN
+        RETURN public.player_action_failure('That carrier isn''t for sale');
+    END IF;
+
+    IF LOWER(v_carrier.borough_name) <> LOWER(COALESCE(v_player.borough_name, '')) THEN
+        RETURN public.player_action_failure(format(
+            'The %s is sold in %s', LOWER(v_carrier.type), v_carrier.borough_name
+        ));
+    END IF;
+
+    IF v_carrier.capacity <= v_player.inventory_capacity THEN
+        RETURN public.player_action_failure('You already carry at least that much');
+    END IF;
+
+    IF v_player.cash < v_carrier.price THEN
+        RETURN public.player_action_failure(format(
+            'Not enough money. The %s costs $%s but you only have $%s.',
+            LOWER(v_carrier.type), v_carrier.price, v_player.cash
+        ));
+    END IF;
+
+    SELECT current_hour INTO v_current_hour FROM games WHERE id = p_game_id;
+
+    UPDATE players
+    SET carrier_type = v_carrier.type,
+        inventory_capacity = v_carrier.capacity,
+        cash = cash - v_carrier.price
+    WHERE id = p_player_id;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, NULL,
+        'carrier', 1, v_carrier.price,
+        NULL, v_current_hour
+    );
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+-- Replaces the version in db/travel.sql with the player's carrier applied
+DROP FUNCTION IF EXISTS public.quote_travel(uuid, uuid, uuid);
+
+CREATE OR REPLACE FUNCTION public.quote_travel(
+    p_from_borough_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid,
+    p_carrier_type text DEFAULT 'Backpack',
+    OUT action_cost integer,
+    OUT fare numeric,
+    OUT error text
+)
+LANGUAGE plpgsql
+STABLE
+AS $function$
+DECLARE
+    v_from TEXT;
+    v_to TEXT;
+    v_method RECORD;
+    v_type TEXT;
+    v_distance RECORD;
+    v_carrier RECORD;
+BEGIN
+    action_cost := 0;
+    fare := 0;
+
+    SELECT LOWER(name) INTO v_from FROM boroughs WHERE id = p_from_borough_id;
+    SELECT LOWER(name) INTO v_to FROM boroughs WHERE id = p_to_borough_id;
+    SELECT name, base_cost INTO v_method
+    FROM transportation_methods
+    WHERE id = p_transportation_id;
+
+    SELECT * INTO v_carrier FROM carriers WHERE type = p_carrier_type;
+    IF NOT FOUND THEN
+        SELECT * INTO v_carrier FROM carriers WHERE type = 'Backpack';
+    END IF;
+
+    v_type := CASE
+        WHEN LOWER(v_method.name) LIKE '%walk%' THEN 'walk'
+        WHEN LOWER(v_method.name) LIKE '%subway%' THEN 'subway'
+        WHEN LOWER(v_method.name) LIKE '%taxi%' THEN 'taxi'
+    END;
+
+    IF v_from IS NULL OR v_to IS NULL OR v_type IS NULL THEN
+        error := 'You can''t travel there that way';
+        RETURN;
+    END IF;
+
+    IF p_from_borough_id = p_to_borough_id THEN
+        error := 'You''re already there';
+        RETURN;
+    END IF;
+
+    IF v_type <> 'taxi' AND 'staten island' IN (v_from, v_to) THEN
+        error := 'Staten Island can only be reached by taxi';
+        RETURN;
+    END IF;
+
+    IF v_type = 'subway' AND NOT v_carrier.allows_subway THEN
+        error := format('Your %s won''t fit on the subway', LOWER(v_carrier.type));
+        RETURN;
+    END IF;
+
+    SELECT walking_time, subway_time, taxi_time, taxi_cost INTO v_distance
+    FROM borough_distances
+    WHERE (from_borough_id = p_from_borough_id AND to_borough_id = p_to_borough_id)
+       OR (from_borough_id = p_to_borough_id AND to_borough_id = p_from_borough_id)
+    LIMIT 1;
+
+    -- Defaults match DEFAULT_TRAVEL_TIME for pairs without a distance row
+    action_cost := CASE v_type
+        WHEN 'walk' THEN COALESCE(v_distance.walking_time, 3) + v_carrier.walk_extra_actions
+        WHEN 'subway' THEN COALESCE(v_distance.subway_time, 2)
+        ELSE COALESCE(v_distance.taxi_time, 1)
+    END;
+
+    fare := CASE
+        WHEN v_type = 'taxi' AND COALESCE(v_distance.taxi_cost, 0) > 0 THEN v_distance.taxi_cost
+        ELSE COALESCE(v_method.base_cost, 0)
+    END;
+
+    IF v_type = 'taxi' THEN
+        fare := ROUND(fare * v_carrier.taxi_fare_factor, 2);
+    END IF;
+END;
+$function$;
+
+-- Replaces the version in db/travel.sql to quote with the player's carrier
+CREATE OR REPLACE FUNCTION public.travel_to_borough(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_player RECORD;
+    v_travel RECORD;
+    v_current_hour INTEGER;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT current_borough_id, cash, carrier_type INTO v_player
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    SELECT * INTO v_travel
+    FROM public.quote_travel(
+        v_player.current_borough_id, p_to_borough_id, p_transportation_id,
+        COALESCE(v_player.carrier_type, 'Backpack')
+    );
+
+    IF v_travel.error IS NOT NULL THEN
+        RETURN public.player_action_failure(v_travel.error);
+    END IF;
+
+    IF v_player.cash < v_travel.fare THEN
+        RETURN public.player_action_failure(format(
+            'Not enough money. Travel costs $%s but you only have $%s.',
+            v_travel.fare, v_player.cash
+        ));
+    END IF;
+
+    SELECT current_hour INTO v_current_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    UPDATE players
+    SET current_borough_id = p_to_borough_id,
+        cash = cash - v_travel.fare
+    WHERE id = p_player_id;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, NULL,
+        'travel', 1, v_travel.fare,
+        NULL, v_current_hour
+    );
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, v_travel.action_cost)
+    );
+END;
+$function$;
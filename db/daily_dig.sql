@@ -0,0 +1,294 @@
+-- The Daily Dig: one seeded solo board a day and a leaderboard of scores.
+-- Apply after db/seed.sql. Matches src/lib/dailyDig.js and the local
+-- backend.
+--
+-- get_daily_dig() hands out the day's seed (UTC days), drawing it the first
+-- time it's asked for. create_game() makes a solo game on that board with
+-- games.daily_date set, then enter_daily_dig() checks the game really is
+-- today's board, unstarted and on the default settings, and records the
+-- player's attempt before start_game(). A player's first attempt
+-- each day is the scored one (one daily_scores row per user per day); when
+-- that game ends, its final net worth snapshot becomes the score.
+
+ALTER TABLE public.games
+    ADD COLUMN IF NOT EXISTS daily_date DATE;
+
+CREATE TABLE IF NOT EXISTS public.daily_digs (
+    daily_date DATE PRIMARY KEY,
+    seed INTEGER NOT NULL DEFAULT (1 + floor(random() * 2147483646))::integer,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.daily_scores (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    daily_date DATE NOT NULL REFERENCES public.daily_digs(daily_date),
+    user_id TEXT NOT NULL,
+    username TEXT,
+    game_id UUID REFERENCES public.games(id) ON DELETE SET NULL,
+    player_id UUID REFERENCES public.players(id) ON DELETE SET NULL,
+    net_worth NUMERIC(10,2),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (daily_date, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS daily_scores_leaderboard_idx
+    ON public.daily_scores (daily_date, net_worth DESC);
+
+ALTER TABLE public.daily_digs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS daily_digs_read ON public.daily_digs;
+CREATE POLICY daily_digs_read ON public.daily_digs FOR SELECT USING (TRUE);
+
+ALTER TABLE public.daily_scores ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS daily_scores_read ON public.daily_scores;
+CREATE POLICY daily_scores_read ON public.daily_scores FOR SELECT USING (TRUE);
+
+-- Today's date for the Daily Dig
+CREATE OR REPLACE FUNCTION public.daily_dig_date()
+RETURNS date
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT (NOW() AT TIME ZONE 'utc')::date;
+$function$;
+
+-- Today's board: { daily_date, seed }
+CREATE OR REPLACE FUNCTION public.get_daily_dig()
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_dig RECORD;
+BEGIN
+    INSERT INTO daily_digs (daily_date)
+    VALUES (public.daily_dig_date())
+    ON CONFLICT (daily_date) DO NOTHING;
+
+    SELECT daily_date, seed INTO v_dig
+    FROM daily_digs
+    WHERE daily_date = public.daily_dig_date();
+
+    RETURN jsonb_build_object('daily_date', v_dig.daily_date, 'seed', v_dig.seed);
+END;
+$function$;
+
+-- Records a player's Daily Dig before it starts. Returns scored = FALSE when
+-- they've already had today's scored attempt and this one is practice.
+CREATE OR REPLACE FUNCTION public.enter_daily_dig(p_game_id uuid, p_player_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_player RECORD;
+    v_score_id uuid;
+BEGIN
+    SELECT g.*, d.seed AS daily_seed INTO v_game
+    FROM games g
+    LEFT JOIN daily_digs d ON d.daily_date = g.daily_date
+    WHERE g.id = p_game_id;
+
+    IF NOT FOUND OR v_game.daily_date IS NULL THEN
+        RETURN public.player_action_failure('That game isn''t a Daily Dig');
+    END IF;
+
+    IF v_game.daily_date <> public.daily_dig_date()
+       OR v_game.seed IS DISTINCT FROM v_game.daily_seed THEN
+        RETURN public.player_action_failure('That isn''t today''s Daily Dig');
+    END IF;
+
+    -- An entry made after playing could pick the best of several games
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('Enter the Daily Dig before it starts');
+    END IF;
+
+    -- DEFAULT_GAME_SETTINGS in src/lib/gameSettings.js
+    IF v_game.max_hours <> 24
+       OR v_game.starting_cash <> 100
+       OR v_game.starting_loan <> 100
+       OR v_game.actions_per_hour <> 4
+       OR v_game.enabled_borough_ids IS NOT NULL
+       OR v_game.turn_seconds IS NOT NULL
+       OR v_game.skip_overnight THEN
+        RETURN public.player_action_failure('The Daily Dig is played on the standard settings');
+    END IF;
+
+    IF (SELECT COUNT(*) FROM players WHERE game_id = p_game_id) <> 1 THEN
+        RETURN public.player_action_failure('The Daily Dig is played solo');
+    END IF;
+
+    SELECT id, user_id, username INTO v_player
+    FROM players
+    WHERE id = p_player_id AND game_id = p_game_id;
+
+    IF NOT FOUND
+       OR v_player.user_id::text IS DISTINCT FROM v_game.created_by::text
+       OR v_player.user_id::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Player not found in this game');
+    END IF;
+
+    INSERT INTO daily_scores (daily_date, user_id, username, game_id, player_id)
+    VALUES (v_game.daily_date, v_player.user_id::text, v_player.username, p_game_id, p_player_id)
+    ON CONFLICT (daily_date, user_id) DO NOTHING
+    RETURNING id INTO v_score_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL, 'scored', v_score_id IS NOT NULL);
+END;
+$function$;
+
+-- A scored attempt takes the net worth its game ends on
+CREATE OR REPLACE FUNCTION public.score_daily_dig()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    UPDATE daily_scores
+    SET net_worth = NEW.net_worth,
+        updated_at = NOW()
+    WHERE game_id = NEW.game_id
+      AND player_id = NEW.player_id
+      AND net_worth IS NULL;
+    RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS score_daily_dig ON public.net_worth_snapshots;
+CREATE TRIGGER score_daily_dig
+    AFTER INSERT ON public.net_worth_snapshots
+    FOR EACH ROW
+    WHEN (NEW.hour <= 0)
+    EXECUTE FUNCTION public.score_daily_dig();
+
+-- Replaces the version in db/calendar.sql: a Daily Dig keeps the default
+-- settings everyone else plays it on
+CREATE OR REPLACE FUNCTION public.update_game_settings(
+    p_game_id uuid,
+    p_settings jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_max_hours integer;
+    v_borough_ids uuid[];
+BEGIN
+    SELECT * INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can change the settings');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('Settings can only change before the game starts');
+    END IF;
+
+    IF v_game.daily_date IS NOT NULL THEN
+        RETURN public.player_action_failure('The Daily Dig is played on the standard settings');
+    END IF;
+
+    v_max_hours := COALESCE((p_settings->>'max_hours')::integer, v_game.max_hours);
+    IF v_max_hours NOT IN (12, 24, 72, 168) THEN
+        RETURN public.player_action_failure('Pick one of the game lengths');
+    END IF;
+
+    v_borough_ids := CASE
+        WHEN NOT p_settings ? 'enabled_borough_ids' THEN v_game.enabled_borough_ids
+        WHEN jsonb_typeof(p_settings->'enabled_borough_ids') = 'null' THEN NULL
+        ELSE ARRAY(SELECT jsonb_array_elements_text(p_settings->'enabled_borough_ids')::uuid)
+    END;
+    IF v_borough_ids IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM boroughs
+        WHERE name = 'Downtown' AND id = ANY (v_borough_ids)
+    ) THEN
+        RETURN public.player_action_failure('Downtown is where everyone starts, so it stays in play');
+    END IF;
+
+    UPDATE games
+    SET max_hours = v_max_hours,
+        starting_cash = COALESCE((p_settings->>'starting_cash')::numeric, starting_cash),
+        starting_loan = COALESCE((p_settings->>'starting_loan')::numeric, starting_loan),
+        actions_per_hour = COALESCE((p_settings->>'actions_per_hour')::integer, actions_per_hour),
+        enabled_borough_ids = v_borough_ids,
+        turn_seconds = CASE
+            WHEN p_settings ? 'turn_seconds' THEN (p_settings->>'turn_seconds')::integer
+            ELSE turn_seconds
+        END,
+        skip_overnight = COALESCE((p_settings->>'skip_overnight')::boolean, skip_overnight)
+    WHERE id = p_game_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
+
+-- Creates a waiting game hosted by the caller together with the host's
+-- player in Downtown, so a failure can't leave a game without its host. A
+-- Daily Dig (p_daily) is on today's board; otherwise p_seed picks the seed,
+-- or NULL draws one.
+CREATE OR REPLACE FUNCTION public.create_game(
+    p_name text,
+    p_username text,
+    p_seed integer DEFAULT NULL,
+    p_daily boolean DEFAULT FALSE
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_user_id uuid := auth.uid();
+    v_dig jsonb;
+    v_game_id uuid;
+    v_player_id uuid;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RETURN public.player_action_failure('Sign in to create a game');
+    END IF;
+
+    IF p_daily THEN
+        v_dig := public.get_daily_dig();
+    END IF;
+
+    INSERT INTO games (name, created_by, seed, daily_date)
+    VALUES (
+        p_name,
+        v_user_id,
+        -- The last fallback is the column default
+        COALESCE(
+            (v_dig->>'seed')::integer,
+            p_seed,
+            (1 + floor(random() * 2147483646))::integer
+        ),
+        (v_dig->>'daily_date')::date
+    )
+    RETURNING id INTO v_game_id;
+
+    INSERT INTO players (game_id, user_id, username, current_borough_id)
+    VALUES (
+        v_game_id, v_user_id, p_username,
+        (SELECT id FROM boroughs WHERE name = 'Downtown')
+    )
+    RETURNING id INTO v_player_id;
+
+    RETURN jsonb_build_object(
+        'success', TRUE, 'error', NULL,
+        'game_id', v_game_id, 'player_id', v_player_id
+    );
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.score_daily_dig() FROM PUBLIC, anon, authenticated;
+
+-- Games are only created through create_game(), which sets the host itself
+REVOKE INSERT ON public.games FROM anon, authenticated;
@@ -0,0 +1,786 @@
+-- Random market events: genre revivals, Record Store Day, estate sales,
+-- stores closing early and subway outages.
+-- Apply after db/market.sql. Event types, weights and effects match
+-- EVENT_TYPES in src/lib/events.js; change them together.
+--
+-- Each hour change fires an event 35% of the time. An event is active while
+-- ends_hour < games.current_hour <= started_hour (hours count down).
+--   * price events scale shelf prices and what stores pay for matching records
+--   * store_closed refuses visits, buys and sells at one store
+--   * subway_outage refuses subway trips
+
+CREATE TABLE IF NOT EXISTS public.market_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'genre_revival', 'record_store_day', 'estate_sale', 'store_closed', 'subway_outage'
+    )),
+    title TEXT NOT NULL,
+    description TEXT,
+    genre TEXT,
+    borough_id UUID REFERENCES public.boroughs(id),
+    store_id UUID REFERENCES public.stores(id),
+    price_factor NUMERIC(4,2),
+    started_hour INTEGER NOT NULL,
+    ends_hour INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS market_events_game_id_idx ON public.market_events (game_id);
+
+ALTER TABLE public.market_events ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS market_events_read ON public.market_events;
+CREATE POLICY market_events_read ON public.market_events FOR SELECT USING (TRUE);
+
+CREATE OR REPLACE FUNCTION public.active_market_events(p_game_id uuid)
+RETURNS SETOF public.market_events
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT e.*
+    FROM market_events e
+    JOIN games g ON g.id = e.game_id
+    WHERE e.game_id = p_game_id
+      AND g.current_hour <= e.started_hour
+      AND g.current_hour > e.ends_hour;
+$function$;
+
+-- Combined price factor of the running events - getEventPriceFactor()
+CREATE OR REPLACE FUNCTION public.market_event_factor(
+    p_game_id uuid,
+    p_genre text,
+    p_borough_id uuid
+)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT COALESCE(EXP(SUM(LN(e.price_factor))), 1)
+    FROM public.active_market_events(p_game_id) e
+    WHERE e.price_factor IS NOT NULL
+      AND (e.genre IS NULL OR e.genre = p_genre)
+      AND (e.borough_id IS NULL OR e.borough_id = p_borough_id);
+$function$;
+
+-- NULL when the store is open, otherwise why it isn't
+CREATE OR REPLACE FUNCTION public.check_store_open(p_game_id uuid, p_store_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT format('%s has closed early', COALESCE(s.name, 'The store'))
+    FROM public.active_market_events(p_game_id) e
+    LEFT JOIN stores s ON s.id = e.store_id
+    WHERE e.event_type = 'store_closed' AND e.store_id = p_store_id
+    LIMIT 1;
+$function$;
+
+-- Maybe fires an event for the hour just started - rollMarketEvent()
+CREATE OR REPLACE FUNCTION public.roll_market_event(p_game_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_hour INTEGER;
+    v_roll NUMERIC;
+    v_type TEXT;
+    v_duration INTEGER;
+    v_factor NUMERIC(4,2);
+    v_genre TEXT;
+    v_borough_id UUID;
+    v_borough_name TEXT;
+    v_store_id UUID;
+    v_store_name TEXT;
+    v_title TEXT;
+    v_description TEXT;
+BEGIN
+    IF random() >= 0.35 THEN
+        RETURN;
+    END IF;
+
+    SELECT current_hour INTO v_hour FROM games WHERE id = p_game_id;
+
+    -- Weighted pick: revival 3, Record Store Day 1, estate sale 2,
+    -- store closed 2, subway outage 1
+    v_roll := random() * 9;
+    v_type := CASE
+        WHEN v_roll < 3 THEN 'genre_revival'
+        WHEN v_roll < 4 THEN 'record_store_day'
+        WHEN v_roll < 6 THEN 'estate_sale'
+        WHEN v_roll < 8 THEN 'store_closed'
+        ELSE 'subway_outage'
+    END;
+
+    IF EXISTS (
+        SELECT 1 FROM public.active_market_events(p_game_id) WHERE event_type = v_type
+    ) THEN
+        RETURN;
+    END IF;
+
+    CASE v_type
+        WHEN 'genre_revival' THEN
+            SELECT genre INTO v_genre
+            FROM (SELECT DISTINCT genre FROM products) g
+            ORDER BY random()
+            LIMIT 1;
+            v_duration := 3;
+            v_factor := 1.4;
+            v_title := format('%s revival', v_genre);
+            v_description := format(
+                'Everyone wants %s records. Shops pay and charge 40%% more for them.', v_genre
+            );
+        WHEN 'record_store_day' THEN
+            v_duration := 2;
+            v_factor := 1.25;
+            v_title := 'Record Store Day';
+            v_description := 'Crowds in every shop. All records sell and resell for 25% more.';
+        WHEN 'estate_sale' THEN
+            SELECT id, name INTO v_borough_id, v_borough_name
+            FROM boroughs
+            ORDER BY random()
+            LIMIT 1;
+            v_duration := 3;
+            v_factor := 0.7;
+            v_title := format('Estate sale in %s', v_borough_name);
+            v_description := format(
+                'A collection is flooding %s''s shops with cheap stock. Prices there are down 30%%.',
+                v_borough_name
+            );
+        WHEN 'store_closed' THEN
+            SELECT id, name INTO v_store_id, v_store_name
+            FROM stores
+            ORDER BY random()
+            LIMIT 1;
+            v_duration := 2;
+            v_title := format('%s closed early', v_store_name);
+            v_description := format('%s has shut its doors for a couple of hours.', v_store_name);
+        ELSE
+            v_duration := 2;
+            v_title := 'Subway outage';
+            v_description := 'Signal problems have stopped the trains. Walk or take a taxi.';
+    END CASE;
+
+    INSERT INTO market_events (
+        game_id, event_type, title, description,
+        genre, borough_id, store_id, price_factor,
+        started_hour, ends_hour
+    ) VALUES (
+        p_game_id, v_type, v_title, v_description,
+        v_genre, v_borough_id, v_store_id, v_factor,
+        v_hour, v_hour - v_duration
+    );
+
+    IF v_factor IS NULL THEN
+        RETURN;
+    END IF;
+
+    -- Price events hit matching shelves straight away
+    UPDATE market_inventory mi
+    SET previous_price = mi.current_price,
+        current_price = ROUND(mi.current_price * v_factor, 2)
+    FROM stores s, products p
+    WHERE mi.game_id = p_game_id
+      AND s.id = mi.store_id
+      AND p.id = mi.product_id
+      AND (v_borough_id IS NULL OR s.borough_id = v_borough_id)
+      AND (v_genre IS NULL OR p.genre = v_genre);
+
+    -- An estate sale also dumps up to 3 cheap titles on each shelf in the borough
+    IF v_type = 'estate_sale' THEN
+        INSERT INTO market_inventory (
+            game_id, store_id, product_id, quantity,
+            current_price, condition, quality_rating,
+            base_markup, last_price_update, day_updated
+        )
+        SELECT p_game_id, pick.store_id, pick.product_id,
+            1 + floor(random() * 2)::integer,
+            ROUND(
+                public.price_buy_record(
+                    pick.base_price, pick.condition,
+                    pick.price_multiplier, pick.borough_modifier
+                ) * (0.8 + random() * 0.4) * v_factor,
+                2
+            ),
+            pick.condition,
+            CASE pick.condition
+                WHEN 'Mint' THEN 0.9
+                WHEN 'Good' THEN 0.7
+                WHEN 'Fair' THEN 0.5
+                ELSE 0.3
+            END,
+            1.0, v_hour, v_hour
+        FROM (
+            SELECT s.id AS store_id, s.price_multiplier, b.price_modifier AS borough_modifier,
+                p.id AS product_id, p.base_price,
+                (ARRAY['Mint', 'Good', 'Good', 'Fair', 'Fair', 'Poor'])[1 + floor(random() * 6)::integer] AS condition,
+                row_number() OVER (PARTITION BY s.id ORDER BY random()) AS n
+            FROM stores s
+            JOIN boroughs b ON b.id = s.borough_id
+            CROSS JOIN products p
+            WHERE s.borough_id = v_borough_id
+              AND NOT EXISTS (
+                  SELECT 1 FROM market_inventory mi
+                  WHERE mi.game_id = p_game_id
+                    AND mi.store_id = s.id
+                    AND mi.product_id = p.id
+              )
+        ) pick
+        WHERE pick.n <= 3;
+    END IF;
+END;
+$function$;
+
+-- Replaces the version in db/market.sql: running price events move each
+-- shelf's target price
+CREATE OR REPLACE FUNCTION public.tick_market(p_game_id uuid, p_ended_hour integer)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_hour INTEGER;
+    v_clock_hour INTEGER;
+    v_store RECORD;
+    v_item RECORD;
+    v_product RECORD;
+    v_target NUMERIC;
+    v_price NUMERIC(10,2);
+    v_quantity INTEGER;
+    v_condition TEXT;
+    v_roll NUMERIC;
+BEGIN
+    SELECT current_hour, public.game_clock_hour(current_hour, max_hours)
+    INTO v_hour, v_clock_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    FOR v_store IN
+        SELECT s.id, s.borough_id, s.price_multiplier, b.price_modifier AS borough_modifier
+        FROM stores s
+        LEFT JOIN store_boroughs sb ON sb.store_id = s.id
+        LEFT JOIN boroughs b ON b.id = sb.borough_id
+    LOOP
+        FOR v_item IN
+            SELECT mi.id, mi.current_price, mi.quantity, mi.condition,
+                p.genre, p.base_price,
+                COALESCE((
+                    SELECT SUM(CASE t.transaction_type
+                        WHEN 'buy' THEN t.quantity
+                        ELSE -t.quantity
+                    END)
+                    FROM transactions t
+                    WHERE t.game_id = p_game_id
+                      AND t.store_id = v_store.id
+                      AND t.product_id = mi.product_id
+                      AND t.hour = p_ended_hour
+                      AND t.transaction_type IN ('buy', 'sell')
+                ), 0) AS net_bought
+            FROM market_inventory mi
+            JOIN products p ON p.id = mi.product_id
+            WHERE mi.game_id = p_game_id AND mi.store_id = v_store.id
+            FOR UPDATE OF mi
+        LOOP
+            v_target := public.price_buy_record(
+                    v_item.base_price, v_item.condition,
+                    v_store.price_multiplier, v_store.borough_modifier
+                )
+                * public.market_event_factor(p_game_id, v_item.genre, v_store.borough_id)
+                * public.genre_demand(v_item.genre, v_clock_hour)
+                * (1 + GREATEST(-0.3, LEAST(0.3, v_item.net_bought * 0.05)));
+            v_price := GREATEST(1, (
+                v_item.current_price + (v_target - v_item.current_price) * 0.3
+            ) * (1 + (random() * 2 - 1) * 0.03));
+
+            v_quantity := v_item.quantity;
+            IF v_quantity < 3 AND random() < 0.3 THEN
+                v_quantity := v_quantity + 1;
+            ELSIF random() < 0.1 * public.genre_demand(v_item.genre, v_clock_hour) THEN
+                v_quantity := v_quantity - 1;
+            END IF;
+
+            IF v_quantity <= 0 THEN
+                DELETE FROM market_inventory WHERE id = v_item.id;
+            ELSE
+                UPDATE market_inventory
+                SET previous_price = current_price,
+                    current_price = v_price,
+                    quantity = v_quantity,
+                    last_price_update = v_hour
+                WHERE id = v_item.id;
+            END IF;
+        END LOOP;
+
+        IF random() < 0.2 THEN
+            SELECT p.id, p.base_price, p.genre INTO v_product
+            FROM products p
+            WHERE NOT EXISTS (
+                SELECT 1 FROM market_inventory mi
+                WHERE mi.game_id = p_game_id
+                  AND mi.store_id = v_store.id
+                  AND mi.product_id = p.id
+            )
+            ORDER BY random()
+            LIMIT 1;
+
+            IF v_product.id IS NOT NULL THEN
+                v_roll := random();
+                v_condition := CASE
+                    WHEN v_roll < 0.15 THEN 'Mint'
+                    WHEN v_roll < 0.55 THEN 'Good'
+                    WHEN v_roll < 0.85 THEN 'Fair'
+                    ELSE 'Poor'
+                END;
+
+                INSERT INTO market_inventory (
+                    game_id, store_id, product_id, quantity,
+                    current_price, condition, quality_rating,
+                    base_markup, last_price_update, day_updated
+                ) VALUES (
+                    p_game_id, v_store.id, v_product.id, 1,
+                    ROUND(
+                        public.price_buy_record(
+                            v_product.base_price, v_condition,
+                            v_store.price_multiplier, v_store.borough_modifier
+                        )
+                        * (0.8 + random() * 0.4)
+                        * public.genre_demand(v_product.genre, v_clock_hour),
+                        2
+                    ),
+                    v_condition,
+                    CASE v_condition
+                        WHEN 'Mint' THEN 0.9
+                        WHEN 'Good' THEN 0.7
+                        WHEN 'Fair' THEN 0.5
+                        ELSE 0.3
+                    END,
+                    1.0, v_hour, v_hour
+                );
+            END IF;
+        END IF;
+    END LOOP;
+END;
+$function$;
+
+-- Replaces the version in db/market.sql: rolls for an event after the tick
+CREATE OR REPLACE FUNCTION public.advance_game_hour(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_next_hour INTEGER;
+BEGIN
+    UPDATE games
+    SET current_hour = current_hour - 1,
+        status = CASE WHEN current_hour - 1 <= 0 THEN 'completed' ELSE status END,
+        ended_at = CASE WHEN current_hour - 1 <= 0 THEN NOW() ELSE ended_at END
+    WHERE id = p_game_id
+    RETURNING current_hour INTO v_next_hour;
+
+    UPDATE players
+    SET actions_used_this_hour = COALESCE(actions_overflow, 0),
+        actions_overflow = 0,
+        loan_amount = CASE
+            WHEN COALESCE(loan_amount, 0) > 0
+                THEN ROUND(loan_amount * (1 + COALESCE(loan_interest_rate, 0) / 100 / 24), 2)
+            ELSE loan_amount
+        END
+    WHERE game_id = p_game_id;
+
+    IF v_next_hour > 0 THEN
+        PERFORM public.tick_market(p_game_id, v_next_hour + 1);
+        PERFORM public.roll_market_event(p_game_id);
+    ELSE
+        INSERT INTO transactions (
+            game_id, player_id, product_id,
+            transaction_type, quantity, price,
+            store_id, hour
+        )
+        SELECT game_id, id, NULL,
+            'loan_penalty', 1, ROUND(loan_amount * 1.5, 2),
+            NULL, v_next_hour
+        FROM players
+        WHERE game_id = p_game_id AND loan_amount > 0;
+
+        UPDATE players
+        SET cash = cash - ROUND(loan_amount * 1.5, 2),
+            loan_amount = 0
+        WHERE game_id = p_game_id AND loan_amount > 0;
+    END IF;
+
+    RETURN v_next_hour;
+END;
+$function$;
+
+-- Replaces the version in db/pricing_engine.sql: running price events scale
+-- the final price
+CREATE OR REPLACE FUNCTION public.quote_sell_price(
+    p_game_id uuid,
+    p_store_id uuid,
+    p_inventory_id uuid
+)
+RETURNS numeric
+LANGUAGE plpgsql
+STABLE
+AS $function$
+DECLARE
+    v_inventory RECORD;
+    v_store RECORD;
+    v_clock_hour INTEGER;
+    v_borough_modifier NUMERIC(5,2);
+    v_market_price NUMERIC(10,2);
+    v_same_condition_price NUMERIC(10,2);
+    v_better_condition_price NUMERIC(10,2);
+    v_price NUMERIC(10,2);
+BEGIN
+    SELECT public.game_clock_hour(current_hour, max_hours) INTO v_clock_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    SELECT pi.product_id, pi.purchase_price, pi.condition, p.genre, p.base_price
+    INTO v_inventory
+    FROM player_inventory pi
+    JOIN products p ON pi.product_id = p.id
+    WHERE pi.id = p_inventory_id;
+
+    SELECT id, borough_id, specialty_genre INTO v_store
+    FROM stores
+    WHERE id = p_store_id;
+
+    SELECT b.price_modifier INTO v_borough_modifier
+    FROM boroughs b
+    JOIN store_boroughs sb ON b.id = sb.borough_id
+    WHERE sb.store_id = p_store_id;
+
+    SELECT
+        MAX(current_price),
+        MAX(current_price) FILTER (WHERE condition = v_inventory.condition),
+        MIN(current_price) FILTER (
+            WHERE array_position(ARRAY['Poor', 'Fair', 'Good', 'Mint'], condition)
+                > COALESCE(array_position(ARRAY['Poor', 'Fair', 'Good', 'Mint'], v_inventory.condition), 0)
+        )
+    INTO v_market_price, v_same_condition_price, v_better_condition_price
+    FROM market_inventory
+    WHERE game_id = p_game_id
+      AND store_id = p_store_id
+      AND product_id = v_inventory.product_id;
+
+    v_price := public.price_sell_record(
+        v_inventory.purchase_price,
+        v_inventory.base_price,
+        v_inventory.condition,
+        v_store.specialty_genre IS NOT NULL AND v_store.specialty_genre = v_inventory.genre,
+        v_clock_hour,
+        v_borough_modifier,
+        v_market_price,
+        v_same_condition_price,
+        v_better_condition_price
+    );
+
+    RETURN ROUND(v_price * public.market_event_factor(p_game_id, v_inventory.genre, v_store.borough_id), 2);
+END;
+$function$;
+
+-- Replaces the version in db/action_economy.sql: closed stores turn you away
+CREATE OR REPLACE FUNCTION public.player_visit_store(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_closed text;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM stores s
+        JOIN players p ON p.current_borough_id = s.borough_id
+        WHERE s.id = p_store_id AND p.id = p_player_id
+    ) THEN
+        RETURN public.player_action_failure('That store isn''t in this borough');
+    END IF;
+
+    v_closed := public.check_store_open(p_game_id, p_store_id);
+    IF v_closed IS NOT NULL THEN
+        RETURN public.player_action_failure(v_closed);
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+-- Replaces the version in db/carriers.sql: closed stores don't sell
+CREATE OR REPLACE FUNCTION public.player_buy_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_closed text;
+    v_player RECORD;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    v_closed := public.check_store_open(p_game_id, p_store_id);
+    IF v_closed IS NOT NULL THEN
+        RETURN public.player_action_failure(v_closed);
+    END IF;
+
+    SELECT carrier_type, inventory_capacity INTO v_player
+    FROM players
+    WHERE id = p_player_id;
+
+    IF public.player_used_space(p_player_id)
+        + (SELECT COALESCE(space_required, 1) * p_quantity FROM products WHERE id = p_product_id)
+        > v_player.inventory_capacity THEN
+        RETURN public.player_action_failure(format(
+            'No room - your %s only holds %s records',
+            LOWER(COALESCE(v_player.carrier_type, 'Backpack')), v_player.inventory_capacity
+        ));
+    END IF;
+
+    IF NOT public.buy_record(p_player_id, p_game_id, p_store_id, p_product_id, p_quantity) THEN
+        RETURN public.player_action_failure(
+            'Purchase failed. You may not have enough funds or space, or the item is out of stock.'
+        );
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+-- Replaces the version in db/inventory_stacking.sql: closed stores don't buy
+CREATE OR REPLACE FUNCTION public.player_sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_closed text;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    v_closed := public.check_store_open(p_game_id, p_store_id);
+    IF v_closed IS NOT NULL THEN
+        RETURN public.player_action_failure(v_closed);
+    END IF;
+
+    IF NOT public.sell_record(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_quantity, p_inventory_id
+    ) THEN
+        RETURN public.player_action_failure('Sale failed. You don''t have that many copies to sell.');
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+-- Replaces the version in db/carriers.sql: a game's subway outage stops
+-- subway trips
+DROP FUNCTION IF EXISTS public.quote_travel(uuid, uuid, uuid, text);
+
+CREATE OR REPLACE FUNCTION public.quote_travel(
+    p_from_borough_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid,
+    p_carrier_type text DEFAULT 'Backpack',
+    p_game_id uuid DEFAULT NULL,
+    OUT action_cost integer,
+    OUT fare numeric,
+    OUT error text
+)
+LANGUAGE plpgsql
+STABLE
+AS $function$
+DECLARE
+    v_from TEXT;
+    v_to TEXT;
+    v_method RECORD;
+    v_type TEXT;
+    v_distance RECORD;
+    v_carrier RECORD;
+BEGIN
+    action_cost := 0;
+    fare := 0;
+
+    SELECT LOWER(name) INTO v_from FROM boroughs WHERE id = p_from_borough_id;
+    SELECT LOWER(name) INTO v_to FROM boroughs WHERE id = p_to_borough_id;
+    SELECT name, base_cost INTO v_method
+    FROM transportation_methods
+    WHERE id = p_transportation_id;
+
+    SELECT * INTO v_carrier FROM carriers WHERE type = p_carrier_type;
+    IF NOT FOUND THEN
+        SELECT * INTO v_carrier FROM carriers WHERE type = 'Backpack';
+    END IF;
+
+    v_type := CASE
+        WHEN LOWER(v_method.name) LIKE '%walk%' THEN 'walk'
+        WHEN LOWER(v_method.name) LIKE '%subway%' THEN 'subway'
+        WHEN LOWER(v_method.name) LIKE '%taxi%' THEN 'taxi'
+    END;
+
+    IF v_from IS NULL OR v_to IS NULL OR v_type IS NULL THEN
+        error := 'You can''t travel there that way';
+        RETURN;
+    END IF;
+
+    IF p_from_borough_id = p_to_borough_id THEN
+        error := 'You''re already there';
+        RETURN;
+    END IF;
+
+    IF v_type <> 'taxi' AND 'staten island' IN (v_from, v_to) THEN
+        error := 'Staten Island can only be reached by taxi';
+        RETURN;
+    END IF;
+
+    IF v_type = 'subway' AND p_game_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.active_market_events(p_game_id)
+        WHERE event_type = 'subway_outage'
+    ) THEN
+        error := 'The subway is down - walk or take a taxi';
+        RETURN;
+    END IF;
+
+    IF v_type = 'subway' AND NOT v_carrier.allows_subway THEN
+        error := format('Your %s won''t fit on the subway', LOWER(v_carrier.type));
+        RETURN;
+    END IF;
+
+    SELECT walking_time, subway_time, taxi_time, taxi_cost INTO v_distance
+    FROM borough_distances
+    WHERE (from_borough_id = p_from_borough_id AND to_borough_id = p_to_borough_id)
+       OR (from_borough_id = p_to_borough_id AND to_borough_id = p_from_borough_id)
+    LIMIT 1;
+
+    -- Defaults match DEFAULT_TRAVEL_TIME for pairs without a distance row
+    action_cost := CASE v_type
+        WHEN 'walk' THEN COALESCE(v_distance.walking_time, 3) + v_carrier.walk_extra_actions
+        WHEN 'subway' THEN COALESCE(v_distance.subway_time, 2)
+        ELSE COALESCE(v_distance.taxi_time, 1)
+    END;
+
+    fare := CASE
+        WHEN v_type = 'taxi' AND COALESCE(v_distance.taxi_cost, 0) > 0 THEN v_distance.taxi_cost
+        ELSE COALESCE(v_method.base_cost, 0)
+    END;
+
+    IF v_type = 'taxi' THEN
+        fare := ROUND(fare * v_carrier.taxi_fare_factor, 2);
+    END IF;
+END;
+$function$;
+
+-- Replaces the version in db/carriers.sql to quote with the game's events
+CREATE OR REPLACE FUNCTION public.travel_to_borough(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_player RECORD;
+    v_travel RECORD;
+    v_current_hour INTEGER;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT current_borough_id, cash, carrier_type INTO v_player
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    SELECT * INTO v_travel
+    FROM public.quote_travel(
+        v_player.current_borough_id, p_to_borough_id, p_transportation_id,
+        COALESCE(v_player.carrier_type, 'Backpack'), p_game_id
+    );
+
+    IF v_travel.error IS NOT NULL THEN
+        RETURN public.player_action_failure(v_travel.error);
+    END IF;
+
+    IF v_player.cash < v_travel.fare THEN
+        RETURN public.player_action_failure(format(
+            'Not enough money. Travel costs $%s but you only have $%s.',
+            v_travel.fare, v_player.cash
+        ));
+    END IF;
+
+    SELECT current_hour INTO v_current_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    UPDATE players
+    SET current_borough_id = p_to_borough_id,
+        cash = cash - v_travel.fare
+    WHERE id = p_player_id;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, NULL,
+        'travel', 1, v_travel.fare,
+        NULL, v_current_hour
+    );
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, v_travel.action_cost)
+    );
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.roll_market_event(uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,253 @@
+-- Stacked inventory: any number of copies per record and condition.
+-- Apply after db/carriers.sql.
+--
+-- player_inventory keeps its (player_id, product_id, condition) unique key,
+-- but buying another copy now adds to that row's quantity and averages its
+-- purchase_price (averageCost() in src/lib/pricing.js) instead of failing.
+-- sell_record sells p_quantity copies from the row given by p_inventory_id.
+
+-- Replaces the version in db/carriers.sql
+CREATE OR REPLACE FUNCTION public.buy_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $function$
+DECLARE
+    v_player RECORD;
+    v_market_item RECORD;
+    v_total_price NUMERIC(10,2);
+    v_space_required INTEGER;
+    v_current_hour INTEGER;
+BEGIN
+    SELECT p.id, p.cash, p.inventory_capacity, p.inventory_count INTO v_player
+    FROM players p
+    WHERE p.id = p_player_id AND p.game_id = p_game_id
+    FOR UPDATE;
+
+    SELECT current_hour INTO v_current_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    SELECT id, current_price, quantity, condition, quality_rating INTO v_market_item
+    FROM market_inventory
+    WHERE store_id = p_store_id
+      AND game_id = p_game_id
+      AND product_id = p_product_id
+    LIMIT 1
+    FOR UPDATE;
+
+    IF v_player.id IS NULL OR v_market_item.id IS NULL OR p_quantity < 1 THEN
+        RETURN FALSE;
+    END IF;
+
+    v_total_price := v_market_item.current_price * p_quantity;
+
+    SELECT COALESCE(space_required, 1) * p_quantity INTO v_space_required
+    FROM products
+    WHERE id = p_product_id;
+
+    IF v_player.cash < v_total_price
+        OR v_player.inventory_capacity - public.player_used_space(p_player_id) < v_space_required
+        OR v_market_item.quantity < p_quantity THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE players
+    SET cash = cash - v_total_price,
+        inventory_count = COALESCE(inventory_count, 0) + p_quantity
+    WHERE id = p_player_id;
+
+    -- Copies in the same condition stack, averaging their cost basis
+    INSERT INTO player_inventory AS pi (
+        player_id, product_id, quantity, purchase_price,
+        condition, quality_rating, created_at, updated_at,
+        estimated_current_price
+    ) VALUES (
+        p_player_id, p_product_id, p_quantity, v_market_item.current_price,
+        v_market_item.condition, v_market_item.quality_rating,
+        NOW(), NOW(),
+        v_market_item.current_price
+    )
+    ON CONFLICT (player_id, product_id, condition) DO UPDATE SET
+        purchase_price = ROUND(
+            (COALESCE(pi.purchase_price, 0) * pi.quantity
+                + EXCLUDED.purchase_price * EXCLUDED.quantity)
+            / (pi.quantity + EXCLUDED.quantity),
+            2
+        ),
+        quantity = pi.quantity + EXCLUDED.quantity,
+        estimated_current_price = EXCLUDED.estimated_current_price,
+        updated_at = NOW();
+
+    UPDATE market_inventory
+    SET quantity = quantity - p_quantity,
+        day_updated = v_current_hour
+    WHERE id = v_market_item.id;
+
+    DELETE FROM market_inventory
+    WHERE id = v_market_item.id AND quantity <= 0;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id, transaction_type,
+        quantity, price, store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, p_product_id, 'buy',
+        p_quantity, v_market_item.current_price, p_store_id,
+        v_current_hour
+    );
+
+    RETURN TRUE;
+END;
+$function$;
+
+-- Replaces the version in db/pricing_engine.sql
+CREATE OR REPLACE FUNCTION public.sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $function$
+DECLARE
+    v_inventory RECORD;
+    v_current_hour INTEGER;
+    v_sell_price NUMERIC(10,2);
+    v_total_value NUMERIC(10,2);
+BEGIN
+    IF p_quantity IS NULL OR p_quantity < 1 THEN
+        RETURN FALSE;
+    END IF;
+
+    SELECT g.current_hour INTO v_current_hour
+    FROM players p
+    JOIN games g ON p.game_id = g.id
+    WHERE p.id = p_player_id AND p.game_id = p_game_id;
+
+    -- The stack to sell from - the given row, else any row of the product
+    SELECT pi.id, pi.quantity, pi.condition, pi.product_id
+    INTO v_inventory
+    FROM player_inventory pi
+    WHERE pi.player_id = p_player_id
+      AND (
+          pi.id = p_inventory_id
+          OR (p_inventory_id IS NULL AND pi.product_id = p_product_id)
+      )
+    LIMIT 1
+    FOR UPDATE;
+
+    IF v_inventory.id IS NULL OR v_inventory.quantity < p_quantity THEN
+        RETURN FALSE;
+    END IF;
+
+    p_product_id := v_inventory.product_id;
+
+    -- Price before the shelf changes below
+    v_sell_price := public.quote_sell_price(p_game_id, p_store_id, v_inventory.id);
+    v_total_value := v_sell_price * p_quantity;
+
+    -- 1. Update player inventory
+    UPDATE player_inventory
+    SET quantity = quantity - p_quantity,
+        updated_at = NOW()
+    WHERE id = v_inventory.id;
+
+    DELETE FROM player_inventory
+    WHERE id = v_inventory.id AND quantity <= 0;
+
+    -- 2. Update player cash
+    UPDATE players
+    SET cash = cash + v_total_value,
+        inventory_count = GREATEST(0, COALESCE(inventory_count, 0) - p_quantity)
+    WHERE id = p_player_id AND game_id = p_game_id;
+
+    -- 3. Restock the store
+    IF EXISTS (
+        SELECT 1 FROM market_inventory
+        WHERE game_id = p_game_id
+          AND store_id = p_store_id
+          AND product_id = p_product_id
+          AND condition = v_inventory.condition
+    ) THEN
+        UPDATE market_inventory
+        SET quantity = quantity + p_quantity
+        WHERE game_id = p_game_id
+          AND store_id = p_store_id
+          AND product_id = p_product_id
+          AND condition = v_inventory.condition;
+    ELSE
+        INSERT INTO market_inventory (
+            game_id, store_id, product_id, quantity,
+            current_price, condition, quality_rating, day_updated
+        ) VALUES (
+            p_game_id, p_store_id, p_product_id, p_quantity,
+            -- Stores resell what they buy from you at a 50% markup
+            ROUND(v_sell_price * 1.5, 2),
+            v_inventory.condition,
+            CASE
+              WHEN v_inventory.condition = 'Mint' THEN 0.9
+              WHEN v_inventory.condition = 'Good' THEN 0.7
+              WHEN v_inventory.condition = 'Fair' THEN 0.5
+              ELSE 0.3
+            END,
+            v_current_hour
+        );
+    END IF;
+
+    -- 4. Record transaction
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, p_product_id,
+        'sell', p_quantity, v_sell_price,
+        p_store_id, v_current_hour
+    );
+
+    RETURN TRUE;
+END;
+$function$;
+
+-- Replaces the version in db/action_economy.sql with a message for short stacks
+CREATE OR REPLACE FUNCTION public.player_sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    IF NOT public.sell_record(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_quantity, p_inventory_id
+    ) THEN
+        RETURN public.player_action_failure('Sale failed. You don''t have that many copies to sell.');
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
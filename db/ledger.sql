@@ -0,0 +1,348 @@
+-- Trade ledger: every transactions row says where it happened, and sales
+-- record what the player had paid so realized profit needs no replay.
+-- Apply after db/results.sql. The ledger page, getRealizedProfit() and the
+-- anti-flip rule in src/lib/ledger.js read these columns.
+--
+--   * borough_id - where the player was, filled in by a trigger so fares,
+--     loans and carriers get one without touching their functions
+--   * condition  - the record's condition on buys and sells
+--   * cost_basis - the stack's average purchase_price at the time of a sale
+
+ALTER TABLE public.transactions
+    ADD COLUMN IF NOT EXISTS borough_id UUID REFERENCES public.boroughs(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS condition TEXT,
+    ADD COLUMN IF NOT EXISTS cost_basis NUMERIC(10,2);
+
+CREATE INDEX IF NOT EXISTS transactions_player_id_idx
+    ON public.transactions (player_id, created_at);
+
+CREATE OR REPLACE FUNCTION public.set_transaction_borough()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $function$
+BEGIN
+    IF NEW.borough_id IS NULL THEN
+        SELECT current_borough_id INTO NEW.borough_id
+        FROM players
+        WHERE id = NEW.player_id;
+    END IF;
+    RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS transactions_set_borough ON public.transactions;
+CREATE TRIGGER transactions_set_borough
+    BEFORE INSERT ON public.transactions
+    FOR EACH ROW EXECUTE FUNCTION public.set_transaction_borough();
+
+-- Replaces the version in db/inventory_stacking.sql: buys from the listing
+-- p_inventory_id, the copy the player priced, and logs the condition bought
+CREATE OR REPLACE FUNCTION public.buy_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $function$
+DECLARE
+    v_player RECORD;
+    v_market_item RECORD;
+    v_total_price NUMERIC(10,2);
+    v_space_required INTEGER;
+    v_current_hour INTEGER;
+BEGIN
+    SELECT p.id, p.cash, p.inventory_capacity, p.inventory_count INTO v_player
+    FROM players p
+    WHERE p.id = p_player_id AND p.game_id = p_game_id
+    FOR UPDATE;
+
+    SELECT current_hour INTO v_current_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    SELECT id, current_price, quantity, condition, quality_rating INTO v_market_item
+    FROM market_inventory
+    WHERE id = p_inventory_id
+      AND store_id = p_store_id
+      AND game_id = p_game_id
+      AND product_id = p_product_id
+    FOR UPDATE;
+
+    IF v_player.id IS NULL OR v_market_item.id IS NULL OR p_quantity < 1 THEN
+        RETURN FALSE;
+    END IF;
+
+    v_total_price := v_market_item.current_price * p_quantity;
+
+    SELECT COALESCE(space_required, 1) * p_quantity INTO v_space_required
+    FROM products
+    WHERE id = p_product_id;
+
+    IF v_player.cash < v_total_price
+        OR v_player.inventory_capacity - public.player_used_space(p_player_id) < v_space_required
+        OR v_market_item.quantity < p_quantity THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE players
+    SET cash = cash - v_total_price,
+        inventory_count = COALESCE(inventory_count, 0) + p_quantity
+    WHERE id = p_player_id;
+
+    -- Copies in the same condition stack, averaging their cost basis
+    INSERT INTO player_inventory AS pi (
+        player_id, product_id, quantity, purchase_price,
+        condition, quality_rating, created_at, updated_at,
+        estimated_current_price
+    ) VALUES (
+        p_player_id, p_product_id, p_quantity, v_market_item.current_price,
+        v_market_item.condition, v_market_item.quality_rating,
+        NOW(), NOW(),
+        v_market_item.current_price
+    )
+    ON CONFLICT (player_id, product_id, condition) DO UPDATE SET
+        purchase_price = ROUND(
+            (COALESCE(pi.purchase_price, 0) * pi.quantity
+                + EXCLUDED.purchase_price * EXCLUDED.quantity)
+            / (pi.quantity + EXCLUDED.quantity),
+            2
+        ),
+        quantity = pi.quantity + EXCLUDED.quantity,
+        estimated_current_price = EXCLUDED.estimated_current_price,
+        updated_at = NOW();
+
+    UPDATE market_inventory
+    SET quantity = quantity - p_quantity,
+        day_updated = v_current_hour
+    WHERE id = v_market_item.id;
+
+    DELETE FROM market_inventory
+    WHERE id = v_market_item.id AND quantity <= 0;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id, transaction_type,
+        quantity, price, store_id, hour, condition
+    ) VALUES (
+        p_game_id, p_player_id, p_product_id, 'buy',
+        p_quantity, v_market_item.current_price, p_store_id,
+        v_current_hour, v_market_item.condition
+    );
+
+    RETURN TRUE;
+END;
+$function$;
+
+
+-- Replaces the version in db/inventory_stacking.sql: logs the condition and cost basis
+CREATE OR REPLACE FUNCTION public.sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $function$
+DECLARE
+    v_inventory RECORD;
+    v_current_hour INTEGER;
+    v_sell_price NUMERIC(10,2);
+    v_total_value NUMERIC(10,2);
+BEGIN
+    IF p_quantity IS NULL OR p_quantity < 1 THEN
+        RETURN FALSE;
+    END IF;
+
+    SELECT g.current_hour INTO v_current_hour
+    FROM players p
+    JOIN games g ON p.game_id = g.id
+    WHERE p.id = p_player_id AND p.game_id = p_game_id;
+
+    -- The stack to sell from - the given row, else any row of the product
+    SELECT pi.id, pi.quantity, pi.condition, pi.product_id, pi.purchase_price
+    INTO v_inventory
+    FROM player_inventory pi
+    WHERE pi.player_id = p_player_id
+      AND (
+          pi.id = p_inventory_id
+          OR (p_inventory_id IS NULL AND pi.product_id = p_product_id)
+      )
+    LIMIT 1
+    FOR UPDATE;
+
+    IF v_inventory.id IS NULL OR v_inventory.quantity < p_quantity THEN
+        RETURN FALSE;
+    END IF;
+
+    p_product_id := v_inventory.product_id;
+
+    -- Price before the shelf changes below
+    v_sell_price := public.quote_sell_price(p_game_id, p_store_id, v_inventory.id);
+    v_total_value := v_sell_price * p_quantity;
+
+    -- 1. Update player inventory
+    UPDATE player_inventory
+    SET quantity = quantity - p_quantity,
+        updated_at = NOW()
+    WHERE id = v_inventory.id;
+
+    DELETE FROM player_inventory
+    WHERE id = v_inventory.id AND quantity <= 0;
+
+    -- 2. Update player cash
+    UPDATE players
+    SET cash = cash + v_total_value,
+        inventory_count = GREATEST(0, COALESCE(inventory_count, 0) - p_quantity)
+    WHERE id = p_player_id AND game_id = p_game_id;
+
+    -- 3. Restock the store
+    IF EXISTS (
+        SELECT 1 FROM market_inventory
+        WHERE game_id = p_game_id
+          AND store_id = p_store_id
+          AND product_id = p_product_id
+          AND condition = v_inventory.condition
+    ) THEN
+        UPDATE market_inventory
+        SET quantity = quantity + p_quantity
+        WHERE game_id = p_game_id
+          AND store_id = p_store_id
+          AND product_id = p_product_id
+          AND condition = v_inventory.condition;
+    ELSE
+        INSERT INTO market_inventory (
+            game_id, store_id, product_id, quantity,
+            current_price, condition, quality_rating, day_updated
+        ) VALUES (
+            p_game_id, p_store_id, p_product_id, p_quantity,
+            -- Stores resell what they buy from you at a 50% markup
+            ROUND(v_sell_price * 1.5, 2),
+            v_inventory.condition,
+            CASE
+              WHEN v_inventory.condition = 'Mint' THEN 0.9
+              WHEN v_inventory.condition = 'Good' THEN 0.7
+              WHEN v_inventory.condition = 'Fair' THEN 0.5
+              ELSE 0.3
+            END,
+            v_current_hour
+        );
+    END IF;
+
+    -- 4. Record transaction
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour, condition, cost_basis
+    ) VALUES (
+        p_game_id, p_player_id, p_product_id,
+        'sell', p_quantity, v_sell_price,
+        p_store_id, v_current_hour, v_inventory.condition, v_inventory.purchase_price
+    );
+
+    RETURN TRUE;
+END;
+$function$;
+
+
+-- The anti-flip rule: a record can't go back to the store it was last bought
+-- from for more than the player paid there. Returns the error, or NULL.
+CREATE OR REPLACE FUNCTION public.check_same_store_flip(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+AS $function$
+DECLARE
+    v_inventory_id uuid;
+    v_product_id uuid;
+    v_last_store_id uuid;
+    v_last_price NUMERIC(10,2);
+BEGIN
+    SELECT pi.id, pi.product_id INTO v_inventory_id, v_product_id
+    FROM player_inventory pi
+    WHERE pi.player_id = p_player_id
+      AND (
+          pi.id = p_inventory_id
+          OR (p_inventory_id IS NULL AND pi.product_id = p_product_id)
+      )
+    LIMIT 1;
+
+    IF v_inventory_id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT t.store_id, t.price INTO v_last_store_id, v_last_price
+    FROM transactions t
+    WHERE t.player_id = p_player_id
+      AND t.product_id = v_product_id
+      AND t.transaction_type = 'buy'
+    ORDER BY t.created_at DESC
+    LIMIT 1;
+
+    IF v_last_store_id = p_store_id
+        AND public.quote_sell_price(p_game_id, p_store_id, v_inventory_id) > v_last_price THEN
+        RETURN 'Can''t sell for more than you paid at the same store';
+    END IF;
+
+    RETURN NULL;
+END;
+$function$;
+
+-- Replaces the version in db/events.sql: enforces the anti-flip rule
+CREATE OR REPLACE FUNCTION public.player_sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_closed text;
+    v_flip text;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    v_closed := public.check_store_open(p_game_id, p_store_id);
+    IF v_closed IS NOT NULL THEN
+        RETURN public.player_action_failure(v_closed);
+    END IF;
+
+    v_flip := public.check_same_store_flip(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_inventory_id
+    );
+    IF v_flip IS NOT NULL THEN
+        RETURN public.player_action_failure(v_flip);
+    END IF;
+
+    IF NOT public.sell_record(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_quantity, p_inventory_id
+    ) THEN
+        RETURN public.player_action_failure('Sale failed. You don''t have that many copies to sell.');
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
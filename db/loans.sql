@@ -0,0 +1,236 @@
+-- Loans: hourly interest, borrowing and repaying at the loan shark, and the
+-- end-of-game penalty for unpaid debt.
+-- Apply after db/travel.sql. Rules match src/lib/loans.js:
+--   * loan_interest_rate is a percentage per game day, compounded hourly
+--   * credit limit = 100 + 50% of book net worth (inventory at cost)
+--   * borrowing and repaying happen in the Bronx and cost 1 action each
+--   * debt left when the game ends is taken from cash plus 50%
+
+ALTER TABLE public.transactions DROP CONSTRAINT IF EXISTS transactions_transaction_type_check;
+ALTER TABLE public.transactions
+    ADD CONSTRAINT transactions_transaction_type_check
+    CHECK (transaction_type IN ('buy', 'sell', 'travel', 'borrow', 'repay', 'loan_penalty'));
+
+-- Cash plus inventory at cost, minus the loan
+CREATE OR REPLACE FUNCTION public.player_book_net_worth(p_player_id uuid)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT p.cash - COALESCE(p.loan_amount, 0) + COALESCE((
+        SELECT SUM(COALESCE(pi.purchase_price, 0) * pi.quantity)
+        FROM player_inventory pi
+        WHERE pi.player_id = p.id
+    ), 0)
+    FROM players p
+    WHERE p.id = p_player_id;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.player_credit_limit(p_player_id uuid)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT ROUND(100 + 0.5 * GREATEST(0, public.player_book_net_worth(p_player_id)), 2);
+$function$;
+
+-- Replaces the version in db/action_economy.sql: also charges an hour of
+-- interest and, when the game ends, settles every unpaid loan
+CREATE OR REPLACE FUNCTION public.advance_game_hour(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_next_hour INTEGER;
+BEGIN
+    UPDATE games
+    SET current_hour = current_hour - 1,
+        status = CASE WHEN current_hour - 1 <= 0 THEN 'completed' ELSE status END,
+        ended_at = CASE WHEN current_hour - 1 <= 0 THEN NOW() ELSE ended_at END
+    WHERE id = p_game_id
+    RETURNING current_hour INTO v_next_hour;
+
+    UPDATE players
+    SET actions_used_this_hour = COALESCE(actions_overflow, 0),
+        actions_overflow = 0,
+        loan_amount = CASE
+            WHEN COALESCE(loan_amount, 0) > 0
+                THEN ROUND(loan_amount * (1 + COALESCE(loan_interest_rate, 0) / 100 / 24), 2)
+            ELSE loan_amount
+        END
+    WHERE game_id = p_game_id;
+
+    IF v_next_hour <= 0 THEN
+        INSERT INTO transactions (
+            game_id, player_id, product_id,
+            transaction_type, quantity, price,
+            store_id, hour
+        )
+        SELECT game_id, id, NULL,
+            'loan_penalty', 1, ROUND(loan_amount * 1.5, 2),
+            NULL, v_next_hour
+        FROM players
+        WHERE game_id = p_game_id AND loan_amount > 0;
+
+        UPDATE players
+        SET cash = cash - ROUND(loan_amount * 1.5, 2),
+            loan_amount = 0
+        WHERE game_id = p_game_id AND loan_amount > 0;
+    END IF;
+
+    RETURN v_next_hour;
+END;
+$function$;
+
+-- Shared checks for borrowing and repaying: NULL when allowed
+CREATE OR REPLACE FUNCTION public.check_player_at_loan_shark(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_amount numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM players p
+        JOIN boroughs b ON p.current_borough_id = b.id
+        WHERE p.id = p_player_id AND LOWER(b.name) = 'bronx'
+    ) THEN
+        RETURN public.player_action_failure('The loan shark only does business in the Bronx');
+    END IF;
+
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RETURN public.player_action_failure('Enter an amount greater than $0');
+    END IF;
+
+    RETURN NULL;
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.player_borrow(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_amount numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_amount NUMERIC(10,2) := ROUND(p_amount, 2);
+    v_available NUMERIC(10,2);
+    v_current_hour INTEGER;
+BEGIN
+    v_failure := public.check_player_at_loan_shark(p_player_id, p_game_id, v_amount);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    PERFORM 1 FROM players WHERE id = p_player_id FOR UPDATE;
+
+    SELECT GREATEST(0, public.player_credit_limit(p_player_id) - COALESCE(loan_amount, 0))
+    INTO v_available
+    FROM players
+    WHERE id = p_player_id;
+
+    IF v_amount > v_available THEN
+        RETURN public.player_action_failure(format(
+            'Sal will only lend you another $%s', v_available
+        ));
+    END IF;
+
+    SELECT current_hour INTO v_current_hour FROM games WHERE id = p_game_id;
+
+    UPDATE players
+    SET cash = cash + v_amount,
+        loan_amount = COALESCE(loan_amount, 0) + v_amount
+    WHERE id = p_player_id;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, NULL,
+        'borrow', 1, v_amount,
+        NULL, v_current_hour
+    );
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+-- Repays up to p_amount; never more than the balance or the cash on hand
+CREATE OR REPLACE FUNCTION public.player_repay(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_amount numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_player RECORD;
+    v_amount NUMERIC(10,2);
+    v_current_hour INTEGER;
+BEGIN
+    v_failure := public.check_player_at_loan_shark(p_player_id, p_game_id, p_amount);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT cash, COALESCE(loan_amount, 0) AS loan_amount INTO v_player
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    IF v_player.loan_amount <= 0 THEN
+        RETURN public.player_action_failure('You don''t owe anything');
+    END IF;
+
+    v_amount := LEAST(ROUND(p_amount, 2), v_player.loan_amount, v_player.cash);
+    IF v_amount <= 0 THEN
+        RETURN public.player_action_failure('You don''t have any cash to repay with');
+    END IF;
+
+    SELECT current_hour INTO v_current_hour FROM games WHERE id = p_game_id;
+
+    UPDATE players
+    SET cash = cash - v_amount,
+        loan_amount = loan_amount - v_amount
+    WHERE id = p_player_id;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, NULL,
+        'repay', 1, v_amount,
+        NULL, v_current_hour
+    );
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
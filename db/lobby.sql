@@ -0,0 +1,331 @@
+-- Lobby host controls: game settings on the games row, a ready check, and
+-- kicking players. Apply after db/turns.sql. Matches src/lib/gameSettings.js
+-- and the local backend.
+--
+-- The host edits the settings through update_game_settings() while the game
+-- is waiting; start_game() applies them. Players flip is_ready themselves, and the host can only start
+-- once everybody else is ready. Host-only RPCs compare the caller's
+-- auth.uid() with games.created_by - guests play as anonymous auth users.
+
+ALTER TABLE public.games
+    ADD COLUMN IF NOT EXISTS starting_cash NUMERIC NOT NULL DEFAULT 100
+        CHECK (starting_cash BETWEEN 0 AND 10000),
+    ADD COLUMN IF NOT EXISTS starting_loan NUMERIC NOT NULL DEFAULT 100
+        CHECK (starting_loan BETWEEN 0 AND 10000),
+    ADD COLUMN IF NOT EXISTS actions_per_hour INTEGER NOT NULL DEFAULT 4
+        CHECK (actions_per_hour BETWEEN 1 AND 10),
+    -- NULL means every borough is in play
+    ADD COLUMN IF NOT EXISTS enabled_borough_ids UUID[];
+
+ALTER TABLE public.players
+    ADD COLUMN IF NOT EXISTS is_ready BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Replaces the version in db/turns.sql: the hour holds the game's
+-- actions_per_hour instead of a fixed 4
+CREATE OR REPLACE FUNCTION public.spend_actions(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_cost integer
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_remaining INTEGER;
+BEGIN
+    SELECT g.actions_per_hour - COALESCE(p.actions_used_this_hour, 0) INTO v_remaining
+    FROM players p
+    JOIN games g ON p.game_id = g.id
+    WHERE p.id = p_player_id
+    FOR UPDATE OF p;
+
+    IF p_cost <= v_remaining THEN
+        UPDATE players
+        SET actions_used_this_hour = COALESCE(actions_used_this_hour, 0) + p_cost
+        WHERE id = p_player_id;
+        RETURN FALSE;
+    END IF;
+
+    -- A negative remainder (earlier overflow) carries into the next hour too
+    UPDATE players
+    SET actions_overflow = p_cost - v_remaining
+    WHERE id = p_player_id;
+
+    RETURN public.finish_turn(p_player_id, p_game_id);
+END;
+$function$;
+
+-- NULL when the borough is in play, otherwise the error to show
+CREATE OR REPLACE FUNCTION public.check_borough_enabled(p_game_id uuid, p_borough_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT 'That borough isn''t part of this game'
+    FROM games
+    WHERE id = p_game_id
+      AND enabled_borough_ids IS NOT NULL
+      AND NOT (p_borough_id = ANY (enabled_borough_ids));
+$function$;
+
+-- Replaces the version in db/events.sql: boroughs the host left out can't
+-- be travelled to
+CREATE OR REPLACE FUNCTION public.travel_to_borough(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_player RECORD;
+    v_travel RECORD;
+    v_current_hour INTEGER;
+    v_disabled TEXT;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    v_disabled := public.check_borough_enabled(p_game_id, p_to_borough_id);
+    IF v_disabled IS NOT NULL THEN
+        RETURN public.player_action_failure(v_disabled);
+    END IF;
+
+    SELECT current_borough_id, cash, carrier_type INTO v_player
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    SELECT * INTO v_travel
+    FROM public.quote_travel(
+        v_player.current_borough_id, p_to_borough_id, p_transportation_id,
+        COALESCE(v_player.carrier_type, 'Backpack'), p_game_id
+    );
+
+    IF v_travel.error IS NOT NULL THEN
+        RETURN public.player_action_failure(v_travel.error);
+    END IF;
+
+    IF v_player.cash < v_travel.fare THEN
+        RETURN public.player_action_failure(format(
+            'Not enough money. Travel costs $%s but you only have $%s.',
+            v_travel.fare, v_player.cash
+        ));
+    END IF;
+
+    SELECT current_hour INTO v_current_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    UPDATE players
+    SET current_borough_id = p_to_borough_id,
+        cash = cash - v_travel.fare
+    WHERE id = p_player_id;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, NULL,
+        'travel', 1, v_travel.fare,
+        NULL, v_current_hour
+    );
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, v_travel.action_cost)
+    );
+END;
+$function$;
+
+-- The first versions took the host's user id as a parameter, and anyone can
+-- read games.created_by
+DROP FUNCTION IF EXISTS public.start_game(uuid, text);
+DROP FUNCTION IF EXISTS public.kick_player(uuid, text, uuid);
+DROP FUNCTION IF EXISTS public.update_game_settings(uuid, text, jsonb);
+
+-- Starts a waiting game with its settings: everyone begins in Downtown with
+-- the starting cash and loan, and the clock starts at max_hours
+CREATE OR REPLACE FUNCTION public.start_game(p_game_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+BEGIN
+    SELECT * INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can start the game');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('The game has already started');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM players
+        WHERE game_id = p_game_id
+          AND user_id::text IS DISTINCT FROM auth.uid()::text
+          AND NOT is_ready
+    ) THEN
+        RETURN public.player_action_failure('Not everyone is ready');
+    END IF;
+
+    UPDATE players
+    SET cash = v_game.starting_cash,
+        loan_amount = v_game.starting_loan,
+        current_borough_id = COALESCE(
+            (SELECT id FROM boroughs WHERE name = 'Downtown'),
+            current_borough_id
+        ),
+        actions_used_this_hour = 0,
+        actions_overflow = 0,
+        turn_completed = FALSE
+    WHERE game_id = p_game_id;
+
+    UPDATE games
+    SET status = 'active',
+        current_hour = max_hours,
+        started_at = NOW(),
+        hour_started_at = NOW()
+    WHERE id = p_game_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
+
+-- The host removes a player from a waiting game
+CREATE OR REPLACE FUNCTION public.kick_player(
+    p_game_id uuid,
+    p_player_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+BEGIN
+    SELECT created_by, status INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can remove players');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('Players can only be removed before the game starts');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM players
+        WHERE id = p_player_id AND user_id::text = auth.uid()::text
+    ) THEN
+        RETURN public.player_action_failure('The host can''t remove themselves');
+    END IF;
+
+    DELETE FROM player_actions WHERE player_id = p_player_id;
+    DELETE FROM players WHERE id = p_player_id AND game_id = p_game_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
+
+-- The host changes the settings of a waiting game. p_settings holds only
+-- the settings being changed, keyed by column; the CHECK constraints on
+-- games bound the numbers.
+CREATE OR REPLACE FUNCTION public.update_game_settings(
+    p_game_id uuid,
+    p_settings jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_max_hours integer;
+    v_borough_ids uuid[];
+BEGIN
+    SELECT * INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can change the settings');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('Settings can only change before the game starts');
+    END IF;
+
+    v_max_hours := COALESCE((p_settings->>'max_hours')::integer, v_game.max_hours);
+    IF v_max_hours NOT IN (12, 24) THEN
+        RETURN public.player_action_failure('Pick one of the game lengths');
+    END IF;
+
+    v_borough_ids := CASE
+        WHEN NOT p_settings ? 'enabled_borough_ids' THEN v_game.enabled_borough_ids
+        WHEN jsonb_typeof(p_settings->'enabled_borough_ids') = 'null' THEN NULL
+        ELSE ARRAY(SELECT jsonb_array_elements_text(p_settings->'enabled_borough_ids')::uuid)
+    END;
+    IF v_borough_ids IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM boroughs
+        WHERE name = 'Downtown' AND id = ANY (v_borough_ids)
+    ) THEN
+        RETURN public.player_action_failure('Downtown is where everyone starts, so it stays in play');
+    END IF;
+
+    UPDATE games
+    SET max_hours = v_max_hours,
+        starting_cash = COALESCE((p_settings->>'starting_cash')::numeric, starting_cash),
+        starting_loan = COALESCE((p_settings->>'starting_loan')::numeric, starting_loan),
+        actions_per_hour = COALESCE((p_settings->>'actions_per_hour')::integer, actions_per_hour),
+        enabled_borough_ids = v_borough_ids,
+        turn_seconds = CASE
+            WHEN p_settings ? 'turn_seconds' THEN (p_settings->>'turn_seconds')::integer
+            ELSE turn_seconds
+        END
+    WHERE id = p_game_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.spend_actions(uuid, uuid, integer) FROM PUBLIC, anon, authenticated;
+
+-- Only the host's RPCs change a game
+REVOKE UPDATE ON public.games FROM anon, authenticated;
+
+-- Players mark themselves ready; everything else on the row is the server's
+REVOKE UPDATE ON public.players FROM anon, authenticated;
+GRANT UPDATE (username, is_ready) ON public.players TO anon, authenticated;
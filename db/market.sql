@@ -0,0 +1,273 @@
+-- Hourly market tick: every time a game's hour advances, shelves reprice,
+-- restock and sell copies to locals.
+-- Apply after db/inventory_stacking.sql. Rules match src/lib/market.js:
+--   * each shelf closes 30% of the gap to its target price, +/- 3% noise
+--   * target = formula buy price x genre demand x buying pressure
+--   * pressure: +5% per copy players bought off the shelf last hour, -5% per
+--     copy sold to it, capped at +/- 30%
+--   * shelves under 3 copies restock one 30% of the time, otherwise locals
+--     buy one 10% of the time at normal demand
+--   * each store picks up a title it doesn't carry 20% of the time
+
+ALTER TABLE public.market_inventory
+    ADD COLUMN IF NOT EXISTS previous_price NUMERIC(10,2);
+
+-- Demand multiplier for a genre at a clock hour (game_clock_hour()) -
+-- GENRE_DEMAND in market.js
+CREATE OR REPLACE FUNCTION public.genre_demand(p_genre text, p_hour integer)
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+AS $function$
+    SELECT COALESCE((
+        SELECT ROUND((1 + c.amplitude * sin(2 * pi() * (p_hour + c.phase) / c.period))::numeric, 3)
+        FROM (VALUES
+            ('Rock', 0.1, 24, 12),
+            ('Jazz', 0.2, 24, 9),
+            ('Soul', 0.15, 12, 1),
+            ('Punk', 0.25, 8, 0),
+            ('Hip-Hop', 0.2, 24, 14),
+            ('Electronic', 0.25, 12, 4)
+        ) AS c(genre, amplitude, period, phase)
+        WHERE c.genre = p_genre
+    ), 1);
+$function$;
+
+-- Shelf price before any market swing - calculateBuyPrice() in pricing.js
+CREATE OR REPLACE FUNCTION public.price_buy_record(
+    p_base_price numeric,
+    p_condition text,
+    p_price_multiplier numeric,
+    p_borough_modifier numeric
+)
+RETURNS numeric
+LANGUAGE plpgsql
+IMMUTABLE
+AS $function$
+DECLARE
+    v_price NUMERIC(10,2);
+BEGIN
+    v_price := COALESCE(p_base_price, 10);
+    v_price := v_price * CASE p_condition
+        WHEN 'Mint' THEN 1.8
+        WHEN 'Good' THEN 1.3
+        WHEN 'Fair' THEN 1.0
+        ELSE 0.7
+    END;
+    v_price := v_price * COALESCE(p_price_multiplier, 1);
+    v_price := v_price * COALESCE(p_borough_modifier, 1);
+    RETURN v_price;
+END;
+$function$;
+
+-- Reference prices - keep in sync with BUY_REFERENCE_PRICES in
+-- src/lib/pricing.test.js.
+-- Arguments: base, condition, store multiplier, borough
+DO $check$
+DECLARE
+    v_case RECORD;
+    v_actual numeric;
+BEGIN
+    FOR v_case IN
+        SELECT * FROM (VALUES
+            ('Good, no markups',
+                20::numeric, 'Good', NULL::numeric, NULL::numeric, 26.00),
+            ('Mint at a pricey store, Downtown',
+                15, 'Mint', 1.1, 1.2, 35.64),
+            ('No base price falls back to $10',
+                NULL, 'Poor', NULL, NULL, 7.00),
+            ('Rounds half a cent up at each step',
+                12.35, 'Fair', 0.9, 0.8, 8.90)
+        ) AS t(name, base, condition, multiplier, borough, expected)
+    LOOP
+        v_actual := public.price_buy_record(
+            v_case.base, v_case.condition, v_case.multiplier, v_case.borough
+        );
+        IF v_actual <> v_case.expected THEN
+            RAISE EXCEPTION 'price_buy_record: "%" expected %, got %',
+                v_case.name, v_case.expected, v_actual;
+        END IF;
+    END LOOP;
+END;
+$check$;
+
+CREATE OR REPLACE FUNCTION public.tick_market(p_game_id uuid, p_ended_hour integer)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_hour INTEGER;
+    v_clock_hour INTEGER;
+    v_store RECORD;
+    v_item RECORD;
+    v_product RECORD;
+    v_target NUMERIC;
+    v_price NUMERIC(10,2);
+    v_quantity INTEGER;
+    v_condition TEXT;
+    v_roll NUMERIC;
+BEGIN
+    SELECT current_hour, public.game_clock_hour(current_hour, max_hours)
+    INTO v_hour, v_clock_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    FOR v_store IN
+        SELECT s.id, s.price_multiplier, b.price_modifier AS borough_modifier
+        FROM stores s
+        LEFT JOIN store_boroughs sb ON sb.store_id = s.id
+        LEFT JOIN boroughs b ON b.id = sb.borough_id
+    LOOP
+        FOR v_item IN
+            SELECT mi.id, mi.current_price, mi.quantity, mi.condition,
+                p.genre, p.base_price,
+                COALESCE((
+                    SELECT SUM(CASE t.transaction_type
+                        WHEN 'buy' THEN t.quantity
+                        ELSE -t.quantity
+                    END)
+                    FROM transactions t
+                    WHERE t.game_id = p_game_id
+                      AND t.store_id = v_store.id
+                      AND t.product_id = mi.product_id
+                      AND t.hour = p_ended_hour
+                      AND t.transaction_type IN ('buy', 'sell')
+                ), 0) AS net_bought
+            FROM market_inventory mi
+            JOIN products p ON p.id = mi.product_id
+            WHERE mi.game_id = p_game_id AND mi.store_id = v_store.id
+            FOR UPDATE OF mi
+        LOOP
+            v_target := public.price_buy_record(
+                    v_item.base_price, v_item.condition,
+                    v_store.price_multiplier, v_store.borough_modifier
+                )
+                * public.genre_demand(v_item.genre, v_clock_hour)
+                * (1 + GREATEST(-0.3, LEAST(0.3, v_item.net_bought * 0.05)));
+            v_price := GREATEST(1, (
+                v_item.current_price + (v_target - v_item.current_price) * 0.3
+            ) * (1 + (random() * 2 - 1) * 0.03));
+
+            v_quantity := v_item.quantity;
+            IF v_quantity < 3 AND random() < 0.3 THEN
+                v_quantity := v_quantity + 1;
+            ELSIF random() < 0.1 * public.genre_demand(v_item.genre, v_clock_hour) THEN
+                v_quantity := v_quantity - 1;
+            END IF;
+
+            IF v_quantity <= 0 THEN
+                DELETE FROM market_inventory WHERE id = v_item.id;
+            ELSE
+                UPDATE market_inventory
+                SET previous_price = current_price,
+                    current_price = v_price,
+                    quantity = v_quantity,
+                    last_price_update = v_hour
+                WHERE id = v_item.id;
+            END IF;
+        END LOOP;
+
+        IF random() < 0.2 THEN
+            SELECT p.id, p.base_price, p.genre INTO v_product
+            FROM products p
+            WHERE NOT EXISTS (
+                SELECT 1 FROM market_inventory mi
+                WHERE mi.game_id = p_game_id
+                  AND mi.store_id = v_store.id
+                  AND mi.product_id = p.id
+            )
+            ORDER BY random()
+            LIMIT 1;
+
+            IF v_product.id IS NOT NULL THEN
+                v_roll := random();
+                v_condition := CASE
+                    WHEN v_roll < 0.15 THEN 'Mint'
+                    WHEN v_roll < 0.55 THEN 'Good'
+                    WHEN v_roll < 0.85 THEN 'Fair'
+                    ELSE 'Poor'
+                END;
+
+                INSERT INTO market_inventory (
+                    game_id, store_id, product_id, quantity,
+                    current_price, condition, quality_rating,
+                    base_markup, last_price_update, day_updated
+                ) VALUES (
+                    p_game_id, v_store.id, v_product.id, 1,
+                    ROUND(
+                        public.price_buy_record(
+                            v_product.base_price, v_condition,
+                            v_store.price_multiplier, v_store.borough_modifier
+                        )
+                        * (0.8 + random() * 0.4)
+                        * public.genre_demand(v_product.genre, v_clock_hour),
+                        2
+                    ),
+                    v_condition,
+                    CASE v_condition
+                        WHEN 'Mint' THEN 0.9
+                        WHEN 'Good' THEN 0.7
+                        WHEN 'Fair' THEN 0.5
+                        ELSE 0.3
+                    END,
+                    1.0, v_hour, v_hour
+                );
+            END IF;
+        END IF;
+    END LOOP;
+END;
+$function$;
+
+-- Replaces the version in db/loans.sql: also ticks the market when the game
+-- carries on into the new hour
+CREATE OR REPLACE FUNCTION public.advance_game_hour(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_next_hour INTEGER;
+BEGIN
+    UPDATE games
+    SET current_hour = current_hour - 1,
+        status = CASE WHEN current_hour - 1 <= 0 THEN 'completed' ELSE status END,
+        ended_at = CASE WHEN current_hour - 1 <= 0 THEN NOW() ELSE ended_at END
+    WHERE id = p_game_id
+    RETURNING current_hour INTO v_next_hour;
+
+    UPDATE players
+    SET actions_used_this_hour = COALESCE(actions_overflow, 0),
+        actions_overflow = 0,
+        loan_amount = CASE
+            WHEN COALESCE(loan_amount, 0) > 0
+                THEN ROUND(loan_amount * (1 + COALESCE(loan_interest_rate, 0) / 100 / 24), 2)
+            ELSE loan_amount
+        END
+    WHERE game_id = p_game_id;
+
+    IF v_next_hour > 0 THEN
+        PERFORM public.tick_market(p_game_id, v_next_hour + 1);
+    ELSE
+        INSERT INTO transactions (
+            game_id, player_id, product_id,
+            transaction_type, quantity, price,
+            store_id, hour
+        )
+        SELECT game_id, id, NULL,
+            'loan_penalty', 1, ROUND(loan_amount * 1.5, 2),
+            NULL, v_next_hour
+        FROM players
+        WHERE game_id = p_game_id AND loan_amount > 0;
+
+        UPDATE players
+        SET cash = cash - ROUND(loan_amount * 1.5, 2),
+            loan_amount = 0
+        WHERE game_id = p_game_id AND loan_amount > 0;
+    END IF;
+
+    RETURN v_next_hour;
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.tick_market(uuid, integer) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,119 @@
+-- Price notebook: what each player last saw a store charge for a record
+-- and offer for the ones they hold, per product and condition.
+-- Apply after db/valuation.sql. Read by src/lib/notebook.js; the local
+-- backend notes prices the same way in noteStorePrices().
+--
+-- Visiting a store notes its whole shelf (buy_price) and its offer for every
+-- record the player holds (sell_price). A price not seen on this visit keeps
+-- its older value and hour.
+
+CREATE TABLE IF NOT EXISTS public.price_notebook (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+    store_id UUID NOT NULL REFERENCES public.stores(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    condition TEXT NOT NULL,
+    buy_price NUMERIC(10,2),
+    buy_hour INTEGER,
+    sell_price NUMERIC(10,2),
+    sell_hour INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (player_id, store_id, product_id, condition)
+);
+
+CREATE INDEX IF NOT EXISTS price_notebook_player_id_idx
+    ON public.price_notebook (player_id, game_id);
+
+ALTER TABLE public.price_notebook ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS price_notebook_read ON public.price_notebook;
+CREATE POLICY price_notebook_read ON public.price_notebook FOR SELECT USING (TRUE);
+
+CREATE OR REPLACE FUNCTION public.note_store_prices(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_hour INTEGER;
+BEGIN
+    SELECT current_hour INTO v_hour FROM games WHERE id = p_game_id;
+
+    INSERT INTO price_notebook AS n (
+        game_id, player_id, store_id, product_id, condition,
+        buy_price, buy_hour
+    )
+    SELECT DISTINCT ON (mi.product_id, mi.condition)
+        p_game_id, p_player_id, p_store_id, mi.product_id, mi.condition,
+        mi.current_price, v_hour
+    FROM market_inventory mi
+    WHERE mi.game_id = p_game_id AND mi.store_id = p_store_id
+    ORDER BY mi.product_id, mi.condition, mi.current_price
+    ON CONFLICT (player_id, store_id, product_id, condition) DO UPDATE SET
+        buy_price = EXCLUDED.buy_price,
+        buy_hour = EXCLUDED.buy_hour,
+        updated_at = NOW();
+
+    INSERT INTO price_notebook AS n (
+        game_id, player_id, store_id, product_id, condition,
+        sell_price, sell_hour
+    )
+    SELECT p_game_id, p_player_id, p_store_id, pi.product_id, pi.condition,
+        public.quote_sell_price(p_game_id, p_store_id, pi.id), v_hour
+    FROM player_inventory pi
+    WHERE pi.player_id = p_player_id
+    ON CONFLICT (player_id, store_id, product_id, condition) DO UPDATE SET
+        sell_price = EXCLUDED.sell_price,
+        sell_hour = EXCLUDED.sell_hour,
+        updated_at = NOW();
+END;
+$function$;
+
+-- Replaces the version in db/events.sql: notes the store's prices
+CREATE OR REPLACE FUNCTION public.player_visit_store(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_closed text;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM stores s
+        JOIN players p ON p.current_borough_id = s.borough_id
+        WHERE s.id = p_store_id AND p.id = p_player_id
+    ) THEN
+        RETURN public.player_action_failure('That store isn''t in this borough');
+    END IF;
+
+    v_closed := public.check_store_open(p_game_id, p_store_id);
+    IF v_closed IS NOT NULL THEN
+        RETURN public.player_action_failure(v_closed);
+    END IF;
+
+    PERFORM public.note_store_prices(p_player_id, p_game_id, p_store_id);
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.note_store_prices(uuid, uuid, uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,336 @@
+-- Single pricing engine for selling records to stores.
+-- Mirrors calculateSellPrice() in src/lib/pricing.js step for step, so the
+-- price the Store page previews is the price sell_record pays.
+--
+-- Replaces every earlier sell formula. Condition factors are 1.8 / 1.3 /
+-- 1.0 / 0.7.
+
+-- The hour on the clock, 0-23 - getClockHour() in src/lib/timeUtils.js.
+-- games.current_hour counts down from max_hours and the first hour is
+-- midnight, so peak hours and genre demand go by this instead.
+CREATE OR REPLACE FUNCTION public.game_clock_hour(p_current_hour integer, p_max_hours integer)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $function$
+    SELECT (((p_max_hours - p_current_hour) % 24) + 24) % 24;
+$function$;
+
+-- Pure price calculation. Every step is stored in a NUMERIC(10,2), which
+-- rounds to cents exactly like roundMoney() in pricing.js.
+CREATE OR REPLACE FUNCTION public.price_sell_record(
+    p_purchase_price numeric,
+    p_base_price numeric,
+    p_condition text,
+    p_is_specialty boolean,
+    p_hour integer,                  -- Clock hour, from game_clock_hour()
+    p_borough_modifier numeric,
+    p_market_price numeric,          -- Highest shelf price for the product in this store
+    p_same_condition_price numeric,  -- Highest shelf price in the same condition
+    p_better_condition_price numeric -- Lowest shelf price in any better condition
+)
+RETURNS numeric
+LANGUAGE plpgsql
+IMMUTABLE
+AS $function$
+DECLARE
+    v_price NUMERIC(10,2);
+    v_floor NUMERIC(10,2);
+    v_ceiling NUMERIC(10,2);
+BEGIN
+    -- 1. Base price - what the player paid, else the shelf, else the catalog
+    v_price := COALESCE(p_purchase_price, p_market_price, p_base_price, 10);
+
+    -- 2. Store margin
+    v_price := v_price * 0.8;
+
+    -- 3. Condition
+    v_price := v_price * CASE
+        WHEN p_condition = 'Mint' THEN 1.8
+        WHEN p_condition = 'Good' THEN 1.3
+        WHEN p_condition = 'Fair' THEN 1.0
+        ELSE 0.7
+    END;
+
+    -- 4. Genre specialty bonus
+    IF p_is_specialty THEN
+        v_price := v_price * 1.8;
+    END IF;
+
+    -- 5. Peak hours (noon to 6 PM on the clock)
+    IF p_hour BETWEEN 12 AND 18 THEN
+        v_price := v_price * 1.2;
+    END IF;
+
+    -- 6. Borough modifier
+    IF p_borough_modifier IS NOT NULL THEN
+        v_price := v_price * p_borough_modifier;
+    END IF;
+
+    -- 7. Ceiling: never more than 80% of a cheaper better-condition copy
+    IF p_better_condition_price IS NOT NULL THEN
+        v_ceiling := p_better_condition_price * 0.8;
+        IF v_price > v_ceiling THEN
+            v_price := v_ceiling;
+        END IF;
+    END IF;
+
+    -- 8. Floor: at least 75% of the same-condition shelf price
+    IF p_same_condition_price IS NOT NULL THEN
+        v_floor := p_same_condition_price * 0.75;
+        IF v_price < v_floor THEN
+            v_price := v_floor;
+        END IF;
+    END IF;
+
+    RETURN v_price;
+END;
+$function$;
+
+-- Price one inventory row at a store, gathering the inputs for price_sell_record
+CREATE OR REPLACE FUNCTION public.quote_sell_price(
+    p_game_id uuid,
+    p_store_id uuid,
+    p_inventory_id uuid
+)
+RETURNS numeric
+LANGUAGE plpgsql
+STABLE
+AS $function$
+DECLARE
+    v_inventory RECORD;
+    v_store RECORD;
+    v_clock_hour INTEGER;
+    v_borough_modifier NUMERIC(5,2);
+    v_market_price NUMERIC(10,2);
+    v_same_condition_price NUMERIC(10,2);
+    v_better_condition_price NUMERIC(10,2);
+BEGIN
+    SELECT public.game_clock_hour(current_hour, max_hours) INTO v_clock_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    SELECT pi.product_id, pi.purchase_price, pi.condition, p.genre, p.base_price
+    INTO v_inventory
+    FROM player_inventory pi
+    JOIN products p ON pi.product_id = p.id
+    WHERE pi.id = p_inventory_id;
+
+    SELECT id, specialty_genre INTO v_store
+    FROM stores
+    WHERE id = p_store_id;
+
+    SELECT b.price_modifier INTO v_borough_modifier
+    FROM boroughs b
+    JOIN store_boroughs sb ON b.id = sb.borough_id
+    WHERE sb.store_id = p_store_id;
+
+    SELECT
+        MAX(current_price),
+        MAX(current_price) FILTER (WHERE condition = v_inventory.condition),
+        MIN(current_price) FILTER (
+            WHERE array_position(ARRAY['Poor', 'Fair', 'Good', 'Mint'], condition)
+                > COALESCE(array_position(ARRAY['Poor', 'Fair', 'Good', 'Mint'], v_inventory.condition), 0)
+        )
+    INTO v_market_price, v_same_condition_price, v_better_condition_price
+    FROM market_inventory
+    WHERE game_id = p_game_id
+      AND store_id = p_store_id
+      AND product_id = v_inventory.product_id;
+
+    RETURN public.price_sell_record(
+        v_inventory.purchase_price,
+        v_inventory.base_price,
+        v_inventory.condition,
+        v_store.specialty_genre IS NOT NULL AND v_store.specialty_genre = v_inventory.genre,
+        v_clock_hour,
+        v_borough_modifier,
+        v_market_price,
+        v_same_condition_price,
+        v_better_condition_price
+    );
+END;
+$function$;
+
+-- Frontend price quote - returns exactly what sell_record will pay
+CREATE OR REPLACE FUNCTION public.get_sell_price(
+    p_player_id uuid,
+    p_store_id uuid,
+    p_inventory_id uuid
+)
+RETURNS numeric
+LANGUAGE plpgsql
+STABLE
+AS $function$
+DECLARE
+    v_game_id uuid;
+BEGIN
+    SELECT game_id INTO v_game_id
+    FROM players
+    WHERE id = p_player_id;
+
+    RETURN public.quote_sell_price(v_game_id, p_store_id, p_inventory_id);
+END;
+$function$;
+
+DROP FUNCTION IF EXISTS public.sell_record(uuid, uuid, uuid, uuid, integer, uuid);
+
+CREATE OR REPLACE FUNCTION public.sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $function$
+DECLARE
+    v_inventory RECORD;
+    v_current_hour INTEGER;
+    v_quantity INTEGER;
+    v_sell_price NUMERIC(10,2);
+    v_total_value NUMERIC(10,2);
+BEGIN
+    SELECT g.current_hour INTO v_current_hour
+    FROM players p
+    JOIN games g ON p.game_id = g.id
+    WHERE p.id = p_player_id AND p.game_id = p_game_id;
+
+    -- Get inventory record
+    IF p_inventory_id IS NOT NULL THEN
+        SELECT pi.id, pi.quantity, pi.condition, pi.product_id
+        INTO v_inventory
+        FROM player_inventory pi
+        WHERE pi.id = p_inventory_id AND pi.player_id = p_player_id;
+
+        IF v_inventory.id IS NULL THEN
+            RETURN FALSE;
+        END IF;
+
+        p_product_id := v_inventory.product_id;
+        v_quantity := 1;
+    ELSE
+        SELECT pi.id, pi.quantity, pi.condition, pi.product_id
+        INTO v_inventory
+        FROM player_inventory pi
+        WHERE pi.player_id = p_player_id AND pi.product_id = p_product_id
+        LIMIT 1;
+
+        IF v_inventory.id IS NULL OR v_inventory.quantity < p_quantity THEN
+            RETURN FALSE;
+        END IF;
+
+        v_quantity := p_quantity;
+    END IF;
+
+    -- Price before the shelf changes below
+    v_sell_price := public.quote_sell_price(p_game_id, p_store_id, v_inventory.id);
+    v_total_value := v_sell_price * v_quantity;
+
+    -- 1. Update player inventory
+    IF p_inventory_id IS NOT NULL THEN
+        DELETE FROM player_inventory
+        WHERE id = p_inventory_id AND player_id = p_player_id;
+    ELSE
+        UPDATE player_inventory
+        SET quantity = quantity - p_quantity
+        WHERE player_id = p_player_id AND product_id = p_product_id;
+
+        DELETE FROM player_inventory
+        WHERE player_id = p_player_id
+          AND product_id = p_product_id
+          AND quantity <= 0;
+    END IF;
+
+    -- 2. Update player cash
+    UPDATE players
+    SET cash = cash + v_total_value
+    WHERE id = p_player_id AND game_id = p_game_id;
+
+    -- 3. Restock the store
+    IF EXISTS (
+        SELECT 1 FROM market_inventory
+        WHERE game_id = p_game_id
+          AND store_id = p_store_id
+          AND product_id = p_product_id
+          AND condition = v_inventory.condition
+    ) THEN
+        UPDATE market_inventory
+        SET quantity = quantity + v_quantity
+        WHERE game_id = p_game_id
+          AND store_id = p_store_id
+          AND product_id = p_product_id
+          AND condition = v_inventory.condition;
+    ELSE
+        INSERT INTO market_inventory (
+            game_id, store_id, product_id, quantity,
+            current_price, condition, quality_rating, day_updated
+        ) VALUES (
+            p_game_id, p_store_id, p_product_id, v_quantity,
+            -- Stores resell what they buy from you at a 50% markup
+            ROUND(v_sell_price * 1.5, 2),
+            v_inventory.condition,
+            CASE
+              WHEN v_inventory.condition = 'Mint' THEN 0.9
+              WHEN v_inventory.condition = 'Good' THEN 0.7
+              WHEN v_inventory.condition = 'Fair' THEN 0.5
+              ELSE 0.3
+            END,
+            v_current_hour
+        );
+    END IF;
+
+    -- 4. Record transaction
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, p_product_id,
+        'sell', v_quantity, v_sell_price,
+        p_store_id, v_current_hour
+    );
+
+    RETURN TRUE;
+END;
+$function$;
+
+COMMENT ON FUNCTION public.sell_record(uuid, uuid, uuid, uuid, integer, uuid) IS 'Sell record(s) to a store at the price_sell_record() price';
+
+-- Reference prices - keep in sync with SELL_REFERENCE_PRICES in
+-- src/lib/pricing.test.js.
+-- Arguments: purchase, base, condition, specialty, hour, borough, market, same, better
+DO $check$
+DECLARE
+    v_case RECORD;
+    v_actual numeric;
+BEGIN
+    FOR v_case IN
+        SELECT * FROM (VALUES
+            ('Good, no bonuses',
+                20::numeric, NULL::numeric, 'Good', FALSE, 20, NULL::numeric, NULL::numeric, NULL::numeric, NULL::numeric, 20.80),
+            ('Mint at a specialist in peak hours, Downtown',
+                30, NULL, 'Mint', TRUE, 14, 1.2, NULL, NULL, NULL, 111.97),
+            ('Poor in Staten Island',
+                12.5, NULL, 'Poor', FALSE, NULL, 0.8, NULL, NULL, NULL, 5.60),
+            ('No purchase price falls back to the shelf price',
+                NULL, 25, 'Fair', FALSE, NULL, NULL, 40, NULL, 40, 32.00),
+            ('Capped at 80% of a cheaper better copy',
+                50, NULL, 'Good', FALSE, 15, NULL, 45, NULL, 45, 36.00),
+            ('Raised to 75% of the same-condition shelf price',
+                10, NULL, 'Fair', FALSE, NULL, NULL, 30, 30, NULL, 22.50)
+        ) AS t(name, purchase, base, condition, specialty, hour, borough, market, same, better, expected)
+    LOOP
+        v_actual := public.price_sell_record(
+            v_case.purchase, v_case.base, v_case.condition, v_case.specialty,
+            v_case.hour, v_case.borough, v_case.market, v_case.same, v_case.better
+        );
+        IF v_actual <> v_case.expected THEN
+            RAISE EXCEPTION 'price_sell_record: "%" expected %, got %',
+                v_case.name, v_case.expected, v_actual;
+        END IF;
+    END LOOP;
+END;
+$check$;
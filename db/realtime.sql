@@ -0,0 +1,30 @@
+-- Realtime: push games and players row changes to clients instead of having
+-- them poll. Apply after db/notebook.sql. src/lib/realtime.js subscribes to
+-- UPDATEs of a game's row and every change to its players' rows.
+--
+-- players gets REPLICA IDENTITY FULL so DELETE events carry game_id and match
+-- the subscription's game_id filter when a player leaves.
+
+DO $$
+DECLARE
+    v_table text;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        CREATE PUBLICATION supabase_realtime;
+    END IF;
+
+    FOREACH v_table IN ARRAY ARRAY['games', 'players'] LOOP
+        IF NOT EXISTS (
+            SELECT 1
+            FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime'
+              AND schemaname = 'public'
+              AND tablename = v_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', v_table);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+ALTER TABLE public.players REPLICA IDENTITY FULL;
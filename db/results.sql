@@ -0,0 +1,105 @@
+-- Net-worth history for the end-of-game results screen.
+-- Apply after db/events.sql. Values match getNetWorth() in
+-- src/lib/standings.js: cash + records at their estimated price (the
+-- purchase price when there is none) - loan.
+--
+-- advance_game_hour writes one snapshot per player for the hour it moves
+-- to, after interest and the end-of-game loan settlement.
+
+CREATE TABLE IF NOT EXISTS public.net_worth_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+    hour INTEGER NOT NULL,
+    cash NUMERIC(10,2) NOT NULL,
+    inventory_value NUMERIC(10,2) NOT NULL,
+    loan_amount NUMERIC(10,2) NOT NULL,
+    net_worth NUMERIC(10,2) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS net_worth_snapshots_game_id_idx
+    ON public.net_worth_snapshots (game_id, hour);
+
+ALTER TABLE public.net_worth_snapshots ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS net_worth_snapshots_read ON public.net_worth_snapshots;
+CREATE POLICY net_worth_snapshots_read ON public.net_worth_snapshots FOR SELECT USING (TRUE);
+
+CREATE OR REPLACE FUNCTION public.record_net_worth_snapshots(p_game_id uuid, p_hour integer)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+AS $function$
+    INSERT INTO net_worth_snapshots (
+        game_id, player_id, hour,
+        cash, inventory_value, loan_amount, net_worth
+    )
+    SELECT p.game_id, p.id, p_hour,
+        p.cash, v.inventory_value, COALESCE(p.loan_amount, 0),
+        p.cash + v.inventory_value - COALESCE(p.loan_amount, 0)
+    FROM players p
+    CROSS JOIN LATERAL (
+        SELECT COALESCE(ROUND(SUM(
+            COALESCE(NULLIF(pi.estimated_current_price, 0), pi.purchase_price, 0) * pi.quantity
+        ), 2), 0) AS inventory_value
+        FROM player_inventory pi
+        WHERE pi.player_id = p.id
+    ) v
+    WHERE p.game_id = p_game_id;
+$function$;
+
+-- Replaces the version in db/events.sql: snapshots every player's net worth
+CREATE OR REPLACE FUNCTION public.advance_game_hour(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_next_hour INTEGER;
+BEGIN
+    UPDATE games
+    SET current_hour = current_hour - 1,
+        status = CASE WHEN current_hour - 1 <= 0 THEN 'completed' ELSE status END,
+        ended_at = CASE WHEN current_hour - 1 <= 0 THEN NOW() ELSE ended_at END
+    WHERE id = p_game_id
+    RETURNING current_hour INTO v_next_hour;
+
+    UPDATE players
+    SET actions_used_this_hour = COALESCE(actions_overflow, 0),
+        actions_overflow = 0,
+        loan_amount = CASE
+            WHEN COALESCE(loan_amount, 0) > 0
+                THEN ROUND(loan_amount * (1 + COALESCE(loan_interest_rate, 0) / 100 / 24), 2)
+            ELSE loan_amount
+        END
+    WHERE game_id = p_game_id;
+
+    IF v_next_hour > 0 THEN
+        PERFORM public.tick_market(p_game_id, v_next_hour + 1);
+        PERFORM public.roll_market_event(p_game_id);
+    ELSE
+        INSERT INTO transactions (
+            game_id, player_id, product_id,
+            transaction_type, quantity, price,
+            store_id, hour
+        )
+        SELECT game_id, id, NULL,
+            'loan_penalty', 1, ROUND(loan_amount * 1.5, 2),
+            NULL, v_next_hour
+        FROM players
+        WHERE game_id = p_game_id AND loan_amount > 0;
+
+        UPDATE players
+        SET cash = cash - ROUND(loan_amount * 1.5, 2),
+            loan_amount = 0
+        WHERE game_id = p_game_id AND loan_amount > 0;
+    END IF;
+
+    PERFORM public.record_net_worth_snapshots(p_game_id, v_next_hour);
+
+    RETURN v_next_hour;
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.record_net_worth_snapshots(uuid, integer) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,163 @@
+-- AI rival traders: computer-controlled players in the same market. Apply
+-- after db/store_hours.sql. Matches src/lib/rivals.js and the local backend.
+--
+-- A rival is an ordinary players row with is_rival set. It has no user, is
+-- always ready, and plays through the same RPCs as everybody else - a
+-- player's client makes its moves (src/services/rivalPlayer.js), so rivals
+-- pay the same prices, empty the same shelves and take a place in the
+-- standings. rival_seed fixes the random choices a rival makes, hour by
+-- hour.
+--
+-- Any player in the game can play the rivals, so they keep moving when the
+-- host leaves. claim_rival_turns() makes sure only one client does at a
+-- time: the claim lasts 30 seconds and is renewed before every rival's
+-- hour, so if that client goes away the next one takes over. Only the
+-- user holding the claim can act for a rival.
+
+ALTER TABLE public.players
+    ADD COLUMN IF NOT EXISTS is_rival BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS rival_strategy TEXT
+        CHECK (rival_strategy IN ('genre_specialist', 'arbitrageur', 'hoarder')),
+    ADD COLUMN IF NOT EXISTS rival_seed INTEGER;
+
+-- Who is playing the rivals, and until when
+ALTER TABLE public.games
+    ADD COLUMN IF NOT EXISTS rivals_claimed_by TEXT,
+    ADD COLUMN IF NOT EXISTS rivals_claimed_until TIMESTAMPTZ;
+
+-- Rivals have no user
+ALTER TABLE public.players
+    ALTER COLUMN user_id DROP NOT NULL;
+
+-- The first version took the host's user id as a parameter
+DROP FUNCTION IF EXISTS public.add_rival(uuid, text, text, text);
+
+-- The host adds a rival to a waiting game. The game holds four players
+-- (MAX_PLAYERS in src/lib/gameSettings.js), rivals included.
+CREATE OR REPLACE FUNCTION public.add_rival(
+    p_game_id uuid,
+    p_strategy text,
+    p_username text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_player_id uuid;
+BEGIN
+    SELECT created_by, status INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can add rivals');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('Rivals can only join before the game starts');
+    END IF;
+
+    IF p_strategy IS NULL
+       OR p_strategy NOT IN ('genre_specialist', 'arbitrageur', 'hoarder') THEN
+        RETURN public.player_action_failure('Pick a strategy for the rival');
+    END IF;
+
+    IF (SELECT COUNT(*) FROM players WHERE game_id = p_game_id) >= 4 THEN
+        RETURN public.player_action_failure('The game is full');
+    END IF;
+
+    INSERT INTO players (
+        game_id, user_id, username, current_borough_id,
+        is_ready, is_rival, rival_strategy, rival_seed
+    ) VALUES (
+        p_game_id, NULL, p_username, (SELECT id FROM boroughs WHERE name = 'Downtown'),
+        TRUE, TRUE, p_strategy, floor(random() * 2147483647)::integer
+    )
+    RETURNING id INTO v_player_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL, 'player_id', v_player_id);
+END;
+$function$;
+
+-- Replaces the version in db/action_economy.sql: a rival is played by
+-- whoever holds the game's rival claim
+CREATE OR REPLACE FUNCTION public.is_callers_player(p_player_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $function$
+    SELECT EXISTS (
+        SELECT 1
+        FROM players p
+        JOIN games g ON p.game_id = g.id
+        WHERE p.id = p_player_id
+          AND (
+              p.user_id::text = auth.uid()::text
+              OR (
+                  p.is_rival
+                  AND g.rivals_claimed_by = auth.uid()::text
+                  AND g.rivals_claimed_until > NOW()
+              )
+          )
+    );
+$function$;
+
+-- The first version took the claiming user's id as a parameter
+DROP FUNCTION IF EXISTS public.claim_rival_turns(uuid, text);
+
+-- Claims (or renews the claim on) playing a game's rivals for 30 seconds -
+-- RIVAL_CLAIM_SECONDS in src/lib/rivals.js - as the calling user. Refused
+-- while another player's claim is still running.
+CREATE OR REPLACE FUNCTION public.claim_rival_turns(p_game_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_user_id text := auth.uid()::text;
+BEGIN
+    SELECT status, rivals_claimed_by, rivals_claimed_until INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.status <> 'active' THEN
+        RETURN public.player_action_failure('The game isn''t running');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM players
+        WHERE game_id = p_game_id
+          AND user_id::text = v_user_id
+          AND NOT is_rival
+    ) THEN
+        RETURN public.player_action_failure('Only players in the game can play its rivals');
+    END IF;
+
+    IF v_game.rivals_claimed_by IS DISTINCT FROM v_user_id
+       AND v_game.rivals_claimed_until > NOW() THEN
+        RETURN public.player_action_failure('Another player is playing the rivals');
+    END IF;
+
+    UPDATE games
+    SET rivals_claimed_by = v_user_id,
+        rivals_claimed_until = NOW() + INTERVAL '30 seconds'
+    WHERE id = p_game_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL);
+END;
+$function$;
@@ -0,0 +1,251 @@
+-- Seeded games: every game has a seed that drives all of its randomness.
+-- Apply after db/rivals.sql. Matches src/lib/seed.js and the local backend.
+--
+-- Each random step seeds PostgreSQL's random() from games.seed, the kind of
+-- step ('stock', 'market', 'events') and the hour before it rolls, and
+-- reseeds from the clock afterwards. So two games with the same seed get the
+-- same opening stock, and their markets and events stay in step for as long
+-- as their players make the same trades. The two backends draw different
+-- numbers from the same seed; a seed only reproduces a game on one backend.
+
+ALTER TABLE public.games
+    ADD COLUMN IF NOT EXISTS seed INTEGER NOT NULL
+        DEFAULT (1 + floor(random() * 2147483646))::integer;
+
+-- Seeds random() for one kind of step in a game's hour
+CREATE OR REPLACE FUNCTION public.seed_game_random(
+    p_game_id uuid,
+    p_stream text,
+    p_hour integer
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $function$
+BEGIN
+    PERFORM setseed(
+        hashtext(format('%s:%s:%s', (SELECT seed FROM games WHERE id = p_game_id), p_stream, p_hour))
+        / 2147483648.0
+    );
+END;
+$function$;
+
+-- Puts random() back on an unpredictable sequence
+CREATE OR REPLACE FUNCTION public.unseed_random()
+RETURNS void
+LANGUAGE plpgsql
+AS $function$
+BEGIN
+    PERFORM setseed(
+        (extract(microseconds FROM clock_timestamp()) / 30000000.0) - 1
+    );
+END;
+$function$;
+
+-- Replaces the original, which may return a different type
+DROP FUNCTION IF EXISTS public.initialize_game_data(uuid);
+
+-- Stocks every store's shelves for a new game: 8 to 12 titles a store, 1 to
+-- 3 copies each, at a 0.8-1.2 market swing. Only start_game() calls it -
+-- it throws away whatever is on the shelves. Stores and titles are walked in
+-- id order so the same seed always rolls the same stock: random() in a
+-- SELECT runs after its ORDER BY, one row at a time.
+CREATE OR REPLACE FUNCTION public.initialize_game_data(game_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+#variable_conflict use_column
+DECLARE
+    v_game_id uuid := initialize_game_data.game_id;
+    v_hour INTEGER;
+    v_store RECORD;
+    v_product RECORD;
+    v_count INTEGER;
+    v_roll NUMERIC;
+    v_condition TEXT;
+BEGIN
+    SELECT current_hour INTO v_hour FROM games WHERE id = v_game_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    DELETE FROM market_inventory WHERE game_id = v_game_id;
+
+    PERFORM public.seed_game_random(v_game_id, 'stock', 0);
+
+    FOR v_store IN
+        SELECT s.id, s.price_multiplier, b.price_modifier AS borough_modifier
+        FROM stores s
+        JOIN boroughs b ON b.id = s.borough_id
+        ORDER BY s.id
+    LOOP
+        v_count := 8 + floor(random() * 5)::integer;
+
+        FOR v_product IN
+            SELECT picked.id, picked.base_price
+            FROM (
+                SELECT p.id, p.base_price, random() AS roll
+                FROM products p
+                ORDER BY p.id
+            ) picked
+            ORDER BY picked.roll, picked.id
+            LIMIT v_count
+        LOOP
+            v_roll := random();
+            v_condition := CASE
+                WHEN v_roll < 0.15 THEN 'Mint'
+                WHEN v_roll < 0.55 THEN 'Good'
+                WHEN v_roll < 0.85 THEN 'Fair'
+                ELSE 'Poor'
+            END;
+
+            INSERT INTO market_inventory (
+                game_id, store_id, product_id, quantity,
+                current_price, previous_price, condition, quality_rating,
+                base_markup, last_price_update, day_updated
+            ) VALUES (
+                v_game_id, v_store.id, v_product.id, 1 + floor(random() * 3)::integer,
+                ROUND(
+                    public.price_buy_record(
+                        v_product.base_price, v_condition,
+                        v_store.price_multiplier, v_store.borough_modifier
+                    ) * (0.8 + random() * 0.4),
+                    2
+                ),
+                NULL, v_condition,
+                CASE v_condition
+                    WHEN 'Mint' THEN 0.9
+                    WHEN 'Good' THEN 0.7
+                    WHEN 'Fair' THEN 0.5
+                    ELSE 0.3
+                END,
+                1.0, v_hour, v_hour
+            );
+        END LOOP;
+    END LOOP;
+
+    PERFORM public.unseed_random();
+END;
+$function$;
+
+-- Replaces the version in db/valuation.sql: the market tick and event roll
+-- draw from the game's seed
+CREATE OR REPLACE FUNCTION public.advance_game_hour(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_next_hour INTEGER;
+BEGIN
+    UPDATE games
+    SET current_hour = current_hour - 1,
+        status = CASE WHEN current_hour - 1 <= 0 THEN 'completed' ELSE status END,
+        ended_at = CASE WHEN current_hour - 1 <= 0 THEN NOW() ELSE ended_at END
+    WHERE id = p_game_id
+    RETURNING current_hour INTO v_next_hour;
+
+    UPDATE players
+    SET actions_used_this_hour = COALESCE(actions_overflow, 0),
+        actions_overflow = 0,
+        loan_amount = CASE
+            WHEN COALESCE(loan_amount, 0) > 0
+                THEN ROUND(loan_amount * (1 + COALESCE(loan_interest_rate, 0) / 100 / 24), 2)
+            ELSE loan_amount
+        END
+    WHERE game_id = p_game_id;
+
+    IF v_next_hour > 0 THEN
+        PERFORM public.seed_game_random(p_game_id, 'market', v_next_hour);
+        PERFORM public.tick_market(p_game_id, v_next_hour + 1);
+        PERFORM public.seed_game_random(p_game_id, 'events', v_next_hour);
+        PERFORM public.roll_market_event(p_game_id);
+        PERFORM public.unseed_random();
+    ELSE
+        INSERT INTO transactions (
+            game_id, player_id, product_id,
+            transaction_type, quantity, price,
+            store_id, hour
+        )
+        SELECT game_id, id, NULL,
+            'loan_penalty', 1, ROUND(loan_amount * 1.5, 2),
+            NULL, v_next_hour
+        FROM players
+        WHERE game_id = p_game_id AND loan_amount > 0;
+
+        UPDATE players
+        SET cash = cash - ROUND(loan_amount * 1.5, 2),
+            loan_amount = 0
+        WHERE game_id = p_game_id AND loan_amount > 0;
+    END IF;
+
+    PERFORM public.revalue_inventory(p_game_id);
+    PERFORM public.record_net_worth_snapshots(p_game_id, v_next_hour);
+
+    RETURN v_next_hour;
+END;
+$function$;
+
+-- Replaces the version in db/rivals.sql: a rival's seed comes from the
+-- game's seed and how many rivals joined before it
+CREATE OR REPLACE FUNCTION public.add_rival(
+    p_game_id uuid,
+    p_strategy text,
+    p_username text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_rival_count INTEGER;
+    v_player_id uuid;
+BEGIN
+    SELECT created_by, status, seed INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.created_by::text IS DISTINCT FROM auth.uid()::text THEN
+        RETURN public.player_action_failure('Only the host can add rivals');
+    END IF;
+
+    IF v_game.status <> 'waiting' THEN
+        RETURN public.player_action_failure('Rivals can only join before the game starts');
+    END IF;
+
+    IF p_strategy IS NULL
+       OR p_strategy NOT IN ('genre_specialist', 'arbitrageur', 'hoarder') THEN
+        RETURN public.player_action_failure('Pick a strategy for the rival');
+    END IF;
+
+    IF (SELECT COUNT(*) FROM players WHERE game_id = p_game_id) >= 4 THEN
+        RETURN public.player_action_failure('The game is full');
+    END IF;
+
+    SELECT COUNT(*) INTO v_rival_count
+    FROM players
+    WHERE game_id = p_game_id AND is_rival;
+
+    INSERT INTO players (
+        game_id, user_id, username, current_borough_id,
+        is_ready, is_rival, rival_strategy, rival_seed
+    ) VALUES (
+        p_game_id, NULL, p_username, (SELECT id FROM boroughs WHERE name = 'Downtown'),
+        TRUE, TRUE, p_strategy,
+        GREATEST(hashtext(format('%s:rival:%s', v_game.seed, v_rival_count)) & 2147483647, 1)
+    )
+    RETURNING id INTO v_player_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'error', NULL, 'player_id', v_player_id);
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.seed_game_random(uuid, text, integer) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.unseed_random() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.initialize_game_data(uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,186 @@
+-- Store opening hours: stores only trade between open_hour and close_hour on
+-- the game clock. Apply after db/calendar.sql. Matches src/lib/storeHours.js
+-- and the local backend.
+--
+-- check_store_open() turns players away outside opening hours as well as
+-- during store_closed events, so visits, buys and sells are all refused at a
+-- closed store. Instead a player can wait_until_open(): their turn ends and
+-- stays ended every hour until the store opens. When everybody is waiting,
+-- the hours run on by themselves.
+
+ALTER TABLE public.players
+    ADD COLUMN IF NOT EXISTS waiting_until_hour INTEGER;
+
+-- 12-hour time, e.g. '4 PM'
+CREATE OR REPLACE FUNCTION public.format_clock_hour(p_clock_hour integer)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $function$
+    SELECT format(
+        '%s %s',
+        CASE WHEN p_clock_hour % 12 = 0 THEN 12 ELSE p_clock_hour % 12 END,
+        CASE WHEN p_clock_hour < 12 THEN 'AM' ELSE 'PM' END
+    );
+$function$;
+
+-- Hours until a store next opens, 0 when it's open. Stores without hours
+-- never close; a close_hour before open_hour runs past midnight.
+CREATE OR REPLACE FUNCTION public.store_hours_until_open(
+    p_open_hour integer,
+    p_close_hour integer,
+    p_clock_hour integer
+)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $function$
+    SELECT CASE
+        WHEN p_open_hour IS NULL OR p_close_hour IS NULL OR p_open_hour = p_close_hour THEN 0
+        WHEN p_open_hour < p_close_hour
+             AND p_clock_hour >= p_open_hour AND p_clock_hour < p_close_hour THEN 0
+        WHEN p_open_hour > p_close_hour
+             AND (p_clock_hour >= p_open_hour OR p_clock_hour < p_close_hour) THEN 0
+        ELSE (p_open_hour - p_clock_hour + 24) % 24
+    END;
+$function$;
+
+-- Replaces the version in db/events.sql: stores are also closed outside
+-- their opening hours
+CREATE OR REPLACE FUNCTION public.check_store_open(p_game_id uuid, p_store_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT COALESCE(
+        (
+            SELECT format('%s has closed early', COALESCE(s.name, 'The store'))
+            FROM public.active_market_events(p_game_id) e
+            LEFT JOIN stores s ON s.id = e.store_id
+            WHERE e.event_type = 'store_closed' AND e.store_id = p_store_id
+            LIMIT 1
+        ),
+        (
+            SELECT format(
+                '%s is closed - opens at %s',
+                COALESCE(s.name, 'The store'),
+                public.format_clock_hour(s.open_hour)
+            )
+            FROM stores s, games g
+            WHERE s.id = p_store_id
+              AND g.id = p_game_id
+              AND public.store_hours_until_open(
+                  s.open_hour, s.close_hour,
+                  public.game_clock_hour(g.current_hour, g.max_hours)
+              ) > 0
+        )
+    );
+$function$;
+
+-- Replaces the version in db/calendar.sql: players waiting for a store sit
+-- the hour out, and if that's everybody the next hour follows straight on
+CREATE OR REPLACE FUNCTION public.resolve_turn(p_game_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM players
+        WHERE game_id = p_game_id
+          AND NOT COALESCE(turn_completed, FALSE)
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    LOOP
+        PERFORM public.advance_game_hour(p_game_id);
+        PERFORM public.skip_overnight_hours(p_game_id);
+
+        UPDATE players p
+        SET turn_completed = FALSE,
+            waiting_until_hour = NULL
+        FROM games g
+        WHERE g.id = p.game_id
+          AND p.game_id = p_game_id
+          AND (
+              p.waiting_until_hour IS NULL
+              OR g.current_hour <= p.waiting_until_hour
+              OR g.status <> 'active'
+          );
+
+        EXIT WHEN NOT EXISTS (
+            SELECT 1 FROM games WHERE id = p_game_id AND status = 'active'
+        ) OR EXISTS (
+            SELECT 1 FROM players WHERE game_id = p_game_id AND NOT turn_completed
+        );
+    END LOOP;
+
+    UPDATE games
+    SET hour_started_at = NOW()
+    WHERE id = p_game_id;
+
+    RETURN TRUE;
+END;
+$function$;
+
+-- Ends the player's turn until a closed store in their borough opens
+CREATE OR REPLACE FUNCTION public.wait_until_open(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_store RECORD;
+    v_game RECORD;
+    v_wait INTEGER;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT s.name, s.open_hour, s.close_hour INTO v_store
+    FROM stores s
+    JOIN players p ON p.current_borough_id = s.borough_id
+    WHERE s.id = p_store_id AND p.id = p_player_id;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('That store isn''t in this borough');
+    END IF;
+
+    SELECT current_hour, max_hours INTO v_game
+    FROM games
+    WHERE id = p_game_id;
+
+    v_wait := public.store_hours_until_open(
+        v_store.open_hour, v_store.close_hour,
+        public.game_clock_hour(v_game.current_hour, v_game.max_hours)
+    );
+
+    IF v_wait = 0 THEN
+        RETURN public.player_action_failure(format('%s is already open', v_store.name));
+    END IF;
+
+    IF v_game.current_hour - v_wait <= 0 THEN
+        RETURN public.player_action_failure(format('The game ends before %s opens', v_store.name));
+    END IF;
+
+    UPDATE players
+    SET waiting_until_hour = v_game.current_hour - v_wait
+    WHERE id = p_player_id;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.finish_turn(p_player_id, p_game_id)
+    );
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.resolve_turn(uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,167 @@
+-- Atomic travel between boroughs.
+-- Apply after db/action_economy.sql, which this replaces travel_to_borough from.
+--
+-- quote_travel() mirrors quoteTravel() in src/lib/travel.js: travel time (in
+-- actions) and fare come from borough_distances, and Staten Island is taxi
+-- only whichever way you're going. travel_to_borough() quotes, checks cash,
+-- moves the player, charges the fare and time and logs a 'travel'
+-- transaction in one call.
+
+-- Travel rows have no product or store
+ALTER TABLE public.transactions ALTER COLUMN product_id DROP NOT NULL;
+ALTER TABLE public.transactions ALTER COLUMN store_id DROP NOT NULL;
+
+DO $constraint$
+DECLARE
+    v_name TEXT;
+BEGIN
+    FOR v_name IN
+        SELECT conname
+        FROM pg_constraint
+        WHERE conrelid = 'public.transactions'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) LIKE '%transaction_type%'
+    LOOP
+        EXECUTE format('ALTER TABLE public.transactions DROP CONSTRAINT %I', v_name);
+    END LOOP;
+
+    ALTER TABLE public.transactions
+        ADD CONSTRAINT transactions_transaction_type_check
+        CHECK (transaction_type IN ('buy', 'sell', 'travel'));
+END;
+$constraint$;
+
+-- Time and fare for one trip. error is set when the trip isn't allowed.
+CREATE OR REPLACE FUNCTION public.quote_travel(
+    p_from_borough_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid,
+    OUT action_cost integer,
+    OUT fare numeric,
+    OUT error text
+)
+LANGUAGE plpgsql
+STABLE
+AS $function$
+DECLARE
+    v_from TEXT;
+    v_to TEXT;
+    v_method RECORD;
+    v_type TEXT;
+    v_distance RECORD;
+BEGIN
+    action_cost := 0;
+    fare := 0;
+
+    SELECT LOWER(name) INTO v_from FROM boroughs WHERE id = p_from_borough_id;
+    SELECT LOWER(name) INTO v_to FROM boroughs WHERE id = p_to_borough_id;
+    SELECT name, base_cost INTO v_method
+    FROM transportation_methods
+    WHERE id = p_transportation_id;
+
+    v_type := CASE
+        WHEN LOWER(v_method.name) LIKE '%walk%' THEN 'walk'
+        WHEN LOWER(v_method.name) LIKE '%subway%' THEN 'subway'
+        WHEN LOWER(v_method.name) LIKE '%taxi%' THEN 'taxi'
+    END;
+
+    IF v_from IS NULL OR v_to IS NULL OR v_type IS NULL THEN
+        error := 'You can''t travel there that way';
+        RETURN;
+    END IF;
+
+    IF p_from_borough_id = p_to_borough_id THEN
+        error := 'You''re already there';
+        RETURN;
+    END IF;
+
+    IF v_type <> 'taxi' AND 'staten island' IN (v_from, v_to) THEN
+        error := 'Staten Island can only be reached by taxi';
+        RETURN;
+    END IF;
+
+    SELECT walking_time, subway_time, taxi_time, taxi_cost INTO v_distance
+    FROM borough_distances
+    WHERE (from_borough_id = p_from_borough_id AND to_borough_id = p_to_borough_id)
+       OR (from_borough_id = p_to_borough_id AND to_borough_id = p_from_borough_id)
+    LIMIT 1;
+
+    -- Defaults match DEFAULT_TRAVEL_TIME for pairs without a distance row
+    action_cost := CASE v_type
+        WHEN 'walk' THEN COALESCE(v_distance.walking_time, 3)
+        WHEN 'subway' THEN COALESCE(v_distance.subway_time, 2)
+        ELSE COALESCE(v_distance.taxi_time, 1)
+    END;
+
+    fare := CASE
+        WHEN v_type = 'taxi' AND COALESCE(v_distance.taxi_cost, 0) > 0 THEN v_distance.taxi_cost
+        ELSE COALESCE(v_method.base_cost, 0)
+    END;
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.travel_to_borough(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_to_borough_id uuid,
+    p_transportation_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_player RECORD;
+    v_travel RECORD;
+    v_current_hour INTEGER;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    SELECT current_borough_id, cash INTO v_player
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    SELECT * INTO v_travel
+    FROM public.quote_travel(v_player.current_borough_id, p_to_borough_id, p_transportation_id);
+
+    IF v_travel.error IS NOT NULL THEN
+        RETURN public.player_action_failure(v_travel.error);
+    END IF;
+
+    IF v_player.cash < v_travel.fare THEN
+        RETURN public.player_action_failure(format(
+            'Not enough money. Travel costs $%s but you only have $%s.',
+            v_travel.fare, v_player.cash
+        ));
+    END IF;
+
+    SELECT current_hour INTO v_current_hour
+    FROM games
+    WHERE id = p_game_id;
+
+    UPDATE players
+    SET current_borough_id = p_to_borough_id,
+        cash = cash - v_travel.fare
+    WHERE id = p_player_id;
+
+    INSERT INTO transactions (
+        game_id, player_id, product_id,
+        transaction_type, quantity, price,
+        store_id, hour
+    ) VALUES (
+        p_game_id, p_player_id, NULL,
+        'travel', 1, v_travel.fare,
+        NULL, v_current_hour
+    );
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, v_travel.action_cost)
+    );
+END;
+$function$;
@@ -0,0 +1,220 @@
+-- Simultaneous turns: everyone plays the hour at once and the hour advances
+-- exactly once, when the last player ends their turn. Apply after
+-- db/realtime.sql. Matches finishTurn() / resolveTurn() in the local backend
+-- and src/lib/turns.js.
+--
+-- A player's turn ends when they call player_end_turn() or run out of
+-- actions; either way they wait until the others are done. Games can set a
+-- turn timer (turn_seconds); once it runs out any client may call
+-- expire_turn() and every idle player's turn is ended for them.
+--
+-- Every action locks its game row first, so actions in one game run one at
+-- a time: two players ending their turns at the same moment are resolved in
+-- order, and only the second one sees everybody done.
+
+ALTER TABLE public.games
+    ADD COLUMN IF NOT EXISTS turn_seconds INTEGER CHECK (turn_seconds IS NULL OR turn_seconds > 0),
+    ADD COLUMN IF NOT EXISTS hour_started_at TIMESTAMPTZ;
+
+-- Replaces the version in db/action_economy.sql: locks the game row and
+-- refuses players who have already ended their turn
+CREATE OR REPLACE FUNCTION public.check_player_can_act(
+    p_player_id uuid,
+    p_game_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+BEGIN
+    SELECT g.status, g.current_hour, p.turn_completed INTO v_game
+    FROM players p
+    JOIN games g ON p.game_id = g.id
+    WHERE p.id = p_player_id AND p.game_id = p_game_id
+    FOR UPDATE OF g;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Player not found');
+    END IF;
+
+    IF NOT public.is_callers_player(p_player_id) THEN
+        RETURN public.player_action_failure('That isn''t your player');
+    END IF;
+
+    IF v_game.status = 'completed' OR v_game.current_hour <= 0 THEN
+        RETURN public.player_action_failure('The game is over');
+    END IF;
+
+    IF v_game.turn_completed THEN
+        RETURN public.player_action_failure('You''ve ended your turn - waiting for the other players');
+    END IF;
+
+    RETURN NULL;
+END;
+$function$;
+
+-- Advances the hour if every player is done. The caller holds the game lock.
+-- Returns TRUE when the hour advanced.
+CREATE OR REPLACE FUNCTION public.resolve_turn(p_game_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM players
+        WHERE game_id = p_game_id
+          AND NOT COALESCE(turn_completed, FALSE)
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    PERFORM public.advance_game_hour(p_game_id);
+
+    UPDATE players
+    SET turn_completed = FALSE
+    WHERE game_id = p_game_id;
+
+    UPDATE games
+    SET hour_started_at = NOW()
+    WHERE id = p_game_id;
+
+    RETURN TRUE;
+END;
+$function$;
+
+-- Ends one player's turn. Returns TRUE when theirs was the last one.
+CREATE OR REPLACE FUNCTION public.finish_turn(p_player_id uuid, p_game_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    PERFORM 1 FROM games WHERE id = p_game_id FOR UPDATE;
+
+    UPDATE players
+    SET turn_completed = TRUE
+    WHERE id = p_player_id;
+
+    RETURN public.resolve_turn(p_game_id);
+END;
+$function$;
+
+-- Replaces the version in db/action_economy.sql: running out of actions
+-- ends the player's turn instead of advancing everybody's hour
+CREATE OR REPLACE FUNCTION public.spend_actions(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_cost integer
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_remaining INTEGER;
+BEGIN
+    SELECT 4 - COALESCE(actions_used_this_hour, 0) INTO v_remaining
+    FROM players
+    WHERE id = p_player_id
+    FOR UPDATE;
+
+    IF p_cost <= v_remaining THEN
+        UPDATE players
+        SET actions_used_this_hour = COALESCE(actions_used_this_hour, 0) + p_cost
+        WHERE id = p_player_id;
+        RETURN FALSE;
+    END IF;
+
+    -- A negative remainder (earlier overflow) carries into the next hour too
+    UPDATE players
+    SET actions_overflow = p_cost - v_remaining
+    WHERE id = p_player_id;
+
+    RETURN public.finish_turn(p_player_id, p_game_id);
+END;
+$function$;
+
+-- Gives up the rest of the hour and waits for the other players
+CREATE OR REPLACE FUNCTION public.player_end_turn(
+    p_player_id uuid,
+    p_game_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.finish_turn(p_player_id, p_game_id)
+    );
+END;
+$function$;
+
+-- Ends every idle player's turn once the turn timer has run out. Calls
+-- before the deadline, or for games without a timer, change nothing.
+CREATE OR REPLACE FUNCTION public.expire_turn(p_game_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_game RECORD;
+    v_advanced BOOLEAN := FALSE;
+BEGIN
+    SELECT status, current_hour, turn_seconds, hour_started_at INTO v_game
+    FROM games
+    WHERE id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN public.player_action_failure('Game not found');
+    END IF;
+
+    IF v_game.status = 'active'
+       AND v_game.turn_seconds IS NOT NULL
+       AND v_game.hour_started_at IS NOT NULL
+       AND NOW() >= v_game.hour_started_at + v_game.turn_seconds * INTERVAL '1 second' THEN
+        UPDATE players
+        SET turn_completed = TRUE
+        WHERE game_id = p_game_id;
+
+        v_advanced := public.resolve_turn(p_game_id);
+    END IF;
+
+    RETURN (
+        SELECT jsonb_build_object(
+            'success', TRUE,
+            'error', NULL,
+            'current_hour', current_hour,
+            'hour_advanced', v_advanced,
+            'game_over', status = 'completed'
+        )
+        FROM games
+        WHERE id = p_game_id
+    );
+END;
+$function$;
+
+-- Replaced by player_end_turn(), which doesn't skip the other players' hour
+DROP FUNCTION IF EXISTS public.player_end_hour(uuid, uuid);
+
+REVOKE EXECUTE ON FUNCTION public.resolve_turn(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.finish_turn(uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.spend_actions(uuid, uuid, integer) FROM PUBLIC, anon, authenticated;
+
+-- Turns are the server's now; clients only rename their player
+REVOKE UPDATE ON public.players FROM anon, authenticated;
+GRANT UPDATE (username) ON public.players TO anon, authenticated;
@@ -0,0 +1,207 @@
+-- Inventory at market value: estimated_current_price becomes the best price
+-- any open store would pay for the record right now, so net worth, the
+-- results screen and unrealized profit stop counting records at cost.
+-- Apply after db/ledger.sql. Matches revalueInventory() in the local backend.
+--
+-- Values are refreshed after every buy and sale and on each hour advance,
+-- once the market has ticked and before net worth is snapshotted.
+
+-- Best quote for one inventory row across the stores open in the game
+CREATE OR REPLACE FUNCTION public.best_sell_price(p_game_id uuid, p_inventory_id uuid)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $function$
+    SELECT MAX(public.quote_sell_price(p_game_id, s.id, p_inventory_id))
+    FROM stores s
+    WHERE public.check_store_open(p_game_id, s.id) IS NULL;
+$function$;
+
+-- Revalues every player's records in a game, or just p_player_id's
+CREATE OR REPLACE FUNCTION public.revalue_inventory(
+    p_game_id uuid,
+    p_player_id uuid DEFAULT NULL
+)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+AS $function$
+    UPDATE player_inventory pi
+    SET estimated_current_price = COALESCE(
+            public.best_sell_price(p_game_id, pi.id),
+            pi.estimated_current_price
+        ),
+        updated_at = NOW()
+    FROM players p
+    WHERE pi.player_id = p.id
+      AND p.game_id = p_game_id
+      AND (p_player_id IS NULL OR p.id = p_player_id);
+$function$;
+
+-- Replaces the version in db/results.sql: revalues inventory before the snapshot
+CREATE OR REPLACE FUNCTION public.advance_game_hour(p_game_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_next_hour INTEGER;
+BEGIN
+    UPDATE games
+    SET current_hour = current_hour - 1,
+        status = CASE WHEN current_hour - 1 <= 0 THEN 'completed' ELSE status END,
+        ended_at = CASE WHEN current_hour - 1 <= 0 THEN NOW() ELSE ended_at END
+    WHERE id = p_game_id
+    RETURNING current_hour INTO v_next_hour;
+
+    UPDATE players
+    SET actions_used_this_hour = COALESCE(actions_overflow, 0),
+        actions_overflow = 0,
+        loan_amount = CASE
+            WHEN COALESCE(loan_amount, 0) > 0
+                THEN ROUND(loan_amount * (1 + COALESCE(loan_interest_rate, 0) / 100 / 24), 2)
+            ELSE loan_amount
+        END
+    WHERE game_id = p_game_id;
+
+    IF v_next_hour > 0 THEN
+        PERFORM public.tick_market(p_game_id, v_next_hour + 1);
+        PERFORM public.roll_market_event(p_game_id);
+    ELSE
+        INSERT INTO transactions (
+            game_id, player_id, product_id,
+            transaction_type, quantity, price,
+            store_id, hour
+        )
+        SELECT game_id, id, NULL,
+            'loan_penalty', 1, ROUND(loan_amount * 1.5, 2),
+            NULL, v_next_hour
+        FROM players
+        WHERE game_id = p_game_id AND loan_amount > 0;
+
+        UPDATE players
+        SET cash = cash - ROUND(loan_amount * 1.5, 2),
+            loan_amount = 0
+        WHERE game_id = p_game_id AND loan_amount > 0;
+    END IF;
+
+    PERFORM public.revalue_inventory(p_game_id);
+    PERFORM public.record_net_worth_snapshots(p_game_id, v_next_hour);
+
+    RETURN v_next_hour;
+END;
+$function$;
+
+-- Earlier versions bought whichever listing of the product came first
+DROP FUNCTION IF EXISTS public.player_buy_record(uuid, uuid, uuid, uuid, integer);
+
+-- Replaces the version in db/events.sql: buys the listing p_inventory_id
+-- (a market_inventory row) and revalues the buyer's records
+CREATE OR REPLACE FUNCTION public.player_buy_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_closed text;
+    v_player RECORD;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    v_closed := public.check_store_open(p_game_id, p_store_id);
+    IF v_closed IS NOT NULL THEN
+        RETURN public.player_action_failure(v_closed);
+    END IF;
+
+    SELECT carrier_type, inventory_capacity INTO v_player
+    FROM players
+    WHERE id = p_player_id;
+
+    IF public.player_used_space(p_player_id)
+        + (SELECT COALESCE(space_required, 1) * p_quantity FROM products WHERE id = p_product_id)
+        > v_player.inventory_capacity THEN
+        RETURN public.player_action_failure(format(
+            'No room - your %s only holds %s records',
+            LOWER(COALESCE(v_player.carrier_type, 'Backpack')), v_player.inventory_capacity
+        ));
+    END IF;
+
+    IF NOT public.buy_record(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_quantity, p_inventory_id
+    ) THEN
+        RETURN public.player_action_failure(
+            'Purchase failed. You may not have enough funds or space, or the item is out of stock.'
+        );
+    END IF;
+
+    PERFORM public.revalue_inventory(p_game_id, p_player_id);
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+-- Replaces the version in db/ledger.sql: revalues the seller's records
+CREATE OR REPLACE FUNCTION public.player_sell_record(
+    p_player_id uuid,
+    p_game_id uuid,
+    p_store_id uuid,
+    p_product_id uuid,
+    p_quantity integer DEFAULT 1,
+    p_inventory_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_failure jsonb;
+    v_closed text;
+    v_flip text;
+BEGIN
+    v_failure := public.check_player_can_act(p_player_id, p_game_id);
+    IF v_failure IS NOT NULL THEN
+        RETURN v_failure;
+    END IF;
+
+    v_closed := public.check_store_open(p_game_id, p_store_id);
+    IF v_closed IS NOT NULL THEN
+        RETURN public.player_action_failure(v_closed);
+    END IF;
+
+    v_flip := public.check_same_store_flip(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_inventory_id
+    );
+    IF v_flip IS NOT NULL THEN
+        RETURN public.player_action_failure(v_flip);
+    END IF;
+
+    IF NOT public.sell_record(
+        p_player_id, p_game_id, p_store_id, p_product_id, p_quantity, p_inventory_id
+    ) THEN
+        RETURN public.player_action_failure('Sale failed. You don''t have that many copies to sell.');
+    END IF;
+
+    PERFORM public.revalue_inventory(p_game_id, p_player_id);
+
+    RETURN public.player_action_result(
+        p_player_id,
+        public.spend_actions(p_player_id, p_game_id, 1)
+    );
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.revalue_inventory(uuid, uuid) FROM PUBLIC, anon, authenticated;
@@ -7,6 +7,7 @@ import {
 } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { GameProvider } from './contexts/GameContext';
+import { AuthProvider } from './contexts/AuthContext';
 import GameHeader from './components/ui/GameHeader';
 import { useEffect } from 'react';
 
@@ -19,6 +20,12 @@ import Store from './pages/Store';
 import TravelScreen from './pages/TravelScreen';
 import NotFound from './pages/NotFound';
 import Inventory from './pages/Inventory';
+import LoanShark from './pages/LoanShark';
+import Results from './pages/Results';
+import Ledger from './pages/Ledger';
+import DailyDig from './pages/DailyDig';
+import Profile from './pages/Profile';
+import Authentication from './pages/Authentication';
 
 // Import the CSS file to ensure styles are applied
 import './index.css';
@@ -34,75 +41,99 @@ const App = () => {
 
   return (
     <Router basename={import.meta.env.BASE_URL || '/'}>
-      <GameProvider>
-        <Toaster
-          position="top-right"
-          toastOptions={{
-            duration: 3000,
-            style: {
-              background: '#363636',
-              color: '#fff',
-            },
-            success: {
-              duration: 2000,
-              iconTheme: {
-                primary: '#10B981',
-                secondary: 'white',
-              },
-            },
-            error: {
+      <AuthProvider>
+        <GameProvider>
+          <Toaster
+            position="top-right"
+            toastOptions={{
               duration: 3000,
-              iconTheme: {
-                primary: '#EF4444',
-                secondary: 'white',
+              style: {
+                background: '#363636',
+                color: '#fff',
               },
-            },
-          }}
-        />
-        <Routes>
-          <Route path="/" element={<Home />} />
-          <Route
-            path="/game/:gameId"
-            element={
-              <>
-                <Game />
-                <GameHeader />
-              </>
-            }
-          />
-          <Route
-            path="/lobby/:gameId"
-            element={
-              <>
-                <Lobby />
-                <GameHeader />
-              </>
-            }
-          />
-          <Route path="/join/:gameId" element={<JoinGame />} />
-          <Route
-            path="/store/:gameId/:boroughId/:storeId"
-            element={
-              <>
-                <Store />
-                <GameHeader />
-              </>
-            }
-          />
-          <Route
-            path="/travel/:gameId"
-            element={
-              <>
-                <TravelScreen />
-                <GameHeader />
-              </>
-            }
+              success: {
+                duration: 2000,
+                iconTheme: {
+                  primary: '#10B981',
+                  secondary: 'white',
+                },
+              },
+              error: {
+                duration: 3000,
+                iconTheme: {
+                  primary: '#EF4444',
+                  secondary: 'white',
+                },
+              },
+            }}
           />
-          <Route path="/404" element={<NotFound />} />
-          <Route path="/game/:gameId/inventory" element={<Inventory />} />
-          <Route path="*" element={<Navigate to="/404" replace />} />
-        </Routes>
-      </GameProvider>
+          <Routes>
+            <Route path="/" element={<Home />} />
+            <Route path="/daily" element={<DailyDig />} />
+            <Route path="/auth" element={<Authentication />} />
+            <Route path="/profile/:userId" element={<Profile />} />
+            <Route
+              path="/game/:gameId"
+              element={
+                <>
+                  <Game />
+                  <GameHeader />
+                </>
+              }
+            />
+            <Route
+              path="/lobby/:gameId"
+              element={
+                <>
+                  <Lobby />
+                  <GameHeader />
+                </>
+              }
+            />
+            <Route path="/join/:gameId" element={<JoinGame />} />
+            <Route
+              path="/store/:gameId/:boroughId/:storeId"
+              element={
+                <>
+                  <Store />
+                  <GameHeader />
+                </>
+              }
+            />
+            <Route
+              path="/travel/:gameId"
+              element={
+                <>
+                  <TravelScreen />
+                  <GameHeader />
+                </>
+              }
+            />
+            <Route path="/404" element={<NotFound />} />
+            <Route path="/game/:gameId/inventory" element={<Inventory />} />
+            <Route
+              path="/game/:gameId/loans"
+              element={
+                <>
+                  <LoanShark />
+                  <GameHeader />
+                </>
+              }
+            />
+            <Route
+              path="/game/:gameId/ledger"
+              element={
+                <>
+                  <Ledger />
+                  <GameHeader />
+                </>
+              }
+            />
+            <Route path="/game/:gameId/results" element={<Results />} />
+            <Route path="*" element={<Navigate to="/404" replace />} />
+          </Routes>
+        </GameProvider>
+      </AuthProvider>
     </Router>
   );
 };
@@ -1,6 +1,8 @@
 import React from 'react';
 import { BiChevronRight } from 'react-icons/bi';
 import { useGame } from '../../contexts/GameContext';
+import { getClockHour } from '../../lib/timeUtils';
+import { isStoreOpenAt } from '../../lib/storeHours';
 import '../../App.css';
 
 const Card = ({
@@ -22,10 +24,10 @@ const Card = ({
       typeof storeData.close_hour === 'number' &&
       currentGame?.current_hour
     ) {
-      const currentHour = (24 - currentGame.current_hour) % 24;
-      isOpen =
-        currentHour >= storeData.open_hour &&
-        currentHour < storeData.close_hour;
+      isOpen = isStoreOpenAt(
+        storeData,
+        getClockHour(currentGame.current_hour, currentGame.max_hours)
+      );
     }
 
     return (
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useCallback, useRef } from 'react';
+import React, { useEffect, useState, useRef } from 'react';
 import { useGame } from '../../contexts/GameContext';
 import {
   FaDollarSign,
@@ -7,18 +7,11 @@ import {
   FaClock,
   FaRecordVinyl,
   FaCompactDisc,
+  FaHandHoldingUsd,
+  FaChartLine,
 } from 'react-icons/fa';
 import { useNavigate, useParams } from 'react-router-dom';
-import { clearSupabaseCache } from '../../lib/supabase';
-import { gameHourToTimeString } from '../../lib/timeUtils';
-
-// Custom hook to force rerenders
-const useForceUpdate = () => {
-  const [, setTick] = useState(0);
-  return useCallback(() => {
-    setTick((tick) => tick + 1);
-  }, []);
-};
+import { formatGameTime } from '../../lib/timeUtils';
 
 // 80s-inspired vinyl header component
 const GameHeader = () => {
@@ -28,37 +21,19 @@ const GameHeader = () => {
     getActionsRemaining,
     loading,
     playerInventory,
+    realizedProfit,
     refreshPlayerData,
     refreshPlayerInventory,
   } = useGame();
   const [actionsRemaining, setActionsRemaining] = useState(4);
-  const [lastRefresh, setLastRefresh] = useState(Date.now());
   const [displayTime, setDisplayTime] = useState('12PM');
   const prevHourRef = useRef(null);
   const navigate = useNavigate();
   const { gameId } = useParams();
-  const forceUpdate = useForceUpdate();
-
-  // Force refresh every 1 second to catch any state changes
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setLastRefresh(Date.now());
-      forceUpdate(); // Force rerender independent of state
-
-      // Always refresh data on every tick
-      if (refreshPlayerData) {
-        refreshPlayerData().catch((err) =>
-          console.error('Failed to refresh player data:', err)
-        );
-      }
-    }, 1000); // Poll every second
 
-    return () => clearInterval(interval);
-  }, [refreshPlayerData, forceUpdate]);
-
-  // Add an immediate refresh when component mounts
+  // Load fresh data on mount - GameContext's realtime subscription keeps it
+  // current after that
   useEffect(() => {
-    // Initial refresh on mount
     if (refreshPlayerData) {
       refreshPlayerData();
     }
@@ -69,7 +44,7 @@ const GameHeader = () => {
     if (player) {
       setActionsRemaining(getActionsRemaining ? getActionsRemaining() : 4);
     }
-  }, [player, getActionsRemaining, lastRefresh]);
+  }, [player, getActionsRemaining]);
 
   // Update time display when game hour changes
   useEffect(() => {
@@ -80,14 +55,18 @@ const GameHeader = () => {
         prevHourRef.current = currentGame.current_hour;
 
         // Update the displayed time
-        const timeString = gameHourToTimeString(currentGame.current_hour);
+        const timeString = formatGameTime(
+          currentGame.current_hour,
+          currentGame.max_hours
+        );
         setDisplayTime(timeString);
       }
     }
-  }, [currentGame?.current_hour]);
+  }, [currentGame?.current_hour, currentGame?.max_hours]);
 
   // Make sure we have a valid cash value - never show $0 if player isn't loaded yet
   const displayCash = player ? (player.cash || 0).toFixed(2) : '...';
+  const loanAmount = player?.loan_amount || 0;
 
   // Handle navigation to inventory
   const goToInventory = () => {
@@ -115,6 +94,33 @@ const GameHeader = () => {
           <div className="vinyl-stat-value">${displayCash}</div>
         </div>
 
+        {loanAmount > 0 && (
+          <div className="vinyl-stat">
+            <div className="vinyl-icon-wrapper loan-icon">
+              <FaHandHoldingUsd />
+            </div>
+            <div className="vinyl-stat-value loan-value">
+              -${Math.round(loanAmount)}
+            </div>
+          </div>
+        )}
+
+        {realizedProfit !== 0 && (
+          <div className="vinyl-stat" title="Realized profit from sales">
+            <div className="vinyl-icon-wrapper profit-icon">
+              <FaChartLine />
+            </div>
+            <div
+              className={`vinyl-stat-value ${
+                realizedProfit < 0 ? 'loan-value' : 'profit-value'
+              }`}
+            >
+              {realizedProfit < 0 ? '-' : '+'}$
+              {Math.round(Math.abs(realizedProfit))}
+            </div>
+          </div>
+        )}
+
         <div className="vinyl-stat">
           <div className="vinyl-icon-wrapper inventory-icon">
             <FaRecordVinyl className="spinning-record" />
@@ -0,0 +1,156 @@
+// src/components/ui/GameSettingsPanel.jsx
+import { useState, useEffect } from 'react';
+import {
+  GAME_LENGTH_OPTIONS,
+  SETTING_LIMITS,
+  START_BOROUGH,
+  isBoroughEnabled,
+} from '../../lib/gameSettings';
+import { TURN_TIMER_OPTIONS } from '../../lib/turns';
+import { formatClockHour, MORNING, NIGHT_START } from '../../lib/timeUtils';
+
+const NUMBER_FIELDS = [
+  { key: 'starting_cash', label: 'Starting cash', prefix: '$' },
+  { key: 'starting_loan', label: 'Starting loan', prefix: '$' },
+  { key: 'actions_per_hour', label: 'Actions per hour' },
+];
+
+const OptionButton = ({ active, disabled, onClick, children }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    className={`px-3 py-1 rounded-md text-sm ${
+      active
+        ? 'bg-blue-600 text-white'
+        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+    } ${disabled && !active ? 'opacity-50 cursor-not-allowed' : ''}`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * The lobby's game settings. The host edits them; everyone else sees them
+ * @param {Object} props
+ * @param {Object} props.settings - From getGameSettings()
+ * @param {Array} props.boroughs - boroughs rows
+ * @param {boolean} props.editable - Whether the viewer is the host
+ * @param {Function} props.onChange - Called with (key, value)
+ */
+const GameSettingsPanel = ({ settings, boroughs = [], editable, onChange }) => {
+  // Number fields save on blur, so typing doesn't write every keystroke
+  const [drafts, setDrafts] = useState({});
+
+  useEffect(() => {
+    setDrafts({});
+  }, [settings]);
+
+  const allBoroughIds = boroughs.map((b) => b.id);
+
+  const toggleBorough = (boroughId) => {
+    const enabled = allBoroughIds.filter((id) =>
+      isBoroughEnabled(settings, id)
+    );
+    const next = enabled.includes(boroughId)
+      ? enabled.filter((id) => id !== boroughId)
+      : [...enabled, boroughId];
+
+    onChange(
+      'enabled_borough_ids',
+      next.length === allBoroughIds.length ? null : next
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="text-sm font-medium mb-1">Game length</div>
+        <div className="flex flex-wrap gap-2">
+          {GAME_LENGTH_OPTIONS.map(({ hours, label }) => (
+            <OptionButton
+              key={hours}
+              active={settings.max_hours === hours}
+              disabled={!editable}
+              onClick={() => onChange('max_hours', hours)}
+            >
+              {label}
+            </OptionButton>
+          ))}
+        </div>
+        <label className="flex items-center mt-2 text-sm">
+          <input
+            type="checkbox"
+            checked={settings.skip_overnight}
+            disabled={!editable}
+            onChange={(e) => onChange('skip_overnight', e.target.checked)}
+            className="mr-2"
+          />
+          Skip overnight hours ({formatClockHour(NIGHT_START)} to{' '}
+          {formatClockHour(MORNING)}, when every store is shut)
+        </label>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {NUMBER_FIELDS.map(({ key, label, prefix }) => (
+          <label key={key} className="text-sm font-medium">
+            {label}
+            <div className="flex items-center mt-1">
+              {prefix && <span className="mr-1 text-gray-500">{prefix}</span>}
+              <input
+                type="number"
+                min={SETTING_LIMITS[key].min}
+                max={SETTING_LIMITS[key].max}
+                value={drafts[key] ?? settings[key]}
+                disabled={!editable}
+                onChange={(e) =>
+                  setDrafts((prev) => ({ ...prev, [key]: e.target.value }))
+                }
+                onBlur={() => {
+                  if (drafts[key] === undefined) return;
+                  onChange(key, Number(drafts[key]));
+                }}
+                className="w-full p-1 border rounded-md bg-gray-50"
+              />
+            </div>
+          </label>
+        ))}
+      </div>
+
+      <div>
+        <div className="text-sm font-medium mb-1">Turn timer</div>
+        <div className="flex gap-2">
+          {TURN_TIMER_OPTIONS.map((option) => (
+            <OptionButton
+              key={option.label}
+              active={settings.turn_seconds === option.seconds}
+              disabled={!editable}
+              onClick={() => onChange('turn_seconds', option.seconds)}
+            >
+              {option.label}
+            </OptionButton>
+          ))}
+        </div>
+      </div>
+
+      {boroughs.length > 0 && (
+        <div>
+          <div className="text-sm font-medium mb-1">Boroughs in play</div>
+          <div className="flex flex-wrap gap-2">
+            {boroughs.map((borough) => (
+              <OptionButton
+                key={borough.id}
+                active={isBoroughEnabled(settings, borough.id)}
+                disabled={!editable || borough.name === START_BOROUGH}
+                onClick={() => toggleBorough(borough.id)}
+              >
+                {borough.name}
+              </OptionButton>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GameSettingsPanel;
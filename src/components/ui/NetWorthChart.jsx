@@ -0,0 +1,124 @@
+// src/components/ui/NetWorthChart.jsx
+import { formatGameTime } from '../../lib/timeUtils';
+
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed'];
+
+const WIDTH = 320;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 48 };
+
+/**
+ * Line chart of each player's net worth per game hour
+ * @param {Object} props
+ * @param {Array} props.players - Players to draw, in legend order
+ * @param {Array} props.snapshots - net_worth_snapshots rows
+ * @param {number} props.maxHours - games.max_hours (the first hour)
+ */
+const NetWorthChart = ({ players = [], snapshots = [], maxHours = 24 }) => {
+  if (!snapshots.length) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-6">
+        No hours played yet.
+      </p>
+    );
+  }
+
+  const values = snapshots.map((s) => Number(s.net_worth));
+  const min = Math.min(0, ...values);
+  const max = Math.max(...values, min + 1);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  // Hours count down, so time runs left to right as the hour falls
+  const x = (hour) =>
+    PADDING.left + ((maxHours - hour) / Math.max(1, maxHours)) * plotWidth;
+  const y = (value) =>
+    PADDING.top + (1 - (value - min) / (max - min)) * plotHeight;
+
+  const lines = players.map((player, index) => ({
+    player,
+    color: COLORS[index % COLORS.length],
+    points: snapshots
+      .filter((s) => s.player_id === player.id)
+      .sort((a, b) => b.hour - a.hour)
+      .map((s) => `${x(s.hour)},${y(Number(s.net_worth))}`)
+      .join(' '),
+  }));
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full"
+        role="img"
+        aria-label="Net worth by hour"
+      >
+        {[min, (min + max) / 2, max].map((value) => (
+          <g key={value}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(value)}
+              y2={y(value)}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={PADDING.left - 4}
+              y={y(value) + 3}
+              textAnchor="end"
+              fontSize="9"
+              fill="#6b7280"
+            >
+              ${Math.round(value)}
+            </text>
+          </g>
+        ))}
+        {min < 0 && (
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(0)}
+            y2={y(0)}
+            stroke="#9ca3af"
+            strokeDasharray="3 3"
+          />
+        )}
+        {[maxHours, Math.round(maxHours / 2), 0].map((hour) => (
+          <text
+            key={hour}
+            x={x(hour)}
+            y={HEIGHT - 6}
+            textAnchor="middle"
+            fontSize="9"
+            fill="#6b7280"
+          >
+            {formatGameTime(hour, maxHours)}
+          </text>
+        ))}
+        {lines.map(({ player, color, points }) => (
+          <polyline
+            key={player.id}
+            points={points}
+            fill="none"
+            stroke={color}
+            strokeWidth="2"
+          />
+        ))}
+      </svg>
+
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        {lines.map(({ player, color }) => (
+          <span key={player.id} className="flex items-center">
+            <span
+              className="inline-block w-3 h-3 rounded-full mr-1"
+              style={{ backgroundColor: color }}
+            />
+            {player.username || 'Player'}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NetWorthChart;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { Fragment } from 'react';
+
+const formatFactor = (factor) =>
+  factor === null || factor === undefined ? '' : `×${factor.toFixed(2)}`;
+
+// Clamp steps come from sell_record's floor/ceiling rules
+const CLAMP_STEPS = ['floor', 'ceiling'];
+
+export default function PriceBreakdownModal({
+  isOpen,
+  onClose,
+  onConfirm,
+  title,
+  recordName,
+  breakdown,
+  quantity = 1,
+  maxQuantity = 1,
+  onQuantityChange,
+  confirmText = 'Confirm',
+  cancelText = 'Cancel',
+}) {
+  const steps = breakdown?.steps || [];
+  const unitPrice = breakdown?.price ?? 0;
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-10" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <Dialog.Title
+                  as="h3"
+                  className="text-lg font-medium leading-6 text-gray-900"
+                >
+                  {title}
+                </Dialog.Title>
+                {recordName && (
+                  <p className="mt-1 text-sm text-gray-500">{recordName}</p>
+                )}
+
+                <table className="mt-4 w-full text-sm">
+                  <tbody>
+                    {steps.map((step) => (
+                      <tr
+                        key={step.key}
+                        className={
+                          CLAMP_STEPS.includes(step.key)
+                            ? 'text-amber-700'
+                            : 'text-gray-700'
+                        }
+                      >
+                        <td className="py-1">{step.label}</td>
+                        <td className="py-1 text-right text-gray-400">
+                          {formatFactor(step.factor)}
+                        </td>
+                        <td className="py-1 text-right">
+                          ${step.price.toFixed(2)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    {maxQuantity > 1 && (
+                      <tr className="border-t border-gray-200 text-gray-700">
+                        <td className="pt-2">Copies</td>
+                        <td className="pt-2 text-right text-gray-400">
+                          of {maxQuantity}
+                        </td>
+                        <td className="pt-2 text-right">
+                          <input
+                            type="number"
+                            min={1}
+                            max={maxQuantity}
+                            value={quantity}
+                            onChange={(e) =>
+                              onQuantityChange?.(
+                                Math.min(
+                                  maxQuantity,
+                                  Math.max(1, parseInt(e.target.value, 10) || 1)
+                                )
+                              )
+                            }
+                            className="w-16 rounded border border-gray-300 px-1 text-right"
+                          />
+                        </td>
+                      </tr>
+                    )}
+                    <tr className="border-t border-gray-200 font-bold text-gray-900">
+                      <td className="pt-2" colSpan={2}>
+                        Total
+                      </td>
+                      <td className="pt-2 text-right">
+                        ${(unitPrice * quantity).toFixed(2)}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+
+                <div className="mt-4 flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    className="inline-flex justify-center rounded-md border border-transparent bg-gray-200 px-4 py-2 text-sm font-medium text-gray-900 hover:bg-gray-300 focus:outline-none"
+                    onClick={onClose}
+                  >
+                    {cancelText}
+                  </button>
+                  <button
+                    type="button"
+                    className="inline-flex justify-center rounded-md border border-transparent bg-blue-100 px-4 py-2 text-sm font-medium text-blue-900 hover:bg-blue-200 focus:outline-none"
+                    onClick={() => {
+                      onConfirm();
+                      onClose();
+                    }}
+                  >
+                    {confirmText}
+                  </button>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+}
@@ -1,11 +1,20 @@
 import React from 'react';
-import { FaStar, FaCoins, FaShoppingCart, FaCompactDisc } from 'react-icons/fa';
+import {
+  FaStar,
+  FaCoins,
+  FaShoppingCart,
+  FaCompactDisc,
+  FaArrowUp,
+  FaArrowDown,
+} from 'react-icons/fa';
+import { getPriceTrend } from '../../lib/market';
 
 const SlimProductCard = ({
   item,
   actionType = 'none', // 'none', 'buy', or 'sell'
   onAction,
   storePrice, // New prop for the current store price
+  hint, // Optional extra line under the badges
 }) => {
   // Correctly access the product data through item.products
   const product = item.products || {};
@@ -16,6 +25,9 @@ const SlimProductCard = ({
 
   const { estimated_current_price } = item;
 
+  // Copies of this record the player holds (player_inventory rows stack)
+  const copies = purchasePrice !== null ? item.quantity || 1 : 1;
+
   // Get condition from the item itself (market_inventory) not from products
   const condition = item.condition || product.condition || 'Good';
 
@@ -28,8 +40,13 @@ const SlimProductCard = ({
     displayPrice = storePrice;
   }
 
-  // Only calculate profit if in sell mode
-  const showProfit = actionType === 'sell';
+  // Which way the shelf price moved in the last market tick
+  const trend = actionType === 'buy' ? getPriceTrend(item) : null;
+
+  // Profit against what was paid: the store's offer when selling, otherwise
+  // the record's market value (held records only)
+  const showProfit =
+    actionType === 'sell' || (actionType === 'none' && purchasePrice !== null);
   // If we have a purchase price, calculate the profit/loss
   const profit = showProfit && purchasePrice ? displayPrice - purchasePrice : 0;
   const profitPercentage =
@@ -229,6 +246,22 @@ const SlimProductCard = ({
             ))}
           </div>
         </div>
+
+        {hint && (
+          <p
+            style={{
+              color: '#2563eb',
+              margin: '2px 0 0',
+              fontSize: '10px',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap',
+              width: '100%',
+            }}
+          >
+            {hint}
+          </p>
+        )}
       </div>
 
       {/* Price, condition and button column - fixed width */}
@@ -244,12 +277,40 @@ const SlimProductCard = ({
         {/* Price section */}
         <div style={{ textAlign: 'right' }}>
           <div style={{ fontWeight: 'bold', fontSize: '15px' }}>
+            {trend === 'up' && (
+              <FaArrowUp
+                size={9}
+                color="#dc2626"
+                title="Up since last hour"
+                style={{ marginRight: '3px' }}
+              />
+            )}
+            {trend === 'down' && (
+              <FaArrowDown
+                size={9}
+                color="#16a34a"
+                title="Down since last hour"
+                style={{ marginRight: '3px' }}
+              />
+            )}
             ${displayPrice.toFixed(2)}
+            {copies > 1 && (
+              <span
+                style={{
+                  marginLeft: '4px',
+                  fontSize: '11px',
+                  fontWeight: 'normal',
+                  color: '#6b7280',
+                }}
+              >
+                ×{copies}
+              </span>
+            )}
           </div>
 
           {showProfit && purchasePrice && (
             <div style={{ fontSize: '10px', color: '#6b7280' }}>
-              Paid: ${purchasePrice.toFixed(2)}
+              {copies > 1 ? 'Avg paid' : 'Paid'}: ${purchasePrice.toFixed(2)}
             </div>
           )}
 
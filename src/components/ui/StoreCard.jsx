@@ -3,7 +3,25 @@ import { FaClock, FaChevronRight, FaBolt } from 'react-icons/fa';
 import '../../App.css';
 import { useGame } from '../../contexts/GameContext';
 
-const StoreCard = ({ store, isOpen, formatTime, onClick, className = '' }) => {
+/**
+ * A store in the player's borough
+ * @param {Object} props
+ * @param {Object} props.store - stores row
+ * @param {boolean} props.isOpen - Whether the store is trading right now
+ * @param {string} [props.opensAt] - When a store outside its hours opens,
+ *   e.g. "10 AM"
+ * @param {Function} props.formatTime - Formats a clock hour
+ * @param {Function} props.onClick
+ * @param {string} [props.className]
+ */
+const StoreCard = ({
+  store,
+  isOpen,
+  opensAt = null,
+  formatTime,
+  onClick,
+  className = '',
+}) => {
   const { getActionsRemaining } = useGame();
   const [backgroundImage, setBackgroundImage] = useState(null);
   const [isAnimating, setIsAnimating] = useState(false);
@@ -62,6 +80,8 @@ const StoreCard = ({ store, isOpen, formatTime, onClick, className = '' }) => {
   return (
     <div
       className={`store-card-wrapper ${className} ${
+        isOpen === false ? 'store-card-closed' : ''
+      } ${
         backgroundImage ? 'has-store-bg' : ''
       } ${isTouched ? 'touch-active' : ''} ${
         isAnimating ? 'card-clicked' : ''
@@ -96,8 +116,19 @@ const StoreCard = ({ store, isOpen, formatTime, onClick, className = '' }) => {
 
         <div className="store-card-hours">
           <FaClock className="time-icon" />
-          <span>Open 24 Hours</span>
-          <span className="status-open">(OPEN)</span>
+          <span>
+            {typeof store.open_hour === 'number' &&
+            typeof store.close_hour === 'number'
+              ? `${formatTime(store.open_hour)}-${formatTime(store.close_hour)}`
+              : 'Open 24 Hours'}
+          </span>
+          {isOpen === false ? (
+            <span className="status-closed">
+              {opensAt ? `(OPENS AT ${opensAt})` : '(CLOSED EARLY)'}
+            </span>
+          ) : (
+            <span className="status-open">(OPEN)</span>
+          )}
         </div>
 
         <div className="store-card-genre">
@@ -0,0 +1,96 @@
+// src/components/ui/TurnStatus.jsx
+import { useState, useEffect, useRef } from 'react';
+import { FaCheckCircle, FaHourglassHalf, FaStopwatch } from 'react-icons/fa';
+import {
+  formatCountdown,
+  getTurnSecondsLeft,
+  getWaitingOn,
+} from '../../lib/turns';
+import { isWaitingForStore } from '../../lib/storeHours';
+import { formatGameTime } from '../../lib/timeUtils';
+
+const EXPIRY_RETRY_MS = 5000;
+
+/**
+ * Who has ended their turn this hour, and the turn timer if the game has one
+ * @param {Object} props
+ * @param {Object} props.game - games row
+ * @param {Array} props.players - The game's players rows
+ * @param {string} props.playerId - UUID of the viewing player
+ * @param {Function} props.onExpire - Called when the timer has run out
+ */
+const TurnStatus = ({ game, players = [], playerId, onExpire }) => {
+  const [secondsLeft, setSecondsLeft] = useState(() =>
+    getTurnSecondsLeft(game)
+  );
+  const lastExpiry = useRef(0);
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  useEffect(() => {
+    setSecondsLeft(getTurnSecondsLeft(game));
+    if (!game?.turn_seconds) return;
+
+    const timer = setInterval(() => {
+      const left = getTurnSecondsLeft(game);
+      setSecondsLeft(left);
+
+      // The server ignores early calls, so keep asking until the hour moves
+      if (left === 0 && Date.now() - lastExpiry.current >= EXPIRY_RETRY_MS) {
+        lastExpiry.current = Date.now();
+        onExpireRef.current?.();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [game]);
+
+  if (players.length < 2 && secondsLeft === null) return null;
+
+  const waitingOn = getWaitingOn(players);
+
+  return (
+    <div className="mb-4 p-3 bg-white rounded-lg shadow-md">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-bold">
+          {waitingOn.length === 0
+            ? 'Everyone is done'
+            : `Waiting on ${waitingOn.length} of ${players.length}`}
+        </span>
+        {secondsLeft !== null && (
+          <span
+            className={`flex items-center text-sm font-mono ${
+              secondsLeft <= 10 ? 'text-red-600' : 'text-gray-600'
+            }`}
+          >
+            <FaStopwatch className="mr-1" />
+            {formatCountdown(secondsLeft)}
+          </span>
+        )}
+      </div>
+      <ul className="text-sm space-y-1">
+        {players.map((p) => (
+          <li key={p.id} className="flex items-center">
+            {p.turn_completed ? (
+              <FaCheckCircle className="text-green-600 mr-2" />
+            ) : (
+              <FaHourglassHalf className="text-gray-400 mr-2" />
+            )}
+            <span className={p.id === playerId ? 'font-semibold' : ''}>
+              {p.username}
+              {p.id === playerId && ' (you)'}
+            </span>
+            <span className="ml-auto text-gray-500">
+              {isWaitingForStore(p, game)
+                ? `Back at ${formatGameTime(p.waiting_until_hour, game.max_hours)}`
+                : p.turn_completed
+                  ? 'Turn ended'
+                  : 'Playing'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TurnStatus;
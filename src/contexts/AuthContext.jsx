@@ -1,13 +1,7 @@
 import { createContext, useState, useEffect, useContext } from 'react';
-import {
-  supabase,
-  getCurrentUser,
-  signIn,
-  signUp,
-  signOut,
-  signInAnonymously,
-  tryAnonymousSignIn,
-} from '../lib/supabase';
+import { db } from '../lib/backend';
+import * as gameAPI from '../services/gameAPI';
+import { claimGuestPlay, linkGuestPlay } from '../lib/identity';
 import toast from 'react-hot-toast';
 import { generatePlayerName } from '../lib/nameGenerator';
 
@@ -25,16 +19,8 @@ export function AuthProvider({ children }) {
     // Load user on initial render
     const loadUser = async () => {
       try {
-        const currentUser = await getCurrentUser();
-        if (currentUser) {
-          setUser(currentUser);
-        } else {
-          // Try to sign in with anonymous credentials if available
-          const { data, error } = await tryAnonymousSignIn();
-          if (!error && data?.user) {
-            setUser(data.user);
-          }
-        }
+        const { data } = await db.auth.getUser();
+        if (data?.user) setUser(data.user);
       } catch (error) {
         console.error('Error loading user:', error);
       } finally {
@@ -47,13 +33,8 @@ export function AuthProvider({ children }) {
     // Listen for auth state changes
     const {
       data: { subscription },
-    } = supabase.auth.onAuthStateChange(async (event, session) => {
-      if (session) {
-        const currentUser = await getCurrentUser();
-        setUser(currentUser);
-      } else {
-        setUser(null);
-      }
+    } = db.auth.onAuthStateChange((event, session) => {
+      setUser(session?.user ?? null);
     });
 
     return () => {
@@ -61,16 +42,33 @@ export function AuthProvider({ children }) {
     };
   }, []);
 
+  // Moves games the guest played before signing in over to the account
+  const linkAccount = async (claimToken) => {
+    const { success } = await linkGuestPlay(claimToken);
+
+    if (!success) {
+      toast.error("Couldn't move your earlier games to this account");
+    }
+    gameAPI.clearCaches();
+  };
+
   // Login function
   const login = async (email, password) => {
     try {
-      const { data, error } = await signIn(email, password);
+      // Only the guest can vouch for its games, so ask before switching
+      const claimToken = await claimGuestPlay(user);
+      const { data, error } = await db.auth.signInWithPassword({
+        email,
+        password,
+      });
 
       if (error) {
         toast.error(error.message);
         return { success: false, error };
       }
 
+      await linkAccount(claimToken);
+
       toast.success('Logged in successfully!');
       return { success: true, data };
     } catch (error) {
@@ -82,7 +80,15 @@ export function AuthProvider({ children }) {
   // Register function
   const register = async (email, password, username) => {
     try {
-      const { data, error } = await signUp(email, password, username);
+      // An anonymous player becomes the account, keeping their user ID
+      const upgrading = Boolean(user?.is_anonymous);
+      const { data, error } = upgrading
+        ? await db.auth.updateUser({ email, password, data: { username } })
+        : await db.auth.signUp({
+            email,
+            password,
+            options: { data: { username } },
+          });
 
       if (error) {
         toast.error(error.message);
@@ -105,7 +111,13 @@ export function AuthProvider({ children }) {
       // Generate a username first so we can use it consistently
       const generatedUsername = generatePlayerName();
 
-      const { data, error } = await signInAnonymously(generatedUsername);
+      // A guest already playing keeps their user, and their games
+      const { data, error } = user
+        ? { data: { user }, error: null }
+        : await db.auth.signInAnonymously();
+      if (!error && data?.user) {
+        await db.auth.updateUser({ data: { username: generatedUsername } });
+      }
 
       if (error) {
         console.error('Play instantly error:', error);
@@ -129,7 +141,7 @@ export function AuthProvider({ children }) {
 
     try {
       // First try to get the user's player records directly from the client
-      const { data: playerRecords, error: playerError } = await supabase.rpc(
+      const { data: playerRecords, error: playerError } = await db.rpc(
         'get_player_records_for_user',
         { user_id_param: userId }
       );
@@ -144,7 +156,7 @@ export function AuthProvider({ children }) {
       }
 
       // Get the game data for each player record
-      const { data: gameData, error: gameError } = await supabase.rpc(
+      const { data: gameData, error: gameError } = await db.rpc(
         'get_games_for_user',
         { user_id_param: userId }
       );
@@ -172,7 +184,7 @@ export function AuthProvider({ children }) {
   // Logout function
   const logout = async () => {
     try {
-      const { error } = await signOut();
+      const { error } = await db.auth.signOut();
 
       if (error) {
         toast.error(error.message);
@@ -5,19 +5,42 @@ import {
   useEffect,
   useCallback,
   useMemo,
+  useRef,
 } from 'react';
-import { supabase } from '../lib/supabase';
+import { db } from '../lib/backend';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import { v4 as uuidv4 } from 'uuid';
 import {
   initializePlayer,
   travelToBorough,
   buyRecord,
   sellRecord,
+  visitStore,
+  waitUntilOpen,
+  endTurn as endPlayerTurn,
+  expireTurn,
+  borrowMoney,
+  repayLoan,
+  buyCarrier,
 } from '../lib/gameActions';
+import { getActionsRemaining as countActionsRemaining } from '../lib/actionEconomy';
+import { getActiveEvents } from '../lib/events';
+import {
+  getInventoryValue as getInventoryValueOf,
+  getNetWorth as getNetWorthFor,
+  getRealizedProfitTotal,
+} from '../lib/standings';
+import { subscribeToGame } from '../lib/realtime';
+import {
+  findPlayerId,
+  getResumeGameId,
+  getUserId,
+  setResumeGame,
+} from '../lib/identity';
 import ConfirmationModal from '../components/ui/ConfirmationModal';
 import * as gameAPI from '../services/gameAPI';
+import { playRivalTurns } from '../services/rivalPlayer';
+import { RIVAL_CLAIM_SECONDS } from '../lib/rivals';
 
 const GameContext = createContext();
 
@@ -30,7 +53,11 @@ export const GameProvider = ({ children }) => {
   const [player, setPlayer] = useState(null);
   const [playerInventory, setPlayerInventory] = useState([]);
   const [players, setPlayers] = useState([]);
-  const [playerId, setPlayerId] = useState(null);
+  const [userId, setUserId] = useState(null);
+  // The game a page last asked for, which wins over resuming
+  const requestedGameId = useRef(null);
+  const [marketEvents, setMarketEvents] = useState([]);
+  const [realizedProfit, setRealizedProfit] = useState(0);
 
   // UI state
   const [loading, setLoading] = useState(false); // Start with loading false since we'll set it when needed
@@ -60,56 +87,95 @@ export const GameProvider = ({ children }) => {
     }
   }, []);
 
-  // Generate or retrieve player ID
+  // Resolve who is playing, again whenever someone signs in or out
   useEffect(() => {
-    try {
-      const currentGameId = localStorage.getItem('deliWarsCurrentGame');
-      const gameSpecificPlayerId = currentGameId
-        ? localStorage.getItem(`player_${currentGameId}`)
-        : null;
-
-      if (
-        gameSpecificPlayerId &&
-        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
-          gameSpecificPlayerId
-        )
-      ) {
-        setPlayerId(gameSpecificPlayerId);
+    getUserId()
+      .then(setUserId)
+      .catch(setError)
+      .finally(() => {
+        setInitialized(true);
+        setLoading(false);
+      });
+
+    const {
+      data: { subscription },
+    } = db.auth.onAuthStateChange((event, session) => {
+      if (session?.user) {
+        setUserId(session.user.id);
       } else {
-        const storedPlayerId = localStorage.getItem('deliWarsPlayerId');
-        if (
-          storedPlayerId &&
-          /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
-            storedPlayerId
-          )
-        ) {
-          setPlayerId(storedPlayerId);
-        } else {
-          const newPlayerId = uuidv4();
-          localStorage.setItem('deliWarsPlayerId', newPlayerId);
-          setPlayerId(newPlayerId);
-        }
+        // Signed out - carry on as a new guest. Deferred, since auth calls
+        // inside the listener can deadlock the client
+        setTimeout(() => getUserId().then(setUserId).catch(setError), 0);
       }
-    } catch (err) {
-      setError(err);
-    } finally {
-      setInitialized(true);
-      setLoading(false);
-    }
+    });
+    return () => {
+      subscription.unsubscribe();
+    };
   }, []);
 
-  // Check for stored game on mount
+  // Pick up where this user left off - on this device or another one
   useEffect(() => {
-    if (!initialized) return;
-
-    const storedGameId = localStorage.getItem('deliWarsCurrentGame');
-    if (storedGameId && playerId) {
-      setLoading(true); // Set loading true before loading game
-      loadGame(storedGameId).finally(() => {
-        setLoading(false); // Set loading false after game load attempt
+    if (!initialized || !userId) return;
+
+    // A different user on this device doesn't see the last one's game
+    setCurrentGame(null);
+    setPlayer(null);
+    setPlayers([]);
+    setPlayerInventory([]);
+    requestedGameId.current = null;
+
+    let cancelled = false;
+    setLoading(true);
+    getResumeGameId(userId)
+      .then((gameId) => {
+        if (cancelled || requestedGameId.current) return null;
+        setResumeGame(gameId);
+        return gameId && loadGame(gameId);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
       });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, initialized]);
+
+  // Market events can start whenever the hour changes
+  useEffect(() => {
+    if (!currentGame?.id) {
+      setMarketEvents([]);
+      return;
     }
-  }, [playerId, initialized]);
+
+    let cancelled = false;
+    gameAPI.fetchMarketEvents(currentGame.id).then((events) => {
+      if (!cancelled) setMarketEvents(events);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentGame?.id, currentGame?.current_hour]);
+
+  // Realized profit only moves when a sale changes the player's cash
+  useEffect(() => {
+    if (!currentGame?.id || !player?.id) {
+      setRealizedProfit(0);
+      return;
+    }
+
+    let cancelled = false;
+    gameAPI.fetchLedger(player.id, currentGame.id).then((transactions) => {
+      if (!cancelled) setRealizedProfit(getRealizedProfitTotal(transactions));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentGame?.id, player?.id, player?.cash]);
+
+  const activeEvents = useMemo(
+    () => getActiveEvents(marketEvents, currentGame?.current_hour),
+    [marketEvents, currentGame?.current_hour]
+  );
 
   // Unified data fetching
   const fetchGameData = useCallback(async () => {
@@ -165,6 +231,41 @@ export const GameProvider = ({ children }) => {
     }
   }, [player?.id]);
 
+  // Live updates for the current game: the hour, every player's cash,
+  // location and turn state are pushed instead of polled
+  useEffect(() => {
+    if (!currentGame?.id) return;
+
+    return subscribeToGame(currentGame.id, {
+      onGameChange: (game) =>
+        setCurrentGame((prev) =>
+          prev?.id === game.id ? { ...prev, ...game } : prev
+        ),
+      onPlayerChange: (row, eventType) => {
+        setPlayers((prev) => {
+          if (eventType === 'DELETE') {
+            return prev.filter((p) => p.id !== row.id);
+          }
+          return prev.some((p) => p.id === row.id)
+            ? prev.map((p) => (p.id === row.id ? { ...p, ...row } : p))
+            : [...prev, row];
+        });
+        if (eventType === 'UPDATE') {
+          setPlayer((prev) =>
+            prev?.id === row.id ? { ...prev, ...row } : prev
+          );
+        }
+      },
+    });
+  }, [currentGame?.id]);
+
+  // A pushed move carries the new borough ID but not the joined borough
+  useEffect(() => {
+    if (player?.boroughs && player.boroughs.id !== player.current_borough_id) {
+      refreshPlayerData();
+    }
+  }, [player?.current_borough_id, player?.boroughs, refreshPlayerData]);
+
   // Refresh player inventory
   const refreshPlayerInventory = useCallback(async () => {
     if (!player?.id) return false;
@@ -178,152 +279,190 @@ export const GameProvider = ({ children }) => {
     }
   }, [player?.id]);
 
-  // Action economy helpers
-  const getActionsRemaining = useCallback(() => {
-    if (!player) return 0;
-    const maxActionsPerHour = 4; // Could be moved to a game setting
-    return maxActionsPerHour - (player.actions_used_this_hour || 0);
-  }, [player]);
+  // Records are revalued every hour, whichever player's turn advanced it
+  useEffect(() => {
+    if (!currentGame?.current_hour) return;
+    gameAPI.clearCaches();
+    refreshPlayerInventory();
+  }, [currentGame?.current_hour, refreshPlayerInventory]);
+
+  // Every player's client offers to play the AI rivals, one run at a time.
+  // The server lets one client hold the claim; the others try again once
+  // it could have run out, so rivals keep moving when that client leaves.
+  const rivalsPlaying = useRef(false);
+  const rivalRetryTimer = useRef(null);
+  const [rivalRetries, setRivalRetries] = useState(0);
+  const hasRivalToPlay = players.some((p) => p.is_rival && !p.turn_completed);
+  const canPlayRivals = Boolean(player && !player.is_rival);
 
-  const useActions = useCallback(
-    async (actionCount) => {
-      if (!player || !currentGame) return { success: false };
+  useEffect(() => {
+    if (currentGame?.status !== 'active' || !canPlayRivals || !hasRivalToPlay)
+      return;
+    if (rivalsPlaying.current) return;
+
+    rivalsPlaying.current = true;
+    playRivalTurns(currentGame.id)
+      .then((played) => {
+        if (played) return;
+        clearTimeout(rivalRetryTimer.current);
+        rivalRetryTimer.current = setTimeout(
+          () => setRivalRetries((n) => n + 1),
+          RIVAL_CLAIM_SECONDS * 1000
+        );
+      })
+      .finally(() => {
+        rivalsPlaying.current = false;
+      });
+  }, [
+    currentGame?.id,
+    currentGame?.status,
+    currentGame?.current_hour,
+    canPlayRivals,
+    hasRivalToPlay,
+    rivalRetries,
+  ]);
+
+  useEffect(() => () => clearTimeout(rivalRetryTimer.current), []);
+
+  // Action economy - the server charges actions, we only display them
+  const getActionsRemaining = useCallback(
+    () => countActionsRemaining(player, currentGame),
+    [player, currentGame]
+  );
+
+  // Render the player state an action RPC returned
+  const applyActionResult = useCallback(
+    (result, { announceHour = true } = {}) => {
+      if (!result?.success) return result;
 
-      const actionsRemaining = getActionsRemaining();
-      if (actionsRemaining < actionCount) {
-        return {
-          success: false,
-          message: `Not enough actions (need ${actionCount}, have ${actionsRemaining})`,
-        };
+      if (result.player) {
+        setPlayer((prev) => ({ ...prev, ...result.player }));
       }
 
-      // Update the player's actions used
-      const data = await gameAPI.updatePlayerActions(
-        player.id,
-        (player.actions_used_this_hour || 0) + actionCount
-      );
+      if (result.currentHour !== undefined && result.currentHour !== null) {
+        setCurrentGame((prev) =>
+          prev
+            ? {
+                ...prev,
+                current_hour: result.currentHour,
+                status: result.gameOver ? 'completed' : prev.status,
+              }
+            : prev
+        );
+      }
 
-      if (!data) {
-        return { success: false, error: 'Failed to update actions' };
+      if (result.hourAdvanced) {
+        gameAPI.clearCaches();
+        if (announceHour && !result.gameOver) {
+          toast('Out of actions - advancing to the next hour');
+        }
+      } else if (announceHour && result.player?.turn_completed) {
+        toast('Out of actions - waiting for the other players');
       }
 
-      // Update local state
-      setPlayer(data);
-      return { success: true };
+      if (result.gameOver && currentGame?.id) {
+        toast.success('Game over! Final results are in.');
+        navigate(`/game/${currentGame.id}/results`);
+      }
+
+      return result;
     },
-    [player, currentGame, getActionsRemaining]
+    [currentGame?.id, navigate]
   );
 
-  // Advance game hour
-  const advanceGameHour = useCallback(async () => {
+  // End this player's turn; the hour advances once everyone has ended theirs
+  const endTurn = useCallback(async () => {
     if (!currentGame || !player?.id) return { success: false };
 
-    const newHour = currentGame.current_hour - 1;
-    const success = await gameAPI.advanceGameHour(
-      currentGame.id,
-      newHour,
-      player.id
-    );
-
-    if (!success) {
-      console.error('Failed to advance game hour');
-      return { success: false };
-    }
+    const result = await endPlayerTurn(player.id, currentGame.id);
+    if (!result.success) return result;
 
-    // Force clear all caches to ensure fresh data
-    if (gameAPI.clearCaches) {
-      gameAPI.clearCaches();
-    }
+    applyActionResult(result, { announceHour: false });
+    return result;
+  }, [currentGame, player?.id, applyActionResult]);
 
-    // Refresh data
-    await refreshPlayerData();
+  // Ask the server to end idle players' turns once the turn timer runs out
+  const expireIdleTurns = useCallback(async () => {
+    if (!currentGame) return { success: false };
 
-    // Update local game state immediately for UI responsiveness
-    setCurrentGame((prev) => ({
-      ...prev,
-      current_hour: newHour,
-    }));
+    const result = await expireTurn(currentGame.id);
+    return applyActionResult(result, { announceHour: false });
+  }, [currentGame, applyActionResult]);
 
-    // Force a full data refresh to ensure everything is in sync
-    await fetchGameData();
+  // Walk into a store in the current borough
+  const enterStore = useCallback(
+    async (storeId) => {
+      if (!player || !currentGame) return { success: false };
 
-    console.log(`Game hour advanced to ${newHour}`);
-    return { success: true };
-  }, [currentGame, player?.id, refreshPlayerData, fetchGameData]);
+      const result = await visitStore(player.id, currentGame.id, storeId);
+      return applyActionResult(result);
+    },
+    [player, currentGame, applyActionResult]
+  );
 
-  // Core action economy system
-  const attemptAction = useCallback(
-    async (actionCost, performAction) => {
+  // Sit out the hours until a closed store opens
+  const waitForStore = useCallback(
+    async (storeId) => {
       if (!player || !currentGame) return { success: false };
 
-      const actionsRemaining = getActionsRemaining();
+      const result = await waitUntilOpen(player.id, currentGame.id, storeId);
+      return applyActionResult(result, { announceHour: false });
+    },
+    [player, currentGame, applyActionResult]
+  );
 
-      // If player has enough actions, simply use them and perform the action
-      if (actionsRemaining >= actionCost) {
-        // Use actions
-        const { success: actionsSuccess } = await useActions(actionCost);
-        if (!actionsSuccess) {
-          return { success: false, message: 'Failed to use actions' };
-        }
+  // Borrow from or repay the loan shark
+  const borrow = useCallback(
+    async (amount) => {
+      if (!player || !currentGame) return { success: false };
 
-        // Perform the action
-        return await performAction();
-      }
-      // Not enough actions - handle overflow
-      else {
-        // Calculate overflow
-        const overflow = actionCost - actionsRemaining;
-
-        // Automatically advance to next hour
-        toast(
-          `Advancing to next hour (${overflow} actions will be used from next hour)`
-        );
+      const result = await borrowMoney(player.id, currentGame.id, amount);
+      return applyActionResult(result);
+    },
+    [player, currentGame, applyActionResult]
+  );
 
-        // Use whatever actions remain in this hour
-        if (actionsRemaining > 0) {
-          await useActions(actionsRemaining);
-        }
+  const repay = useCallback(
+    async (amount) => {
+      if (!player || !currentGame) return { success: false };
 
-        // Store overflow amount for next hour
-        await gameAPI.setPlayerOverflow(player.id, overflow);
+      const result = await repayLoan(player.id, currentGame.id, amount);
+      return applyActionResult(result);
+    },
+    [player, currentGame, applyActionResult]
+  );
 
-        // Advance hour
-        const { success } = await advanceGameHour();
-        if (!success) {
-          return { success: false, message: "Couldn't advance to next hour" };
-        }
+  const upgradeCarrier = useCallback(
+    async (carrierType) => {
+      if (!player || !currentGame) return { success: false };
 
-        // Now perform the action (it's already "paid for" with the overflow)
-        return await performAction();
-      }
+      const result = await buyCarrier(player.id, currentGame.id, carrierType);
+      return applyActionResult(result);
     },
-    [player, currentGame, getActionsRemaining, useActions, advanceGameHour]
+    [player, currentGame, applyActionResult]
   );
 
   // Create game
-  const createGame = async (playerName) => {
+  const createGame = async (playerName, options) => {
     try {
       // Clear any existing game data first to prevent conflicts
       setCurrentGame(null);
       setPlayer(null);
       setPlayerInventory([]);
 
-      // Remove any stored game ID to prevent the useEffect from trying to load it
-      localStorage.removeItem('deliWarsCurrentGame');
+      // Forget the last game so a failed create doesn't resume it
+      setResumeGame(null);
 
       setLoading(true);
 
-      const result = await gameAPI.createGame(playerName);
+      const result = await gameAPI.createGame(playerName, options);
 
       if (!result.success) {
         toast.error('Failed to create game');
         return result;
       }
 
-      // Store IDs
-      localStorage.setItem(`player_${result.gameId}`, result.playerId);
-      localStorage.setItem('deliWarsCurrentGame', result.gameId);
-      setPlayerId(result.playerId);
+      setResumeGame(result.gameId);
 
       // Set state
       setCurrentGame(result.game);
@@ -340,13 +479,18 @@ export const GameProvider = ({ children }) => {
 
   // Join game
   const joinGame = async (gameId, playerName = null) => {
-    if (!playerId) return { success: false, error: new Error('No player ID') };
+    if (!userId) return { success: false, error: new Error('No user ID') };
     if (!gameId)
       return { success: false, error: new Error('No game ID provided') };
 
     try {
       setLoading(true);
-      const result = await gameAPI.joinGame(gameId, playerId, playerName);
+      const result = await gameAPI.joinGame(gameId, userId, playerName);
+
+      if (result.gameOver) {
+        navigate(`/game/${gameId}/results`);
+        return result;
+      }
 
       if (!result.success) {
         toast.error(result.error?.message || 'Failed to join game');
@@ -354,7 +498,7 @@ export const GameProvider = ({ children }) => {
       }
 
       // Store info
-      localStorage.setItem('deliWarsCurrentGame', gameId);
+      setResumeGame(gameId);
       if (result.playerName) {
         localStorage.setItem('deliWarsPlayerName', result.playerName);
       }
@@ -378,16 +522,9 @@ export const GameProvider = ({ children }) => {
 
     try {
       setGameLoading(true);
+      requestedGameId.current = gameId;
 
-      // Get game-specific player ID if available
-      const gameSpecificPlayerId = localStorage.getItem(`player_${gameId}`);
-      const playerIdToUse = gameSpecificPlayerId || playerId;
-
-      // If we found a game-specific ID that's different, update state
-      if (gameSpecificPlayerId && gameSpecificPlayerId !== playerId) {
-        setPlayerId(gameSpecificPlayerId);
-      }
-
+      const playerIdToUse = await findPlayerId(gameId, userId);
       if (!playerIdToUse) {
         return { success: false, needsJoin: true };
       }
@@ -424,7 +561,7 @@ export const GameProvider = ({ children }) => {
       setPlayers(result.allPlayers || []);
       setPlayerInventory(result.inventory || []);
 
-      localStorage.setItem('deliWarsCurrentGame', gameId);
+      setResumeGame(gameId);
 
       return result;
     } catch (error) {
@@ -441,11 +578,10 @@ export const GameProvider = ({ children }) => {
 
     try {
       setLoading(true);
-      const success = await gameAPI.startGame(gameId);
+      const result = await gameAPI.startGame(gameId);
 
-      if (!success) {
-        toast.error('Failed to start game');
-        return { success: false };
+      if (!result.success) {
+        return result;
       }
 
       // Update local state
@@ -453,7 +589,7 @@ export const GameProvider = ({ children }) => {
         setCurrentGame((prev) => ({
           ...prev,
           status: 'active',
-          current_hour: 24,
+          current_hour: prev.max_hours,
         }));
       }
 
@@ -473,43 +609,22 @@ export const GameProvider = ({ children }) => {
     try {
       setLoading(true);
 
-      // Get travel costs
-      const travelInfo = await gameAPI.getTravelInfo(
-        player.id,
-        transportationId,
-        neighborhoodId
-      );
-
-      if (!travelInfo) {
-        setLoading(false);
-        return { success: false, message: "Couldn't get travel information" };
-      }
-
-      // Check if player has enough money
-      if (player.cash < travelInfo.monetary_cost) {
-        setLoading(false);
-        return {
-          success: false,
-          message: `Not enough money. Travel costs $${travelInfo.monetary_cost} but you only have $${player.cash}.`,
-        };
-      }
-
-      // Handle action cost with the generic function
-      return await attemptAction(travelInfo.action_cost, async () => {
-        const success = await gameAPI.movePlayer(
+      const result = applyActionResult(
+        await travelToBorough(
           player.id,
+          currentGame.id,
           neighborhoodId,
-          player.cash - travelInfo.monetary_cost
-        );
+          transportationId
+        )
+      );
 
-        if (!success) {
-          return { success: false, message: 'Failed to travel' };
-        }
+      if (!result.success) {
+        return { success: false, message: result.error?.message };
+      }
 
-        // Refresh player data
-        await refreshPlayerData();
-        return { success: true };
-      });
+      // Pick up the new borough's name
+      await refreshPlayerData();
+      return result;
     } catch (error) {
       return { success: false, error };
     } finally {
@@ -518,98 +633,31 @@ export const GameProvider = ({ children }) => {
   };
 
   // Buy product
-  const buyProduct = async (productId, quantity, storeId, neighborhoodId) => {
+  const buyProduct = async (productId, quantity, storeId, inventoryId) => {
+    if (!player || !currentGame) {
+      return { success: false, error: new Error('Game or player not found') };
+    }
+
     try {
       setLoading(true);
 
-      if (!player || !currentGame) {
-        return { success: false, error: new Error('Game or player not found') };
-      }
-
-      // Get product price first to display immediate feedback
-      const { data: productData } = await supabase
-        .from('market_inventory')
-        .select('current_price')
-        .eq('product_id', productId)
-        .eq('store_id', storeId)
-        .eq('game_id', currentGame.id)
-        .single();
-
-      const price = productData?.current_price || 0;
-
-      if (price <= 0) {
-        return {
-          success: false,
-          error: new Error('Price not available or invalid'),
-        };
-      }
-
-      // Check if player has enough cash
-      if (player.cash < price * quantity) {
-        toast.error(
-          `Not enough cash. You need $${price * quantity} but have $${
-            player.cash
-          }`
-        );
-        return {
-          success: false,
-          error: new Error('Not enough cash'),
-        };
-      }
-
-      // Assume buying costs 1 action
-      const actionCost = 1;
-
-      // IMPORTANT: Update local state IMMEDIATELY for UI responsiveness
-      const newCash = Math.max(0, player.cash - price * quantity);
-      setPlayer((prevPlayer) => ({
-        ...prevPlayer,
-        cash: newCash,
-        inventory_count: (prevPlayer.inventory_count || 0) + quantity,
-      }));
-
-      // Add a slight delay so UI can update before we start server actions
-      await new Promise((resolve) => setTimeout(resolve, 50));
-
-      return await attemptAction(actionCost, async () => {
-        const result = await buyRecord(
+      const result = applyActionResult(
+        await buyRecord(
           player.id,
           currentGame.id,
           storeId,
           productId,
-          quantity
-        );
-
-        if (result.success) {
-          // IMPORTANT: Double update to make sure UI reflects the purchase
-          setPlayer((prevPlayer) => ({
-            ...prevPlayer,
-            cash: newCash,
-            inventory_count: (prevPlayer.inventory_count || 0) + quantity,
-          }));
-
-          // Explicitly refresh player data to get actual server state
-          await refreshPlayerData();
-
-          // Then refresh inventory to show new purchase
-          await refreshPlayerInventory();
-
-          // Finally, a full data refresh to ensure everything is in sync
-          await fetchGameData();
+          quantity,
+          inventoryId
+        )
+      );
 
-          toast.success('Purchase successful!');
-        } else {
-          // Revert the optimistic update if purchase failed
-          await refreshPlayerData();
-          toast.error(result.message || 'Purchase failed');
-        }
+      if (result.success) {
+        await refreshPlayerInventory();
+      }
 
-        return result;
-      });
+      return result;
     } catch (error) {
-      // Ensure we refresh player data even on error
-      await refreshPlayerData();
-      toast.error(`Error: ${error.message}`);
       return { success: false, error };
     } finally {
       setLoading(false);
@@ -618,13 +666,13 @@ export const GameProvider = ({ children }) => {
 
   // Sell product
   const sellProduct = async (inventoryItemId, quantity, storeId) => {
+    if (!player || !currentGame) {
+      return { success: false, error: new Error('Game or player not found') };
+    }
+
     try {
       setLoading(true);
 
-      if (!player || !currentGame) {
-        return { success: false, error: new Error('Game or player not found') };
-      }
-
       // Find the product ID
       const inventoryItem =
         playerInventory.find((item) => item.id === inventoryItemId) ||
@@ -634,143 +682,40 @@ export const GameProvider = ({ children }) => {
         return { success: false, error: new Error('Inventory item not found') };
       }
 
-      // Use action economy system
-      return await attemptAction(1, async () => {
-        const result = await sellRecord(
+      const result = applyActionResult(
+        await sellRecord(
           player.id,
           currentGame.id,
           storeId,
           inventoryItem.product_id,
           quantity,
           inventoryItemId
-        );
-
-        if (result && result.success) {
-          // First, immediately update the local inventory state to remove the sold item
-          setPlayerInventory((prev) =>
-            prev.filter((item) => item.id !== inventoryItemId)
-          );
-
-          // Update the player's cash immediately if we know the sale price
-          // This reduces the need for a separate API call just for the cash update
-          const sellPrice =
-            playerInventory.find((item) => item.id === inventoryItemId)
-              ?.estimated_current_price * 0.75;
-          if (sellPrice && player.cash !== undefined) {
-            setPlayer((prev) => ({
-              ...prev,
-              cash: prev.cash + sellPrice,
-            }));
-          }
-
-          // Explicitly refresh player data (for cash update)
-          await refreshPlayerData();
-
-          // Then refresh inventory to update after sale
-          await refreshPlayerInventory();
-
-          // Finally, a full data refresh to ensure everything is in sync
-          await fetchGameData();
-
-          toast.success('Sale successful!');
-          return { success: true };
-        } else {
-          toast.error(result?.error?.message || 'Sale failed');
-          return { success: false };
-        }
-      });
-    } catch (error) {
-      toast.error(`Error: ${error.message}`);
-      return { success: false, error };
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  // End turn
-  const endTurn = async () => {
-    if (!player || !currentGame) return { success: false };
-
-    try {
-      setLoading(true);
-      const result = await gameAPI.endPlayerTurn(player.id, currentGame.id);
-
-      if (!result.success) {
-        toast.error('Failed to end turn');
-        return result;
-      }
-
-      // Update game hour locally immediately for responsive UI
-      if (result.allCompleted && result.nextHour) {
-        setCurrentGame((prev) => ({
-          ...prev,
-          current_hour: result.nextHour,
-        }));
-      }
-
-      if (result.allCompleted) {
-        // Game state was updated on server
-        if (result.gameOver) {
-          toast.success('Game over! Final results are in.');
-        } else {
-          toast.success(`Time passing... ${result.nextHour} hours remaining`);
-        }
-      } else {
-        toast.success('Turn completed, waiting for other players');
-      }
+        )
+      );
 
-      // Force clear all caches to ensure fresh data
-      if (gameAPI.clearCaches) {
-        gameAPI.clearCaches();
+      if (result.success) {
+        await refreshPlayerInventory();
       }
 
-      // Force refresh full game data
-      await fetchGameData();
-
-      console.log('End turn completed, next hour:', result.nextHour);
-      return { success: true };
+      return result;
     } catch (error) {
-      console.error('End turn error:', error);
-      toast.error(`Error: ${error.message}`);
       return { success: false, error };
     } finally {
       setLoading(false);
     }
   };
 
-  // Calculate net worth (cash + inventory value - loan)
-  const getNetWorth = useCallback(() => {
-    if (!player) return 0;
-
-    // Calculate total inventory value
-    const totalInventoryValue = playerInventory.reduce((sum, item) => {
-      return (
-        sum +
-        (item.estimated_current_price || item.purchase_price || 0) *
-          (item.quantity || 0)
-      );
-    }, 0);
-
-    // Get player cash and loan amounts
-    const cashAmount = player.cash || 0;
-    const loanAmount = player.loan_amount || 0;
-
-    // Calculate net worth
-    return cashAmount + totalInventoryValue - loanAmount;
-  }, [player, playerInventory]);
+  // Calculate net worth (cash + inventory value - loan) - same formula as the results
+  const getNetWorth = useCallback(
+    () => getNetWorthFor(player, playerInventory || []),
+    [player, playerInventory]
+  );
 
   // Get total inventory value for display purposes
-  const getInventoryValue = useCallback(() => {
-    if (!playerInventory || playerInventory.length === 0) return 0;
-
-    return playerInventory.reduce((sum, item) => {
-      return (
-        sum +
-        (item.estimated_current_price || item.purchase_price || 0) *
-          (item.quantity || 0)
-      );
-    }, 0);
-  }, [playerInventory]);
+  const getInventoryValue = useCallback(
+    () => getInventoryValueOf(playerInventory || []),
+    [playerInventory]
+  );
 
   // Calculate total inventory
   const inventoryCount =
@@ -783,9 +728,13 @@ export const GameProvider = ({ children }) => {
       player,
       playerInventory,
       players,
+      activeEvents,
+      realizedProfit,
       loading: loading || gameLoading, // Combine both loading states
       error,
       initialized,
+      userId,
+      playerId: player?.id ?? null,
       createGame,
       joinGame,
       loadGame,
@@ -794,9 +743,13 @@ export const GameProvider = ({ children }) => {
       buyProduct,
       sellProduct,
       endTurn,
+      expireIdleTurns,
+      enterStore,
+      waitForStore,
+      borrow,
+      repay,
+      upgradeCarrier,
       getActionsRemaining,
-      useActions,
-      advanceGameHour,
       refreshPlayerInventory,
       refreshPlayerData,
       fetchGameData,
@@ -811,17 +764,24 @@ export const GameProvider = ({ children }) => {
       player,
       playerInventory,
       players,
+      activeEvents,
+      realizedProfit,
       loading,
       gameLoading,
       error,
       initialized,
-      playerId,
+      userId,
       confirmationOpen,
       confirmationProps,
       pendingAction,
       getActionsRemaining,
-      useActions,
-      advanceGameHour,
+      enterStore,
+      waitForStore,
+      borrow,
+      repay,
+      upgradeCarrier,
+      endTurn,
+      expireIdleTurns,
       refreshPlayerData,
       fetchGameData,
       refreshPlayerInventory,
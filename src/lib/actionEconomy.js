@@ -0,0 +1,24 @@
+// src/lib/actionEconomy.js
+
+/**
+ * Action economy rules. The server charges actions inside each action RPC
+ * (db/action_economy.sql and the local backend); the client only reads
+ * these to show what an action will cost and how many are left.
+ */
+
+export const ACTIONS_PER_HOUR = 4;
+
+export const ACTION_COSTS = {
+  buy: 1,
+  sell: 1,
+  visitStore: 1,
+  loan: 1,
+  buyCarrier: 1,
+};
+
+// The host can change it per game (games.actions_per_hour)
+export const getActionsPerHour = (game) =>
+  game?.actions_per_hour || ACTIONS_PER_HOUR;
+
+export const getActionsRemaining = (player, game) =>
+  Math.max(0, getActionsPerHour(game) - (player?.actions_used_this_hour || 0));
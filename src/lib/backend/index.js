@@ -0,0 +1,40 @@
+// src/lib/backend/index.js
+import { isSupabaseConfigured } from '../supabase';
+import { createSupabaseBackend } from './supabaseBackend';
+import { createLocalBackend } from './localBackend';
+
+/**
+ * Data backend selection.
+ * VITE_DATA_BACKEND=local forces the in-memory store; =supabase forces
+ * Supabase. Left unset, Supabase is used when its credentials are present
+ * and the local store otherwise.
+ *
+ * Both backends expose a Supabase-compatible client (from, rpc, auth,
+ * channel), so callers import `db` instead of the supabase client directly.
+ */
+const requestedBackend = import.meta.env.VITE_DATA_BACKEND;
+
+const selectBackend = () => {
+  if (requestedBackend === 'local') return createLocalBackend();
+
+  if (requestedBackend === 'supabase' || isSupabaseConfigured) {
+    if (!isSupabaseConfigured) {
+      throw new Error(
+        'Missing Supabase environment variables. Check your .env file and make sure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set.'
+      );
+    }
+    return createSupabaseBackend();
+  }
+
+  return createLocalBackend();
+};
+
+export const backend = selectBackend();
+
+// Supabase-compatible client for the active backend
+export const db = backend.client;
+
+// Client that bypasses HTTP caching (same as db for the local backend)
+export const dbNoCache = backend.noCacheClient;
+
+export const isLocalBackend = backend.name === 'local';
@@ -0,0 +1,770 @@
+// src/lib/backend/localBackend.js
+import { LocalQuery } from './localQuery';
+import { createSeedTables } from './localSeed';
+import { localRpc } from './localRpc';
+import { LocalDbError } from './localErrors';
+import { findBoroughDistance, quoteTravel } from '../travel';
+import { getCarrier } from '../carriers';
+import { getActiveEvents, isSubwayOut } from '../events';
+
+/**
+ * In-memory implementation of the data backend.
+ * Exposes the same surface as the Supabase client (from, rpc, auth, channel)
+ * so gameAPI and gameActions run unchanged without a network connection.
+ * Table contents are snapshotted to localStorage after every write so a page
+ * reload resumes the same game.
+ */
+
+const STORAGE_KEY = 'vinylTraderLocalDb';
+const AUTH_KEY = 'vinylTraderLocalAuth';
+const SCHEMA_VERSION = 1;
+
+// Column defaults and foreign keys for every table the game touches
+const TABLES = {
+  games: {
+    defaults: {
+      status: 'waiting',
+      current_hour: 24,
+      max_hours: 24,
+      current_player_id: null,
+      started_at: null,
+      ended_at: null,
+      turn_seconds: null,
+      hour_started_at: null,
+      starting_cash: 100,
+      starting_loan: 100,
+      actions_per_hour: 4,
+      enabled_borough_ids: null,
+      skip_overnight: false,
+      seed: null,
+      daily_date: null,
+      rivals_claimed_by: null,
+      rivals_claimed_until: null,
+    },
+  },
+  players: {
+    defaults: {
+      username: null,
+      cash: 100,
+      loan_amount: 100,
+      loan_interest_rate: 50,
+      inventory_capacity: 10,
+      inventory_count: 0,
+      carrier_type: 'Backpack',
+      actions_used_this_hour: 0,
+      actions_overflow: 0,
+      turn_completed: false,
+      is_ready: false,
+      waiting_until_hour: null,
+      is_rival: false,
+      rival_strategy: null,
+      rival_seed: null,
+    },
+    relations: { game_id: 'games', current_borough_id: 'boroughs' },
+  },
+  player_inventory: {
+    defaults: { quantity: 1, estimated_current_price: null },
+    relations: { player_id: 'players', product_id: 'products' },
+    unique: {
+      player_inventory_player_id_product_id_condition_key: [
+        'player_id',
+        'product_id',
+        'condition',
+      ],
+    },
+  },
+  market_inventory: {
+    defaults: { base_markup: 1.0, quality_rating: 0.7, previous_price: null },
+    relations: { game_id: 'games', store_id: 'stores', product_id: 'products' },
+  },
+  market_events: {
+    defaults: {
+      genre: null,
+      borough_id: null,
+      store_id: null,
+      price_factor: null,
+    },
+    relations: { game_id: 'games', borough_id: 'boroughs', store_id: 'stores' },
+  },
+  price_notebook: {
+    defaults: {
+      buy_price: null,
+      buy_hour: null,
+      sell_price: null,
+      sell_hour: null,
+    },
+    relations: {
+      game_id: 'games',
+      player_id: 'players',
+      store_id: 'stores',
+      product_id: 'products',
+    },
+    unique: {
+      price_notebook_player_id_store_id_product_id_condition_key: [
+        'player_id',
+        'store_id',
+        'product_id',
+        'condition',
+      ],
+    },
+  },
+  net_worth_snapshots: {
+    relations: { game_id: 'games', player_id: 'players' },
+  },
+  daily_digs: {
+    unique: { daily_digs_pkey: ['daily_date'] },
+  },
+  identity_claims: {},
+  daily_scores: {
+    defaults: { username: null, net_worth: null },
+    relations: { game_id: 'games', player_id: 'players' },
+    unique: { daily_scores_daily_date_user_id_key: ['daily_date', 'user_id'] },
+  },
+  transactions: {
+    defaults: { borough_id: null, condition: null, cost_basis: null },
+    relations: {
+      game_id: 'games',
+      player_id: 'players',
+      product_id: 'products',
+      store_id: 'stores',
+      borough_id: 'boroughs',
+    },
+  },
+  player_actions: {
+    defaults: { actions_used: 0, actions_available: 4 },
+    relations: { player_id: 'players', game_id: 'games' },
+  },
+  boroughs: {},
+  stores: { relations: { borough_id: 'boroughs' } },
+  store_boroughs: { relations: { store_id: 'stores', borough_id: 'boroughs' } },
+  products: {},
+  transportation_methods: {},
+  borough_distances: {
+    relations: { from_borough_id: 'boroughs', to_borough_id: 'boroughs' },
+  },
+};
+
+// Read-only views computed from the tables above
+const VIEWS = {
+  player_game_state: (db) =>
+    db.rows('players').map((player) => {
+      const game = db.find('games', (g) => g.id === player.game_id);
+      const borough = db.find(
+        'boroughs',
+        (b) => b.id === player.current_borough_id
+      );
+      return {
+        player_id: player.id,
+        game_id: player.game_id,
+        username: player.username,
+        cash: player.cash,
+        loan_amount: player.loan_amount,
+        inventory_capacity: player.inventory_capacity,
+        inventory_count: player.inventory_count,
+        actions_used_this_hour: player.actions_used_this_hour,
+        current_borough_id: player.current_borough_id,
+        current_borough: borough?.name || null,
+        current_hour: game?.current_hour ?? null,
+      };
+    }),
+
+  player_inventory_view: (db) =>
+    db.rows('player_inventory').map((item) => {
+      const product = db.find('products', (p) => p.id === item.product_id);
+      return {
+        ...item,
+        product_name: product?.name || null,
+        artist: product?.artist || null,
+        genre: product?.genre || null,
+        year: product?.year || null,
+        rarity: product?.rarity || null,
+        base_price: product?.base_price || null,
+      };
+    }),
+
+  transportation_options: (db) =>
+    db.rows('players').flatMap((player) => {
+      const from = db.find(
+        'boroughs',
+        (b) => b.id === player.current_borough_id
+      );
+      const game = db.find('games', (g) => g.id === player.game_id);
+      const events = db.filter(
+        'market_events',
+        (e) => e.game_id === player.game_id
+      );
+      return db.rows('transportation_methods').flatMap((method) =>
+        db.rows('boroughs').flatMap((borough) => {
+          const { time, cost, error } = quoteTravel({
+            from,
+            to: borough,
+            method,
+            distance: findBoroughDistance(
+              db.rows('borough_distances'),
+              player.current_borough_id,
+              borough.id
+            ),
+            carrier: getCarrier(player.carrier_type),
+            subwayOut: isSubwayOut(getActiveEvents(events, game?.current_hour)),
+          });
+          if (error) return [];
+
+          return [
+            {
+              player_id: player.id,
+              transportation_id: method.id,
+              to_borough_id: borough.id,
+              action_cost: time,
+              monetary_cost: cost,
+            },
+          ];
+        })
+      );
+    }),
+};
+
+const defaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+const newId = () => crypto.randomUUID();
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class LocalDatabase {
+  constructor({ storage }) {
+    this.storage = storage;
+    this.tables = null;
+    this.inTransaction = false;
+    this.pendingEvents = [];
+    this.channels = new Set();
+    this.load();
+  }
+
+  // --- Persistence ---
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      if (saved?.version === SCHEMA_VERSION && saved.tables) {
+        this.tables = saved.tables;
+      }
+    } catch {
+      this.tables = null;
+    }
+
+    if (!this.tables) this.reset();
+
+    // Make sure tables added in later versions exist
+    Object.keys(TABLES).forEach((table) => {
+      if (!this.tables[table]) this.tables[table] = [];
+    });
+  }
+
+  reset() {
+    this.tables = Object.fromEntries(
+      Object.keys(TABLES).map((table) => [table, []])
+    );
+    Object.assign(this.tables, createSeedTables(newId));
+    this.persist();
+  }
+
+  persist() {
+    try {
+      this.storage?.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ version: SCHEMA_VERSION, tables: this.tables })
+      );
+    } catch {
+      // Storage full or unavailable - keep playing in memory
+    }
+  }
+
+  // --- Row access ---
+  rows(table) {
+    if (VIEWS[table]) return VIEWS[table](this);
+    if (!this.tables[table]) {
+      throw new LocalDbError(`relation "public.${table}" does not exist`, {
+        code: '42P01',
+      });
+    }
+    return this.tables[table];
+  }
+
+  readTable(table) {
+    return this.rows(table).map((row) => ({ ...row }));
+  }
+
+  find(table, predicate) {
+    return this.rows(table).find(predicate) || null;
+  }
+
+  filter(table, predicate) {
+    return this.rows(table).filter(predicate);
+  }
+
+  assertWritable(table) {
+    if (VIEWS[table]) {
+      throw new LocalDbError(`cannot change view "${table}"`, {
+        code: '55000',
+      });
+    }
+    this.rows(table);
+  }
+
+  checkUnique(table, row) {
+    const constraints = TABLES[table]?.unique || {};
+
+    Object.entries(constraints).forEach(([name, columns]) => {
+      const clash = this.tables[table].find(
+        (other) =>
+          other !== row && columns.every((col) => other[col] === row[col])
+      );
+
+      if (clash) {
+        throw new LocalDbError(
+          `duplicate key value violates unique constraint "${name}"`,
+          {
+            code: '23505',
+            details: `Key (${columns.join(', ')})=(${columns
+              .map((col) => row[col])
+              .join(', ')}) already exists.`,
+          }
+        );
+      }
+    });
+  }
+
+  insertRows(table, values) {
+    return this.transaction(() => {
+      this.assertWritable(table);
+      const now = new Date().toISOString();
+
+      return (Array.isArray(values) ? values : [values]).map((value) => {
+        const row = {
+          id: newId(),
+          created_at: now,
+          updated_at: now,
+          ...(TABLES[table]?.defaults || {}),
+          ...clone(value),
+        };
+        this.tables[table].push(row);
+        this.checkUnique(table, row);
+        this.queueEvent(table, 'INSERT', row, null);
+        return { ...row };
+      });
+    });
+  }
+
+  updateRows(table, predicate, values) {
+    return this.transaction(() => {
+      this.assertWritable(table);
+      const now = new Date().toISOString();
+
+      return this.tables[table].filter(predicate).map((row) => {
+        const old = { ...row };
+        Object.assign(row, clone(values), { updated_at: now });
+        this.checkUnique(table, row);
+        this.queueEvent(table, 'UPDATE', row, old);
+        return { ...row };
+      });
+    });
+  }
+
+  deleteRows(table, predicate) {
+    return this.transaction(() => {
+      this.assertWritable(table);
+      const removed = this.tables[table].filter(predicate);
+      this.tables[table] = this.tables[table].filter((row) => !predicate(row));
+      removed.forEach((row) => this.queueEvent(table, 'DELETE', null, row));
+      return removed.map((row) => ({ ...row }));
+    });
+  }
+
+  /**
+   * Run fn and undo its writes if it throws, even inside a transaction.
+   * Lets a stored procedure catch its own failure like a plpgsql
+   * EXCEPTION block.
+   */
+  savepoint(fn) {
+    const snapshot = clone(this.tables);
+    const eventCount = this.pendingEvents.length;
+
+    try {
+      return fn();
+    } catch (error) {
+      this.tables = snapshot;
+      this.pendingEvents.length = eventCount;
+      throw error;
+    }
+  }
+
+  /**
+   * Run fn atomically: every write inside it is rolled back if it throws
+   */
+  transaction(fn) {
+    if (this.inTransaction) return fn();
+
+    const snapshot = clone(this.tables);
+    this.inTransaction = true;
+
+    try {
+      const result = fn();
+      this.inTransaction = false;
+      this.persist();
+      this.flushEvents();
+      return result;
+    } catch (error) {
+      this.inTransaction = false;
+      this.tables = snapshot;
+      this.pendingEvents = [];
+      throw error;
+    }
+  }
+
+  // Resolve a query result asynchronously, converting thrown errors to { error }
+  settle(fn) {
+    return Promise.resolve().then(() => {
+      try {
+        return fn();
+      } catch (error) {
+        return {
+          data: null,
+          error: {
+            code: error.code || 'P0001',
+            message: error.message,
+            details: error.details || null,
+            hint: error.hint || null,
+          },
+        };
+      }
+    });
+  }
+
+  // --- Select projection ---
+  projectRow(table, row, columns) {
+    const result = {};
+
+    columns.forEach((column) => {
+      if (column.type === 'column') {
+        if (column.name === '*') Object.assign(result, row);
+        else result[column.name] = row[column.name] ?? null;
+        return;
+      }
+
+      result[column.key] = this.embed(table, row, column);
+    });
+
+    return result;
+  }
+
+  embed(table, row, column) {
+    const relations = TABLES[table]?.relations || {};
+
+    // alias:fk_column (...) or target table referenced by a foreign key
+    const foreignKey = relations[column.target]
+      ? column.target
+      : Object.keys(relations).find((key) => relations[key] === column.target);
+
+    if (foreignKey) {
+      const target = relations[foreignKey];
+      const related = this.find(target, (r) => r.id === row[foreignKey]);
+      return related ? this.projectRow(target, related, column.columns) : null;
+    }
+
+    // One-to-many: the target table points back at this one
+    const backReference = Object.entries(
+      TABLES[column.target]?.relations || {}
+    ).find(([, target]) => target === table);
+
+    if (backReference) {
+      const [key] = backReference;
+      return this.filter(column.target, (r) => r[key] === row.id).map((r) =>
+        this.projectRow(column.target, r, column.columns)
+      );
+    }
+
+    return null;
+  }
+
+  // --- Realtime ---
+  queueEvent(table, eventType, newRow, oldRow) {
+    this.pendingEvents.push({
+      schema: 'public',
+      table,
+      eventType,
+      new: newRow ? { ...newRow } : {},
+      old: oldRow ? { ...oldRow } : {},
+      commit_timestamp: new Date().toISOString(),
+    });
+  }
+
+  flushEvents() {
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    if (!events.length || !this.channels.size) return;
+
+    setTimeout(() => {
+      events.forEach((event) =>
+        this.channels.forEach((channel) => channel.dispatch(event))
+      );
+    }, 0);
+  }
+}
+
+// Parse a realtime filter such as "game_id=eq.123"
+const parseRealtimeFilter = (filter) => {
+  if (!filter) return () => true;
+  const [column, rest] = filter.split('=');
+  const [op, ...valueParts] = rest.split('.');
+  const value = valueParts.join('.');
+
+  return (row) => {
+    const current = row?.[column];
+    if (op === 'in') {
+      return value.replace(/[()]/g, '').split(',').includes(String(current));
+    }
+    return op === 'neq' ? String(current) !== value : String(current) === value;
+  };
+};
+
+class LocalChannel {
+  constructor(database, name) {
+    this.database = database;
+    this.topic = name;
+    this.listeners = [];
+  }
+
+  on(type, spec, callback) {
+    if (type === 'postgres_changes') {
+      this.listeners.push({
+        event: spec.event || '*',
+        table: spec.table,
+        matches: parseRealtimeFilter(spec.filter),
+        callback,
+      });
+    }
+    return this;
+  }
+
+  subscribe(callback) {
+    this.database.channels.add(this);
+    if (callback) setTimeout(() => callback('SUBSCRIBED'), 0);
+    return this;
+  }
+
+  unsubscribe() {
+    this.database.channels.delete(this);
+    return Promise.resolve('ok');
+  }
+
+  dispatch(event) {
+    this.listeners.forEach(({ event: type, table, matches, callback }) => {
+      if (table && table !== event.table) return;
+      if (type !== '*' && type !== event.eventType) return;
+      if (!matches(event.eventType === 'DELETE' ? event.old : event.new)) {
+        return;
+      }
+      callback(event);
+    });
+  }
+}
+
+// Local stand-in for supabase.auth, backed by localStorage
+const createLocalAuth = (storage) => {
+  const listeners = new Set();
+  // Without storage the session lives as long as the page does
+  let memory = null;
+
+  const read = () => {
+    try {
+      const saved = storage ? storage.getItem(AUTH_KEY) : memory;
+      return (
+        JSON.parse(saved || 'null') || {
+          currentUserId: null,
+          users: [],
+        }
+      );
+    } catch {
+      return { currentUserId: null, users: [] };
+    }
+  };
+
+  const write = (state) => {
+    if (storage) {
+      storage.setItem(AUTH_KEY, JSON.stringify(state));
+    } else {
+      memory = JSON.stringify(state);
+    }
+  };
+
+  const publicUser = (user) => {
+    if (!user) return null;
+    const { password: _password, ...rest } = user;
+    return rest;
+  };
+
+  const currentUser = () => {
+    const state = read();
+    return publicUser(state.users.find((u) => u.id === state.currentUserId));
+  };
+
+  const session = () => {
+    const user = currentUser();
+    return user ? { user, access_token: `local-${user.id}` } : null;
+  };
+
+  const notify = (event) => {
+    const current = session();
+    listeners.forEach((listener) => listener(event, current));
+  };
+
+  const signInAs = (user) => {
+    const state = read();
+    write({ ...state, currentUserId: user.id });
+    notify('SIGNED_IN');
+    return {
+      data: { user: publicUser(user), session: session() },
+      error: null,
+    };
+  };
+
+  return {
+    // Local only: the user RPCs see, like auth.uid() in SQL
+    currentUser,
+
+    getUser: async () => ({ data: { user: currentUser() }, error: null }),
+
+    getSession: async () => ({ data: { session: session() }, error: null }),
+
+    signInAnonymously: async () => {
+      const state = read();
+      const user = {
+        id: newId(),
+        email: null,
+        is_anonymous: true,
+        user_metadata: {},
+        created_at: new Date().toISOString(),
+      };
+      write({ ...state, users: [...state.users, user] });
+      return signInAs(user);
+    },
+
+    signUp: async ({ email, password, options = {} }) => {
+      const state = read();
+      if (state.users.some((u) => u.email === email)) {
+        return {
+          data: { user: null, session: null },
+          error: { message: 'User already registered' },
+        };
+      }
+
+      const user = {
+        id: newId(),
+        email,
+        password,
+        is_anonymous: false,
+        user_metadata: options.data || {},
+        created_at: new Date().toISOString(),
+      };
+      write({ ...state, users: [...state.users, user] });
+      return signInAs(user);
+    },
+
+    signInWithPassword: async ({ email, password }) => {
+      const user = read().users.find(
+        (u) => u.email === email && u.password === password
+      );
+      if (!user) {
+        return {
+          data: { user: null, session: null },
+          error: { message: 'Invalid login credentials' },
+        };
+      }
+      return signInAs(user);
+    },
+
+    updateUser: async ({ email, password, data } = {}) => {
+      const state = read();
+      const user = state.users.find((u) => u.id === state.currentUserId);
+      if (!user) {
+        return { data: { user: null }, error: { message: 'Not signed in' } };
+      }
+
+      if (data) user.user_metadata = { ...user.user_metadata, ...data };
+      if (email) {
+        user.email = email;
+        user.is_anonymous = false;
+      }
+      if (password) user.password = password;
+
+      write(state);
+      notify('USER_UPDATED');
+      return { data: { user: publicUser(user) }, error: null };
+    },
+
+    signOut: async () => {
+      write({ ...read(), currentUserId: null });
+      notify('SIGNED_OUT');
+      return { error: null };
+    },
+
+    onAuthStateChange: (callback) => {
+      listeners.add(callback);
+      return {
+        data: {
+          subscription: { unsubscribe: () => listeners.delete(callback) },
+        },
+      };
+    },
+  };
+};
+
+/**
+ * Create the local backend
+ * @param {Object} options
+ * @param {Storage} options.storage - Where to persist tables (default: localStorage)
+ * @returns {Object} - Backend descriptor with a Supabase-compatible client
+ */
+export const createLocalBackend = ({ storage = defaultStorage() } = {}) => {
+  const database = new LocalDatabase({ storage });
+  const auth = createLocalAuth(storage);
+
+  const client = {
+    from: (table) => new LocalQuery(database, table),
+
+    rpc: (name, params = {}) =>
+      database.settle(() => {
+        const handler = localRpc[name];
+        if (!handler) {
+          throw new LocalDbError(
+            `Could not find the function public.${name} in the schema cache`,
+            { code: 'PGRST202' }
+          );
+        }
+        return {
+          data: database.transaction(() =>
+            handler(database, params, { user: auth.currentUser() })
+          ),
+          error: null,
+        };
+      }),
+
+    auth,
+
+    channel: (name) => new LocalChannel(database, name),
+
+    removeChannel: (channel) => channel.unsubscribe(),
+  };
+
+  return {
+    name: 'local',
+    client,
+    noCacheClient: client,
+    database,
+    reset: () => database.reset(),
+  };
+};
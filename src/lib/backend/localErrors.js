@@ -0,0 +1,14 @@
+// src/lib/backend/localErrors.js
+
+/**
+ * Error raised by the local backend, shaped like a PostgREST error
+ */
+export class LocalDbError extends Error {
+  constructor(message, { code = 'P0001', details = null, hint = null } = {}) {
+    super(message);
+    this.name = 'LocalDbError';
+    this.code = code;
+    this.details = details;
+    this.hint = hint;
+  }
+}
@@ -0,0 +1,274 @@
+// src/lib/backend/localQuery.js
+
+/**
+ * Minimal PostgREST-style query builder over the in-memory tables.
+ * Supports the subset of the Supabase client API the game uses:
+ * select (with embedded relations), insert, update, delete, eq/neq/gt/gte/
+ * lt/lte/in/is filters, order, limit, single and maybeSingle.
+ */
+
+// Split a select string on top-level commas, ignoring those inside (...)
+const splitColumns = (columns) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of columns) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+/**
+ * Parse a select string such as
+ * "*, boroughs:current_borough_id (id, name)" into a column tree
+ */
+export const parseSelect = (columns = '*') => {
+  return splitColumns(columns.replace(/\s+/g, ' ')).map((part) => {
+    const embedded = part.match(/^(?:([\w]+)\s*:\s*)?([\w]+)\s*\((.*)\)$/s);
+
+    if (embedded) {
+      const [, alias, target, inner] = embedded;
+      return {
+        type: 'embed',
+        key: alias || target,
+        target,
+        columns: parseSelect(inner),
+      };
+    }
+
+    return { type: 'column', name: part };
+  });
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a > b ? 1 : -1;
+};
+
+export class LocalQuery {
+  constructor(backend, table) {
+    this.backend = backend;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.values = null;
+    this.filters = [];
+    this.orders = [];
+    this.maxRows = null;
+    this.cardinality = null;
+    this.countMode = null;
+  }
+
+  select(columns = '*', { count = null } = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countMode = count;
+    } else {
+      // insert/update/delete followed by select() returns the affected rows
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.operation = 'insert';
+    this.values = values;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  addFilter(column, test) {
+    this.filters.push((row) => test(row[column]));
+    return this;
+  }
+
+  eq(column, value) {
+    return this.addFilter(column, (v) => v === value);
+  }
+
+  neq(column, value) {
+    return this.addFilter(column, (v) => v !== value);
+  }
+
+  gt(column, value) {
+    return this.addFilter(column, (v) => v > value);
+  }
+
+  gte(column, value) {
+    return this.addFilter(column, (v) => v >= value);
+  }
+
+  lt(column, value) {
+    return this.addFilter(column, (v) => v < value);
+  }
+
+  lte(column, value) {
+    return this.addFilter(column, (v) => v <= value);
+  }
+
+  in(column, values) {
+    return this.addFilter(column, (v) => values.includes(v));
+  }
+
+  is(column, value) {
+    return this.addFilter(column, (v) =>
+      value === null ? v === null || v === undefined : v === value
+    );
+  }
+
+  // not('net_worth', 'is', null) - the opposite of any filter above
+  not(column, operator, value) {
+    const { filters } = this;
+    this.filters = [];
+    this[operator](column, value);
+    const [test] = this.filters;
+    this.filters = [...filters, (row) => !test(row)];
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every((filter) => filter(row));
+  }
+
+  sortAndLimit(rows) {
+    let result = [...rows];
+
+    if (this.orders.length) {
+      result.sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          const diff = compareValues(a[column], b[column]);
+          if (diff !== 0) return ascending ? diff : -diff;
+        }
+        return 0;
+      });
+    }
+
+    if (this.maxRows !== null) {
+      result = result.slice(0, this.maxRows);
+    }
+
+    return result;
+  }
+
+  run() {
+    const { backend, table } = this;
+
+    if (this.operation === 'insert') {
+      const rows = backend.insertRows(table, this.values);
+      return this.shape(rows);
+    }
+
+    if (this.operation === 'update') {
+      const rows = backend.updateRows(
+        table,
+        (row) => this.matches(row),
+        this.values
+      );
+      return this.shape(rows);
+    }
+
+    if (this.operation === 'delete') {
+      const rows = backend.deleteRows(table, (row) => this.matches(row));
+      return this.shape(rows);
+    }
+
+    const matched = backend.readTable(table).filter((row) => this.matches(row));
+    const count = this.countMode ? matched.length : null;
+    return { ...this.shape(this.sortAndLimit(matched)), count };
+  }
+
+  // Project rows and apply single/maybeSingle like PostgREST would
+  shape(rows) {
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    const columns = parseSelect(this.columns);
+    const data = rows.map((row) =>
+      this.backend.projectRow(this.table, row, columns)
+    );
+
+    if (this.cardinality === 'single') {
+      if (data.length !== 1) {
+        return {
+          data: null,
+          error: {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned',
+            details: `The result contains ${data.length} rows`,
+          },
+        };
+      }
+      return { data: data[0], error: null };
+    }
+
+    if (this.cardinality === 'maybeSingle') {
+      if (data.length > 1) {
+        return {
+          data: null,
+          error: {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple rows returned',
+            details: `The result contains ${data.length} rows`,
+          },
+        };
+      }
+      return { data: data[0] || null, error: null };
+    }
+
+    return { data, error: null };
+  }
+
+  execute() {
+    return this.backend.settle(() => this.run());
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+}
@@ -0,0 +1,1761 @@
+// src/lib/backend/localRpc.js
+import { LocalDbError } from './localErrors';
+import {
+  calculateBuyPrice,
+  calculateRestockPrice,
+  calculateSellPrice,
+  averageCost,
+  roundMoney as money,
+} from '../pricing';
+import { ACTION_COSTS, getActionsPerHour } from '../actionEconomy';
+import { findBoroughDistance, quoteTravel } from '../travel';
+import { CARRIERS, getCarrier } from '../carriers';
+import {
+  getGenreDemand,
+  getNetBought,
+  NEW_TITLE_CHANCE,
+  tickShelf,
+} from '../market';
+import {
+  ESTATE_SALE_TITLES,
+  EVENT_CHANCE,
+  EVENT_TYPES,
+  getActiveEvents,
+  getEventPriceFactor,
+  getStoreClosure,
+  isSubwayOut,
+  pickEventType,
+} from '../events';
+import { getInventoryValue, getNetWorth } from '../standings';
+import { getSameStoreFlipError } from '../ledger';
+import { getTurnDeadline } from '../turns';
+import {
+  DEFAULT_GAME_SETTINGS,
+  getGameSettings,
+  isBoroughEnabled,
+  MAX_PLAYERS,
+  START_BOROUGH,
+  validateGameSettings,
+} from '../gameSettings';
+import { getRivalSeed, RIVAL_CLAIM_SECONDS, RIVAL_STRATEGIES } from '../rivals';
+import { getGameRng, newSeed, pickRandom, shuffle } from '../seed';
+import { getDailyDate } from '../dailyDig';
+import { getClockHour, isOvernight } from '../timeUtils';
+import { getHoursUntilOpen, getStoreHoursClosure } from '../storeHours';
+import {
+  accrueInterest,
+  getAvailableCredit,
+  getLoanSettlement,
+  isLoanSharkBorough,
+  LOAN_SHARK,
+} from '../loans';
+
+/**
+ * JavaScript ports of the PostgreSQL functions the game calls through rpc().
+ * Each handler receives the LocalDatabase and the same named parameters the
+ * SQL function takes, and runs inside a transaction.
+ */
+
+const QUALITY_RATINGS = { Mint: 0.9, Good: 0.7, Fair: 0.5, Poor: 0.3 };
+
+const getPlayerWithHour = (db, playerId, gameId) => {
+  const player = db.find(
+    'players',
+    (p) => p.id === playerId && (!gameId || p.game_id === gameId)
+  );
+  const game = player && db.find('games', (g) => g.id === player.game_id);
+  return { player, game, currentHour: game?.current_hour ?? null };
+};
+
+const getStoreBoroughModifier = (db, storeId) => {
+  const link = db.find('store_boroughs', (sb) => sb.store_id === storeId);
+  const borough = link && db.find('boroughs', (b) => b.id === link.borough_id);
+  return borough?.price_modifier ?? null;
+};
+
+// Market events running in a game right now - see active_market_events()
+const getGameEvents = (db, gameId) => {
+  const game = db.find('games', (g) => g.id === gameId);
+  return getActiveEvents(
+    db.filter('market_events', (e) => e.game_id === gameId),
+    game?.current_hour
+  );
+};
+
+// Everything calculateSellPrice needs for one inventory row - see price_sell_record()
+const getSellPricing = (db, { inventory, storeId, gameId }) => {
+  const game = db.find('games', (g) => g.id === gameId);
+  const store = db.find('stores', (s) => s.id === storeId);
+  const product = db.find('products', (p) => p.id === inventory?.product_id);
+  const shelf = db.filter(
+    'market_inventory',
+    (mi) =>
+      mi.game_id === gameId &&
+      mi.store_id === storeId &&
+      mi.product_id === inventory?.product_id
+  );
+
+  return calculateSellPrice({
+    purchasePrice: inventory?.purchase_price ?? null,
+    basePrice: product?.base_price ?? null,
+    condition: inventory?.condition,
+    genre: product?.genre,
+    store,
+    boroughModifier: getStoreBoroughModifier(db, storeId),
+    hour: game ? getClockHour(game.current_hour, game.max_hours) : null,
+    shelf,
+    eventFactor: getEventPriceFactor(getGameEvents(db, gameId), {
+      genre: product?.genre,
+      boroughId: store?.borough_id,
+    }),
+  });
+};
+
+/**
+ * Sets estimated_current_price on a game's inventory (or one player's) to the
+ * best price any open store would pay - see revalue_inventory()
+ */
+const revalueInventory = (db, gameId, playerId = null) => {
+  const events = getGameEvents(db, gameId);
+  const openStores = db
+    .rows('stores')
+    .filter((store) => !getStoreClosure(events, store.id));
+  const playerIds = db
+    .filter(
+      'players',
+      (p) => p.game_id === gameId && (!playerId || p.id === playerId)
+    )
+    .map((p) => p.id);
+
+  db.filter('player_inventory', (pi) =>
+    playerIds.includes(pi.player_id)
+  ).forEach((inventory) => {
+    const quotes = openStores.map(
+      (store) =>
+        getSellPricing(db, {
+          inventory,
+          storeId: store.id,
+          gameId,
+        }).price
+    );
+    if (!quotes.length) return;
+
+    db.updateRows('player_inventory', (pi) => pi.id === inventory.id, {
+      estimated_current_price: Math.max(...quotes),
+    });
+  });
+};
+
+// Space the player's records take up - see player_used_space()
+const getUsedSpace = (db, playerId) =>
+  db
+    .filter('player_inventory', (pi) => pi.player_id === playerId)
+    .reduce((sum, pi) => {
+      const product = db.find('products', (p) => p.id === pi.product_id);
+      return sum + pi.quantity * (product?.space_required ?? 1);
+    }, 0);
+
+/**
+ * Logs a transactions row. Like the trigger in db/ledger.sql, the borough is
+ * wherever the player is when the row is written.
+ */
+const logTransaction = (db, row) => {
+  const player = db.find('players', (p) => p.id === row.player_id);
+  return db.insertRows('transactions', {
+    borough_id: player?.current_borough_id ?? null,
+    ...row,
+  });
+};
+
+// The player's latest purchase of a record, for the anti-flip rule
+const getLastBuy = (db, playerId, productId) =>
+  db
+    .filter(
+      'transactions',
+      (t) =>
+        t.player_id === playerId &&
+        t.product_id === productId &&
+        t.transaction_type === 'buy'
+    )
+    .at(-1) || null;
+
+// p_quantity is an integer column in SQL - a whole number of records
+const isValidQuantity = (quantity) =>
+  Number.isInteger(quantity) && quantity >= 1;
+
+/**
+ * buy_record - buys copies from the market_inventory listing p_inventory_id,
+ * see db/ledger.sql
+ * Returns false (and rolls back) on any failure
+ */
+const buy_record = (
+  db,
+  {
+    p_player_id,
+    p_game_id,
+    p_store_id,
+    p_product_id,
+    p_quantity = 1,
+    p_inventory_id,
+  }
+) => {
+  if (!isValidQuantity(p_quantity)) return false;
+
+  try {
+    return db.savepoint(() => {
+      const { player, currentHour } = getPlayerWithHour(
+        db,
+        p_player_id,
+        p_game_id
+      );
+      const marketItem = db.find(
+        'market_inventory',
+        (mi) =>
+          mi.id === p_inventory_id &&
+          mi.store_id === p_store_id &&
+          mi.game_id === p_game_id &&
+          mi.product_id === p_product_id
+      );
+      if (!player || !marketItem) return false;
+
+      const totalPrice = money(marketItem.current_price * p_quantity);
+      const product = db.find('products', (p) => p.id === p_product_id);
+      const spaceRequired = (product?.space_required ?? 1) * p_quantity;
+      const availableSpace =
+        player.inventory_capacity - getUsedSpace(db, p_player_id);
+
+      if (player.cash < totalPrice) return false;
+      if (availableSpace < spaceRequired) return false;
+      if (marketItem.quantity < p_quantity) return false;
+
+      db.updateRows(
+        'players',
+        (p) => p.id === p_player_id && p.game_id === p_game_id,
+        {
+          cash: money(player.cash - totalPrice),
+          inventory_count: (player.inventory_count || 0) + p_quantity,
+        }
+      );
+
+      // Copies in the same condition stack, averaging their cost basis
+      const held = db.find(
+        'player_inventory',
+        (pi) =>
+          pi.player_id === p_player_id &&
+          pi.product_id === p_product_id &&
+          pi.condition === marketItem.condition
+      );
+
+      if (held) {
+        db.updateRows('player_inventory', (pi) => pi.id === held.id, {
+          quantity: held.quantity + p_quantity,
+          purchase_price: averageCost(
+            held.quantity,
+            held.purchase_price,
+            p_quantity,
+            marketItem.current_price
+          ),
+          estimated_current_price: marketItem.current_price,
+        });
+      } else {
+        db.insertRows('player_inventory', {
+          player_id: p_player_id,
+          product_id: p_product_id,
+          quantity: p_quantity,
+          purchase_price: marketItem.current_price,
+          condition: marketItem.condition,
+          quality_rating: marketItem.quality_rating,
+          estimated_current_price: marketItem.current_price,
+        });
+      }
+
+      db.updateRows('market_inventory', (mi) => mi.id === marketItem.id, {
+        quantity: marketItem.quantity - p_quantity,
+        day_updated: currentHour,
+      });
+      db.deleteRows(
+        'market_inventory',
+        (mi) => mi.id === marketItem.id && mi.quantity <= 0
+      );
+
+      logTransaction(db, {
+        game_id: p_game_id,
+        player_id: p_player_id,
+        product_id: p_product_id,
+        transaction_type: 'buy',
+        quantity: p_quantity,
+        price: marketItem.current_price,
+        store_id: p_store_id,
+        hour: currentHour,
+        condition: marketItem.condition,
+      });
+
+      return true;
+    });
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * sell_record - see db/ledger.sql
+ */
+const sell_record = (
+  db,
+  {
+    p_player_id,
+    p_game_id,
+    p_store_id,
+    p_product_id,
+    p_quantity = 1,
+    p_inventory_id = null,
+  }
+) => {
+  const { currentHour } = getPlayerWithHour(db, p_player_id, p_game_id);
+  if (!isValidQuantity(p_quantity)) return false;
+
+  let inventory;
+  let productId = p_product_id;
+
+  if (p_inventory_id) {
+    inventory = db.find(
+      'player_inventory',
+      (pi) => pi.id === p_inventory_id && pi.player_id === p_player_id
+    );
+    if (!inventory || inventory.quantity < p_quantity) return false;
+    productId = inventory.product_id;
+  } else {
+    inventory = db.find(
+      'player_inventory',
+      (pi) => pi.player_id === p_player_id && pi.product_id === productId
+    );
+    if (!inventory || inventory.quantity < p_quantity) return false;
+  }
+
+  const store = db.find('stores', (s) => s.id === p_store_id);
+
+  // The restock insert below needs a store, so fail before touching anything
+  if (!store) {
+    throw new LocalDbError(
+      'null value in column "store_id" of relation "market_inventory" violates not-null constraint',
+      { code: '23502' }
+    );
+  }
+
+  const { price: sellPrice } = getSellPricing(db, {
+    inventory,
+    storeId: p_store_id,
+    gameId: p_game_id,
+  });
+
+  const totalValue = money(sellPrice * p_quantity);
+
+  db.updateRows('player_inventory', (pi) => pi.id === inventory.id, {
+    quantity: inventory.quantity - p_quantity,
+  });
+  db.deleteRows(
+    'player_inventory',
+    (pi) => pi.id === inventory.id && pi.quantity <= 0
+  );
+
+  const player = db.find('players', (p) => p.id === p_player_id);
+  db.updateRows(
+    'players',
+    (p) => p.id === p_player_id && p.game_id === p_game_id,
+    {
+      cash: money(player.cash + totalValue),
+      inventory_count: Math.max(0, (player.inventory_count || 0) - p_quantity),
+    }
+  );
+
+  const existing = db.find(
+    'market_inventory',
+    (mi) =>
+      mi.game_id === p_game_id &&
+      mi.store_id === p_store_id &&
+      mi.product_id === productId &&
+      mi.condition === inventory.condition
+  );
+
+  if (existing) {
+    db.updateRows('market_inventory', (mi) => mi.id === existing.id, {
+      quantity: existing.quantity + p_quantity,
+    });
+  } else {
+    db.insertRows('market_inventory', {
+      game_id: p_game_id,
+      store_id: p_store_id,
+      product_id: productId,
+      quantity: p_quantity,
+      // Stores resell what they buy from you at a markup
+      current_price: calculateRestockPrice(sellPrice),
+      condition: inventory.condition,
+      quality_rating: QUALITY_RATINGS[inventory.condition] ?? 0.3,
+      day_updated: currentHour,
+    });
+  }
+
+  logTransaction(db, {
+    game_id: p_game_id,
+    player_id: p_player_id,
+    product_id: productId,
+    transaction_type: 'sell',
+    quantity: p_quantity,
+    price: sellPrice,
+    store_id: p_store_id,
+    hour: currentHour,
+    condition: inventory.condition,
+    cost_basis: inventory.purchase_price,
+  });
+
+  return true;
+};
+
+/**
+ * get_sell_price - see db/pricing_engine.sql
+ * Quotes exactly what sell_record would pay for one copy
+ */
+const get_sell_price = (db, { p_player_id, p_store_id, p_inventory_id }) => {
+  const { player } = getPlayerWithHour(db, p_player_id);
+  const inventory = db.find(
+    'player_inventory',
+    (pi) => pi.id === p_inventory_id
+  );
+
+  return getSellPricing(db, {
+    inventory,
+    storeId: p_store_id,
+    gameId: player?.game_id,
+  }).price;
+};
+
+/**
+ * get_sell_prices - batch version of get_sell_price keyed by inventory ID
+ */
+const get_sell_prices = (
+  db,
+  { p_player_id, p_store_id, p_inventory_ids = [] }
+) =>
+  Object.fromEntries(
+    p_inventory_ids.map((inventoryId) => [
+      inventoryId,
+      get_sell_price(db, {
+        p_player_id,
+        p_store_id,
+        p_inventory_id: inventoryId,
+      }),
+    ])
+  );
+
+const pickCondition = (rng) => {
+  const roll = rng();
+  if (roll < 0.15) return 'Mint';
+  if (roll < 0.55) return 'Good';
+  if (roll < 0.85) return 'Fair';
+  return 'Poor';
+};
+
+// Puts a title on a store's shelf at a random 0.8-1.2 market swing
+const stockShelf = (
+  db,
+  { game, store, product, boroughModifier, quantity, demand = 1, rng }
+) => {
+  const condition = pickCondition(rng);
+  const variation = 0.8 + rng() * 0.4;
+  const { price } = calculateBuyPrice({
+    basePrice: product.base_price,
+    condition,
+    store,
+    boroughModifier,
+    variation,
+  });
+
+  db.insertRows('market_inventory', {
+    game_id: game.id,
+    store_id: store.id,
+    product_id: product.id,
+    quantity,
+    current_price: money(price * demand),
+    previous_price: null,
+    condition,
+    quality_rating: QUALITY_RATINGS[condition],
+    base_markup: 1.0,
+    last_price_update: game.current_hour,
+    day_updated: game.current_hour,
+  });
+};
+
+/**
+ * initialize_game_data - stocks every store's shelves for a new game, all
+ * drawn from the game's seed (see db/seed.sql). Only start_game calls it.
+ */
+const initialize_game_data = (db, { game_id }) => {
+  let game = db.find('games', (g) => g.id === game_id);
+  if (!game) return null;
+
+  if (game.seed == null) {
+    [game] = db.updateRows('games', (g) => g.id === game_id, {
+      seed: newSeed(),
+    });
+  }
+
+  db.deleteRows('market_inventory', (mi) => mi.game_id === game_id);
+
+  const products = db.rows('products');
+  const rng = getGameRng(game, 'stock', 0);
+
+  db.rows('stores').forEach((store) => {
+    const boroughModifier = getStoreBoroughModifier(db, store.id);
+
+    // Each store carries a random slice of the catalog
+    const stock = shuffle(products, rng).slice(0, 8 + Math.floor(rng() * 5));
+
+    stock.forEach((product) => {
+      stockShelf(db, {
+        game,
+        store,
+        product,
+        boroughModifier,
+        quantity: 1 + Math.floor(rng() * 3),
+        rng,
+      });
+    });
+  });
+
+  return null;
+};
+
+/**
+ * Hourly market tick - see tick_market() in db/market.sql
+ * Reprices and restocks every shelf in the game for the hour just started
+ * @param {Object} db - LocalDatabase
+ * @param {Object} game - games row, already on the new hour
+ * @param {number} endedHour - The hour whose trades set buying pressure
+ */
+const tickMarket = (db, game, endedHour) => {
+  const hour = game.current_hour;
+  const clockHour = getClockHour(game.current_hour, game.max_hours);
+  const products = db.rows('products');
+  const product = (id) => products.find((p) => p.id === id);
+  const events = getGameEvents(db, game.id);
+  const rng = getGameRng(game, 'market');
+
+  db.rows('stores').forEach((store) => {
+    const boroughModifier = getStoreBoroughModifier(db, store.id);
+    const shelf = db.filter(
+      'market_inventory',
+      (mi) => mi.game_id === game.id && mi.store_id === store.id
+    );
+
+    shelf.forEach((item) => {
+      const { genre, base_price } = product(item.product_id) || {};
+      const trades = db.filter(
+        'transactions',
+        (t) =>
+          t.game_id === game.id &&
+          t.store_id === store.id &&
+          t.product_id === item.product_id &&
+          t.hour === endedHour
+      );
+      const { price, quantity } = tickShelf({
+        item,
+        fairPrice:
+          calculateBuyPrice({
+            basePrice: base_price,
+            condition: item.condition,
+            store,
+            boroughModifier,
+          }).price *
+          getEventPriceFactor(events, { genre, boroughId: store.borough_id }),
+        demand: getGenreDemand(genre, clockHour),
+        netBought: getNetBought(trades),
+        random: rng,
+      });
+
+      if (quantity <= 0) {
+        db.deleteRows('market_inventory', (mi) => mi.id === item.id);
+        return;
+      }
+      db.updateRows('market_inventory', (mi) => mi.id === item.id, {
+        previous_price: item.current_price,
+        current_price: price,
+        quantity,
+        last_price_update: hour,
+      });
+    });
+
+    if (rng() < NEW_TITLE_CHANCE) {
+      const carried = new Set(shelf.map((item) => item.product_id));
+      const missing = products.filter((p) => !carried.has(p.id));
+      const newTitle = pickRandom(missing, rng);
+      if (newTitle) {
+        stockShelf(db, {
+          game,
+          store,
+          product: newTitle,
+          boroughModifier,
+          quantity: 1,
+          demand: getGenreDemand(newTitle.genre, clockHour),
+          rng,
+        });
+      }
+    }
+  });
+};
+
+/**
+ * Maybe fires a market event for the hour just started - see
+ * roll_market_event() in db/events.sql. At most one event of each type runs
+ * at a time. Price events hit matching shelves straight away; the market
+ * tick keeps them there until the event ends.
+ * @param {Object} db - LocalDatabase
+ * @param {Object} game - games row, already on the new hour
+ */
+const rollMarketEvent = (db, game) => {
+  const rng = getGameRng(game, 'events');
+  if (rng() >= EVENT_CHANCE) return;
+
+  const eventType = pickEventType(rng());
+  const type = EVENT_TYPES[eventType];
+  const running = getGameEvents(db, game.id);
+  if (running.some((e) => e.event_type === eventType)) return;
+
+  const pick = (rows) => pickRandom(rows, rng);
+  const genre =
+    type.target === 'genre'
+      ? pick([...new Set(db.rows('products').map((p) => p.genre))])
+      : null;
+  const borough = type.target === 'borough' ? pick(db.rows('boroughs')) : null;
+  const store = type.target === 'store' ? pick(db.rows('stores')) : null;
+  const names = { genre, borough: borough?.name, store: store?.name };
+
+  const [event] = db.insertRows('market_events', {
+    game_id: game.id,
+    event_type: eventType,
+    title: type.title(names),
+    description: type.description(names),
+    genre,
+    borough_id: borough?.id ?? null,
+    store_id: store?.id ?? null,
+    price_factor: type.priceFactor,
+    started_hour: game.current_hour,
+    ends_hour: game.current_hour - type.duration,
+  });
+  if (!type.priceFactor) return;
+
+  const stores = db.filter(
+    'stores',
+    (s) => !event.borough_id || s.borough_id === event.borough_id
+  );
+  stores.forEach((s) => {
+    db.filter(
+      'market_inventory',
+      (mi) =>
+        mi.game_id === game.id &&
+        mi.store_id === s.id &&
+        (!genre ||
+          db.find('products', (p) => p.id === mi.product_id)?.genre === genre)
+    ).forEach((item) => {
+      db.updateRows('market_inventory', (mi) => mi.id === item.id, {
+        previous_price: item.current_price,
+        current_price: money(item.current_price * type.priceFactor),
+      });
+    });
+  });
+
+  // An estate sale also dumps cheap titles on the borough's shelves
+  if (eventType === 'estate_sale') {
+    stores.forEach((s) => {
+      const carried = new Set(
+        db
+          .filter(
+            'market_inventory',
+            (mi) => mi.game_id === game.id && mi.store_id === s.id
+          )
+          .map((mi) => mi.product_id)
+      );
+      shuffle(
+        db.rows('products').filter((p) => !carried.has(p.id)),
+        rng
+      )
+        .slice(0, ESTATE_SALE_TITLES)
+        .forEach((product) => {
+          stockShelf(db, {
+            game,
+            store: s,
+            product,
+            boroughModifier: getStoreBoroughModifier(db, s.id),
+            quantity: 1 + Math.floor(rng() * 2),
+            demand: type.priceFactor,
+            rng,
+          });
+        });
+    });
+  }
+};
+
+/*
+ * Action RPCs - see db/action_economy.sql
+ * Each one checks the game is still running, performs the action, charges
+ * its action cost (overflowing into the next hour) and returns the player's
+ * new state. Nothing is charged when the action itself fails.
+ */
+
+// One net_worth_snapshots row per player - see record_net_worth_snapshots()
+const recordNetWorth = (db, gameId, hour) => {
+  db.filter('players', (p) => p.game_id === gameId).forEach((player) => {
+    const inventory = db.filter(
+      'player_inventory',
+      (pi) => pi.player_id === player.id
+    );
+    db.insertRows('net_worth_snapshots', {
+      game_id: gameId,
+      player_id: player.id,
+      hour,
+      cash: player.cash,
+      inventory_value: getInventoryValue(inventory),
+      loan_amount: player.loan_amount || 0,
+      net_worth: getNetWorth(player, inventory),
+    });
+  });
+};
+
+// A scored Daily Dig attempt takes the net worth its game ends on - see the
+// score_daily_dig trigger
+const scoreDailyDig = (db, gameId) => {
+  db.filter(
+    'daily_scores',
+    (s) => s.game_id === gameId && s.net_worth == null
+  ).forEach((score) => {
+    const final = db.find(
+      'net_worth_snapshots',
+      (n) => n.player_id === score.player_id && n.hour <= 0
+    );
+    if (!final) return;
+    db.updateRows('daily_scores', (s) => s.id === score.id, {
+      net_worth: final.net_worth,
+    });
+  });
+};
+
+// Moves the whole game on one hour; players start it with their overflow used
+const advanceHour = (db, game) => {
+  const nextHour = game.current_hour - 1;
+  const gameOver = nextHour <= 0;
+
+  db.updateRows('games', (g) => g.id === game.id, {
+    current_hour: nextHour,
+    status: gameOver ? 'completed' : game.status,
+    ended_at: gameOver ? new Date().toISOString() : (game.ended_at ?? null),
+  });
+
+  if (!gameOver) {
+    const nextGame = db.find('games', (g) => g.id === game.id);
+    tickMarket(db, nextGame, game.current_hour);
+    rollMarketEvent(db, nextGame);
+  }
+
+  db.filter('players', (p) => p.game_id === game.id).forEach((p) => {
+    const loanAmount = accrueInterest(p.loan_amount, p.loan_interest_rate);
+
+    db.updateRows('players', (row) => row.id === p.id, {
+      actions_used_this_hour: p.actions_overflow || 0,
+      actions_overflow: 0,
+      loan_amount: loanAmount,
+    });
+
+    // Unpaid debt is settled from cash, with a penalty, when the game ends
+    if (gameOver && loanAmount > 0) {
+      const settlement = getLoanSettlement(loanAmount);
+      db.updateRows('players', (row) => row.id === p.id, {
+        cash: money(p.cash - settlement),
+        loan_amount: 0,
+      });
+      logTransaction(db, {
+        game_id: game.id,
+        player_id: p.id,
+        product_id: null,
+        transaction_type: 'loan_penalty',
+        quantity: 1,
+        price: settlement,
+        store_id: null,
+        hour: nextHour,
+      });
+    }
+  });
+
+  revalueInventory(db, game.id);
+  recordNetWorth(db, game.id, nextHour);
+  if (gameOver) scoreDailyDig(db, game.id);
+};
+
+// Runs a skip_overnight game on through the night - see skip_overnight_hours()
+const skipOvernightHours = (db, gameId) => {
+  let game = db.find('games', (g) => g.id === gameId);
+  while (
+    game.skip_overnight &&
+    game.status === 'active' &&
+    isOvernight(getClockHour(game.current_hour, game.max_hours))
+  ) {
+    advanceHour(db, game);
+    game = db.find('games', (g) => g.id === gameId);
+  }
+};
+
+// Advances the hour if every player is done; players waiting for a store
+// sit the hour out - see resolve_turn()
+const resolveTurn = (db, gameId) => {
+  const players = db.filter('players', (p) => p.game_id === gameId);
+  if (players.some((p) => !p.turn_completed)) return false;
+
+  let game;
+  do {
+    game = db.find('games', (g) => g.id === gameId);
+    advanceHour(db, game);
+    skipOvernightHours(db, gameId);
+
+    game = db.find('games', (g) => g.id === gameId);
+    const { current_hour: hour, status } = game;
+    db.updateRows(
+      'players',
+      (p) =>
+        p.game_id === gameId &&
+        (p.waiting_until_hour == null ||
+          hour <= p.waiting_until_hour ||
+          status !== 'active'),
+      { turn_completed: false, waiting_until_hour: null }
+    );
+  } while (
+    game.status === 'active' &&
+    db
+      .filter('players', (p) => p.game_id === gameId)
+      .every((p) => p.turn_completed)
+  );
+  db.updateRows('games', (g) => g.id === gameId, {
+    hour_started_at: new Date().toISOString(),
+  });
+  return true;
+};
+
+// Ends one player's turn; true when theirs was the last one
+const finishTurn = (db, playerId, gameId) => {
+  db.updateRows('players', (p) => p.id === playerId, { turn_completed: true });
+  return resolveTurn(db, gameId);
+};
+
+// Charges actions, ending the player's turn when the cost runs past the hour
+const spendActions = (db, player, game, cost) => {
+  const used = player.actions_used_this_hour || 0;
+  const remaining = getActionsPerHour(game) - used;
+
+  if (cost <= remaining) {
+    db.updateRows('players', (p) => p.id === player.id, {
+      actions_used_this_hour: used + cost,
+    });
+    return false;
+  }
+
+  db.updateRows('players', (p) => p.id === player.id, {
+    // A negative remainder (earlier overflow) carries into the next hour too
+    actions_overflow: cost - remaining,
+  });
+  return finishTurn(db, player.id, game.id);
+};
+
+const actionResult = (
+  db,
+  playerId,
+  { hourAdvanced = false, ...extra } = {}
+) => {
+  const player = db.find('players', (p) => p.id === playerId);
+  const game = player && db.find('games', (g) => g.id === player.game_id);
+
+  return {
+    success: true,
+    error: null,
+    player: player ? { ...player } : null,
+    current_hour: game?.current_hour ?? null,
+    hour_advanced: hourAdvanced,
+    game_over: game?.status === 'completed',
+    ...extra,
+  };
+};
+
+const actionFailure = (error) => ({ success: false, error });
+
+// Whether the caller plays this player: their own, or a rival while they
+// hold the game's rival claim - see is_callers_player()
+const isCallersPlayer = (user, player, game) =>
+  Boolean(user) &&
+  (player.user_id === user.id ||
+    (player.is_rival &&
+      game.rivals_claimed_by === user.id &&
+      Date.parse(game.rivals_claimed_until) > Date.now()));
+
+// Shared preamble: the caller's player must exist in a game that is still
+// running
+const getActingPlayer = (db, playerId, gameId, user) => {
+  const { player, game } = getPlayerWithHour(db, playerId, gameId);
+  if (!player || !game) return { failure: actionFailure('Player not found') };
+  if (!isCallersPlayer(user, player, game)) {
+    return { failure: actionFailure("That isn't your player") };
+  }
+  if (game.status === 'completed' || game.current_hour <= 0) {
+    return { failure: actionFailure('The game is over') };
+  }
+  if (player.turn_completed) {
+    return {
+      failure: actionFailure(
+        "You've ended your turn - waiting for the other players"
+      ),
+    };
+  }
+  return { player, game };
+};
+
+const runAction = (db, { playerId, gameId, user, cost, perform }) => {
+  const { player, game, failure } = getActingPlayer(db, playerId, gameId, user);
+  if (failure) return failure;
+
+  const outcome = perform(player, game);
+  if (outcome?.error) return actionFailure(outcome.error);
+
+  const hourAdvanced = spendActions(db, player, game, cost(outcome));
+  return actionResult(db, playerId, { hourAdvanced });
+};
+
+// Refuses stores a market event has closed or that are outside their
+// opening hours - see check_store_open()
+const checkStoreOpen = (db, game, storeId) => {
+  const store = db.find('stores', (s) => s.id === storeId);
+  if (getStoreClosure(getGameEvents(db, game.id), storeId)) {
+    return { error: `${store?.name || 'The store'} has closed early` };
+  }
+
+  const closed = store && getStoreHoursClosure(store, game);
+  return closed ? { error: closed } : null;
+};
+
+// See check_same_store_flip()
+const checkSameStoreFlip = (
+  db,
+  player,
+  game,
+  { p_store_id, p_product_id, p_inventory_id }
+) => {
+  const inventory = db.find(
+    'player_inventory',
+    (pi) =>
+      pi.player_id === player.id &&
+      (p_inventory_id
+        ? pi.id === p_inventory_id
+        : pi.product_id === p_product_id)
+  );
+  if (!inventory) return null;
+
+  const { price } = getSellPricing(db, {
+    inventory,
+    storeId: p_store_id,
+    gameId: game.id,
+  });
+  const error = getSameStoreFlipError(
+    getLastBuy(db, player.id, inventory.product_id),
+    p_store_id,
+    price
+  );
+  return error ? { error } : null;
+};
+
+/**
+ * player_buy_record - buy_record plus its action cost
+ */
+const player_buy_record = (db, params, { user }) =>
+  runAction(db, {
+    playerId: params.p_player_id,
+    gameId: params.p_game_id,
+    user,
+    cost: () => ACTION_COSTS.buy,
+    perform: (player, game) => {
+      const closed = checkStoreOpen(db, game, params.p_store_id);
+      if (closed) return closed;
+
+      const product = db.find('products', (p) => p.id === params.p_product_id);
+      const spaceRequired =
+        (product?.space_required ?? 1) * (params.p_quantity ?? 1);
+      if (
+        getUsedSpace(db, player.id) + spaceRequired >
+        player.inventory_capacity
+      ) {
+        return {
+          error: `No room - your ${getCarrier(player.carrier_type).type.toLowerCase()} only holds ${player.inventory_capacity} records`,
+        };
+      }
+
+      if (!buy_record(db, params)) {
+        return {
+          error:
+            'Purchase failed. You may not have enough funds or space, or the item is out of stock.',
+        };
+      }
+
+      revalueInventory(db, game.id, player.id);
+      return null;
+    },
+  });
+
+/**
+ * player_sell_record - sell_record plus its action cost
+ */
+const player_sell_record = (db, params, { user }) =>
+  runAction(db, {
+    playerId: params.p_player_id,
+    gameId: params.p_game_id,
+    user,
+    cost: () => ACTION_COSTS.sell,
+    perform: (player, game) => {
+      const closed = checkStoreOpen(db, game, params.p_store_id);
+      if (closed) return closed;
+
+      const flip = checkSameStoreFlip(db, player, game, params);
+      if (flip) return flip;
+
+      if (!sell_record(db, params)) {
+        return {
+          error: "Sale failed. You don't have that many copies to sell.",
+        };
+      }
+
+      revalueInventory(db, game.id, player.id);
+      return null;
+    },
+  });
+
+// Upserts one price_notebook entry, keeping whichever price wasn't seen now
+const notePrice = (db, key, prices) => {
+  const existing = db.find(
+    'price_notebook',
+    (n) =>
+      n.player_id === key.player_id &&
+      n.store_id === key.store_id &&
+      n.product_id === key.product_id &&
+      n.condition === key.condition
+  );
+  if (existing) {
+    db.updateRows('price_notebook', (n) => n.id === existing.id, prices);
+  } else {
+    db.insertRows('price_notebook', { ...key, ...prices });
+  }
+};
+
+/**
+ * Notes the store's shelf prices and its offers for the player's records -
+ * see note_store_prices()
+ */
+const noteStorePrices = (db, player, game, storeId) => {
+  const hour = game.current_hour;
+  const key = { game_id: game.id, player_id: player.id, store_id: storeId };
+
+  db.filter(
+    'market_inventory',
+    (mi) => mi.game_id === game.id && mi.store_id === storeId
+  ).forEach((item) =>
+    notePrice(
+      db,
+      { ...key, product_id: item.product_id, condition: item.condition },
+      { buy_price: item.current_price, buy_hour: hour }
+    )
+  );
+
+  db.filter('player_inventory', (pi) => pi.player_id === player.id).forEach(
+    (inventory) =>
+      notePrice(
+        db,
+        {
+          ...key,
+          product_id: inventory.product_id,
+          condition: inventory.condition,
+        },
+        {
+          sell_price: getSellPricing(db, {
+            inventory,
+            storeId,
+            gameId: game.id,
+          }).price,
+          sell_hour: hour,
+        }
+      )
+  );
+};
+
+/**
+ * player_visit_store - walking into a store costs an action
+ */
+const player_visit_store = (
+  db,
+  { p_player_id, p_game_id, p_store_id },
+  { user }
+) =>
+  runAction(db, {
+    playerId: p_player_id,
+    gameId: p_game_id,
+    user,
+    cost: () => ACTION_COSTS.visitStore,
+    perform: (player, game) => {
+      const inBorough = db.find(
+        'stores',
+        (s) => s.id === p_store_id && s.borough_id === player.current_borough_id
+      );
+      if (!inBorough) return { error: "That store isn't in this borough" };
+
+      const closed = checkStoreOpen(db, game, p_store_id);
+      if (closed) return closed;
+
+      noteStorePrices(db, player, game, p_store_id);
+      return null;
+    },
+  });
+
+/**
+ * player_end_turn - gives up the rest of the hour and waits for the other
+ * players; the last one to finish advances the hour
+ */
+const player_end_turn = (db, { p_player_id, p_game_id }, { user }) => {
+  const { player, game, failure } = getActingPlayer(
+    db,
+    p_player_id,
+    p_game_id,
+    user
+  );
+  if (failure) return failure;
+
+  return actionResult(db, player.id, {
+    hourAdvanced: finishTurn(db, player.id, game.id),
+  });
+};
+
+/**
+ * wait_until_open - ends the player's turn until a closed store in their
+ * borough opens
+ */
+const wait_until_open = (
+  db,
+  { p_player_id, p_game_id, p_store_id },
+  { user }
+) => {
+  const { player, game, failure } = getActingPlayer(
+    db,
+    p_player_id,
+    p_game_id,
+    user
+  );
+  if (failure) return failure;
+
+  const store = db.find(
+    'stores',
+    (s) => s.id === p_store_id && s.borough_id === player.current_borough_id
+  );
+  if (!store) return actionFailure("That store isn't in this borough");
+
+  const wait = getHoursUntilOpen(
+    store,
+    getClockHour(game.current_hour, game.max_hours)
+  );
+  if (wait === 0) return actionFailure(`${store.name} is already open`);
+  if (game.current_hour - wait <= 0) {
+    return actionFailure(`The game ends before ${store.name} opens`);
+  }
+
+  db.updateRows('players', (p) => p.id === player.id, {
+    waiting_until_hour: game.current_hour - wait,
+  });
+  return actionResult(db, player.id, {
+    hourAdvanced: finishTurn(db, player.id, game.id),
+  });
+};
+
+/**
+ * expire_turn - ends every idle player's turn once the game's turn timer
+ * has run out; a no-op before the deadline or without a timer
+ */
+const expire_turn = (db, { p_game_id }) => {
+  const game = db.find('games', (g) => g.id === p_game_id);
+  if (!game) return actionFailure('Game not found');
+
+  const deadline = getTurnDeadline(game);
+  let hourAdvanced = false;
+
+  if (game.status === 'active' && deadline !== null && Date.now() >= deadline) {
+    db.updateRows('players', (p) => p.game_id === game.id, {
+      turn_completed: true,
+    });
+    hourAdvanced = resolveTurn(db, game.id);
+  }
+
+  const next = db.find('games', (g) => g.id === game.id);
+  return {
+    success: true,
+    error: null,
+    current_hour: next.current_hour,
+    hour_advanced: hourAdvanced,
+    game_over: next.status === 'completed',
+  };
+};
+
+/**
+ * travel_to_borough - moves the player, charging the fare and travel time
+ * from borough_distances and logging a 'travel' transaction
+ */
+const travel_to_borough = (
+  db,
+  { p_player_id, p_game_id, p_to_borough_id, p_transportation_id },
+  { user }
+) =>
+  runAction(db, {
+    playerId: p_player_id,
+    gameId: p_game_id,
+    user,
+    cost: (travel) => travel.time,
+    perform: (player, game) => {
+      if (!isBoroughEnabled(game, p_to_borough_id)) {
+        return { error: "That borough isn't part of this game" };
+      }
+
+      const travel = quoteTravel({
+        from: db.find('boroughs', (b) => b.id === player.current_borough_id),
+        to: db.find('boroughs', (b) => b.id === p_to_borough_id),
+        method: db.find(
+          'transportation_methods',
+          (t) => t.id === p_transportation_id
+        ),
+        distance: findBoroughDistance(
+          db.rows('borough_distances'),
+          player.current_borough_id,
+          p_to_borough_id
+        ),
+        carrier: getCarrier(player.carrier_type),
+        subwayOut: isSubwayOut(getGameEvents(db, game.id)),
+      });
+      if (travel.error) return travel;
+      if (player.cash < travel.cost) {
+        return {
+          error: `Not enough money. Travel costs $${travel.cost} but you only have $${player.cash}.`,
+        };
+      }
+
+      db.updateRows('players', (p) => p.id === player.id, {
+        current_borough_id: p_to_borough_id,
+        cash: money(player.cash - travel.cost),
+      });
+      logTransaction(db, {
+        game_id: game.id,
+        player_id: player.id,
+        product_id: null,
+        transaction_type: 'travel',
+        quantity: 1,
+        price: travel.cost,
+        store_id: null,
+        hour: game.current_hour,
+      });
+      return travel;
+    },
+  });
+
+/**
+ * start_game - the host starts a waiting game with its settings once every
+ * other player is ready
+ */
+const start_game = (db, { p_game_id }, { user }) => {
+  const game = db.find('games', (g) => g.id === p_game_id);
+  if (!game) return actionFailure('Game not found');
+  if (game.created_by !== user?.id) {
+    return actionFailure('Only the host can start the game');
+  }
+  if (game.status !== 'waiting') {
+    return actionFailure('The game has already started');
+  }
+
+  const players = db.filter('players', (p) => p.game_id === game.id);
+  if (players.some((p) => p.user_id !== user.id && !p.is_ready)) {
+    return actionFailure('Not everyone is ready');
+  }
+
+  const start = db.find('boroughs', (b) => b.name === START_BOROUGH);
+  players.forEach((p) =>
+    db.updateRows('players', (row) => row.id === p.id, {
+      cash: game.starting_cash,
+      loan_amount: game.starting_loan,
+      current_borough_id: start?.id ?? p.current_borough_id,
+      actions_used_this_hour: 0,
+      actions_overflow: 0,
+      turn_completed: false,
+    })
+  );
+
+  const now = new Date().toISOString();
+  db.updateRows('games', (g) => g.id === game.id, {
+    status: 'active',
+    current_hour: game.max_hours,
+    started_at: now,
+    hour_started_at: now,
+  });
+  initialize_game_data(db, { game_id: game.id });
+  skipOvernightHours(db, game.id);
+  return { success: true, error: null };
+};
+
+/**
+ * kick_player - the host removes a player from a waiting game
+ */
+const kick_player = (db, { p_game_id, p_player_id }, { user }) => {
+  const game = db.find('games', (g) => g.id === p_game_id);
+  if (!game) return actionFailure('Game not found');
+  if (game.created_by !== user?.id) {
+    return actionFailure('Only the host can remove players');
+  }
+  if (game.status !== 'waiting') {
+    return actionFailure('Players can only be removed before the game starts');
+  }
+
+  const target = db.find('players', (p) => p.id === p_player_id);
+  if (target?.user_id === user.id) {
+    return actionFailure("The host can't remove themselves");
+  }
+
+  db.deleteRows('player_actions', (pa) => pa.player_id === p_player_id);
+  db.deleteRows(
+    'players',
+    (p) => p.id === p_player_id && p.game_id === p_game_id
+  );
+  return { success: true, error: null };
+};
+
+/**
+ * update_game_settings - the host changes the settings of a waiting game
+ */
+const update_game_settings = (db, { p_game_id, p_settings = {} }, { user }) => {
+  const game = db.find('games', (g) => g.id === p_game_id);
+  if (!game) return actionFailure('Game not found');
+  if (game.created_by !== user?.id) {
+    return actionFailure('Only the host can change the settings');
+  }
+  if (game.status !== 'waiting') {
+    return actionFailure('Settings can only change before the game starts');
+  }
+  if (game.daily_date) {
+    return actionFailure('The Daily Dig is played on the standard settings');
+  }
+
+  // Only settings columns - nothing else on the row is the host's to set
+  const changes = Object.fromEntries(
+    Object.keys(DEFAULT_GAME_SETTINGS)
+      .filter((key) => key in p_settings)
+      .map((key) => [key, p_settings[key]])
+  );
+  const problem = validateGameSettings(
+    { ...getGameSettings(game), ...changes },
+    db.rows('boroughs')
+  );
+  if (problem) return actionFailure(problem);
+
+  db.updateRows('games', (g) => g.id === game.id, changes);
+  return { success: true, error: null };
+};
+
+// Shared checks for borrowing and repaying - see check_player_at_loan_shark()
+const checkAtLoanShark = (db, player, amount) => {
+  const borough = db.find(
+    'boroughs',
+    (b) => b.id === player.current_borough_id
+  );
+  if (!isLoanSharkBorough(borough)) {
+    return {
+      error: `The loan shark only does business in the ${LOAN_SHARK.borough}`,
+    };
+  }
+  if (!(amount > 0)) return { error: 'Enter an amount greater than $0' };
+  return null;
+};
+
+const logLoanTransaction = (db, player, game, type, amount) =>
+  logTransaction(db, {
+    game_id: game.id,
+    player_id: player.id,
+    product_id: null,
+    transaction_type: type,
+    quantity: 1,
+    price: amount,
+    store_id: null,
+    hour: game.current_hour,
+  });
+
+/**
+ * player_borrow - borrows from the loan shark, up to the credit limit
+ */
+const player_borrow = (db, { p_player_id, p_game_id, p_amount }, { user }) =>
+  runAction(db, {
+    playerId: p_player_id,
+    gameId: p_game_id,
+    user,
+    cost: () => ACTION_COSTS.loan,
+    perform: (player, game) => {
+      const amount = money(Number(p_amount));
+      const failure = checkAtLoanShark(db, player, amount);
+      if (failure) return failure;
+
+      const available = getAvailableCredit(
+        player,
+        db.filter('player_inventory', (pi) => pi.player_id === player.id)
+      );
+      if (amount > available) {
+        return { error: `Sal will only lend you another $${available}` };
+      }
+
+      db.updateRows('players', (p) => p.id === player.id, {
+        cash: money(player.cash + amount),
+        loan_amount: money((player.loan_amount || 0) + amount),
+      });
+      logLoanTransaction(db, player, game, 'borrow', amount);
+      return null;
+    },
+  });
+
+/**
+ * player_repay - repays up to p_amount, capped by the balance and cash on hand
+ */
+const player_repay = (db, { p_player_id, p_game_id, p_amount }, { user }) =>
+  runAction(db, {
+    playerId: p_player_id,
+    gameId: p_game_id,
+    user,
+    cost: () => ACTION_COSTS.loan,
+    perform: (player, game) => {
+      const failure = checkAtLoanShark(db, player, Number(p_amount));
+      if (failure) return failure;
+
+      const loanAmount = player.loan_amount || 0;
+      if (loanAmount <= 0) return { error: "You don't owe anything" };
+
+      const amount = money(
+        Math.min(Number(p_amount), loanAmount, player.cash || 0)
+      );
+      if (amount <= 0) {
+        return { error: "You don't have any cash to repay with" };
+      }
+
+      db.updateRows('players', (p) => p.id === player.id, {
+        cash: money(player.cash - amount),
+        loan_amount: money(loanAmount - amount),
+      });
+      logLoanTransaction(db, player, game, 'repay', amount);
+      return null;
+    },
+  });
+
+/**
+ * player_buy_carrier - upgrades the player's carrier where it's sold
+ */
+const player_buy_carrier = (
+  db,
+  { p_player_id, p_game_id, p_carrier_type },
+  { user }
+) =>
+  runAction(db, {
+    playerId: p_player_id,
+    gameId: p_game_id,
+    user,
+    cost: () => ACTION_COSTS.buyCarrier,
+    perform: (player, game) => {
+      const carrier = CARRIERS.find((c) => c.type === p_carrier_type);
+      if (!carrier?.borough) return { error: "That carrier isn't for sale" };
+
+      const borough = db.find(
+        'boroughs',
+        (b) => b.id === player.current_borough_id
+      );
+      if (carrier.borough.toLowerCase() !== borough?.name?.toLowerCase()) {
+        return {
+          error: `The ${carrier.type.toLowerCase()} is sold in ${carrier.borough}`,
+        };
+      }
+      if (carrier.capacity <= player.inventory_capacity) {
+        return { error: 'You already carry at least that much' };
+      }
+      if (player.cash < carrier.price) {
+        return {
+          error: `Not enough money. The ${carrier.type.toLowerCase()} costs $${carrier.price} but you only have $${player.cash}.`,
+        };
+      }
+
+      db.updateRows('players', (p) => p.id === player.id, {
+        carrier_type: carrier.type,
+        inventory_capacity: carrier.capacity,
+        cash: money(player.cash - carrier.price),
+      });
+      logTransaction(db, {
+        game_id: game.id,
+        player_id: player.id,
+        product_id: null,
+        transaction_type: 'carrier',
+        quantity: 1,
+        price: carrier.price,
+        store_id: null,
+        hour: game.current_hour,
+      });
+      return null;
+    },
+  });
+
+/**
+ * add_rival - the host adds an AI rival to a waiting game
+ */
+const add_rival = (db, { p_game_id, p_strategy, p_username }, { user }) => {
+  const game = db.find('games', (g) => g.id === p_game_id);
+  if (!game) return actionFailure('Game not found');
+  if (game.created_by !== user?.id) {
+    return actionFailure('Only the host can add rivals');
+  }
+  if (game.status !== 'waiting') {
+    return actionFailure('Rivals can only join before the game starts');
+  }
+  if (!RIVAL_STRATEGIES[p_strategy]) {
+    return actionFailure('Pick a strategy for the rival');
+  }
+  if (
+    db.filter('players', (p) => p.game_id === game.id).length >= MAX_PLAYERS
+  ) {
+    return actionFailure('The game is full');
+  }
+
+  const start = db.find('boroughs', (b) => b.name === START_BOROUGH);
+  const rivalCount = db.filter(
+    'players',
+    (p) => p.game_id === game.id && p.is_rival
+  ).length;
+  const [rival] = db.insertRows('players', {
+    game_id: game.id,
+    user_id: null,
+    username: p_username,
+    current_borough_id: start?.id ?? null,
+    is_ready: true,
+    is_rival: true,
+    rival_strategy: p_strategy,
+    rival_seed: getRivalSeed(game, rivalCount),
+  });
+  return { success: true, error: null, player_id: rival.id };
+};
+
+/**
+ * claim_rival_turns - claims (or renews the claim on) playing a game's
+ * rivals, refused while another player's claim is still running
+ */
+const claim_rival_turns = (db, { p_game_id }, { user }) => {
+  const game = db.find('games', (g) => g.id === p_game_id);
+  if (!game) return actionFailure('Game not found');
+  if (game.status !== 'active') return actionFailure("The game isn't running");
+  if (
+    !db.find(
+      'players',
+      (p) => p.game_id === game.id && p.user_id === user?.id && !p.is_rival
+    )
+  ) {
+    return actionFailure('Only players in the game can play its rivals');
+  }
+
+  const now = Date.now();
+  if (
+    game.rivals_claimed_by !== user.id &&
+    game.rivals_claimed_until &&
+    new Date(game.rivals_claimed_until).getTime() > now
+  ) {
+    return actionFailure('Another player is playing the rivals');
+  }
+
+  db.updateRows('games', (g) => g.id === game.id, {
+    rivals_claimed_by: user.id,
+    rivals_claimed_until: new Date(
+      now + RIVAL_CLAIM_SECONDS * 1000
+    ).toISOString(),
+  });
+  return { success: true, error: null };
+};
+
+/**
+ * get_daily_dig - today's Daily Dig board, drawn the first time it's asked for
+ */
+const get_daily_dig = (db) => {
+  const dailyDate = getDailyDate();
+  const dig =
+    db.find('daily_digs', (d) => d.daily_date === dailyDate) ||
+    db.insertRows('daily_digs', { daily_date: dailyDate, seed: newSeed() })[0];
+  return { daily_date: dig.daily_date, seed: dig.seed };
+};
+
+/**
+ * enter_daily_dig - records a player's Daily Dig before it starts; only the
+ * first one each day is scored
+ */
+const enter_daily_dig = (db, { p_game_id, p_player_id }, { user }) => {
+  const game = db.find('games', (g) => g.id === p_game_id);
+  if (!game?.daily_date) return actionFailure("That game isn't a Daily Dig");
+
+  const dig = db.find('daily_digs', (d) => d.daily_date === game.daily_date);
+  if (game.daily_date !== getDailyDate() || game.seed !== dig?.seed) {
+    return actionFailure("That isn't today's Daily Dig");
+  }
+  if (game.status !== 'waiting') {
+    return actionFailure('Enter the Daily Dig before it starts');
+  }
+
+  const settings = getGameSettings(game);
+  if (
+    Object.entries(DEFAULT_GAME_SETTINGS).some(
+      ([key, value]) => settings[key] !== value
+    )
+  ) {
+    return actionFailure('The Daily Dig is played on the standard settings');
+  }
+
+  const players = db.filter('players', (p) => p.game_id === game.id);
+  if (players.length !== 1)
+    return actionFailure('The Daily Dig is played solo');
+
+  const player = players.find((p) => p.id === p_player_id);
+  if (
+    !player ||
+    String(player.user_id) !== String(game.created_by) ||
+    player.user_id !== user?.id
+  ) {
+    return actionFailure('Player not found in this game');
+  }
+
+  const attempted = db.find(
+    'daily_scores',
+    (s) => s.daily_date === game.daily_date && s.user_id === player.user_id
+  );
+  if (!attempted) {
+    db.insertRows('daily_scores', {
+      daily_date: game.daily_date,
+      user_id: player.user_id,
+      username: player.username,
+      game_id: game.id,
+      player_id: player.id,
+    });
+  }
+  return { success: true, error: null, scored: !attempted };
+};
+
+/**
+ * create_game - a waiting game hosted by the caller, created together with
+ * the host's player so neither exists without the other
+ */
+const create_game = (
+  db,
+  { p_name, p_username, p_seed = null, p_daily = false },
+  { user }
+) => {
+  if (!user) return actionFailure('Sign in to create a game');
+
+  // A Daily Dig is on today's board, whatever seed was asked for
+  const dig = p_daily ? get_daily_dig(db) : null;
+  const [game] = db.insertRows('games', {
+    name: p_name,
+    created_by: user.id,
+    seed: dig?.seed ?? p_seed ?? newSeed(),
+    daily_date: dig?.daily_date ?? null,
+  });
+
+  const start = db.find('boroughs', (b) => b.name === START_BOROUGH);
+  const [player] = db.insertRows('players', {
+    game_id: game.id,
+    user_id: user.id,
+    username: p_username,
+    current_borough_id: start?.id ?? null,
+  });
+  return { success: true, error: null, game_id: game.id, player_id: player.id };
+};
+
+// How long a guest's claim token can be redeemed for
+const CLAIM_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * create_identity_claim - a one-time token proving the caller is this
+ * guest (see db/accounts.sql)
+ */
+const create_identity_claim = (db, params, { user }) => {
+  if (!user?.is_anonymous) {
+    return actionFailure('Only a guest session can be carried over');
+  }
+
+  const [claim] = db.insertRows('identity_claims', { user_id: user.id });
+  return { success: true, error: null, token: claim.id };
+};
+
+/**
+ * link_player_identity - moves everything the claimed guest played to the
+ * signed-in user (see db/accounts.sql)
+ */
+const link_player_identity = (db, { p_claim_token }, { user }) => {
+  if (!user) return actionFailure('Sign in to the account first');
+
+  const claim = db.find('identity_claims', (c) => c.id === p_claim_token);
+  if (!claim || Date.now() - Date.parse(claim.created_at) > CLAIM_TTL_MS) {
+    return actionFailure('That guest claim is invalid or has expired');
+  }
+  db.deleteRows('identity_claims', (c) => c.id === claim.id);
+
+  const from = claim.user_id;
+  const to = user.id;
+
+  if (from !== to) {
+    // A game both IDs played keeps the account's own player
+    const ownGames = new Set(
+      db.filter('players', (p) => p.user_id === to).map((p) => p.game_id)
+    );
+    db.updateRows(
+      'players',
+      (p) => p.user_id === from && !ownGames.has(p.game_id),
+      { user_id: to }
+    );
+
+    db.updateRows('games', (g) => g.created_by === from, { created_by: to });
+
+    // The account's own score stands on a day both IDs dug
+    const ownDays = new Set(
+      db
+        .filter('daily_scores', (s) => s.user_id === to)
+        .map((s) => s.daily_date)
+    );
+    db.deleteRows(
+      'daily_scores',
+      (s) => s.user_id === from && ownDays.has(s.daily_date)
+    );
+    db.updateRows('daily_scores', (s) => s.user_id === from, { user_id: to });
+  }
+
+  return { success: true, error: null };
+};
+
+export const localRpc = {
+  get_sell_price,
+  get_sell_prices,
+  player_buy_record,
+  player_sell_record,
+  player_visit_store,
+  player_end_turn,
+  wait_until_open,
+  expire_turn,
+  start_game,
+  kick_player,
+  update_game_settings,
+  add_rival,
+  claim_rival_turns,
+  get_daily_dig,
+  enter_daily_dig,
+  create_game,
+  create_identity_claim,
+  link_player_identity,
+  travel_to_borough,
+  player_borrow,
+  player_repay,
+  player_buy_carrier,
+};
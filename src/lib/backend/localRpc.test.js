@@ -0,0 +1,363 @@
+// src/lib/backend/localRpc.test.js
+import { describe, expect, it } from 'vitest';
+import { createLocalBackend } from './localBackend';
+
+const SEED = 12345;
+
+// A fresh in-memory backend with a solo game on `seed` and any other
+// games columns, started by the signed-in guest
+const startSeededGame = async (seed = SEED, settings = {}) => {
+  const { client, database } = createLocalBackend({ storage: null });
+  const {
+    data: { user },
+  } = await client.auth.signInAnonymously();
+  const [game] = database.insertRows('games', {
+    name: 'Seeded',
+    seed,
+    created_by: user.id,
+    ...settings,
+  });
+  const [player] = database.insertRows('players', {
+    game_id: game.id,
+    user_id: user.id,
+    username: 'Digger',
+  });
+  await client.rpc('start_game', { p_game_id: game.id });
+  return { client, database, game, player };
+};
+
+// One store's shelf as [title, condition, copies, price] rows
+const readShelf = (database, storeName) => {
+  const store = database.find('stores', (s) => s.name === storeName);
+  const title = (id) => database.find('products', (p) => p.id === id).name;
+
+  return database
+    .filter('market_inventory', (mi) => mi.store_id === store.id)
+    .map((mi) => [
+      title(mi.product_id),
+      mi.condition,
+      mi.quantity,
+      mi.current_price,
+    ]);
+};
+
+describe('seeded games on the local backend', () => {
+  it('open with the same stock and prices for a seed', async () => {
+    const { database } = await startSeededGame();
+
+    expect(database.filter('market_inventory', () => true)).toHaveLength(76);
+    expect(readShelf(database, "Bleeker Bob's")).toEqual([
+      ['Songs in the Key of Life', 'Mint', 1, 65.38],
+      ['Endtroducing.....', 'Poor', 3, 19.9],
+      ['Computer World', 'Good', 3, 45.38],
+      ["What's Going On", 'Good', 1, 41.32],
+      ['Ramones', 'Good', 3, 62.55],
+      ['The Dark Side of the Moon', 'Mint', 1, 77.56],
+      ['The Velvet Underground & Nico', 'Good', 1, 81.32],
+      ['Marquee Moon', 'Good', 3, 66.71],
+      ['Selected Ambient Works 85-92', 'Good', 2, 60.07],
+      ['Curtis', 'Fair', 2, 29.47],
+    ]);
+  });
+
+  it('tick the market the same way each hour', async () => {
+    const { client, database, game, player } = await startSeededGame();
+
+    const { data } = await client.rpc('player_end_turn', {
+      p_player_id: player.id,
+      p_game_id: game.id,
+    });
+
+    expect(data.success).toBe(true);
+    expect(database.find('games', (g) => g.id === game.id).current_hour).toBe(
+      23
+    );
+    expect(readShelf(database, "Bleeker Bob's")).toEqual([
+      ['Songs in the Key of Life', 'Mint', 1, 67.31],
+      ['Endtroducing.....', 'Poor', 2, 21.43],
+      ['Computer World', 'Good', 2, 47.97],
+      ["What's Going On", 'Good', 1, 41.23],
+      ['Ramones', 'Good', 3, 63.07],
+      ['The Dark Side of the Moon', 'Mint', 2, 74.67],
+      ['The Velvet Underground & Nico', 'Good', 2, 82.64],
+      ['Marquee Moon', 'Good', 3, 74.21],
+      ['Selected Ambient Works 85-92', 'Good', 3, 63.77],
+      ['Curtis', 'Fair', 2, 31.17],
+    ]);
+  });
+
+  it('open differently for another seed', async () => {
+    const { database } = await startSeededGame();
+    const { database: other } = await startSeededGame(SEED + 1);
+
+    expect(readShelf(other, "Bleeker Bob's")).not.toEqual(
+      readShelf(database, "Bleeker Bob's")
+    );
+  });
+});
+
+describe('host RPCs on the local backend', () => {
+  it('act only for the signed-in host', async () => {
+    const { client, database } = createLocalBackend({ storage: null });
+    const signUp = async (email) =>
+      (await client.auth.signUp({ email, password: email })).data.user;
+
+    const host = await signUp('host@example.com');
+    const [game] = database.insertRows('games', {
+      name: 'Lobby',
+      created_by: host.id,
+    });
+    const guest = await signUp('guest@example.com');
+    const [guestPlayer] = database.insertRows('players', {
+      game_id: game.id,
+      user_id: guest.id,
+      username: 'Guest',
+    });
+
+    const settings = {
+      p_game_id: game.id,
+      p_settings: { starting_cash: 5000 },
+    };
+    expect((await client.rpc('update_game_settings', settings)).data).toEqual({
+      success: false,
+      error: 'Only the host can change the settings',
+    });
+    expect(
+      (await client.rpc('start_game', { p_game_id: game.id })).data.success
+    ).toBe(false);
+
+    await client.auth.signInWithPassword({
+      email: 'host@example.com',
+      password: 'host@example.com',
+    });
+    expect(
+      (await client.rpc('update_game_settings', settings)).data.success
+    ).toBe(true);
+    expect(
+      (
+        await client.rpc('kick_player', {
+          p_game_id: game.id,
+          p_player_id: guestPlayer.id,
+        })
+      ).data.success
+    ).toBe(true);
+  });
+});
+
+describe('player RPCs on the local backend', () => {
+  it("refuse to act for another user's player", async () => {
+    const { client, database, game, player } = await startSeededGame();
+    await client.auth.signInAnonymously();
+
+    const { data } = await client.rpc('player_end_turn', {
+      p_player_id: player.id,
+      p_game_id: game.id,
+    });
+
+    expect(data).toEqual({ success: false, error: "That isn't your player" });
+    expect(database.find('games', (g) => g.id === game.id).current_hour).toBe(
+      24
+    );
+  });
+});
+
+describe('initialize_game_data on the local backend', () => {
+  it("can't be called to restock a running game", async () => {
+    const { client, database, game } = await startSeededGame();
+    const shelf = readShelf(database, "Bleeker Bob's");
+
+    const { error } = await client.rpc('initialize_game_data', {
+      game_id: game.id,
+    });
+
+    expect(error.code).toBe('PGRST202');
+    expect(readShelf(database, "Bleeker Bob's")).toEqual(shelf);
+  });
+});
+
+describe('the Daily Dig on the local backend', () => {
+  // Today's board for the signed-in guest, not yet started
+  const createDailyDig = async () => {
+    const { client, database } = createLocalBackend({ storage: null });
+    const {
+      data: { user },
+    } = await client.auth.signInAnonymously();
+    const { data: dig } = await client.rpc('get_daily_dig');
+    const [game] = database.insertRows('games', {
+      name: 'Daily Dig',
+      seed: dig.seed,
+      daily_date: dig.daily_date,
+      created_by: user.id,
+    });
+    const [player] = database.insertRows('players', {
+      game_id: game.id,
+      user_id: user.id,
+      username: 'Digger',
+    });
+    const enter = () =>
+      client.rpc('enter_daily_dig', {
+        p_game_id: game.id,
+        p_player_id: player.id,
+      });
+    return { client, database, game, enter };
+  };
+
+  it('scores an unstarted dig on the default settings', async () => {
+    const { enter } = await createDailyDig();
+
+    expect((await enter()).data).toEqual({
+      success: true,
+      error: null,
+      scored: true,
+    });
+  });
+
+  it('refuses an entry once the dig has started', async () => {
+    const { client, game, enter } = await createDailyDig();
+    await client.rpc('start_game', { p_game_id: game.id });
+
+    expect((await enter()).data).toEqual({
+      success: false,
+      error: 'Enter the Daily Dig before it starts',
+    });
+  });
+
+  it('refuses an entry on other settings', async () => {
+    const { database, game, enter } = await createDailyDig();
+    database.updateRows('games', (g) => g.id === game.id, {
+      starting_cash: 10000,
+    });
+
+    expect((await enter()).data).toEqual({
+      success: false,
+      error: 'The Daily Dig is played on the standard settings',
+    });
+  });
+
+  it("won't change a dig's settings", async () => {
+    const { client, database, game } = await createDailyDig();
+
+    const { data } = await client.rpc('update_game_settings', {
+      p_game_id: game.id,
+      p_settings: { starting_cash: 10000 },
+    });
+
+    expect(data).toEqual({
+      success: false,
+      error: 'The Daily Dig is played on the standard settings',
+    });
+    expect(database.find('games', (g) => g.id === game.id).starting_cash).toBe(
+      100
+    );
+  });
+});
+
+describe('player_buy_record on the local backend', () => {
+  // Bleeker Bob's at 2 PM, selling Ramones as Poor $10 x1 and Mint $90 x3
+  const stockTwoConditions = async () => {
+    const started = await startSeededGame(SEED, { starting_cash: 500 });
+    const { database, game } = started;
+    database.updateRows('games', (g) => g.id === game.id, { current_hour: 10 });
+
+    const store = database.find('stores', (s) => s.name === "Bleeker Bob's");
+    const product = database.find('products', (p) => p.name === 'Ramones');
+    database.deleteRows('market_inventory', (mi) => mi.store_id === store.id);
+    const [poor, mint] = database.insertRows(
+      'market_inventory',
+      [
+        { condition: 'Poor', quantity: 1, current_price: 10 },
+        { condition: 'Mint', quantity: 3, current_price: 90 },
+      ].map((listing) => ({
+        ...listing,
+        game_id: game.id,
+        store_id: store.id,
+        product_id: product.id,
+      }))
+    );
+
+    const buy = (listing, quantity) =>
+      started.client.rpc('player_buy_record', {
+        p_player_id: started.player.id,
+        p_game_id: game.id,
+        p_store_id: store.id,
+        p_product_id: product.id,
+        p_quantity: quantity,
+        p_inventory_id: listing.id,
+      });
+    const copiesLeft = (listing) =>
+      database.find('market_inventory', (mi) => mi.id === listing.id)
+        ?.quantity ?? 0;
+    return { ...started, poor, mint, buy, copiesLeft };
+  };
+
+  it('buys from the listing the player picked', async () => {
+    const { database, player, poor, mint, buy, copiesLeft } =
+      await stockTwoConditions();
+
+    expect((await buy(mint, 2)).data.success).toBe(true);
+    expect(copiesLeft(mint)).toBe(1);
+    expect(copiesLeft(poor)).toBe(1);
+    expect(
+      database
+        .filter('player_inventory', (pi) => pi.player_id === player.id)
+        .map((pi) => [pi.condition, pi.quantity, pi.purchase_price])
+    ).toEqual([['Mint', 2, 90]]);
+    expect(database.find('players', (p) => p.id === player.id).cash).toBe(320);
+
+    expect((await buy(poor, 1)).data.success).toBe(true);
+    expect(copiesLeft(poor)).toBe(0);
+    expect(copiesLeft(mint)).toBe(1);
+  });
+
+  it('refuses more copies than the picked listing has', async () => {
+    const { poor, mint, buy, copiesLeft } = await stockTwoConditions();
+
+    expect((await buy(poor, 2)).data.success).toBe(false);
+    expect(copiesLeft(poor)).toBe(1);
+    expect(copiesLeft(mint)).toBe(3);
+  });
+});
+
+describe('create_game on the local backend', () => {
+  const create = (client) =>
+    client.rpc('create_game', {
+      p_name: "Digger's Game",
+      p_username: 'Digger',
+      p_seed: SEED,
+    });
+
+  it('creates the game with its host in Downtown', async () => {
+    const { client, database } = createLocalBackend({ storage: null });
+    const {
+      data: { user },
+    } = await client.auth.signInAnonymously();
+
+    const { data } = await create(client);
+
+    expect(data.success).toBe(true);
+    const game = database.find('games', (g) => g.id === data.game_id);
+    expect(game).toMatchObject({
+      created_by: user.id,
+      seed: SEED,
+      status: 'waiting',
+    });
+    const player = database.find('players', (p) => p.id === data.player_id);
+    expect(player).toMatchObject({ game_id: game.id, user_id: user.id });
+    expect(
+      database.find('boroughs', (b) => b.id === player.current_borough_id).name
+    ).toBe('Downtown');
+  });
+
+  it('leaves nothing behind when it fails', async () => {
+    const { client, database } = createLocalBackend({ storage: null });
+
+    const { data } = await create(client);
+
+    expect(data).toEqual({
+      success: false,
+      error: 'Sign in to create a game',
+    });
+    expect(database.filter('games', () => true)).toEqual([]);
+    expect(database.filter('players', () => true)).toEqual([]);
+  });
+});
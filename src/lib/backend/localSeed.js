@@ -0,0 +1,204 @@
+// src/lib/backend/localSeed.js
+
+/**
+ * Static world data for the local backend.
+ * Mirrors the reference tables that live in Supabase (boroughs, stores,
+ * products, transportation_methods, borough_distances) so a fresh browser
+ * can play without a network connection.
+ */
+
+const BOROUGHS = [
+  { key: 'downtown', name: 'Downtown', price_modifier: 1.2 },
+  { key: 'uptown', name: 'Uptown', price_modifier: 1.1 },
+  { key: 'brooklyn', name: 'Brooklyn', price_modifier: 1.0 },
+  { key: 'queens', name: 'Queens', price_modifier: 0.9 },
+  { key: 'bronx', name: 'Bronx', price_modifier: 0.85 },
+  { key: 'staten island', name: 'Staten Island', price_modifier: 0.8 },
+];
+
+const STORES = [
+  {
+    name: "Bleeker Bob's",
+    borough: 'downtown',
+    specialty_genre: 'Punk',
+    price_multiplier: 1.15,
+    open_hour: 12,
+    close_hour: 23,
+  },
+  {
+    name: 'Golden Disc',
+    borough: 'downtown',
+    specialty_genre: 'Jazz',
+    price_multiplier: 1.1,
+    open_hour: 11,
+    close_hour: 20,
+  },
+  {
+    name: 'Downstairs Records',
+    borough: 'uptown',
+    specialty_genre: 'Soul',
+    price_multiplier: 1.05,
+    open_hour: 10,
+    close_hour: 19,
+  },
+  {
+    name: 'Human Head',
+    borough: 'brooklyn',
+    specialty_genre: 'Rock',
+    price_multiplier: 1.0,
+    open_hour: 12,
+    close_hour: 22,
+  },
+  {
+    name: "Birdel's Records",
+    borough: 'brooklyn',
+    specialty_genre: 'Hip-Hop',
+    price_multiplier: 0.95,
+    open_hour: 11,
+    close_hour: 21,
+  },
+  {
+    name: 'Deep Cuts',
+    borough: 'queens',
+    specialty_genre: 'Electronic',
+    price_multiplier: 0.9,
+    open_hour: 13,
+    close_hour: 23,
+  },
+  {
+    name: 'Boogie Down Wax',
+    borough: 'bronx',
+    specialty_genre: 'Hip-Hop',
+    price_multiplier: 0.9,
+    open_hour: 10,
+    close_hour: 20,
+  },
+  {
+    name: 'Ferry Terminal Vinyl',
+    borough: 'staten island',
+    specialty_genre: 'Rock',
+    price_multiplier: 0.85,
+    open_hour: 9,
+    close_hour: 18,
+  },
+];
+
+const PRODUCTS = [
+  ['The Dark Side of the Moon', 'Pink Floyd', 'Rock', 1973, 0.6, 28],
+  ['Kind of Blue', 'Miles Davis', 'Jazz', 1959, 0.7, 32],
+  ['Ramones', 'Ramones', 'Punk', 1976, 0.7, 30],
+  ['London Calling', 'The Clash', 'Punk', 1979, 0.6, 26],
+  ['Illmatic', 'Nas', 'Hip-Hop', 1994, 0.6, 24],
+  ['Enter the Wu-Tang (36 Chambers)', 'Wu-Tang Clan', 'Hip-Hop', 1993, 0.7, 27],
+  ["What's Going On", 'Marvin Gaye', 'Soul', 1971, 0.5, 22],
+  ['Songs in the Key of Life', 'Stevie Wonder', 'Soul', 1976, 0.5, 25],
+  ['A Love Supreme', 'John Coltrane', 'Jazz', 1965, 0.8, 38],
+  ['Blue Train', 'John Coltrane', 'Jazz', 1957, 0.9, 45],
+  ['Remain in Light', 'Talking Heads', 'Rock', 1980, 0.5, 20],
+  ['Horses', 'Patti Smith', 'Punk', 1975, 0.8, 34],
+  ['Computer World', 'Kraftwerk', 'Electronic', 1981, 0.7, 29],
+  ['Selected Ambient Works 85-92', 'Aphex Twin', 'Electronic', 1992, 0.8, 36],
+  ['Endtroducing.....', 'DJ Shadow', 'Electronic', 1996, 0.6, 23],
+  ['Paid in Full', 'Eric B. & Rakim', 'Hip-Hop', 1987, 0.8, 33],
+  ['Rumours', 'Fleetwood Mac', 'Rock', 1977, 0.3, 15],
+  ['Back in Black', 'AC/DC', 'Rock', 1980, 0.3, 14],
+  ['I Never Loved a Man', 'Aretha Franklin', 'Soul', 1967, 0.7, 30],
+  ['Marquee Moon', 'Television', 'Punk', 1977, 0.9, 42],
+  ['Mingus Ah Um', 'Charles Mingus', 'Jazz', 1959, 0.6, 26],
+  [
+    'The Velvet Underground & Nico',
+    'The Velvet Underground',
+    'Rock',
+    1967,
+    0.9,
+    48,
+  ],
+  ['Blue Lines', 'Massive Attack', 'Electronic', 1991, 0.5, 19],
+  ['Curtis', 'Curtis Mayfield', 'Soul', 1970, 0.6, 24],
+];
+
+const TRANSPORTATION_METHODS = [
+  { name: 'Walk', speed_factor: 1, base_cost: 0, capacity_modifier: 0 },
+  { name: 'Subway', speed_factor: 2, base_cost: 3, capacity_modifier: -2 },
+  { name: 'Taxi', speed_factor: 3, base_cost: 15, capacity_modifier: 5 },
+];
+
+// Travel times (in actions) between borough pairs; Staten Island is taxi only
+const DISTANCES = [
+  ['downtown', 'uptown', 3, 1, 1, 12],
+  ['downtown', 'brooklyn', 3, 1, 1, 15],
+  ['downtown', 'queens', 4, 2, 1, 20],
+  ['downtown', 'bronx', 5, 2, 1, 25],
+  ['downtown', 'staten island', null, null, 2, 35],
+  ['uptown', 'brooklyn', 4, 2, 1, 22],
+  ['uptown', 'queens', 3, 2, 1, 18],
+  ['uptown', 'bronx', 3, 1, 1, 12],
+  ['uptown', 'staten island', null, null, 3, 45],
+  ['brooklyn', 'queens', 3, 2, 1, 16],
+  ['brooklyn', 'bronx', 5, 3, 2, 30],
+  ['brooklyn', 'staten island', null, null, 2, 30],
+  ['queens', 'bronx', 4, 2, 1, 20],
+  ['queens', 'staten island', null, null, 3, 45],
+  ['bronx', 'staten island', null, null, 3, 55],
+];
+
+/**
+ * Build the reference tables with freshly generated IDs
+ * @param {Function} newId - ID generator
+ * @returns {Object} - Map of table name to rows
+ */
+export const createSeedTables = (newId) => {
+  const boroughIds = {};
+  const boroughs = BOROUGHS.map(({ key, ...borough }) => {
+    boroughIds[key] = newId();
+    return { id: boroughIds[key], ...borough };
+  });
+
+  const stores = STORES.map(({ borough, ...store }) => ({
+    id: newId(),
+    borough_id: boroughIds[borough],
+    ...store,
+  }));
+
+  const products = PRODUCTS.map(
+    ([name, artist, genre, year, rarity, base_price]) => ({
+      id: newId(),
+      name,
+      artist,
+      genre,
+      year,
+      rarity,
+      base_price,
+      description: `${name} by ${artist} (${year})`,
+      image_url: null,
+      space_required: 1,
+    })
+  );
+
+  const borough_distances = DISTANCES.map(
+    ([from, to, walking_time, subway_time, taxi_time, taxi_cost]) => ({
+      id: newId(),
+      from_borough_id: boroughIds[from],
+      to_borough_id: boroughIds[to],
+      walking_time,
+      subway_time,
+      taxi_time,
+      taxi_cost,
+    })
+  );
+
+  return {
+    boroughs,
+    stores,
+    store_boroughs: stores.map((store) => ({
+      store_id: store.id,
+      borough_id: store.borough_id,
+    })),
+    products,
+    transportation_methods: TRANSPORTATION_METHODS.map((method) => ({
+      id: newId(),
+      ...method,
+    })),
+    borough_distances,
+  };
+};
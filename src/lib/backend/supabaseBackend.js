@@ -0,0 +1,12 @@
+// src/lib/backend/supabaseBackend.js
+import { supabase, supabaseNoCache } from '../supabase';
+
+/**
+ * Supabase implementation of the data backend - a thin descriptor around the
+ * clients configured in lib/supabase.js
+ */
+export const createSupabaseBackend = () => ({
+  name: 'supabase',
+  client: supabase,
+  noCacheClient: supabaseNoCache,
+});
@@ -0,0 +1,76 @@
+// src/lib/carriers.js
+
+/**
+ * Carrier ladder. Each carrier sets how many records (by space_required) a
+ * player can hold, where it's sold and how it changes travel. db/carriers.sql
+ * seeds the same rows into the carriers table; change them together.
+ */
+
+export const CARRIERS = [
+  {
+    type: 'Backpack',
+    capacity: 10,
+    price: 0,
+    borough: null, // Everyone starts with one
+    walkExtraActions: 0,
+    taxiFareFactor: 1,
+    allowsSubway: true,
+    description: 'Fits ten records and goes anywhere.',
+  },
+  {
+    type: 'Crate',
+    capacity: 25,
+    price: 150,
+    borough: 'Brooklyn',
+    walkExtraActions: 1,
+    taxiFareFactor: 1,
+    allowsSubway: true,
+    description: 'Holds 25 records, but walking with it takes an extra action.',
+  },
+  {
+    type: 'Van',
+    capacity: 60,
+    price: 600,
+    borough: 'Queens',
+    walkExtraActions: 0,
+    taxiFareFactor: 0.5,
+    allowsSubway: false,
+    description:
+      'Holds 60 records and drives for half the taxi fare, but never fits on the subway.',
+  },
+];
+
+export const DEFAULT_CARRIER = CARRIERS[0];
+
+export const getCarrier = (type) =>
+  CARRIERS.find((c) => c.type === type) || DEFAULT_CARRIER;
+
+/**
+ * Carriers a player could buy in a borough - only upgrades are offered
+ * @param {Object} borough - boroughs row
+ * @param {string} currentType - Player's carrier_type
+ * @returns {Array} - Carrier definitions
+ */
+export const getCarriersForSale = (borough, currentType) => {
+  const current = getCarrier(currentType);
+  const name = borough?.name?.toLowerCase();
+
+  return CARRIERS.filter(
+    (c) =>
+      c.borough &&
+      c.borough.toLowerCase() === name &&
+      c.capacity > current.capacity
+  );
+};
+
+/**
+ * Space the player's records take up
+ * @param {Array} inventory - player_inventory rows, with products joined where available
+ * @returns {number} - Used capacity
+ */
+export const getUsedSpace = (inventory = []) =>
+  inventory.reduce(
+    (sum, item) =>
+      sum + (item.quantity || 0) * (item.products?.space_required ?? 1),
+    0
+  );
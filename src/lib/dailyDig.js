@@ -0,0 +1,79 @@
+// src/lib/dailyDig.js
+
+/**
+ * The Daily Dig: a solo game on the same board for everyone, a new one each
+ * (UTC) day. The day's seed lives in daily_digs (db/daily_dig.sql), and a
+ * Daily Dig is an ordinary game on that seed with games.daily_date set.
+ *
+ * The first Daily Dig a player starts each day is their scored attempt - a
+ * daily_scores row that picks up their final net worth when the game ends.
+ * Any more that day are practice.
+ */
+
+export const DAILY_DIG_NAME = 'Daily Dig';
+
+export const LEADERBOARD_PERIODS = [
+  { key: 'day', label: 'Today' },
+  { key: 'week', label: 'This week' },
+  { key: 'all', label: 'All time' },
+];
+
+// Rows shown on a leaderboard
+export const LEADERBOARD_SIZE = 25;
+
+/**
+ * The Daily Dig's date for a moment
+ * @param {Date} [now]
+ * @returns {string} - 'YYYY-MM-DD', in UTC
+ */
+export const getDailyDate = (now = new Date()) =>
+  now.toISOString().slice(0, 10);
+
+/**
+ * First day a leaderboard period covers
+ * @param {string} period - 'day', 'week' (from Monday) or 'all'
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string|null} - null for all time
+ */
+export const getPeriodStart = (period, date) => {
+  if (period === 'day') return date;
+  if (period !== 'week') return null;
+
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return getDailyDate(day);
+};
+
+/**
+ * A Daily Dig date for display
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} - e.g. "Oct 19"
+ */
+export const formatDailyDate = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * Whether a game is a Daily Dig
+ * @param {Object} game - games row
+ * @returns {boolean}
+ */
+export const isDailyDig = (game) => Boolean(game?.daily_date);
+
+/**
+ * Rank daily_scores rows, best net worth first; of two equal scores the
+ * earlier one ranks higher
+ * @param {Array} scores - daily_scores rows with a net_worth
+ * @returns {Array} - The rows with a rank added, best first
+ */
+export const rankDailyScores = (scores = []) =>
+  [...scores]
+    .sort(
+      (a, b) =>
+        Number(b.net_worth) - Number(a.net_worth) ||
+        String(a.created_at).localeCompare(String(b.created_at))
+    )
+    .map((score, index) => ({ ...score, rank: index + 1 }));
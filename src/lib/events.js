@@ -0,0 +1,127 @@
+// src/lib/events.js
+
+/**
+ * Random market events. When a game's hour advances there is an
+ * EVENT_CHANCE that one fires (a weighted pick from EVENT_TYPES). It is
+ * stored as a market_events row and lasts `duration` hours, changing prices
+ * or travel while it runs. The local backend rolls events in advanceHour;
+ * db/events.sql does the same in roll_market_event().
+ *
+ * Game hours count down, so an event is active while
+ * ends_hour < games.current_hour <= started_hour.
+ */
+
+export const EVENT_CHANCE = 0.35;
+
+// Copies an estate sale dumps on each shelf in its borough
+export const ESTATE_SALE_TITLES = 3;
+
+/*
+ * target: what the event picks at random when it fires - a genre, a
+ * borough, a store, or nothing for city-wide events.
+ * priceFactor: applied to shelf prices and to what stores pay for matching
+ * records (see getEventPriceFactor).
+ */
+export const EVENT_TYPES = {
+  genre_revival: {
+    weight: 3,
+    duration: 3,
+    target: 'genre',
+    priceFactor: 1.4,
+    title: ({ genre }) => `${genre} revival`,
+    description: ({ genre }) =>
+      `Everyone wants ${genre} records. Shops pay and charge 40% more for them.`,
+  },
+  record_store_day: {
+    weight: 1,
+    duration: 2,
+    target: null,
+    priceFactor: 1.25,
+    title: () => 'Record Store Day',
+    description: () =>
+      'Crowds in every shop. All records sell and resell for 25% more.',
+  },
+  estate_sale: {
+    weight: 2,
+    duration: 3,
+    target: 'borough',
+    priceFactor: 0.7,
+    title: ({ borough }) => `Estate sale in ${borough}`,
+    description: ({ borough }) =>
+      `A collection is flooding ${borough}'s shops with cheap stock. Prices there are down 30%.`,
+  },
+  store_closed: {
+    weight: 2,
+    duration: 2,
+    target: 'store',
+    priceFactor: null,
+    title: ({ store }) => `${store} closed early`,
+    description: ({ store }) =>
+      `${store} has shut its doors for a couple of hours.`,
+  },
+  subway_outage: {
+    weight: 1,
+    duration: 2,
+    target: null,
+    priceFactor: null,
+    title: () => 'Subway outage',
+    description: () =>
+      'Signal problems have stopped the trains. Walk or take a taxi.',
+  },
+};
+
+/**
+ * Pick an event type by weight
+ * @param {number} roll - Random number in [0, 1)
+ * @returns {string} - Key of EVENT_TYPES
+ */
+export const pickEventType = (roll) => {
+  const entries = Object.entries(EVENT_TYPES);
+  const total = entries.reduce((sum, [, type]) => sum + type.weight, 0);
+  let threshold = roll * total;
+
+  for (const [key, type] of entries) {
+    threshold -= type.weight;
+    if (threshold < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+};
+
+export const isEventActive = (event, hour) =>
+  hour !== null &&
+  hour !== undefined &&
+  hour <= event.started_hour &&
+  hour > event.ends_hour;
+
+export const getActiveEvents = (events, hour) =>
+  (events || []).filter((event) => isEventActive(event, hour));
+
+/**
+ * Combined price factor of the active events that touch a record
+ * @param {Array} events - Active market_events rows
+ * @param {Object} params
+ * @param {string} [params.genre] - products.genre
+ * @param {string} [params.boroughId] - Borough the store is in
+ * @returns {number} - 1 when no event applies
+ */
+export const getEventPriceFactor = (events, { genre, boroughId } = {}) =>
+  (events || []).reduce((factor, event) => {
+    if (!event.price_factor) return factor;
+    if (event.genre && event.genre !== genre) return factor;
+    if (event.borough_id && event.borough_id !== boroughId) return factor;
+    return factor * Number(event.price_factor);
+  }, 1);
+
+/**
+ * The event that has closed a store, if any
+ * @param {Array} events - Active market_events rows
+ * @param {string} storeId - UUID of the store
+ * @returns {Object|null} - The store_closed event
+ */
+export const getStoreClosure = (events, storeId) =>
+  (events || []).find(
+    (event) => event.event_type === 'store_closed' && event.store_id === storeId
+  ) || null;
+
+export const isSubwayOut = (events) =>
+  (events || []).some((event) => event.event_type === 'subway_outage');
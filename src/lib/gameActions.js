@@ -1,11 +1,45 @@
 // src/lib/gameActions.js
-import { supabase } from './supabase';
+import { db } from './backend';
+import { ACTIONS_PER_HOUR } from './actionEconomy';
 
 /**
  * Game action utilities for NYC Vinyl Trader
  * These functions call the database stored procedures to perform game actions
  */
 
+/**
+ * Normalize the JSON an action RPC returns (see db/action_economy.sql)
+ * @param {Object} data - RPC result
+ * @param {Object} error - RPC error
+ * @returns {Object} - { success, error, player, currentHour, hourAdvanced, gameOver }
+ */
+const toActionResult = (data, error) => {
+  if (error) {
+    return {
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message || 'Transaction failed',
+      },
+    };
+  }
+
+  if (!data?.success) {
+    return {
+      success: false,
+      error: { message: data?.error || 'Action failed' },
+    };
+  }
+
+  return {
+    success: true,
+    player: data.player,
+    currentHour: data.current_hour,
+    hourAdvanced: data.hour_advanced,
+    gameOver: data.game_over,
+  };
+};
+
 /**
  * Buy a record from a store
  * @param {string} playerId - UUID of the player
@@ -14,7 +48,7 @@ import { supabase } from './supabase';
  * @param {string} productId - UUID of the product (record)
  * @param {number} quantity - Number of records to buy
  * @param {string} inventoryId - UUID of the specific inventory item to buy
- * @returns {Promise<Object>} - Result of the operation
+ * @returns {Promise<Object>} - Result with the player's new state
  */
 export const buyRecord = async (
   playerId,
@@ -32,53 +66,16 @@ export const buyRecord = async (
       };
     }
 
-    const { data, error } = await supabase.rpc('buy_record', {
+    const { data, error } = await db.rpc('player_buy_record', {
       p_player_id: playerId,
       p_game_id: gameId,
       p_product_id: productId,
       p_quantity: quantity,
       p_store_id: storeId,
+      p_inventory_id: inventoryId,
     });
 
-    if (error) {
-      // Special handling for unique constraint error
-      if (
-        error.code === '23505' &&
-        error.details?.includes(
-          'player_inventory_player_id_product_id_condition_key'
-        )
-      ) {
-        return {
-          success: false,
-          error: {
-            code: '23505',
-            message:
-              'You already own this record with this condition. Due to inventory system limitations, you can own only one copy of a record in each condition.',
-          },
-        };
-      }
-
-      return {
-        success: false,
-        error: {
-          code: error.code,
-          message: error.message || 'Transaction failed',
-        },
-      };
-    }
-
-    // False response means insufficient funds or inventory
-    if (data === false) {
-      return {
-        success: false,
-        error: {
-          message:
-            'Purchase failed. You may not have enough funds or the item is out of stock.',
-        },
-      };
-    }
-
-    return { success: true, data };
+    return toActionResult(data, error);
   } catch (err) {
     return {
       success: false,
@@ -95,7 +92,7 @@ export const buyRecord = async (
  * @param {string} productId - UUID of the product (record)
  * @param {number} quantity - Number of records to sell
  * @param {string} inventoryId - UUID of the specific inventory item
- * @returns {Promise<Object>} - Result object with success status
+ * @returns {Promise<Object>} - Result with the player's new state
  */
 export const sellRecord = async (
   playerId,
@@ -115,7 +112,7 @@ export const sellRecord = async (
       };
     }
 
-    const { data, error } = await supabase.rpc('sell_record', {
+    const { data, error } = await db.rpc('player_sell_record', {
       p_player_id: playerId,
       p_game_id: gameId,
       p_store_id: storeId,
@@ -124,7 +121,7 @@ export const sellRecord = async (
       p_inventory_id: inventoryId,
     });
 
-    return error ? { success: false, error } : { success: true, data };
+    return toActionResult(data, error);
   } catch (err) {
     return { success: false, error: { message: err.message } };
   }
@@ -141,7 +138,7 @@ export const getSellPrices = async (storeId, gameId, productIds) => {
   try {
     if (!productIds?.length) return {};
 
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('market_inventory')
       .select('product_id, current_price')
       .eq('store_id', storeId)
@@ -168,11 +165,17 @@ export const getSellPrices = async (storeId, gameId, productIds) => {
  * @param {string} playerId - UUID of the player
  * @param {string} gameId - UUID of the game
  * @param {number} currentHour - Current game hour
+ * @param {number} [actionsPerHour] - The game's actions_per_hour
  * @returns {Promise<Object>} - Player's actions data
  */
-export const getPlayerActions = async (playerId, gameId, currentHour) => {
+export const getPlayerActions = async (
+  playerId,
+  gameId,
+  currentHour,
+  actionsPerHour = ACTIONS_PER_HOUR
+) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('player_actions')
       .select('*')
       .eq('player_id', playerId)
@@ -183,64 +186,136 @@ export const getPlayerActions = async (playerId, gameId, currentHour) => {
     if (error || !data?.length) {
       // Create a new player_actions row if needed
       try {
-        const { data: newRow } = await supabase
+        const { data: newRow } = await db
           .from('player_actions')
           .insert({
             player_id: playerId,
             game_id: gameId,
             hour: currentHour,
             actions_used: 0,
-            actions_available: 4,
+            actions_available: actionsPerHour,
           })
           .select()
           .single();
 
-        return newRow || { actions_used: 0, actions_available: 4 };
+        return newRow || { actions_used: 0, actions_available: actionsPerHour };
       } catch {
-        return { actions_used: 0, actions_available: 4 };
+        return { actions_used: 0, actions_available: actionsPerHour };
       }
     }
 
     return data[0];
   } catch {
-    return { actions_used: 0, actions_available: 4 };
+    return { actions_used: 0, actions_available: actionsPerHour };
   }
 };
 
 /**
- * Advance the game to the next hour
+ * Walk into a store in the player's current borough (costs an action)
+ * @param {string} playerId - UUID of the player
  * @param {string} gameId - UUID of the game
- * @returns {Promise<boolean>} - True if successful
+ * @param {string} storeId - UUID of the store
+ * @returns {Promise<Object>} - Result with the player's new state
  */
-export const advanceGameHour = async (gameId) => {
+export const visitStore = async (playerId, gameId, storeId) => {
   try {
-    const { data: game, error: getError } = await supabase
-      .from('games')
-      .select('current_hour, max_hours')
-      .eq('id', gameId)
-      .single();
+    const { data, error } = await db.rpc('player_visit_store', {
+      p_player_id: playerId,
+      p_game_id: gameId,
+      p_store_id: storeId,
+    });
+
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
+  }
+};
+
+/**
+ * Sit out the hours until a closed store in the player's borough opens. Their
+ * turn ends now and stays ended until then (see db/store_hours.sql)
+ * @param {string} playerId - UUID of the player
+ * @param {string} gameId - UUID of the game
+ * @param {string} storeId - UUID of the store
+ * @returns {Promise<Object>} - Result with the player's new state
+ */
+export const waitUntilOpen = async (playerId, gameId, storeId) => {
+  try {
+    const { data, error } = await db.rpc('wait_until_open', {
+      p_player_id: playerId,
+      p_game_id: gameId,
+      p_store_id: storeId,
+    });
 
-    if (getError || game.current_hour <= 0) return false;
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
+  }
+};
 
-    // Decrement the hour
-    const { error: updateError } = await supabase
-      .from('games')
-      .update({ current_hour: game.current_hour - 1 })
-      .eq('id', gameId);
+/**
+ * End the player's turn. The hour advances once every player has ended
+ * theirs (see db/turns.sql)
+ * @param {string} playerId - UUID of the player
+ * @param {string} gameId - UUID of the game
+ * @returns {Promise<Object>} - Result with the player's new state
+ */
+export const endTurn = async (playerId, gameId) => {
+  try {
+    const { data, error } = await db.rpc('player_end_turn', {
+      p_player_id: playerId,
+      p_game_id: gameId,
+    });
 
-    return !updateError;
-  } catch {
-    return false;
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
   }
 };
 
 /**
- * Travel to another borough - SIMPLIFIED VERSION
+ * End every idle player's turn once the game's turn timer has run out. The
+ * server checks the deadline, so calling early does nothing
+ * @param {string} gameId - UUID of the game
+ * @returns {Promise<Object>} - Result with the game's hour
+ */
+export const expireTurn = async (gameId) => {
+  try {
+    const { data, error } = await db.rpc('expire_turn', {
+      p_game_id: gameId,
+    });
+
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
+  }
+};
+
+/**
+ * Claim playing the game's AI rivals for a while as the signed-in user,
+ * or renew the claim. Refused while another player's client holds it
+ * @param {string} gameId - UUID of the game
+ * @returns {Promise<Object>} - Result
+ */
+export const claimRivalTurns = async (gameId) => {
+  try {
+    const { data, error } = await db.rpc('claim_rival_turns', {
+      p_game_id: gameId,
+    });
+
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
+  }
+};
+
+/**
+ * Travel to another borough, paying the fare and travel time
  * @param {string} playerId - UUID of the player
  * @param {string} gameId - UUID of the game
  * @param {string} toBoroughId - UUID of the destination borough
  * @param {string} transportationId - UUID of the transportation method
- * @returns {Promise<{success: boolean, error: any}>} - Result object with success status and any error
+ * @returns {Promise<Object>} - Result with the player's new state
  */
 export const travelToBorough = async (
   playerId,
@@ -249,17 +324,79 @@ export const travelToBorough = async (
   transportationId
 ) => {
   try {
-    // Update the player's location
-    const { error: locationError } = await supabase
-      .from('players')
-      .update({ current_borough_id: toBoroughId })
-      .eq('id', playerId);
+    const { data, error } = await db.rpc('travel_to_borough', {
+      p_player_id: playerId,
+      p_game_id: gameId,
+      p_to_borough_id: toBoroughId,
+      p_transportation_id: transportationId,
+    });
 
-    return locationError
-      ? { success: false, error: locationError }
-      : { success: true };
+    return toActionResult(data, error);
   } catch (err) {
-    return { success: false, error: err };
+    return { success: false, error: { message: err.message } };
+  }
+};
+
+/**
+ * Borrow from the loan shark (costs an action)
+ * @param {string} playerId - UUID of the player
+ * @param {string} gameId - UUID of the game
+ * @param {number} amount - Amount to borrow
+ * @returns {Promise<Object>} - Result with the player's new state
+ */
+export const borrowMoney = async (playerId, gameId, amount) => {
+  try {
+    const { data, error } = await db.rpc('player_borrow', {
+      p_player_id: playerId,
+      p_game_id: gameId,
+      p_amount: amount,
+    });
+
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
+  }
+};
+
+/**
+ * Repay some or all of the loan (costs an action)
+ * @param {string} playerId - UUID of the player
+ * @param {string} gameId - UUID of the game
+ * @param {number} amount - Amount to repay, capped by the balance and cash
+ * @returns {Promise<Object>} - Result with the player's new state
+ */
+export const repayLoan = async (playerId, gameId, amount) => {
+  try {
+    const { data, error } = await db.rpc('player_repay', {
+      p_player_id: playerId,
+      p_game_id: gameId,
+      p_amount: amount,
+    });
+
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
+  }
+};
+
+/**
+ * Buy a bigger carrier in the borough that sells it (costs an action)
+ * @param {string} playerId - UUID of the player
+ * @param {string} gameId - UUID of the game
+ * @param {string} carrierType - Carrier type from carriers.js, e.g. 'Crate'
+ * @returns {Promise<Object>} - Result with the player's new state
+ */
+export const buyCarrier = async (playerId, gameId, carrierType) => {
+  try {
+    const { data, error } = await db.rpc('player_buy_carrier', {
+      p_player_id: playerId,
+      p_game_id: gameId,
+      p_carrier_type: carrierType,
+    });
+
+    return toActionResult(data, error);
+  } catch (err) {
+    return { success: false, error: { message: err.message } };
   }
 };
 
@@ -277,7 +414,7 @@ export const initializePlayer = async (gameId, userId, boroughId) => {
 
     if (!targetBoroughId) {
       // Try to get Downtown first
-      const { data: downtown } = await supabase
+      const { data: downtown } = await db
         .from('boroughs')
         .select('id')
         .eq('name', 'Downtown')
@@ -287,7 +424,7 @@ export const initializePlayer = async (gameId, userId, boroughId) => {
         targetBoroughId = downtown.id;
       } else {
         // Fall back to any borough
-        const { data: anyBorough } = await supabase
+        const { data: anyBorough } = await db
           .from('boroughs')
           .select('id')
           .limit(1)
@@ -299,16 +436,11 @@ export const initializePlayer = async (gameId, userId, boroughId) => {
     }
 
     // Create the player
-    const { data: player, error: playerError } = await supabase
+    const { data: player, error: playerError } = await db
       .from('players')
       .insert({
         game_id: gameId,
         user_id: userId,
-        cash: 100.0,
-        loan_amount: 100.0,
-        loan_interest_rate: 50.0,
-        inventory_capacity: 10,
-        carrier_type: 'Backpack',
         current_borough_id: targetBoroughId,
       })
       .select('id')
@@ -333,12 +465,12 @@ export const initializePlayer = async (gameId, userId, boroughId) => {
  */
 export const getStoreInventory = async (storeId, gameId) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('market_inventory')
       .select(
         `
         id, quantity, current_price, condition, quality_rating, base_markup, product_id,
-        products (id, name, artist, genre, year, rarity, description, image_url)
+        products (id, name, artist, genre, year, rarity, description, image_url, base_price)
       `
       )
       .eq('store_id', storeId)
@@ -372,7 +504,7 @@ export const getBoroughStores = async (boroughId, gameId = null) => {
   if (storeCache[cacheKey]) return storeCache[cacheKey];
 
   try {
-    const { data: allStores, error } = await supabase
+    const { data: allStores, error } = await db
       .from('stores')
       .select('id, name, specialty_genre, open_hour, close_hour')
       .eq('borough_id', boroughId);
@@ -401,7 +533,7 @@ export const getTransportationMethods = async () => {
   }
 
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('transportation_methods')
       .select('*')
       .order('speed_factor', { ascending: true });
@@ -431,9 +563,7 @@ export const getBoroughDistances = async () => {
   }
 
   try {
-    const { data, error } = await supabase
-      .from('borough_distances')
-      .select('*');
+    const { data, error } = await db.from('borough_distances').select('*');
 
     if (error) return [];
 
@@ -459,23 +589,17 @@ export const getGameState = async (playerId, gameId) => {
     const [playerStateResult, inventoryResult, transportResult, gameResult] =
       await Promise.all([
         // Get player state
-        supabase
+        db
           .from('player_game_state')
           .select('*')
           .eq('player_id', playerId)
           .single(),
         // Get inventory
-        supabase
-          .from('player_inventory_view')
-          .select('*')
-          .eq('player_id', playerId),
+        db.from('player_inventory_view').select('*').eq('player_id', playerId),
         // Get transportation
-        supabase
-          .from('transportation_options')
-          .select('*')
-          .eq('player_id', playerId),
+        db.from('transportation_options').select('*').eq('player_id', playerId),
         // Get game
-        supabase.from('games').select('*').eq('id', gameId).single(),
+        db.from('games').select('*').eq('id', gameId).single(),
       ]);
 
     const playerState = playerStateResult.data;
@@ -485,7 +609,7 @@ export const getGameState = async (playerId, gameId) => {
     let boroughId = playerState?.current_borough_id;
 
     if (!boroughId) {
-      const { data: fallbackPlayer } = await supabase
+      const { data: fallbackPlayer } = await db
         .from('players')
         .select('current_borough_id')
         .eq('id', playerId)
@@ -0,0 +1,115 @@
+// src/lib/gameSettings.js
+import { ACTIONS_PER_HOUR } from './actionEconomy';
+
+/**
+ * Game settings the host picks in the lobby. They live on the games row
+ * (db/lobby.sql, db/calendar.sql) and start_game() applies them: every
+ * player starts in START_BOROUGH with the starting cash and loan, the clock
+ * starts at max_hours, and actions_per_hour, enabled_borough_ids and
+ * skip_overnight hold for the whole game. A NULL enabled_borough_ids means
+ * every borough is in play.
+ */
+
+export const START_BOROUGH = 'Downtown';
+
+export const MAX_PLAYERS = 4;
+
+export const DEFAULT_GAME_SETTINGS = {
+  max_hours: 24,
+  starting_cash: 100,
+  starting_loan: 100,
+  actions_per_hour: ACTIONS_PER_HOUR,
+  enabled_borough_ids: null,
+  turn_seconds: null,
+  skip_overnight: false,
+};
+
+// max_hours choices; past 24 hours the game runs over several days
+export const GAME_LENGTH_OPTIONS = [
+  { hours: 12, label: '12 hours' },
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3-day weekend' },
+  { hours: 168, label: '7-day week' },
+];
+
+// Inclusive bounds, matching the CHECK constraints on games
+export const SETTING_LIMITS = {
+  starting_cash: { min: 0, max: 10000 },
+  starting_loan: { min: 0, max: 10000 },
+  actions_per_hour: { min: 1, max: 10 },
+};
+
+/**
+ * The settings a games row holds, with defaults for columns it lacks
+ * @param {Object} game - games row
+ * @returns {Object}
+ */
+export const getGameSettings = (game) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_GAME_SETTINGS).map(([key, fallback]) => [
+      key,
+      game?.[key] ?? fallback,
+    ])
+  );
+
+/**
+ * Check settings before saving them
+ * @param {Object} settings - As returned by getGameSettings()
+ * @param {Array} boroughs - boroughs rows
+ * @returns {string|null} - What's wrong, or null
+ */
+export const validateGameSettings = (settings, boroughs = []) => {
+  if (
+    !GAME_LENGTH_OPTIONS.some(
+      (option) => option.hours === Number(settings.max_hours)
+    )
+  ) {
+    return 'Pick one of the game lengths';
+  }
+
+  const outOfRange = Object.entries(SETTING_LIMITS).find(
+    ([key, { min, max }]) =>
+      !Number.isFinite(Number(settings[key])) ||
+      Number(settings[key]) < min ||
+      Number(settings[key]) > max
+  );
+  if (outOfRange) {
+    const [key, { min, max }] = outOfRange;
+    return `${key.replace(/_/g, ' ')} must be between ${min} and ${max}`;
+  }
+
+  const start = boroughs.find((b) => b.name === START_BOROUGH);
+  if (start && !isBoroughEnabled(settings, start.id)) {
+    return `${START_BOROUGH} is where everyone starts, so it stays in play`;
+  }
+
+  return null;
+};
+
+/**
+ * Whether a borough is in play
+ * @param {Object} game - games row (or settings)
+ * @param {string} boroughId - UUID of the borough
+ * @returns {boolean}
+ */
+export const isBoroughEnabled = (game, boroughId) =>
+  !game?.enabled_borough_ids || game.enabled_borough_ids.includes(boroughId);
+
+/**
+ * Why the host can't start yet: everyone but the host has to be ready
+ * @param {Array} players - The game's players rows
+ * @param {string} hostUserId - games.created_by
+ * @returns {string|null} - The reason, or null when the game can start
+ */
+export const getStartBlocker = (players = [], hostUserId) => {
+  if (players.length === 0) return 'Nobody has joined yet';
+
+  const notReady = players.filter(
+    (p) => p.user_id !== hostUserId && !p.is_ready
+  );
+  if (notReady.length === 0) return null;
+
+  return notReady.length === 1
+    ? `Waiting for ${notReady[0].username || 'a player'} to be ready`
+    : `Waiting for ${notReady.length} players to be ready`;
+};
@@ -0,0 +1,158 @@
+// src/lib/identity.js
+import { db } from './backend';
+
+/**
+ * Who is playing, and as which player in each game.
+ *
+ * A user is the signed-in auth user. Guests get an anonymous one the first
+ * time they play, so their games can later be carried over to an account
+ * (see db/accounts.sql). Only if anonymous sign-in isn't available does the
+ * browser fall back to a device ID of its own, kept in localStorage - the
+ * server only takes actions from auth users, so that player can't act.
+ * players.user_id is always one of those, so the player row for a game is
+ * looked up by user rather than remembered per browser - which is what lets
+ * a game resume on another device once you sign in, and keeps one
+ * account's games away from the next account on a shared device.
+ */
+
+const DEVICE_ID_KEY = 'deliWarsPlayerId';
+const CURRENT_GAME_KEY = 'deliWarsCurrentGame';
+
+/**
+ * This browser's own user ID, for when there's no auth user to play as
+ * @returns {string}
+ */
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+// Shared so simultaneous callers don't each make a guest
+let guestSignIn = null;
+
+const signInGuest = () => {
+  guestSignIn ??= db.auth
+    .signInAnonymously()
+    .then(({ data, error }) => (error ? null : data?.user?.id || null))
+    .catch(() => null)
+    .finally(() => {
+      guestSignIn = null;
+    });
+  return guestSignIn;
+};
+
+/**
+ * The user ID to play as: the signed-in user, else a new guest, else the
+ * device ID
+ * @returns {Promise<string>}
+ */
+export const getUserId = async () => {
+  const { data } = await db.auth.getUser();
+  return data?.user?.id || (await signInGuest()) || getDeviceId();
+};
+
+/**
+ * The user's player row ID in a game
+ * @param {string} gameId - UUID of the game
+ * @param {string} userId - Defaults to the current user
+ * @returns {Promise<string|null>}
+ */
+export const findPlayerId = async (gameId, userId) => {
+  if (!gameId) return null;
+
+  const { data } = await db
+    .from('players')
+    .select('id')
+    .eq('game_id', gameId)
+    .eq('user_id', userId || (await getUserId()))
+    .maybeSingle();
+
+  return data?.id || null;
+};
+
+/**
+ * Remember the game to pick up again on the next visit
+ * @param {string|null} gameId - null forgets it
+ */
+export const setResumeGame = (gameId) => {
+  if (gameId) {
+    localStorage.setItem(CURRENT_GAME_KEY, gameId);
+  } else {
+    localStorage.removeItem(CURRENT_GAME_KEY);
+  }
+};
+
+/**
+ * The game the user should pick up: the one this browser was last in, if
+ * they play in it, else their most recent unfinished game from any device
+ * @param {string} userId - Defaults to the current user
+ * @returns {Promise<string|null>} - Game ID
+ */
+export const getResumeGameId = async (userId) => {
+  const user = userId || (await getUserId());
+  const storedGameId = localStorage.getItem(CURRENT_GAME_KEY);
+
+  if (storedGameId && (await findPlayerId(storedGameId, user))) {
+    return storedGameId;
+  }
+
+  const { data: players } = await db
+    .from('players')
+    .select('game_id')
+    .eq('user_id', user);
+  if (!players?.length) return null;
+
+  const { data: games } = await db
+    .from('games')
+    .select('id')
+    .in(
+      'id',
+      players.map((p) => p.game_id)
+    )
+    .neq('status', 'completed')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  return games?.[0]?.id || null;
+};
+
+/**
+ * Proof that this browser is the signed-in guest, taken before signing in
+ * to another account so the guest's games can follow
+ * @param {Object|null} user - The auth user before signing in
+ * @returns {Promise<string|null>} - Claim token, or null if not a guest
+ */
+export const claimGuestPlay = async (user) => {
+  if (!user?.is_anonymous) return null;
+
+  const { data, error } = await db.rpc('create_identity_claim');
+  return !error && data?.success ? data.token : null;
+};
+
+/**
+ * Move a claimed guest's play to the newly signed-in user
+ * @param {string|null} claimToken - From claimGuestPlay
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const linkGuestPlay = async (claimToken) => {
+  if (!claimToken) return { success: true };
+
+  try {
+    const { data, error } = await db.rpc('link_player_identity', {
+      p_claim_token: claimToken,
+    });
+
+    if (error) return { success: false, error };
+    if (!data?.success) {
+      return { success: false, error: new Error(data?.error) };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error };
+  }
+};
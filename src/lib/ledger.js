@@ -0,0 +1,145 @@
+// src/lib/ledger.js
+import { roundMoney } from './pricing';
+
+/**
+ * The trade log. Every buy, sale, fare, carrier and loan movement is a
+ * transactions row; db/ledger.sql adds the borough it happened in, the
+ * record's condition and, on sales, the average price the player had paid
+ * (cost_basis), so realized profit can be read straight off the row.
+ */
+
+export const TRANSACTION_TYPES = {
+  buy: { label: 'Bought', direction: -1 },
+  sell: { label: 'Sold', direction: 1 },
+  travel: { label: 'Fare', direction: -1 },
+  carrier: { label: 'Carrier', direction: -1 },
+  borrow: { label: 'Borrowed', direction: 1 },
+  repay: { label: 'Repaid', direction: -1 },
+  loan_penalty: { label: 'Loan penalty', direction: -1 },
+};
+
+export const LEDGER_FILTERS = {
+  all: { label: 'All', types: null },
+  trades: { label: 'Trades', types: ['buy', 'sell'] },
+  travel: { label: 'Travel', types: ['travel', 'carrier'] },
+  loans: { label: 'Loans', types: ['borrow', 'repay', 'loan_penalty'] },
+};
+
+/**
+ * Profit on a sale against what the player had paid per copy
+ * @param {Object} transaction - transactions row
+ * @returns {number|null} - null for anything but a sale with a cost basis
+ */
+export const getRealizedProfit = (transaction) => {
+  if (
+    transaction.transaction_type !== 'sell' ||
+    transaction.cost_basis === null ||
+    transaction.cost_basis === undefined
+  ) {
+    return null;
+  }
+  return roundMoney(
+    (Number(transaction.price) - Number(transaction.cost_basis)) *
+      (transaction.quantity || 1)
+  );
+};
+
+/**
+ * Flatten transactions (with products, stores and boroughs joined) into
+ * ledger rows, newest first
+ * @param {Array} transactions - transactions rows
+ * @returns {Array}
+ */
+export const toLedgerRows = (transactions = []) =>
+  [...transactions]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .map((t) => {
+      const type = TRANSACTION_TYPES[t.transaction_type];
+      const quantity = t.quantity || 1;
+
+      return {
+        id: t.id,
+        hour: t.hour,
+        type: t.transaction_type,
+        label: type?.label || t.transaction_type,
+        record: t.products?.name || null,
+        artist: t.products?.artist || null,
+        condition: t.condition || null,
+        store: t.stores?.name || null,
+        borough: t.boroughs?.name || null,
+        quantity,
+        price: Number(t.price),
+        total: roundMoney(Number(t.price) * quantity * (type?.direction || 0)),
+        profit: getRealizedProfit(t),
+        createdAt: t.created_at,
+      };
+    });
+
+/**
+ * @param {Array} rows - From toLedgerRows
+ * @param {Object} filter
+ * @param {string} [filter.type] - Key of LEDGER_FILTERS
+ * @param {string} [filter.search] - Matched against record, artist, store and borough
+ * @returns {Array}
+ */
+export const filterLedger = (rows, { type = 'all', search = '' } = {}) => {
+  const types = LEDGER_FILTERS[type]?.types;
+  const term = search.trim().toLowerCase();
+
+  return rows.filter(
+    (row) =>
+      (!types || types.includes(row.type)) &&
+      (!term ||
+        [row.record, row.artist, row.store, row.borough]
+          .filter(Boolean)
+          .some((value) => value.toLowerCase().includes(term)))
+  );
+};
+
+const CSV_COLUMNS = [
+  'hour',
+  'label',
+  'record',
+  'artist',
+  'condition',
+  'store',
+  'borough',
+  'quantity',
+  'price',
+  'total',
+  'profit',
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array} rows - Ledger rows
+ * @returns {string}
+ */
+export const ledgerToCsv = (rows) =>
+  [CSV_COLUMNS, ...rows.map((row) => CSV_COLUMNS.map((key) => row[key]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\n');
+
+/**
+ * @param {Array} rows - Ledger rows
+ * @returns {string}
+ */
+export const ledgerToJson = (rows) => JSON.stringify(rows, null, 2);
+
+/**
+ * The anti-flip rule: a record can't go back to the store it was last
+ * bought from for more than the player paid there.
+ * @param {Object|null} lastBuy - The player's latest buy of the record
+ * @param {string} storeId - Store the player is selling to
+ * @param {number} sellPrice - What the store would pay per copy
+ * @returns {string|null} - Error message, or null when the sale is allowed
+ */
+export const getSameStoreFlipError = (lastBuy, storeId, sellPrice) =>
+  lastBuy && lastBuy.store_id === storeId && sellPrice > Number(lastBuy.price)
+    ? "Can't sell for more than you paid at the same store"
+    : null;
@@ -0,0 +1,90 @@
+// src/lib/loans.js
+import { roundMoney } from './pricing';
+
+/**
+ * Loan rules. The server applies them in db/loans.sql and the local backend;
+ * the client uses them to preview interest, credit and the end-of-game penalty.
+ *
+ * loan_interest_rate is a percentage per game day, compounded every hour.
+ */
+
+// Where the loan shark works - borrowing and repaying only happen here
+export const LOAN_SHARK = {
+  name: "Big Sal's Check Cashing",
+  borough: 'Bronx',
+};
+
+export const HOURS_PER_DAY = 24;
+
+// Everyone gets this much credit; net worth raises it
+export const BASE_CREDIT_LIMIT = 100;
+export const CREDIT_NET_WORTH_RATIO = 0.5;
+
+// Debt still owed when the game ends is settled from cash with this surcharge
+export const UNPAID_LOAN_PENALTY = 0.5;
+
+export const isLoanSharkBorough = (borough) =>
+  borough?.name?.toLowerCase() === LOAN_SHARK.borough.toLowerCase();
+
+/**
+ * Loan balance after one hour of interest
+ * @param {number} loanAmount - Current balance
+ * @param {number} interestRate - loan_interest_rate (percent per day)
+ * @returns {number} - New balance
+ */
+export const accrueInterest = (loanAmount, interestRate) => {
+  if (!loanAmount || loanAmount <= 0) return 0;
+  return roundMoney(
+    loanAmount * (1 + (interestRate || 0) / 100 / HOURS_PER_DAY)
+  );
+};
+
+/**
+ * Net worth the loan shark lends against: cash plus inventory at what the
+ * player paid for it, minus the loan. Matches player_book_net_worth().
+ * @param {Object} player - players row
+ * @param {Array} inventory - player_inventory rows
+ * @returns {number} - Book net worth
+ */
+export const getBookNetWorth = (player, inventory = []) =>
+  roundMoney(
+    (player?.cash || 0) +
+      inventory.reduce(
+        (sum, item) => sum + (item.purchase_price || 0) * (item.quantity || 0),
+        0
+      ) -
+      (player?.loan_amount || 0)
+  );
+
+/**
+ * Most a player may owe in total
+ * @param {number} netWorth - Book net worth
+ * @returns {number} - Credit limit
+ */
+export const getCreditLimit = (netWorth) =>
+  roundMoney(
+    BASE_CREDIT_LIMIT + CREDIT_NET_WORTH_RATIO * Math.max(0, netWorth || 0)
+  );
+
+/**
+ * How much more the player can borrow right now
+ * @param {Object} player - players row
+ * @param {Array} inventory - player_inventory rows
+ * @returns {number} - Amount available to borrow
+ */
+export const getAvailableCredit = (player, inventory = []) =>
+  roundMoney(
+    Math.max(
+      0,
+      getCreditLimit(getBookNetWorth(player, inventory)) -
+        (player?.loan_amount || 0)
+    )
+  );
+
+/**
+ * What settling the loan at the end of the game costs
+ * @param {number} loanAmount - Outstanding balance
+ * @returns {number} - Balance plus penalty
+ */
+export const getLoanSettlement = (loanAmount) =>
+  loanAmount > 0 ? roundMoney(loanAmount * (1 + UNPAID_LOAN_PENALTY)) : 0;
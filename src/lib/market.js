@@ -0,0 +1,130 @@
+// src/lib/market.js
+import { roundMoney } from './pricing';
+
+/**
+ * Hourly market simulation. Each time a game's hour advances every shelf
+ * (market_inventory row) drifts toward what its record is worth right now:
+ * the formula price from pricing.js, scaled by the genre's demand curve and
+ * by what players bought from or sold to that shelf during the hour.
+ * Shelves also restock, lose copies to local collectors, and pick up new
+ * titles, so the same store is worth revisiting.
+ *
+ * The local backend runs this in advanceHour; db/market.sql runs the same
+ * tick as tick_market() from advance_game_hour.
+ */
+
+// Demand swings 1 ± amplitude with the time of day, one full cycle every
+// `period` clock hours (a divisor of 24, so every day repeats), offset by
+// `phase` so each genre peaks at a different time: Rock at 6 PM, Jazz at
+// 9 PM, Soul at 2 PM, Punk at 10 AM and 6 PM, Hip-Hop at 4 PM and
+// Electronic at 11 AM and 11 PM
+export const GENRE_DEMAND = {
+  Rock: { amplitude: 0.1, period: 24, phase: 12 },
+  Jazz: { amplitude: 0.2, period: 24, phase: 9 },
+  Soul: { amplitude: 0.15, period: 12, phase: 1 },
+  Punk: { amplitude: 0.25, period: 8, phase: 0 },
+  'Hip-Hop': { amplitude: 0.2, period: 24, phase: 14 },
+  Electronic: { amplitude: 0.25, period: 12, phase: 4 },
+};
+
+// Share of the gap to the target price a shelf closes each hour
+export const DRIFT_RATE = 0.3;
+
+// Random swing on top of the drift, ± this share
+export const PRICE_NOISE = 0.03;
+
+// Each copy players bought off a shelf last hour raises its target by this
+// share (each copy sold to it lowers it), up to MAX_PRESSURE either way
+export const PRESSURE_STEP = 0.05;
+export const MAX_PRESSURE = 0.3;
+
+export const MIN_PRICE = 1;
+
+// Shelves restock toward TARGET_STOCK copies; at full demand locals buy a
+// copy with LOCAL_SALE_CHANCE each hour
+export const TARGET_STOCK = 3;
+export const RESTOCK_CHANCE = 0.3;
+export const LOCAL_SALE_CHANCE = 0.1;
+
+// Chance each hour that a store puts a title it doesn't carry on its shelves
+export const NEW_TITLE_CHANCE = 0.2;
+
+/**
+ * Demand multiplier for a genre at a time of day
+ * @param {string} genre - products.genre
+ * @param {number} hour - Clock hour, 0-23 (getClockHour)
+ * @returns {number} - 1 is normal demand
+ */
+export const getGenreDemand = (genre, hour) => {
+  const curve = GENRE_DEMAND[genre];
+  if (!curve || hour === null || hour === undefined) return 1;
+
+  const swing =
+    curve.amplitude *
+    Math.sin((2 * Math.PI * (hour + curve.phase)) / curve.period);
+  return Math.round((1 + swing) * 1000) / 1000;
+};
+
+/**
+ * Net copies players took off a shelf, from the hour's transactions
+ * @param {Array} transactions - buy/sell rows for one store and product
+ * @returns {number} - Copies bought minus copies sold
+ */
+export const getNetBought = (transactions = []) =>
+  transactions.reduce((net, t) => {
+    if (t.transaction_type === 'buy') return net + (t.quantity || 0);
+    if (t.transaction_type === 'sell') return net - (t.quantity || 0);
+    return net;
+  }, 0);
+
+export const getPressureFactor = (netBought) =>
+  1 +
+  Math.max(-MAX_PRESSURE, Math.min(MAX_PRESSURE, netBought * PRESSURE_STEP));
+
+/**
+ * Move one shelf on an hour
+ * @param {Object} params
+ * @param {Object} params.item - market_inventory row
+ * @param {number} params.fairPrice - calculateBuyPrice() for the row, without a market swing
+ * @param {number} params.demand - getGenreDemand() for the new hour
+ * @param {number} [params.netBought] - getNetBought() for the hour that ended
+ * @param {Function} [params.random] - Source of randomness in [0, 1)
+ * @returns {Object} - { price, quantity } - a quantity of 0 empties the shelf
+ */
+export const tickShelf = ({
+  item,
+  fairPrice,
+  demand,
+  netBought = 0,
+  random = Math.random,
+}) => {
+  const current = Number(item.current_price);
+  const target = fairPrice * demand * getPressureFactor(netBought);
+  const drifted = current + (target - current) * DRIFT_RATE;
+  const noise = 1 + (random() * 2 - 1) * PRICE_NOISE;
+  const price = Math.max(MIN_PRICE, roundMoney(drifted * noise));
+
+  let quantity = item.quantity;
+  if (quantity < TARGET_STOCK && random() < RESTOCK_CHANCE) {
+    quantity += 1;
+  } else if (random() < LOCAL_SALE_CHANCE * demand) {
+    quantity -= 1;
+  }
+
+  return { price, quantity };
+};
+
+/**
+ * Which way a shelf price moved in the last tick
+ * @param {Object} item - market_inventory row
+ * @returns {string|null} - 'up', 'down' or null
+ */
+export const getPriceTrend = (item) => {
+  if (item?.previous_price === null || item?.previous_price === undefined) {
+    return null;
+  }
+  const change = Number(item.current_price) - Number(item.previous_price);
+  if (change > 0) return 'up';
+  if (change < 0) return 'down';
+  return null;
+};
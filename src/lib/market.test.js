@@ -0,0 +1,32 @@
+// src/lib/market.test.js
+import { describe, expect, it } from 'vitest';
+import { GENRE_DEMAND, getGenreDemand } from './market';
+
+const CLOCK_HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+describe('getGenreDemand', () => {
+  it.each([
+    ['Rock', 18],
+    ['Jazz', 21],
+    ['Soul', 14],
+    ['Punk', 18],
+    ['Hip-Hop', 16],
+    ['Electronic', 23],
+  ])('%s peaks at clock hour %i', (genre, hour) => {
+    const peak = Math.max(...CLOCK_HOURS.map((h) => getGenreDemand(genre, h)));
+    expect(getGenreDemand(genre, hour)).toBe(peak);
+    expect(peak).toBe(1 + GENRE_DEMAND[genre].amplitude);
+  });
+
+  it('runs on through midnight into the next day', () => {
+    Object.entries(GENRE_DEMAND).forEach(([genre, { period }]) => {
+      expect(24 % period).toBe(0);
+      expect(getGenreDemand(genre, 0)).toBe(getGenreDemand(genre, 24));
+    });
+  });
+
+  it('is neutral for unknown genres and hours', () => {
+    expect(getGenreDemand('Polka', 12)).toBe(1);
+    expect(getGenreDemand('Rock', null)).toBe(1);
+  });
+});
@@ -0,0 +1,49 @@
+// src/lib/notebook.js
+
+/**
+ * The price notebook. Walking into a store notes what its shelf charges
+ * (buy_price) and what it offers for each record the player holds
+ * (sell_price), per product and condition, stamped with the game hour. The
+ * notes outlive the visit, so the Travel drawer and Inventory can show what
+ * the player last saw. Written by player_visit_store (db/notebook.sql) and
+ * noteStorePrices() in the local backend.
+ */
+
+/**
+ * A store's notes, most recently seen first
+ * @param {Array} notes - price_notebook rows
+ * @param {string} storeId - UUID of the store
+ * @returns {Array}
+ */
+export const getStoreNotes = (notes = [], storeId) =>
+  notes
+    .filter((note) => note.store_id === storeId)
+    .sort(
+      (a, b) =>
+        Math.min(a.buy_hour ?? Infinity, a.sell_hour ?? Infinity) -
+        Math.min(b.buy_hour ?? Infinity, b.sell_hour ?? Infinity)
+    );
+
+/**
+ * The store that offered the most for a record the last time the player
+ * looked, matching its condition
+ * @param {Array} notes - price_notebook rows
+ * @param {Object} item - player_inventory row
+ * @returns {Object|null} - The winning note
+ */
+export const getBestKnownBuyer = (notes = [], item) =>
+  notes
+    .filter(
+      (note) =>
+        note.product_id === item.product_id &&
+        note.condition === item.condition &&
+        note.sell_price !== null &&
+        note.sell_price !== undefined
+    )
+    .reduce(
+      (best, note) =>
+        !best || Number(note.sell_price) > Number(best.sell_price)
+          ? note
+          : best,
+      null
+    );
@@ -0,0 +1,321 @@
+// src/lib/pricing.js
+
+/**
+ * Record pricing for NYC Vinyl Trader.
+ *
+ * This is the one place the buy and sell formulas live. The Store page uses
+ * it to preview prices, the local backend uses it inside buy_record /
+ * sell_record / get_sell_price, and db/pricing_engine.sql implements the
+ * same steps for Supabase. pricing.test.js pins both to the same reference
+ * prices.
+ *
+ * Every step rounds to cents, matching assignment to a NUMERIC(10,2)
+ * variable in PL/pgSQL, so the preview and the charge agree to the penny.
+ */
+
+// Condition multipliers, best to worst
+export const CONDITION_FACTORS = {
+  Mint: 1.8,
+  Good: 1.3,
+  Fair: 1.0,
+  Poor: 0.7,
+};
+
+// Conditions ordered from worst to best (used for the price ceiling)
+export const CONDITION_ORDER = ['Poor', 'Fair', 'Good', 'Mint'];
+
+// Stores pay this share of a record's value when buying from a player
+export const STORE_BUY_MARGIN = 0.8;
+
+// Bonus a store pays for records in its specialty genre
+export const SPECIALTY_BONUS = 1.8;
+
+// Clock hours (getClockHour in timeUtils.js) with peak demand, inclusive:
+// noon to 6 PM every day
+export const PEAK_HOURS = { from: 12, to: 18 };
+export const PEAK_HOUR_BONUS = 1.2;
+
+// A store pays at least this share of its shelf price for the same condition
+export const FLOOR_RATIO = 0.75;
+
+// ...and at most this share of its cheapest better-condition copy
+export const CEILING_RATIO = 0.8;
+
+// Stores resell records bought from players at this markup
+export const RESTOCK_MARKUP = 1.5;
+
+// Used when neither a purchase price nor a base price is known
+export const DEFAULT_BASE_PRICE = 10;
+
+// ROUND(x, 2) on NUMERIC rounds halves away from zero; EPSILON keeps
+// values like 1.005 from landing just under the half
+export const roundMoney = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+export const getConditionFactor = (condition) =>
+  CONDITION_FACTORS[condition] ?? CONDITION_FACTORS.Poor;
+
+export const isPeakHour = (hour) =>
+  hour !== null &&
+  hour !== undefined &&
+  hour >= PEAK_HOURS.from &&
+  hour <= PEAK_HOURS.to;
+
+export const isSpecialty = (store, genre) =>
+  Boolean(store?.specialty_genre) && store.specialty_genre === genre;
+
+// Appends a multiplier step to a breakdown and returns the new price
+const applyStep = (steps, price, { key, label, factor }) => {
+  const next = roundMoney(price * factor);
+  steps.push({ key, label, factor, price: next });
+  return next;
+};
+
+/**
+ * Price a store charges for a record on its shelf
+ * @param {Object} params
+ * @param {number} params.basePrice - products.base_price
+ * @param {string} params.condition - Mint, Good, Fair or Poor
+ * @param {Object} params.store - stores row (price_multiplier is used)
+ * @param {number} [params.boroughModifier] - boroughs.price_modifier
+ * @param {number} [params.variation] - Random market swing (1 = none)
+ * @returns {Object} - { price, steps } where steps itemize each factor
+ */
+export const calculateBuyPrice = ({
+  basePrice,
+  condition,
+  store,
+  boroughModifier = null,
+  variation = 1,
+}) => {
+  const steps = [];
+  let price = roundMoney(basePrice ?? DEFAULT_BASE_PRICE);
+  steps.push({ key: 'base', label: 'Base price', factor: null, price });
+
+  price = applyStep(steps, price, {
+    key: 'condition',
+    label: `${condition || 'Poor'} condition`,
+    factor: getConditionFactor(condition),
+  });
+
+  if (store?.price_multiplier != null && store.price_multiplier !== 1) {
+    price = applyStep(steps, price, {
+      key: 'store',
+      label: 'Store markup',
+      factor: store.price_multiplier,
+    });
+  }
+
+  if (boroughModifier !== null && boroughModifier !== 1) {
+    price = applyStep(steps, price, {
+      key: 'borough',
+      label: 'Borough prices',
+      factor: boroughModifier,
+    });
+  }
+
+  if (variation !== 1) {
+    price = applyStep(steps, price, {
+      key: 'market',
+      label: 'Market swing',
+      factor: variation,
+    });
+  }
+
+  return { price, steps };
+};
+
+/**
+ * Shelf prices that bound what a store will pay for a record
+ * @param {Array} shelf - market_inventory rows for the product in the store
+ * @param {string} condition - Condition of the record being sold
+ * @returns {Object} - { floor, ceiling, marketPrice } (null when absent)
+ */
+export const getSellBounds = (shelf = [], condition) => {
+  const rank = CONDITION_ORDER.indexOf(condition);
+  const prices = (filter) =>
+    shelf.filter(filter).map((item) => Number(item.current_price));
+
+  const sameCondition = prices((item) => item.condition === condition);
+  const betterCondition = prices(
+    (item) => CONDITION_ORDER.indexOf(item.condition) > rank
+  );
+  const allPrices = prices(() => true);
+
+  return {
+    floor: sameCondition.length
+      ? roundMoney(Math.max(...sameCondition) * FLOOR_RATIO)
+      : null,
+    ceiling: betterCondition.length
+      ? roundMoney(Math.min(...betterCondition) * CEILING_RATIO)
+      : null,
+    marketPrice: allPrices.length ? Math.max(...allPrices) : null,
+  };
+};
+
+/**
+ * Price a store pays a player for one record
+ * @param {Object} params
+ * @param {number} [params.purchasePrice] - player_inventory.purchase_price
+ * @param {number} [params.basePrice] - products.base_price
+ * @param {string} params.condition - Condition of the player's copy
+ * @param {string} [params.genre] - products.genre
+ * @param {Object} params.store - stores row (specialty_genre is used)
+ * @param {number} [params.boroughModifier] - boroughs.price_modifier
+ * @param {number} [params.hour] - Clock hour, 0-23 (getClockHour)
+ * @param {Array} [params.shelf] - The store's market_inventory rows for this product
+ * @param {number} [params.eventFactor] - getEventPriceFactor() from events.js
+ * @returns {Object} - { price, steps, clamp } where clamp is 'floor', 'ceiling' or null
+ */
+export const calculateSellPrice = ({
+  purchasePrice = null,
+  basePrice = null,
+  condition,
+  genre = null,
+  store = null,
+  boroughModifier = null,
+  hour = null,
+  shelf = [],
+  eventFactor = 1,
+}) => {
+  const { floor, ceiling, marketPrice } = getSellBounds(shelf, condition);
+  const steps = [];
+
+  let price = roundMoney(
+    purchasePrice ?? marketPrice ?? basePrice ?? DEFAULT_BASE_PRICE
+  );
+  steps.push({
+    key: 'base',
+    label: purchasePrice != null ? 'You paid' : 'Base price',
+    factor: null,
+    price,
+  });
+
+  price = applyStep(steps, price, {
+    key: 'margin',
+    label: 'Store margin',
+    factor: STORE_BUY_MARGIN,
+  });
+
+  price = applyStep(steps, price, {
+    key: 'condition',
+    label: `${condition || 'Poor'} condition`,
+    factor: getConditionFactor(condition),
+  });
+
+  if (isSpecialty(store, genre)) {
+    price = applyStep(steps, price, {
+      key: 'specialty',
+      label: `${store.specialty_genre} specialist`,
+      factor: SPECIALTY_BONUS,
+    });
+  }
+
+  if (isPeakHour(hour)) {
+    price = applyStep(steps, price, {
+      key: 'peak',
+      label: 'Peak hours',
+      factor: PEAK_HOUR_BONUS,
+    });
+  }
+
+  if (boroughModifier !== null) {
+    price = applyStep(steps, price, {
+      key: 'borough',
+      label: 'Borough prices',
+      factor: boroughModifier,
+    });
+  }
+
+  // Ceiling first, then floor - a store never pays less than the floor
+  let clamp = null;
+  if (ceiling !== null && price > ceiling) {
+    price = ceiling;
+    clamp = 'ceiling';
+    steps.push({
+      key: 'ceiling',
+      label: 'Capped below better copies',
+      factor: null,
+      price,
+    });
+  }
+  if (floor !== null && price < floor) {
+    price = floor;
+    clamp = 'floor';
+    steps.push({
+      key: 'floor',
+      label: 'Raised to shelf floor',
+      factor: null,
+      price,
+    });
+  }
+
+  // Market events move the final price, past the shelf bounds
+  if (eventFactor !== 1) {
+    price = applyStep(steps, price, {
+      key: 'event',
+      label: 'Market events',
+      factor: eventFactor,
+    });
+  }
+
+  return { price, steps, clamp };
+};
+
+/**
+ * Lines a breakdown up with the price actually charged, adding one step for
+ * whatever the formula doesn't cover (e.g. the market swing baked into a
+ * shelf price when the store was stocked)
+ * @param {Object} breakdown - Result of calculateBuyPrice or calculateSellPrice
+ * @param {number} chargedPrice - The price the server charges or pays
+ * @param {string} label - Label for the adjustment step
+ * @returns {Object} - The breakdown, ending at chargedPrice
+ */
+export const reconcileBreakdown = (breakdown, chargedPrice, label) => {
+  if (chargedPrice === null || chargedPrice === undefined) return breakdown;
+
+  const price = roundMoney(chargedPrice);
+  if (price === breakdown.price) return breakdown;
+
+  return {
+    ...breakdown,
+    price,
+    steps: [
+      ...breakdown.steps,
+      {
+        key: 'adjustment',
+        label,
+        factor: breakdown.price ? price / breakdown.price : null,
+        price,
+      },
+    ],
+  };
+};
+
+/**
+ * Shelf price for a record a store just bought from a player
+ * @param {number} sellPrice - What the store paid
+ * @returns {number} - The store's asking price
+ */
+export const calculateRestockPrice = (sellPrice) =>
+  roundMoney(sellPrice * RESTOCK_MARKUP);
+
+/**
+ * Cost basis after adding copies to a stack: the quantity-weighted average
+ * of what the player paid. Matches buy_record's ON CONFLICT update.
+ * @param {number} heldQuantity - Copies already owned
+ * @param {number} heldPrice - Their purchase_price
+ * @param {number} addedQuantity - Copies being bought
+ * @param {number} addedPrice - Price paid per new copy
+ * @returns {number} - New purchase_price per copy
+ */
+export const averageCost = (
+  heldQuantity,
+  heldPrice,
+  addedQuantity,
+  addedPrice
+) =>
+  roundMoney(
+    ((heldPrice || 0) * heldQuantity + addedPrice * addedQuantity) /
+      (heldQuantity + addedQuantity)
+  );
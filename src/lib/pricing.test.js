@@ -0,0 +1,171 @@
+// src/lib/pricing.test.js
+import { describe, expect, it } from 'vitest';
+import {
+  averageCost,
+  calculateBuyPrice,
+  calculateRestockPrice,
+  calculateSellPrice,
+  isPeakHour,
+  roundMoney,
+} from './pricing';
+import { getClockHour } from './timeUtils';
+
+/**
+ * Reference prices. db/market.sql asserts the buy rows against
+ * price_buy_record() and db/pricing_engine.sql the sell rows against
+ * price_sell_record() when they are applied - change both together or
+ * neither.
+ */
+const BUY_REFERENCE_PRICES = [
+  {
+    name: 'Good, no markups',
+    input: { basePrice: 20, condition: 'Good' },
+    price: 26,
+  },
+  {
+    name: 'Mint at a pricey store, Downtown',
+    input: {
+      basePrice: 15,
+      condition: 'Mint',
+      store: { price_multiplier: 1.1 },
+      boroughModifier: 1.2,
+    },
+    price: 35.64,
+  },
+  {
+    name: 'No base price falls back to $10',
+    input: { condition: 'Poor' },
+    price: 7,
+  },
+  {
+    name: 'Rounds half a cent up at each step',
+    input: {
+      basePrice: 12.35,
+      condition: 'Fair',
+      store: { price_multiplier: 0.9 },
+      boroughModifier: 0.8,
+    },
+    price: 8.9,
+  },
+];
+
+const SELL_REFERENCE_PRICES = [
+  {
+    name: 'Good, no bonuses',
+    input: { purchasePrice: 20, condition: 'Good', hour: 20 },
+    price: 20.8,
+  },
+  {
+    name: 'Mint at a specialist in peak hours, Downtown',
+    input: {
+      purchasePrice: 30,
+      condition: 'Mint',
+      genre: 'Jazz',
+      store: { specialty_genre: 'Jazz' },
+      boroughModifier: 1.2,
+      hour: 14,
+    },
+    price: 111.97,
+  },
+  {
+    name: 'Poor in Staten Island',
+    input: { purchasePrice: 12.5, condition: 'Poor', boroughModifier: 0.8 },
+    price: 5.6,
+  },
+  {
+    name: 'No purchase price falls back to the shelf price',
+    input: {
+      condition: 'Fair',
+      basePrice: 25,
+      shelf: [{ condition: 'Good', current_price: 40 }],
+    },
+    price: 32,
+  },
+  {
+    name: 'Capped at 80% of a cheaper better copy',
+    input: {
+      purchasePrice: 50,
+      condition: 'Good',
+      hour: 15,
+      shelf: [{ condition: 'Mint', current_price: 45 }],
+    },
+    price: 36,
+  },
+  {
+    name: 'Raised to 75% of the same-condition shelf price',
+    input: {
+      purchasePrice: 10,
+      condition: 'Fair',
+      shelf: [{ condition: 'Fair', current_price: 30 }],
+    },
+    price: 22.5,
+  },
+];
+
+describe('calculateBuyPrice', () => {
+  it.each(BUY_REFERENCE_PRICES)('$name', ({ input, price }) => {
+    expect(calculateBuyPrice(input).price).toBe(price);
+  });
+
+  it('applies the market swing last', () => {
+    const { price, steps } = calculateBuyPrice({
+      basePrice: 20,
+      condition: 'Good',
+      variation: 1.15,
+    });
+
+    expect(price).toBe(29.9);
+    expect(steps.map((step) => step.key)).toEqual([
+      'base',
+      'condition',
+      'market',
+    ]);
+  });
+});
+
+describe('calculateSellPrice', () => {
+  it.each(SELL_REFERENCE_PRICES)('$name', ({ input, price }) => {
+    expect(calculateSellPrice(input).price).toBe(price);
+  });
+
+  it('ends the breakdown on the price paid', () => {
+    const { price, steps } = calculateSellPrice(SELL_REFERENCE_PRICES[4].input);
+    expect(steps.at(-1).price).toBe(price);
+  });
+});
+
+describe('isPeakHour', () => {
+  it('runs from noon to 6 PM on the clock', () => {
+    expect(isPeakHour(11)).toBe(false);
+    expect(isPeakHour(12)).toBe(true);
+    expect(isPeakHour(18)).toBe(true);
+    expect(isPeakHour(19)).toBe(false);
+  });
+
+  it('comes round every day of a long game', () => {
+    // 72-hour game: 2 PM on Day 1, Day 2 and Day 3
+    [58, 34, 10].forEach((gameHour) =>
+      expect(isPeakHour(getClockHour(gameHour, 72))).toBe(true)
+    );
+  });
+});
+
+describe('roundMoney', () => {
+  it('rounds halves away from zero like NUMERIC', () => {
+    expect(roundMoney(1.005)).toBe(1.01);
+    expect(roundMoney(2.675)).toBe(2.68);
+  });
+});
+
+describe('averageCost', () => {
+  it('weights the cost basis by quantity', () => {
+    expect(averageCost(2, 10, 1, 16)).toBe(12);
+    expect(averageCost(0, null, 3, 7.5)).toBe(7.5);
+  });
+});
+
+describe('calculateRestockPrice', () => {
+  it('marks records up for resale', () => {
+    expect(calculateRestockPrice(20.8)).toBe(31.2);
+  });
+});
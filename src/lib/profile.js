@@ -0,0 +1,86 @@
+// src/lib/profile.js
+import { roundMoney } from './pricing';
+import { getFlips, getStandings } from './standings';
+
+/**
+ * Lifetime stats for a player profile, across every completed game a user
+ * has played. Final net worths and wins come from each game's standings
+ * (src/lib/standings.js), the same ones the results screen shows - a win is
+ * finishing first against at least one other player or rival. Flips,
+ * genres and boroughs come from the user's trade log.
+ */
+
+// Biggest value in a { key: number } tally, or null when it's empty
+const topEntry = (tally) =>
+  Object.entries(tally).reduce(
+    (best, [key, value]) =>
+      !best || value > best.value ? { key, value } : best,
+    null
+  );
+
+/**
+ * A user's lifetime stats
+ * @param {Object} params
+ * @param {string} params.userId - players.user_id
+ * @param {Array} params.games - The user's completed games rows
+ * @param {Array} params.players - Every players row in those games
+ * @param {Array} params.inventory - player_inventory rows for those players
+ * @param {Array} params.transactions - The user's transactions in those
+ *   games, with products (genre) and boroughs (name) joined
+ * @returns {Object}
+ */
+export const getProfileStats = ({
+  userId,
+  games = [],
+  players = [],
+  inventory = [],
+  transactions = [],
+}) => {
+  const results = games.flatMap((game) => {
+    const standings = getStandings(
+      players.filter((p) => p.game_id === game.id),
+      inventory
+    );
+    const mine = standings.find((entry) => entry.user_id === userId);
+    return mine ? [{ game, entry: mine, field: standings.length }] : [];
+  });
+
+  const netWorths = results.map(({ entry }) => entry.netWorth);
+  const flips = results.flatMap(({ entry }) =>
+    getFlips(transactions.filter((t) => t.player_id === entry.id))
+  );
+
+  const genres = {};
+  transactions
+    .filter((t) => t.transaction_type === 'buy' && t.products?.genre)
+    .forEach((t) => {
+      genres[t.products.genre] =
+        (genres[t.products.genre] || 0) + (t.quantity || 1);
+    });
+
+  const boroughs = {};
+  flips.forEach(({ transaction, profit }) => {
+    const name = transaction.boroughs?.name;
+    if (name) boroughs[name] = roundMoney((boroughs[name] || 0) + profit);
+  });
+  const topBorough = topEntry(boroughs);
+
+  return {
+    gamesPlayed: results.length,
+    wins: results.filter(({ entry, field }) => field > 1 && entry.rank === 1)
+      .length,
+    averageNetWorth: netWorths.length
+      ? roundMoney(netWorths.reduce((sum, n) => sum + n, 0) / netWorths.length)
+      : null,
+    bestNetWorth: netWorths.length ? Math.max(...netWorths) : null,
+    recordsFlipped: flips.reduce(
+      (sum, { transaction }) => sum + (transaction.quantity || 1),
+      0
+    ),
+    favoriteGenre: topEntry(genres)?.key ?? null,
+    topBorough:
+      topBorough && topBorough.value > 0
+        ? { name: topBorough.key, profit: topBorough.value }
+        : null,
+  };
+};
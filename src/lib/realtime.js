@@ -0,0 +1,54 @@
+// src/lib/realtime.js
+import { db } from './backend';
+
+/**
+ * Live game updates. Both backends speak Supabase's postgres_changes
+ * protocol: Supabase pushes row changes over a realtime channel (tables
+ * published in db/realtime.sql), and the local backend dispatches the same
+ * events from its own writes. Screens subscribe here instead of polling.
+ */
+
+/**
+ * Subscribe to a game's row and its players' rows
+ * @param {string} gameId - UUID of the game
+ * @param {Object} handlers
+ * @param {Function} [handlers.onGameChange] - Called with the updated games row
+ * @param {Function} [handlers.onPlayerChange] - Called with (row, eventType); row is the old row on DELETE
+ * @returns {Function} - Unsubscribes
+ */
+export const subscribeToGame = (gameId, { onGameChange, onPlayerChange }) => {
+  const channel = db.channel(`game:${gameId}`);
+
+  if (onGameChange) {
+    channel.on(
+      'postgres_changes',
+      {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'games',
+        filter: `id=eq.${gameId}`,
+      },
+      (payload) => onGameChange(payload.new)
+    );
+  }
+
+  if (onPlayerChange) {
+    channel.on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'players',
+        filter: `game_id=eq.${gameId}`,
+      },
+      (payload) =>
+        onPlayerChange(
+          payload.eventType === 'DELETE' ? payload.old : payload.new,
+          payload.eventType
+        )
+    );
+  }
+
+  channel.subscribe();
+  return () => db.removeChannel(channel);
+};
@@ -0,0 +1,244 @@
+// src/lib/rivals.js
+import { getClockHour } from './timeUtils';
+import { isStoreOpenAt } from './storeHours';
+import { createRng, hashSeed, pickRandom } from './seed';
+
+/**
+ * AI rival traders. A rival is an ordinary players row with is_rival set
+ * and a rival_strategy (db/rivals.sql). A player's client plays every
+ * rival's hour through the same RPCs a person would use - see
+ * src/services/rivalPlayer.js - so rivals pay the same prices, use up the
+ * same shelves and show up in the standings.
+ *
+ * The decisions here are pure: they only read the state they are given and
+ * a random number generator seeded from players.rival_seed (itself drawn
+ * from the game's seed, src/lib/seed.js) and the hour, so a rival in the
+ * same position always makes the same moves.
+ */
+
+export const RIVAL_STRATEGIES = {
+  genre_specialist: {
+    label: 'Genre specialist',
+    description:
+      'Sticks to one genre, buys it cheap and sells it on at a markup',
+  },
+  arbitrageur: {
+    label: 'Arbitrageur',
+    description:
+      'Buys anything under its usual price and sells once it turns a profit',
+  },
+  hoarder: {
+    label: 'Hoarder',
+    description: 'Buys rare records and sits on them until the last hours',
+  },
+};
+
+export const RIVAL_NAMES = [
+  'Crate Digger Carl',
+  'Wax Wanda',
+  'B-Side Benny',
+  'Needle Drop Nina',
+  'Bootleg Bobby',
+];
+
+// Chance a rival with an open store to hand moves on anyway
+export const RIVAL_TRAVEL_CHANCE = 0.25;
+
+// Cash a rival keeps back for fares
+export const RIVAL_CASH_RESERVE = 20;
+
+// Hours before the end when everyone starts selling up (and stops buying)
+export const RIVAL_SELL_OFF_HOURS = 2;
+
+// How long one client's claim on playing the rivals lasts - see
+// claim_rival_turns()
+export const RIVAL_CLAIM_SECONDS = 30;
+
+// Hoarders buy records at least this rare
+const HOARDER_MIN_RARITY = 0.7;
+
+// Shelf price against the record's usual price
+const priceRatio = (item) => {
+  const base = Number(item.products?.base_price || 0);
+  return base > 0 ? Number(item.current_price) / base : Infinity;
+};
+
+// Which shelf records each strategy buys
+const BUY_RULES = {
+  genre_specialist: (item, { genre }) =>
+    item.products?.genre === genre && priceRatio(item) <= 1,
+  arbitrageur: (item) => priceRatio(item) <= 0.85,
+  hoarder: (item) =>
+    Number(item.products?.rarity || 0) >= HOARDER_MIN_RARITY &&
+    priceRatio(item) <= 1.1,
+};
+
+// Offer, against what was paid, that each strategy sells at
+const SELL_MARKUP = {
+  genre_specialist: 1.2,
+  arbitrageur: 1.1,
+  hoarder: null, // Only sells up at the end
+};
+
+/**
+ * A new rival's seed: the game's seed and the rival's place in the line-up
+ * @param {Object} game - games row
+ * @param {number} rivalCount - Rivals already in the game
+ * @returns {number}
+ */
+export const getRivalSeed = (game, rivalCount) =>
+  hashSeed(game.seed, 'rival', rivalCount);
+
+/**
+ * The random number generator for a rival's hour
+ * @param {Object} rival - players row
+ * @param {Object} game - games row
+ * @returns {Function}
+ */
+export const getRivalRng = (rival, game) =>
+  createRng(hashSeed(rival.rival_seed, 'rival', game.current_hour));
+
+/**
+ * The genre a specialist deals in, fixed by its seed
+ * @param {Object} rival - players row
+ * @param {Array} genres - Every genre in the catalogue
+ * @returns {string|null}
+ */
+export const getRivalGenre = (rival, genres = []) =>
+  pickRandom([...genres].sort(), createRng(rival.rival_seed || 1)) ?? null;
+
+/**
+ * Name for the next rival to join
+ * @param {Array} players - The game's players rows
+ * @returns {string}
+ */
+export const getRivalName = (players = []) => {
+  const taken = new Set(players.map((p) => p.username));
+  return (
+    RIVAL_NAMES.find((name) => !taken.has(name)) ||
+    `Rival ${players.filter((p) => p.is_rival).length + 1}`
+  );
+};
+
+/**
+ * Where a rival spends its hour: a store in its borough, or somewhere else
+ * @param {Object} params
+ * @param {Object} params.rival - players row
+ * @param {Object} params.game - games row
+ * @param {Array} params.stores - Stores in the rival's borough
+ * @param {string|null} params.genre - A specialist's genre
+ * @param {Function} params.rng - From getRivalRng()
+ * @returns {Object} - { store } or { travel: true }
+ */
+export const pickRivalStore = ({ rival, game, stores, genre, rng }) => {
+  const clockHour = getClockHour(game.current_hour, game.max_hours);
+  const open = stores.filter((store) => isStoreOpenAt(store, clockHour));
+
+  if (open.length === 0 || rng() < RIVAL_TRAVEL_CHANCE) {
+    return { travel: true };
+  }
+
+  const preferred =
+    rival.rival_strategy === 'genre_specialist'
+      ? open.filter((store) => store.specialty_genre === genre)
+      : [];
+
+  return { store: pickRandom(preferred.length ? preferred : open, rng) };
+};
+
+/**
+ * Pick where a rival travels: a borough at random, by its cheapest way
+ * there (the quickest of those when several cost the same). Boroughs are
+ * drawn from in name order, since IDs differ from one database to the next.
+ * @param {Object} params
+ * @param {Array} params.trips - { borough, method, quote } for every way the
+ *   rival could go, quote from quoteTravel()
+ * @param {number} params.cash - The rival's cash
+ * @param {Function} params.rng - From getRivalRng()
+ * @returns {Object|null} - One of trips
+ */
+export const pickRivalTrip = ({ trips, cash, rng }) => {
+  const affordable = trips.filter(
+    ({ quote }) => !quote.error && quote.cost <= cash
+  );
+  const boroughNames = [
+    ...new Set(affordable.map((t) => t.borough.name)),
+  ].sort();
+  const boroughName = pickRandom(boroughNames, rng);
+  if (!boroughName) return null;
+
+  return affordable
+    .filter((t) => t.borough.name === boroughName)
+    .reduce((best, t) =>
+      t.quote.cost < best.quote.cost ||
+      (t.quote.cost === best.quote.cost && t.quote.time < best.quote.time)
+        ? t
+        : best
+    );
+};
+
+/**
+ * What a rival sells and buys in a store, in the order it does them
+ * @param {Object} params
+ * @param {Object} params.rival - players row
+ * @param {Object} params.game - games row
+ * @param {Array} params.inventory - The rival's player_inventory rows
+ * @param {Object} params.offers - What the store pays, by inventory ID
+ * @param {Array} params.shelf - The store's market_inventory rows, with
+ *   products joined
+ * @param {number} params.actions - Actions the rival has left this hour
+ * @param {number} params.space - Free space in the rival's carrier
+ * @param {string|null} params.genre - A specialist's genre
+ * @returns {Object} - { sells, buys }: inventory rows and shelf rows
+ */
+export const planRivalTrades = ({
+  rival,
+  game,
+  inventory = [],
+  offers = {},
+  shelf = [],
+  actions,
+  space,
+  genre,
+}) => {
+  const strategy = rival.rival_strategy;
+  const sellingUp = game.current_hour <= RIVAL_SELL_OFF_HOURS;
+  const markup = SELL_MARKUP[strategy];
+
+  const sells = inventory
+    .filter((item) => {
+      const offer = Number(offers[item.id] || 0);
+      if (offer <= 0) return false;
+      if (sellingUp) return true;
+      return (
+        markup != null && offer >= Number(item.purchase_price || 0) * markup
+      );
+    })
+    .sort(
+      (a, b) =>
+        offers[b.id] -
+        Number(b.purchase_price || 0) -
+        (offers[a.id] - Number(a.purchase_price || 0))
+    )
+    .slice(0, actions);
+
+  if (sellingUp) return { sells, buys: [] };
+
+  const wants = BUY_RULES[strategy] || (() => false);
+  let budget = Number(rival.cash || 0) - RIVAL_CASH_RESERVE;
+  let room = space + sells.length;
+
+  const buys = shelf
+    .filter((item) => item.quantity > 0 && wants(item, { genre }))
+    .sort((a, b) => priceRatio(a) - priceRatio(b))
+    .filter((item) => {
+      const price = Number(item.current_price);
+      if (room < 1 || price > budget) return false;
+      budget -= price;
+      room -= 1;
+      return true;
+    })
+    .slice(0, actions - sells.length);
+
+  return { sells, buys };
+};
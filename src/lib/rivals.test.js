@@ -0,0 +1,151 @@
+// src/lib/rivals.test.js
+import { describe, expect, it } from 'vitest';
+import {
+  getRivalGenre,
+  getRivalRng,
+  getRivalSeed,
+  pickRivalStore,
+  pickRivalTrip,
+  planRivalTrades,
+} from './rivals';
+
+const GAME = { seed: 4242, current_hour: 15, max_hours: 24 };
+const GENRES = ['Rock', 'Jazz', 'Soul', 'Punk', 'Hip-Hop', 'Electronic'];
+const STORES = [
+  { id: 'jazz', specialty_genre: 'Jazz', open_hour: 9, close_hour: 20 },
+  { id: 'punk', specialty_genre: 'Punk', open_hour: 9, close_hour: 20 },
+  { id: 'rock', specialty_genre: 'Rock', open_hour: 9, close_hour: 20 },
+];
+
+const rivalFor = (strategy) => ({
+  rival_seed: getRivalSeed(GAME, 0),
+  rival_strategy: strategy,
+  cash: 100,
+});
+
+// Where a rival goes over a run of hours: a store ID or 'travel'
+const walk = (rival, hours) =>
+  hours.map((hour) => {
+    const game = { ...GAME, current_hour: hour };
+    const choice = pickRivalStore({
+      rival,
+      game,
+      stores: STORES,
+      genre: getRivalGenre(rival, GENRES),
+      rng: getRivalRng(rival, game),
+    });
+    return choice.travel ? 'travel' : choice.store.id;
+  });
+
+describe('rival seeds', () => {
+  it('come from the game seed and the line-up', () => {
+    expect(getRivalSeed(GAME, 0)).toBe(355114514);
+    expect(getRivalSeed(GAME, 1)).toBe(338336895);
+  });
+
+  it('fix a specialist to one genre', () => {
+    expect(getRivalGenre(rivalFor('genre_specialist'), GENRES)).toBe('Punk');
+    expect(
+      getRivalGenre(rivalFor('genre_specialist'), [...GENRES].reverse())
+    ).toBe('Punk');
+  });
+});
+
+describe('pickRivalStore', () => {
+  it('makes the same choices hour by hour for a seed', () => {
+    const hours = [15, 14, 13, 12, 11, 10];
+    const expected = ['travel', 'travel', 'rock', 'travel', 'rock', 'punk'];
+
+    expect(walk(rivalFor('arbitrageur'), hours)).toEqual(expected);
+    expect(walk(rivalFor('arbitrageur'), hours)).toEqual(expected);
+  });
+
+  it("sends a specialist to its genre's store", () => {
+    expect(walk(rivalFor('genre_specialist'), [13, 11, 10])).toEqual([
+      'punk',
+      'punk',
+      'punk',
+    ]);
+  });
+
+  it('moves on when every store is shut', () => {
+    // Game hour 16 of 24 is 8 AM
+    expect(walk(rivalFor('arbitrageur'), [16])).toEqual(['travel']);
+  });
+});
+
+describe('pickRivalTrip', () => {
+  const trips = ['Uptown', 'Queens', 'Bronx'].flatMap((name) => [
+    {
+      borough: { id: `${name}-id`, name },
+      method: { id: 'walk' },
+      quote: { cost: 0, time: 3 },
+    },
+    {
+      borough: { id: `${name}-id`, name },
+      method: { id: 'cab' },
+      quote: { cost: 30, time: 1 },
+    },
+  ]);
+
+  it('takes the cheapest way to a seeded borough', () => {
+    const trip = pickRivalTrip({
+      trips,
+      cash: 100,
+      rng: getRivalRng(rivalFor('arbitrageur'), GAME),
+    });
+
+    expect(trip.borough.name).toBe('Bronx');
+    expect(trip.method.id).toBe('walk');
+  });
+
+  it('stays put when nothing is affordable', () => {
+    const fares = trips.filter((t) => t.method.id === 'cab');
+    expect(pickRivalTrip({ trips: fares, cash: 10, rng: () => 0 })).toBeNull();
+  });
+});
+
+describe('planRivalTrades', () => {
+  const shelf = [
+    { id: 'a', quantity: 1, current_price: 16, products: { base_price: 20 } },
+    { id: 'b', quantity: 1, current_price: 12, products: { base_price: 20 } },
+    { id: 'c', quantity: 1, current_price: 19, products: { base_price: 20 } },
+  ];
+  const inventory = [
+    { id: 'x', purchase_price: 10 },
+    { id: 'y', purchase_price: 30 },
+  ];
+  const offers = { x: 12, y: 20 };
+
+  it('sells at a profit and buys the best bargains first', () => {
+    const { sells, buys } = planRivalTrades({
+      rival: rivalFor('arbitrageur'),
+      game: GAME,
+      inventory,
+      offers,
+      shelf,
+      actions: 4,
+      space: 5,
+      genre: null,
+    });
+
+    expect(sells.map((item) => item.id)).toEqual(['x']);
+    expect(buys.map((item) => item.id)).toEqual(['b', 'a']);
+  });
+
+  it('sells everything and buys nothing at the end of the game', () => {
+    const { sells, buys } = planRivalTrades({
+      rival: rivalFor('hoarder'),
+      game: { ...GAME, current_hour: 2 },
+      inventory,
+      offers,
+      shelf,
+      actions: 4,
+      space: 5,
+      genre: null,
+    });
+
+    expect(sells.map((item) => item.id)).toEqual(['x', 'y']);
+    expect(buys).toEqual([]);
+  });
+});
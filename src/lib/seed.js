@@ -0,0 +1,85 @@
+// src/lib/seed.js
+
+/**
+ * Seeded randomness. Every game has a seed (games.seed, db/seed.sql) and
+ * everything random about it - the opening stock, each hour's market tick
+ * and events, and the rivals' moves - is drawn from generators derived from
+ * that seed, so two games with the same seed start out identically and
+ * stay in step for as long as their players do the same things.
+ *
+ * Each kind of randomness gets its own stream (getGameRng), so one extra
+ * roll in, say, the market tick doesn't shift the events that follow.
+ */
+
+// Seeds are positive 31-bit integers, the same as in db/seed.sql
+export const MAX_SEED = 2147483647;
+
+/**
+ * A fresh seed for a new game
+ * @returns {number}
+ */
+export const newSeed = () => 1 + Math.floor(Math.random() * (MAX_SEED - 1));
+
+/**
+ * Hash any mix of values into a seed (32-bit FNV-1a)
+ * @param {...*} parts - e.g. (game.seed, 'market', hour)
+ * @returns {number}
+ */
+export const hashSeed = (...parts) => {
+  const text = parts.join(':');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0) % MAX_SEED || 1;
+};
+
+/**
+ * A seeded random number generator (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * The random number generator for one stream of a game's hour
+ * @param {Object} game - games row
+ * @param {string} stream - 'stock', 'market', 'events'...
+ * @param {number} [hour] - Defaults to the game's current hour
+ * @returns {Function}
+ */
+export const getGameRng = (game, stream, hour = game.current_hour) =>
+  createRng(hashSeed(game.seed, stream, hour));
+
+/**
+ * Pick one item at random
+ * @param {Array} items
+ * @param {Function} rng - From createRng()
+ * @returns {*} - undefined when items is empty
+ */
+export const pickRandom = (items, rng) =>
+  items[Math.floor(rng() * items.length)];
+
+/**
+ * A shuffled copy of items (Fisher-Yates)
+ * @param {Array} items
+ * @param {Function} rng - From createRng()
+ * @returns {Array}
+ */
+export const shuffle = (items, rng) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
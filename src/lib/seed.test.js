@@ -0,0 +1,38 @@
+// src/lib/seed.test.js
+import { describe, expect, it } from 'vitest';
+import { createRng, getGameRng, hashSeed, pickRandom, shuffle } from './seed';
+
+describe('hashSeed', () => {
+  it('hashes the same parts to the same seed', () => {
+    expect(hashSeed(12345, 'stock', 0)).toBe(942176474);
+    expect(hashSeed(12345, 'market', 23)).toBe(1981203411);
+  });
+
+  it('never returns 0', () => {
+    expect(hashSeed('')).toBeGreaterThan(0);
+  });
+});
+
+describe('createRng', () => {
+  it('draws the same sequence from the same seed', () => {
+    const rng = createRng(12345);
+    expect([rng(), rng(), rng()]).toEqual([
+      0.9797282677609473, 0.3067522644996643, 0.484205421525985,
+    ]);
+  });
+
+  it('gives each stream of a game its own sequence', () => {
+    const game = { seed: 12345, current_hour: 23 };
+    expect(getGameRng(game, 'market')()).toBe(0.6235238818917423);
+    expect(getGameRng(game, 'events')()).not.toBe(0.6235238818917423);
+  });
+});
+
+describe('shuffle and pickRandom', () => {
+  it('follow the generator', () => {
+    expect(shuffle([1, 2, 3, 4, 5, 6], createRng(7))).toEqual([
+      5, 2, 3, 4, 6, 1,
+    ]);
+    expect(pickRandom(['a', 'b', 'c'], createRng(7))).toBe('a');
+  });
+});
@@ -0,0 +1,142 @@
+// src/lib/standings.js
+import { roundMoney } from './pricing';
+
+/**
+ * Net worth and final standings. The game header, the results screen and
+ * the net_worth_snapshots written on each hour advance (db/results.sql and
+ * the local backend) all value a player the same way: cash, plus records at
+ * their estimated price (what the player paid if there is none), minus the
+ * loan. The estimated price is the best any open store would pay, refreshed
+ * after trades and on each hour advance (db/valuation.sql).
+ */
+
+// Market value of one copy
+const getUnitValue = (item) =>
+  Number(item.estimated_current_price || item.purchase_price || 0);
+
+/**
+ * Paper profit on an inventory row - market value against what was paid
+ * @param {Object} item - player_inventory row
+ * @returns {number}
+ */
+export const getUnrealizedProfit = (item) =>
+  roundMoney(
+    (getUnitValue(item) - Number(item.purchase_price || 0)) *
+      (item.quantity || 0)
+  );
+
+/**
+ * Unrealized profit as a fraction of what was paid (0.25 = 25%)
+ * @param {Object} item - player_inventory row
+ * @returns {number}
+ */
+export const getMargin = (item) => {
+  const paid = Number(item.purchase_price || 0);
+  return paid > 0 ? (getUnitValue(item) - paid) / paid : 0;
+};
+
+/**
+ * Value of a player's records
+ * @param {Array} inventory - player_inventory rows
+ * @returns {number}
+ */
+export const getInventoryValue = (inventory = []) =>
+  roundMoney(
+    inventory.reduce(
+      (sum, item) => sum + getUnitValue(item) * (item.quantity || 0),
+      0
+    )
+  );
+
+/**
+ * @param {Object} player - players row (cash and loan_amount are used)
+ * @param {Array} inventory - The player's player_inventory rows
+ * @returns {number}
+ */
+export const getNetWorth = (player, inventory = []) =>
+  player
+    ? roundMoney(
+        (player.cash || 0) +
+          getInventoryValue(inventory) -
+          (player.loan_amount || 0)
+      )
+    : 0;
+
+/**
+ * Profit on every sale, against the average price the player had paid for
+ * that record when they sold it - the logged cost_basis where there is one
+ * (db/ledger.sql), otherwise replayed from their earlier buys
+ * @param {Array} transactions - One player's transactions, any order
+ * @returns {Array} - { transaction, cost, profit } per sell transaction
+ */
+export const getFlips = (transactions = []) => {
+  const held = {};
+
+  return [...transactions]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .flatMap((t) => {
+      const lot = held[t.product_id] || { quantity: 0, cost: 0 };
+      const quantity = t.quantity || 0;
+
+      if (t.transaction_type === 'buy') {
+        held[t.product_id] = {
+          quantity: lot.quantity + quantity,
+          cost: lot.cost + Number(t.price) * quantity,
+        };
+        return [];
+      }
+      if (t.transaction_type !== 'sell' || lot.quantity <= 0) return [];
+
+      const unitCost =
+        t.cost_basis !== null && t.cost_basis !== undefined
+          ? Number(t.cost_basis)
+          : lot.cost / lot.quantity;
+      const sold = Math.min(quantity, lot.quantity);
+      held[t.product_id] = {
+        quantity: lot.quantity - sold,
+        cost: lot.cost - unitCost * sold,
+      };
+
+      return [
+        {
+          transaction: t,
+          cost: roundMoney(unitCost),
+          profit: roundMoney((Number(t.price) - unitCost) * sold),
+        },
+      ];
+    });
+};
+
+/**
+ * Profit banked on every sale so far
+ * @param {Array} transactions - One player's transactions
+ * @returns {number}
+ */
+export const getRealizedProfitTotal = (transactions = []) =>
+  roundMoney(getFlips(transactions).reduce((sum, f) => sum + f.profit, 0));
+
+/**
+ * Rank every player in a game
+ * @param {Array} players - players rows
+ * @param {Array} inventory - player_inventory rows for those players
+ * @param {Array} [transactions] - The game's transactions
+ * @returns {Array} - Players with rank, netWorth, inventoryValue, bestFlip and worstFlip, best first
+ */
+export const getStandings = (players = [], inventory = [], transactions = []) =>
+  players
+    .map((player) => {
+      const own = inventory.filter((item) => item.player_id === player.id);
+      const flips = getFlips(
+        transactions.filter((t) => t.player_id === player.id)
+      ).sort((a, b) => b.profit - a.profit);
+
+      return {
+        ...player,
+        inventoryValue: getInventoryValue(own),
+        netWorth: getNetWorth(player, own),
+        bestFlip: flips[0] || null,
+        worstFlip: flips.length > 1 ? flips[flips.length - 1] : null,
+      };
+    })
+    .sort((a, b) => b.netWorth - a.netWorth)
+    .map((player, index) => ({ ...player, rank: index + 1 }));
@@ -0,0 +1,64 @@
+// src/lib/storeHours.js
+import { formatClockHour, getClockHour } from './timeUtils';
+
+/**
+ * Store opening hours. A store trades from stores.open_hour until
+ * close_hour on the game clock, every day; outside those hours visits, buys
+ * and sells are refused (check_store_open() in db/store_hours.sql and the
+ * local backend). A player at a closed store can wait until it opens: their
+ * turn ends and stays ended until players.waiting_until_hour.
+ *
+ * Stores without hours never close, and a close_hour before open_hour
+ * means the store stays open past midnight.
+ */
+
+/**
+ * Whether a store is open at a clock hour
+ * @param {Object} store - stores row
+ * @param {number} clockHour - 0-23
+ * @returns {boolean}
+ */
+export const isStoreOpenAt = (store, clockHour) => {
+  const { open_hour: open, close_hour: close } = store || {};
+  if (typeof open !== 'number' || typeof close !== 'number') return true;
+  if (open === close) return true;
+
+  return open < close
+    ? clockHour >= open && clockHour < close
+    : clockHour >= open || clockHour < close;
+};
+
+/**
+ * Hours until a store next opens
+ * @param {Object} store - stores row
+ * @param {number} clockHour - 0-23
+ * @returns {number} - 0 when it's open now
+ */
+export const getHoursUntilOpen = (store, clockHour) =>
+  isStoreOpenAt(store, clockHour) ? 0 : (store.open_hour - clockHour + 24) % 24;
+
+/**
+ * Why a store is shut for the game's current hour
+ * @param {Object} store - stores row
+ * @param {Object} game - games row
+ * @returns {string|null} - e.g. "Wax Trax is closed - opens at 10 AM", or
+ *   null when it's open
+ */
+export const getStoreHoursClosure = (store, game) => {
+  const clockHour = getClockHour(game.current_hour, game.max_hours);
+  if (isStoreOpenAt(store, clockHour)) return null;
+
+  return `${store.name || 'The store'} is closed - opens at ${formatClockHour(
+    store.open_hour
+  )}`;
+};
+
+/**
+ * Whether a player is sitting out the hour waiting for a store to open
+ * @param {Object} player - players row
+ * @param {Object} game - games row
+ * @returns {boolean}
+ */
+export const isWaitingForStore = (player, game) =>
+  player?.waiting_until_hour != null &&
+  game?.current_hour > player.waiting_until_hour;
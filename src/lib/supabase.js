@@ -4,48 +4,49 @@ import { createClient } from '@supabase/supabase-js';
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  throw new Error(
-    'Missing Supabase environment variables. Check your .env file and make sure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set.'
-  );
-}
+// Without credentials the game falls back to the local backend (see lib/backend)
+export const isSupabaseConfigured = Boolean(supabaseUrl && supabaseAnonKey);
 
 // Initialize Supabase with minimal config and no query cache
-export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
-  auth: {
-    persistSession: false, // Don't persist session in Edge runtime
-  },
-  global: {
-    // Disable query caching to ensure we always get fresh data
-    headers: {
-      'Cache-Control': 'no-cache',
-    },
-  },
-  db: {
-    // Disable statement cache for RLS policies
-    schema: 'public',
-  },
-  realtime: {
-    // Improve performance by limiting channels
-    params: {
-      eventsPerSecond: 10,
-    },
-  },
-});
+export const supabase = isSupabaseConfigured
+  ? createClient(supabaseUrl, supabaseAnonKey, {
+      auth: {
+        persistSession: false, // Don't persist session in Edge runtime
+      },
+      global: {
+        // Disable query caching to ensure we always get fresh data
+        headers: {
+          'Cache-Control': 'no-cache',
+        },
+      },
+      db: {
+        // Disable statement cache for RLS policies
+        schema: 'public',
+      },
+      realtime: {
+        // Improve performance by limiting channels
+        params: {
+          eventsPerSecond: 10,
+        },
+      },
+    })
+  : null;
 
 // Create an alternate client specifically for bypassing cache on player data
-export const supabaseNoCache = createClient(supabaseUrl, supabaseAnonKey, {
-  auth: {
-    persistSession: false,
-  },
-  global: {
-    headers: {
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      Pragma: 'no-cache',
-      Expires: '0',
-    },
-  },
-});
+export const supabaseNoCache = isSupabaseConfigured
+  ? createClient(supabaseUrl, supabaseAnonKey, {
+      auth: {
+        persistSession: false,
+      },
+      global: {
+        headers: {
+          'Cache-Control': 'no-cache, no-store, must-revalidate',
+          Pragma: 'no-cache',
+          Expires: '0',
+        },
+      },
+    })
+  : null;
 
 // Helper function to clear supabase cache
 export const clearSupabaseCache = () => {
@@ -82,128 +83,6 @@ export const checkConnection = async () => {
   }
 };
 
-// Auth helpers
-export const getCurrentUser = async () => {
-  try {
-    const {
-      data: { user },
-      error,
-    } = await supabase.auth.getUser();
-    if (error) throw error;
-    return user;
-  } catch (error) {
-    console.error('Error getting current user:', error);
-    return null;
-  }
-};
-
-export const signIn = async (email, password) => {
-  try {
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password,
-    });
-    return { data, error };
-  } catch (error) {
-    return { data: null, error };
-  }
-};
-
-export const signUp = async (email, password, username) => {
-  try {
-    const { data, error } = await supabase.auth.signUp({
-      email,
-      password,
-      options: {
-        data: { username },
-      },
-    });
-    return { data, error };
-  } catch (error) {
-    return { data: null, error };
-  }
-};
-
-export const signOut = async () => {
-  try {
-    const { error } = await supabase.auth.signOut();
-    return { error };
-  } catch (error) {
-    return { error };
-  }
-};
-
-// Function to generate a random username
-const generateUsername = () => {
-  const adjectives = [
-    'Hungry',
-    'Speedy',
-    'Lucky',
-    'Famous',
-    'Tasty',
-    'Spicy',
-    'Fresh',
-    'Savory',
-    'Zesty',
-    'Delicious',
-  ];
-
-  const nouns = [
-    'Sandwich',
-    'Hoagie',
-    'Sub',
-    'Deli',
-    'Bagel',
-    'Chef',
-    'Pickle',
-    'Panini',
-    'Hero',
-    'Wrap',
-  ];
-
-  const randomNum = Math.floor(Math.random() * 1000);
-  const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-  const noun = nouns[Math.floor(Math.random() * nouns.length)];
-
-  return `${adjective}${noun}${randomNum}`;
-};
-
-/**
- * Sign in anonymously with a generated username
- */
-export const signInAnonymously = async (username) => {
-  try {
-    const { data, error } = await supabase.auth.signInAnonymously();
-    if (error) throw error;
-
-    if (data?.user) {
-      const { error: updateError } = await supabase.auth.updateUser({
-        data: { username },
-      });
-      if (updateError) console.error('Error updating username:', updateError);
-    }
-
-    return { data, error: null, username };
-  } catch (error) {
-    console.error('Error signing in anonymously:', error);
-    return { data: null, error, username: null };
-  }
-};
-
-/**
- * Try to sign in with stored anonymous credentials
- */
-export const tryAnonymousSignIn = async () => {
-  try {
-    const { data: sessionData } = await supabase.auth.getSession();
-    return {
-      data: sessionData?.session ? sessionData : null,
-      error: null,
-    };
-  } catch (error) {
-    console.error('Error trying anonymous sign-in:', error);
-    return { data: null, error };
-  }
-};
+// Auth goes through db.auth (lib/backend), which works on both backends
 
 // Game-related helpers will be added here as we develop
@@ -1,63 +1,101 @@
 /**
- * Converts game hours to a formatted time string
- * Game seems to start with current_hour = max_hours (24) at 11:00 PM
- * and counts down to 0 (representing 12:00 AM the next day)
- *
- * @param {number} currentHour - Current hour in the game (24 to 0)
- * @param {number} maxHours - Maximum hours in the game (typically 24)
- * @param {boolean} use12Hour - Whether to use 12-hour format (default: true)
- * @returns {string} Formatted time string (e.g., "11:00 PM")
- */
-export const gameHourToTimeString = (gameHour) => {
-  // Game starts at hour 24 (midnight) and counts down to 0 (midnight the next day)
-  // Convert this to a standard 12-hour AM/PM format
-
-  // Map game hour 24->0 to real-world hour 0->24
-  const realWorldHour = 24 - gameHour;
-
-  // Convert to 12-hour format with AM/PM
-  let hour = realWorldHour % 12;
-  if (hour === 0) hour = 12; // 0 should be 12 in 12-hour format
-  const ampm = realWorldHour < 12 ? 'AM' : 'PM';
+ * The game clock. games.current_hour counts down from max_hours to 0; the
+ * first hour is midnight on Day 1 and every 24 hours starts another day, so
+ * a 72-hour game is a three-day weekend. Store opening hours
+ * (stores.open_hour / close_hour) are clock hours and hold every day.
+ * db/calendar.sql runs the same clock on the server.
+ */
+
+export const HOURS_PER_DAY = 24;
+
+// Every store is shut from NIGHT_START until MORNING; games with
+// skip_overnight jump straight through those hours
+export const NIGHT_START = 23;
+export const MORNING = 9;
+
+/**
+ * Hours played since the game started
+ * @param {number} gameHour - games.current_hour (max_hours to 0)
+ * @param {number} maxHours - games.max_hours
+ * @returns {number}
+ */
+export const getElapsedHours = (gameHour, maxHours = HOURS_PER_DAY) =>
+  maxHours - gameHour;
 
+/**
+ * The hour on the clock, 0-23
+ * @param {number} gameHour - games.current_hour
+ * @param {number} maxHours - games.max_hours
+ * @returns {number}
+ */
+export const getClockHour = (gameHour, maxHours = HOURS_PER_DAY) =>
+  ((getElapsedHours(gameHour, maxHours) % HOURS_PER_DAY) + HOURS_PER_DAY) %
+  HOURS_PER_DAY;
+
+/**
+ * Format a clock hour in 12-hour time
+ * @param {number} clockHour - 0-23
+ * @returns {string} - e.g. "4 PM"
+ */
+export const formatClockHour = (clockHour) => {
+  const hour = clockHour % 12 || 12;
+  const ampm = clockHour < 12 ? 'AM' : 'PM';
   return `${hour} ${ampm}`;
 };
 
+/**
+ * Converts a game hour to the time on the clock
+ * @param {number} gameHour - games.current_hour
+ * @param {number} maxHours - games.max_hours
+ * @returns {string} - e.g. "4 PM"
+ */
+export const gameHourToTimeString = (gameHour, maxHours = HOURS_PER_DAY) =>
+  formatClockHour(getClockHour(gameHour, maxHours));
+
 /**
  * Get the day of the game based on current hour
- *
- * @param {number} currentHour - Current hour in the game
- * @param {number} maxHours - Maximum hours in the game
- * @returns {number} - Day number (1 or 2 for a game that spans midnight)
- */
-export const getGameDay = (currentHour, maxHours = 24) => {
-  // If we're in hour 0, it's the next day (day 2)
-  return currentHour === 0 ? 2 : 1;
-};
+ * @param {number} currentHour - games.current_hour
+ * @param {number} maxHours - games.max_hours
+ * @returns {number} - Day number, from 1
+ */
+export const getGameDay = (currentHour, maxHours = HOURS_PER_DAY) =>
+  Math.floor(getElapsedHours(currentHour, maxHours) / HOURS_PER_DAY) + 1;
 
 /**
  * Formats the game time as a full timestamp with day
- *
- * @param {number} currentHour - Current hour in the game
- * @param {number} maxHours - Maximum hours in the game
- * @returns {string} - Formatted string like "Day 1, 11:00 PM"
+ * @param {number} currentHour - games.current_hour
+ * @param {number} maxHours - games.max_hours
+ * @returns {string} - e.g. "Day 3, 4 PM"
  */
-export const formatGameTimestamp = (currentHour, maxHours = 24) => {
-  const timeString = gameHourToTimeString(currentHour, maxHours);
-  const day = getGameDay(currentHour, maxHours);
+export const formatGameTimestamp = (currentHour, maxHours = HOURS_PER_DAY) =>
+  `Day ${getGameDay(currentHour, maxHours)}, ${gameHourToTimeString(
+    currentHour,
+    maxHours
+  )}`;
 
-  return `Day ${day}, ${timeString}`;
-};
+/**
+ * The time to show for a game hour: with the day once a game runs longer
+ * than one
+ * @param {number} gameHour - games.current_hour
+ * @param {number} maxHours - games.max_hours
+ * @returns {string}
+ */
+export const formatGameTime = (gameHour, maxHours = HOURS_PER_DAY) =>
+  maxHours > HOURS_PER_DAY
+    ? formatGameTimestamp(gameHour, maxHours)
+    : gameHourToTimeString(gameHour, maxHours);
+
+/**
+ * Whether every store is shut at this clock hour
+ * @param {number} clockHour - 0-23
+ * @returns {boolean}
+ */
+export const isOvernight = (clockHour) =>
+  clockHour >= NIGHT_START || clockHour < MORNING;
 
 /**
  * Calculate hours remaining in the game
- *
- * @param {number} currentHour - Current hour in the game
- * @param {number} maxHours - Maximum hours in the game
+ * @param {number} gameHour - games.current_hour
  * @returns {number} - Hours remaining
  */
-export const getHoursRemaining = (gameHour) => {
-  // Game starts at hour 24 and goes to 0
-  // So hours remaining is simply the current game hour
-  return gameHour;
-};
+export const getHoursRemaining = (gameHour) => gameHour;
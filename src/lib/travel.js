@@ -0,0 +1,116 @@
+// src/lib/travel.js
+import { roundMoney } from './pricing';
+import { DEFAULT_CARRIER } from './carriers';
+
+/**
+ * Travel rules shared by the TravelScreen preview and the local backend's
+ * travel_to_borough RPC. db/travel.sql implements the same rules as
+ * quote_travel(), so the fare and time shown are the ones charged.
+ *
+ * Travel time is measured in actions (see actionEconomy.js); a trip longer
+ * than the actions left in the hour runs on into the next one.
+ */
+
+// Boroughs only reachable by taxi, whichever way you're going
+export const TAXI_ONLY_BOROUGHS = ['staten island'];
+
+// Used when a borough pair has no borough_distances row
+export const DEFAULT_TRAVEL_TIME = { walk: 3, subway: 2, taxi: 1 };
+
+/**
+ * Work out which kind of transport a transportation_methods row is
+ * @param {Object} method - transportation_methods row
+ * @returns {string|null} - 'walk', 'subway', 'taxi' or null
+ */
+export const getTransportType = (method) => {
+  const name = method?.name?.toLowerCase() || '';
+  if (name.includes('walk')) return 'walk';
+  if (name.includes('subway')) return 'subway';
+  if (name.includes('taxi')) return 'taxi';
+  return null;
+};
+
+export const isTaxiOnly = (borough) =>
+  TAXI_ONLY_BOROUGHS.includes(borough?.name?.toLowerCase());
+
+/**
+ * Find the distance row between two boroughs in either direction
+ * @param {Array} distances - borough_distances rows
+ * @param {string} fromBoroughId - UUID of the starting borough
+ * @param {string} toBoroughId - UUID of the destination borough
+ * @returns {Object|null} - Matching row
+ */
+export const findBoroughDistance = (distances, fromBoroughId, toBoroughId) =>
+  (distances || []).find(
+    (d) =>
+      (d.from_borough_id === fromBoroughId &&
+        d.to_borough_id === toBoroughId) ||
+      (d.from_borough_id === toBoroughId && d.to_borough_id === fromBoroughId)
+  ) || null;
+
+/**
+ * Quote a trip
+ * @param {Object} params
+ * @param {Object} params.from - Starting borough row
+ * @param {Object} params.to - Destination borough row
+ * @param {Object} params.method - transportation_methods row
+ * @param {Object} params.distance - borough_distances row for the pair
+ * @param {Object} [params.carrier] - Player's carrier from carriers.js
+ * @param {boolean} [params.subwayOut] - A subway outage event is running
+ * @returns {Object} - { time, cost, error } - error is set when the trip isn't allowed
+ */
+export const quoteTravel = ({
+  from,
+  to,
+  method,
+  distance,
+  carrier = DEFAULT_CARRIER,
+  subwayOut = false,
+}) => {
+  const type = getTransportType(method);
+
+  if (!from || !to || !type) {
+    return { time: 0, cost: 0, error: "You can't travel there that way" };
+  }
+  if (from.id === to.id) {
+    return { time: 0, cost: 0, error: "You're already there" };
+  }
+  if (type !== 'taxi' && (isTaxiOnly(from) || isTaxiOnly(to))) {
+    return {
+      time: 0,
+      cost: 0,
+      error: 'Staten Island can only be reached by taxi',
+    };
+  }
+  if (type === 'subway' && subwayOut) {
+    return {
+      time: 0,
+      cost: 0,
+      error: 'The subway is down - walk or take a taxi',
+    };
+  }
+  if (type === 'subway' && !carrier.allowsSubway) {
+    return {
+      time: 0,
+      cost: 0,
+      error: `Your ${carrier.type.toLowerCase()} won't fit on the subway`,
+    };
+  }
+
+  const times = {
+    walk: distance?.walking_time,
+    subway: distance?.subway_time,
+    taxi: distance?.taxi_time,
+  };
+  const time =
+    (times[type] ?? DEFAULT_TRAVEL_TIME[type]) +
+    (type === 'walk' ? carrier.walkExtraActions : 0);
+  const fare =
+    type === 'taxi' && distance?.taxi_cost
+      ? Number(distance.taxi_cost)
+      : Number(method.base_cost || 0);
+  const cost =
+    type === 'taxi' ? roundMoney(fare * carrier.taxiFareFactor) : fare;
+
+  return { time, cost, error: null };
+};
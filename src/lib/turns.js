@@ -0,0 +1,55 @@
+// src/lib/turns.js
+
+/**
+ * Simultaneous turns. Everyone plays the hour at once; ending a turn, or
+ * running out of actions, marks the player done and the hour advances once
+ * the last player is done (player_end_turn() in db/turns.sql and the local
+ * backend). A game can set a turn timer - games.turn_seconds, counted from
+ * games.hour_started_at - after which expire_turn() ends every idle
+ * player's turn.
+ */
+
+export const TURN_TIMER_OPTIONS = [
+  { label: 'Off', seconds: null },
+  { label: '1 min', seconds: 60 },
+  { label: '2 min', seconds: 120 },
+  { label: '5 min', seconds: 300 },
+];
+
+/**
+ * When the current turn runs out
+ * @param {Object} game - games row
+ * @returns {number|null} - Epoch milliseconds, or null without a timer
+ */
+export const getTurnDeadline = (game) =>
+  game?.turn_seconds && game?.hour_started_at
+    ? new Date(game.hour_started_at).getTime() + game.turn_seconds * 1000
+    : null;
+
+/**
+ * Seconds left on the turn timer
+ * @param {Object} game - games row
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {number|null} - null without a timer
+ */
+export const getTurnSecondsLeft = (game, now = Date.now()) => {
+  const deadline = getTurnDeadline(game);
+  if (deadline === null) return null;
+  return Math.max(0, Math.ceil((deadline - now) / 1000));
+};
+
+/**
+ * Players who haven't ended their turn yet
+ * @param {Array} players - players rows
+ * @returns {Array}
+ */
+export const getWaitingOn = (players = []) =>
+  players.filter((p) => !p.turn_completed);
+
+/**
+ * Format a countdown as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
@@ -24,9 +24,9 @@ const Authentication = () => {
       setIsLogin(true);
     }
 
-    // Redirect if already logged in
-    if (user) {
-      navigate('/dashboard');
+    // Redirect if already logged in - guests stay to link an account
+    if (user && !user.is_anonymous) {
+      navigate('/');
     }
   }, [location, user, navigate]);
 
@@ -39,7 +39,7 @@ const Authentication = () => {
       if (isLogin) {
         const { success, error } = await login(email, password);
         if (success) {
-          navigate('/dashboard');
+          navigate('/');
         } else {
           setError(error.message || 'Failed to log in');
         }
@@ -52,7 +52,7 @@ const Authentication = () => {
 
         const { success, error } = await register(email, password, username);
         if (success) {
-          navigate('/dashboard');
+          navigate('/');
         } else {
           setError(error.message || 'Failed to register');
         }
@@ -72,7 +72,7 @@ const Authentication = () => {
     try {
       const { success, error } = await playInstantly();
       if (success) {
-        navigate('/dashboard');
+        navigate('/');
       } else {
         setError(error.message || 'Failed to start instant play');
       }
@@ -105,6 +105,13 @@ const Authentication = () => {
             </div>
           )}
 
+          {user?.is_anonymous && (
+            <div className="mb-4 p-2 bg-blue-50 border border-blue-200 text-blue-800 rounded text-sm">
+              You're playing as a guest. Register or sign in and your games come
+              with you.
+            </div>
+          )}
+
           {/* Play Instantly Button */}
           <div className="mb-6">
             <h3 className="text-lg font-medium text-gray-900 mb-2 text-center">
@@ -0,0 +1,170 @@
+// src/pages/DailyDig.jsx
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  FaArrowLeft,
+  FaCalendarDay,
+  FaSpinner,
+  FaTrophy,
+} from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import { useGame } from '../contexts/GameContext';
+import * as gameAPI from '../services/gameAPI';
+import { generatePlayerName } from '../lib/nameGenerator';
+import {
+  DAILY_DIG_NAME,
+  formatDailyDate,
+  getDailyDate,
+  LEADERBOARD_PERIODS,
+} from '../lib/dailyDig';
+import Button from '../components/ui/Button';
+
+const formatMoney = (value) =>
+  `${value < 0 ? '-' : ''}$${Math.abs(Number(value) || 0).toFixed(2)}`;
+
+const DailyDig = () => {
+  const navigate = useNavigate();
+  const { createGame } = useGame();
+
+  const [period, setPeriod] = useState('day');
+  const [scores, setScores] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [starting, setStarting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setScores(null);
+    gameAPI.fetchDailyLeaderboard(period).then((data) => {
+      if (!cancelled) setScores(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [period]);
+
+  useEffect(() => {
+    gameAPI.fetchDailyAttempt().then(setAttempt);
+  }, []);
+
+  const handlePlay = async () => {
+    setStarting(true);
+
+    try {
+      const { success, gameId, scored } = await createGame(
+        attempt?.username || generatePlayerName(),
+        { daily: true }
+      );
+
+      if (success && gameId) {
+        if (!scored) {
+          toast("You've had today's scored dig - this one's practice");
+        }
+        navigate(`/game/${gameId}`);
+      } else {
+        toast.error("Couldn't start today's dig");
+      }
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-12">
+      <div className="max-w-xl mx-auto p-4">
+        <button
+          onClick={() => navigate('/')}
+          className="flex items-center text-blue-600 mb-4"
+        >
+          <FaArrowLeft className="mr-2" /> Home
+        </button>
+
+        <h1 className="text-3xl font-bold font-records mb-1 flex items-center">
+          <FaCalendarDay className="mr-2" /> {DAILY_DIG_NAME}
+        </h1>
+        <p className="text-gray-500 mb-6">
+          {formatDailyDate(getDailyDate())} - everyone digs through the same
+          shops today. Your first dig of the day goes on the leaderboard.
+        </p>
+
+        <div className="p-4 bg-white rounded-lg shadow-md mb-8">
+          {attempt ? (
+            <p className="text-sm text-gray-600 mb-3">
+              {attempt.net_worth == null
+                ? "You've started today's scored dig."
+                : `Today's score: ${formatMoney(attempt.net_worth)}.`}{' '}
+              Any more digs today are practice.
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600 mb-3">
+              One scored attempt a day - make it count.
+            </p>
+          )}
+          <Button
+            variant="record"
+            fullWidth
+            disabled={starting}
+            onClick={handlePlay}
+          >
+            {attempt ? 'Practice Today' : "Play Today's Dig"}
+          </Button>
+        </div>
+
+        <h2 className="text-xl font-bold mb-3">Leaderboard</h2>
+        <div className="flex gap-2 mb-3">
+          {LEADERBOARD_PERIODS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setPeriod(key)}
+              className={`px-3 py-1 rounded-md text-sm ${
+                period === key
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md">
+          {!scores ? (
+            <div className="flex justify-center p-6">
+              <FaSpinner className="animate-spin text-2xl text-blue-600" />
+            </div>
+          ) : scores.length === 0 ? (
+            <p className="p-4 text-gray-500">No scores yet.</p>
+          ) : (
+            scores.map((score) => (
+              <div
+                key={score.id}
+                className={`flex items-center justify-between p-3 border-b last:border-b-0 ${
+                  score.user_id === attempt?.user_id ? 'bg-blue-50' : ''
+                }`}
+              >
+                <div className="flex items-center">
+                  {score.rank === 1 ? (
+                    <FaTrophy className="text-yellow-500 w-6 mr-2" />
+                  ) : (
+                    <span className="w-6 mr-2 text-gray-400">
+                      #{score.rank}
+                    </span>
+                  )}
+                  {score.username || 'Player'}
+                  {period !== 'day' && (
+                    <span className="ml-2 text-xs text-gray-400">
+                      {formatDailyDate(score.daily_date)}
+                    </span>
+                  )}
+                </div>
+                <div className="font-bold">{formatMoney(score.net_worth)}</div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DailyDig;
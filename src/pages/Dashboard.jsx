@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { supabase } from '../lib/supabase';
+import { db } from '../lib/backend';
 import {
   FaPlus,
   FaDice,
@@ -47,7 +47,7 @@ const Dashboard = () => {
     }
 
     // Set up realtime subscription for game updates
-    const gamesSubscription = supabase
+    const gamesSubscription = db
       .channel('public:games')
       .on(
         'postgres_changes',
@@ -75,7 +75,7 @@ const Dashboard = () => {
       setLoading(true);
 
       // Fetch user's games using a direct query instead of the problematic approach
-      const { data: userGames, error } = await supabase
+      const { data: userGames, error } = await db
         .from('players')
         .select(
           `
@@ -138,7 +138,7 @@ const Dashboard = () => {
       }
 
       // Get the first borough as default starting location
-      const { data: boroughs, error: boroughError } = await supabase
+      const { data: boroughs, error: boroughError } = await db
         .from('boroughs')
         .select('id')
         .limit(1);
@@ -168,50 +168,6 @@ const Dashboard = () => {
     }
   };
 
-  const initializeMarkets = async (gameId) => {
-    try {
-      // Get all neighborhoods
-      const { data: neighborhoods, error: neighborhoodError } = await supabase
-        .from('neighborhoods')
-        .select('*');
-
-      if (neighborhoodError) throw neighborhoodError;
-
-      // Get all products
-      const { data: products, error: productError } = await supabase
-        .from('products')
-        .select('*');
-
-      if (productError) throw productError;
-
-      // Create market inventory for each neighborhood and product
-      for (const neighborhood of neighborhoods) {
-        for (const product of products) {
-          // Calculate random price variation
-          const priceVariation = 0.8 + Math.random() * 0.4; // 0.8 to 1.2
-          const price = product.base_price * priceVariation;
-
-          // Random inventory quantity
-          const quantity = Math.floor(10 + Math.random() * 40); // 10 to 49
-
-          const { error } = await supabase.from('market_inventory').insert({
-            game_id: gameId,
-            neighborhood_id: neighborhood.id,
-            product_id: product.id,
-            quantity: quantity,
-            current_price: price,
-            day_updated: 1,
-          });
-
-          if (error) throw error;
-        }
-      }
-    } catch (error) {
-      console.error('Error initializing markets:', error);
-      throw error;
-    }
-  };
-
   const handleJoinGame = async () => {
     if (!gameCode.trim()) {
       toast.error('Please enter a game code');
@@ -222,7 +178,7 @@ const Dashboard = () => {
       setJoinLoading(true);
 
       // Check if game exists using a simple query
-      const { data: gameData, error: gameError } = await supabase
+      const { data: gameData, error: gameError } = await db
         .from('games')
         .select('id, name, status')
         .eq('id', gameCode.trim())
@@ -238,12 +194,12 @@ const Dashboard = () => {
       }
 
       if (gameData.status === 'completed') {
-        toast.error('This game has already been completed.');
+        navigate(`/game/${gameData.id}/results`);
         return;
       }
 
       // Check if player is already in the game using a simple query
-      const { data: existingPlayer, error: playerCheckError } = await supabase
+      const { data: existingPlayer, error: playerCheckError } = await db
         .from('players')
         .select('id')
         .eq('game_id', gameData.id)
@@ -259,7 +215,7 @@ const Dashboard = () => {
       }
 
       // Join the game with a simple insert
-      const { error: joinError } = await supabase.from('players').insert({
+      const { error: joinError } = await db.from('players').insert({
         user_id: user.id,
         game_id: gameData.id,
         cash: 2000,
@@ -6,17 +6,24 @@ import {
   FaSpinner,
   FaRecordVinyl,
   FaStore,
+  FaHandHoldingUsd,
+  FaTruck,
+  FaBullhorn,
 } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import { useGame } from '../contexts/GameContext';
-import {
-  getGameState,
-  advanceGameHour,
-  getPlayerActions,
-} from '../lib/gameActions';
-import { supabase } from '../lib/supabase';
+import { getGameState, getPlayerActions } from '../lib/gameActions';
+import { db } from '../lib/backend';
+import { isLoanSharkBorough, LOAN_SHARK } from '../lib/loans';
+import { getCarrier, getCarriersForSale } from '../lib/carriers';
+import { getStoreClosure } from '../lib/events';
+import { getActionsPerHour } from '../lib/actionEconomy';
+import { getHoursUntilOpen, isStoreOpenAt } from '../lib/storeHours';
+import { formatClockHour, getClockHour } from '../lib/timeUtils';
 import Button from '../components/ui/Button';
 import StoreCard from '../components/ui/StoreCard';
+import ConfirmationModal from '../components/ui/ConfirmationModal';
+import TurnStatus from '../components/ui/TurnStatus';
 import React from 'react';
 
 // Add this outside the component for memoization of store data
@@ -28,12 +35,17 @@ const Game = () => {
   const location = useLocation();
   const {
     player,
-    playerId,
+    userId,
+    loadGame,
     refreshPlayerData,
     currentGame,
-    getActionsRemaining,
-    useActions,
-    advanceGameHour,
+    enterStore,
+    waitForStore,
+    upgradeCarrier,
+    endTurn,
+    expireIdleTurns,
+    players,
+    activeEvents,
     loading: contextLoading,
   } = useGame();
 
@@ -43,6 +55,8 @@ const Game = () => {
   const [boroughStores, setBoroughStores] = useState([]);
   const [loadingGameState, setLoadingGameState] = useState(true);
   const [submitting, setSubmitting] = useState(false);
+  const [carrierOffer, setCarrierOffer] = useState(null);
+  const [closedStore, setClosedStore] = useState(null);
   const [currentBoroughName, setCurrentBoroughName] =
     useState('Unknown Location');
   const [playerActions, setPlayerActions] = useState({
@@ -50,11 +64,32 @@ const Game = () => {
     actions_available: 4,
   });
 
+  // A finished game only has results left to show
+  useEffect(() => {
+    if (currentGame?.id === gameId && currentGame.status === 'completed') {
+      navigate(`/game/${gameId}/results`, { replace: true });
+    }
+  }, [currentGame?.id, currentGame?.status, gameId, navigate]);
+
   // Create the lastBoroughId ref at the top level of the component
   const lastBoroughId = useRef(null);
 
+  // Events already announced; the first batch only fills the banner
+  const seenEventIds = useRef(null);
+
+  useEffect(() => {
+    if (!activeEvents) return;
+
+    if (seenEventIds.current) {
+      activeEvents
+        .filter((event) => !seenEventIds.current.has(event.id))
+        .forEach((event) => toast(event.title));
+    }
+    seenEventIds.current = new Set(activeEvents.map((event) => event.id));
+  }, [activeEvents]);
+
   useEffect(() => {
-    if (playerId) {
+    if (userId) {
       // Check if we need to refresh data after returning from travel
       const needsRefresh = location.state?.refresh || false;
 
@@ -68,7 +103,7 @@ const Game = () => {
         navigate(location.pathname, { replace: true });
       }
     }
-  }, [gameId, playerId, location]);
+  }, [gameId, userId, location]);
 
   // CRITICAL: Add an immediate effect to respond to player data changes
   useEffect(() => {
@@ -133,7 +168,7 @@ const Game = () => {
       let playerId;
 
       // First try to get player ID from context
-      if (player?.id) {
+      if (player?.id && player.game_id === gameId) {
         playerId = player.id;
 
         // IMMEDIATELY SET BOROUGH NAME FROM CONTEXT if available - this is more reliable
@@ -159,14 +194,18 @@ const Game = () => {
           setCurrentBoroughName(player.current_borough);
         }
       } else {
-        // Fall back to localStorage
-        const storedPlayerId = localStorage.getItem(`player_${gameId}`);
-        if (!storedPlayerId) {
-          toast.error('Could not find your player in this game');
-          navigate('/');
+        // Opened from a link or another device - find this user's player
+        const result = await loadGame(gameId);
+        if (!result.success) {
+          if (result.needsJoin) {
+            navigate(`/join/${gameId}`);
+          } else {
+            toast.error('Could not find your player in this game');
+            navigate('/');
+          }
           return;
         }
-        playerId = storedPlayerId;
+        playerId = result.player.id;
       }
 
       // If we have a refresh flag, refresh the player data in context first
@@ -197,7 +236,8 @@ const Game = () => {
             const actionsData = await getPlayerActions(
               playerId,
               gameId,
-              gameStateData.game.current_hour
+              gameStateData.game.current_hour,
+              getActionsPerHour(gameStateData.game)
             );
 
             if (actionsData) {
@@ -205,7 +245,10 @@ const Game = () => {
             }
           } catch (actionError) {
             // Use default action values
-            setPlayerActions({ actions_used: 0, actions_available: 4 });
+            setPlayerActions({
+              actions_used: 0,
+              actions_available: getActionsPerHour(gameStateData.game),
+            });
           }
         }
 
@@ -244,7 +287,7 @@ const Game = () => {
     if (!boroughId) return 'Unknown Location';
 
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('boroughs')
         .select('name')
         .eq('id', boroughId)
@@ -263,18 +306,21 @@ const Game = () => {
     try {
       setSubmitting(true);
 
-      // Attempt to advance the game hour
-      const advanced = await advanceGameHour(gameId);
+      const { success, error, hourAdvanced, gameOver } = await endTurn();
 
-      if (!advanced) {
-        toast.error('Unable to advance game. The game may have ended.');
-        setSubmitting(false);
+      if (!success) {
+        toast.error(error?.message || 'Unable to end your turn.');
         return;
       }
 
-      // Refresh game data after advancing hour
-      await loadGameData();
-      toast.success('Turn completed! Game advanced to the next hour.');
+      if (gameOver) return;
+
+      if (hourAdvanced) {
+        await loadGameData();
+        toast.success('Turn completed! Game advanced to the next hour.');
+      } else {
+        toast.success('Turn ended - waiting for the other players');
+      }
     } catch (error) {
       toast.error('An error occurred while ending your turn.');
     } finally {
@@ -282,7 +328,21 @@ const Game = () => {
     }
   };
 
-  const goToStore = async (storeId) => {
+  // Store hours are clock hours; the clock runs from midnight on Day 1
+  const clockHour = currentGame
+    ? getClockHour(currentGame.current_hour, currentGame.max_hours)
+    : 0;
+
+  const goToStore = async (store) => {
+    // Outside opening hours, offer to wait for it instead
+    if (
+      !getStoreClosure(activeEvents, store.id) &&
+      !isStoreOpenAt(store, clockHour)
+    ) {
+      setClosedStore(store);
+      return;
+    }
+
     // First try to use playerState, but fall back to player from context if needed
     const playerData = playerState || player;
 
@@ -299,31 +359,46 @@ const Game = () => {
       return;
     }
 
-    // Store visit costs 1 action
-    const actionsRemaining = getActionsRemaining();
+    // Store visit costs 1 action, charged by the server
+    const result = await enterStore(store.id);
 
-    if (actionsRemaining >= 1) {
-      // Use 1 action
-      const { success } = await useActions(1);
+    if (result.success) {
+      navigate(`/store/${gameId}/${boroughId}/${store.id}`);
+    } else {
+      toast.error(result.error?.message || "Couldn't enter the store");
+    }
+  };
 
-      if (success) {
-        // Navigate to store
-        navigate(`/store/${gameId}/${boroughId}/${storeId}`);
-      } else {
-        toast.error('Failed to use action');
-      }
+  const handleBuyCarrier = async () => {
+    const result = await upgradeCarrier(carrierOffer.type);
+
+    if (result.success) {
+      toast.success(
+        `Your ${carrierOffer.type.toLowerCase()} holds ${carrierOffer.capacity} records`
+      );
     } else {
-      // Not enough actions - automatically advance to the next hour
-      toast('Advancing to next hour...');
-      const { success } = await advanceGameHour();
-
-      if (success) {
-        // After advancing hour, use action and navigate
-        await useActions(1);
-        navigate(`/store/${gameId}/${boroughId}/${storeId}`);
-      } else {
-        toast.error("Couldn't advance to next hour");
-      }
+      toast.error(result.error?.message || "Couldn't buy the carrier");
+    }
+  };
+
+  const describeWait = (store) => {
+    const hours = getHoursUntilOpen(store, clockHour);
+    return `It opens at ${formatClockHour(store.open_hour)}, in ${hours} hour${
+      hours === 1 ? '' : 's'
+    }. Waiting ends your turn now, and you sit out every hour until it opens.`;
+  };
+
+  const handleWaitForStore = async () => {
+    const result = await waitForStore(closedStore.id);
+
+    if (!result.success) {
+      toast.error(result.error?.message || "Couldn't wait for the store");
+    } else if (!result.gameOver) {
+      toast.success(
+        result.player?.turn_completed
+          ? `Waiting for ${closedStore.name} to open`
+          : `${closedStore.name} is open`
+      );
     }
   };
 
@@ -385,6 +460,72 @@ const Game = () => {
           </button>
         </div>
 
+        {activeEvents?.length > 0 && (
+          <div className="mb-4 space-y-2">
+            {activeEvents.map((event) => (
+              <div
+                key={event.id}
+                className="p-3 flex items-start bg-yellow-50 border border-yellow-300 rounded-lg"
+              >
+                <FaBullhorn className="text-yellow-600 mt-1 mr-3 flex-shrink-0" />
+                <div>
+                  <div className="font-bold">{event.title}</div>
+                  <div className="text-sm text-gray-600">
+                    {event.description}{' '}
+                    {currentGame.current_hour - event.ends_hour === 1
+                      ? 'Last hour.'
+                      : `${currentGame.current_hour - event.ends_hour} hours left.`}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <TurnStatus
+          game={currentGame}
+          players={players}
+          playerId={player?.id}
+          onExpire={expireIdleTurns}
+        />
+
+        {isLoanSharkBorough({
+          name: player?.boroughs?.name || currentBoroughName,
+        }) && (
+          <button
+            onClick={() => navigate(`/game/${gameId}/loans`)}
+            className="w-full mb-4 p-4 flex items-center bg-white rounded-lg shadow-md text-left"
+          >
+            <FaHandHoldingUsd className="text-2xl text-red-600 mr-3" />
+            <div>
+              <div className="font-bold">{LOAN_SHARK.name}</div>
+              <div className="text-sm text-gray-500">
+                Borrow or repay - you owe $
+                {(player.loan_amount || 0).toFixed(2)}
+              </div>
+            </div>
+          </button>
+        )}
+
+        {getCarriersForSale(
+          { name: player?.boroughs?.name || currentBoroughName },
+          player.carrier_type
+        ).map((carrier) => (
+          <button
+            key={carrier.type}
+            onClick={() => setCarrierOffer(carrier)}
+            className="w-full mb-4 p-4 flex items-center bg-white rounded-lg shadow-md text-left"
+          >
+            <FaTruck className="text-2xl text-blue-600 mr-3" />
+            <div>
+              <div className="font-bold">
+                Upgrade to a {carrier.type} - ${carrier.price}
+              </div>
+              <div className="text-sm text-gray-500">{carrier.description}</div>
+            </div>
+          </button>
+        ))}
+
         {boroughStores.length === 0 ? (
           <div className="text-center p-6 bg-white rounded-lg shadow-md">
             <FaStore className="mx-auto text-gray-400 text-4xl mb-2" />
@@ -402,9 +543,17 @@ const Game = () => {
                   ...store,
                   nameClass: 'font-records text-opacity-80',
                 }}
-                isOpen={true}
+                isOpen={
+                  !getStoreClosure(activeEvents, store.id) &&
+                  isStoreOpenAt(store, clockHour)
+                }
+                opensAt={
+                  isStoreOpenAt(store, clockHour)
+                    ? null
+                    : formatClockHour(store.open_hour)
+                }
                 formatTime={formatTime}
-                onClick={() => goToStore(store.id)}
+                onClick={() => goToStore(store)}
               />
             ))}
           </div>
@@ -432,11 +581,15 @@ const Game = () => {
             size="lg"
             fullWidth
             onClick={handleEndTurn}
-            disabled={submitting}
+            disabled={submitting || player?.turn_completed}
             icon={submitting ? <FaSpinner className="animate-spin" /> : null}
             className="game-action-button"
           >
-            {submitting ? 'Processing...' : 'End Turn'}
+            {submitting
+              ? 'Processing...'
+              : player?.turn_completed
+                ? 'Waiting...'
+                : 'End Turn'}
           </Button>
 
           <Button
@@ -463,6 +616,28 @@ const Game = () => {
           }
         `}</style>
       </div>
+
+      <ConfirmationModal
+        isOpen={Boolean(carrierOffer)}
+        onClose={() => setCarrierOffer(null)}
+        onConfirm={handleBuyCarrier}
+        title={`Buy a ${carrierOffer?.type}?`}
+        message={
+          carrierOffer
+            ? `Trade your ${getCarrier(player.carrier_type).type.toLowerCase()} (${player.inventory_capacity} records) for a ${carrierOffer.type.toLowerCase()} (${carrierOffer.capacity} records) for $${carrierOffer.price}. ${carrierOffer.description}`
+            : ''
+        }
+        confirmText="Buy"
+      />
+
+      <ConfirmationModal
+        isOpen={Boolean(closedStore)}
+        onClose={() => setClosedStore(null)}
+        onConfirm={handleWaitForStore}
+        title={`${closedStore?.name} is closed`}
+        message={closedStore ? describeWait(closedStore) : ''}
+        confirmText="Wait until open"
+      />
     </div>
   );
 };
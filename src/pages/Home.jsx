@@ -1,10 +1,17 @@
 // src/pages/Home.jsx
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { FaPlay, FaCompactDisc, FaRecordVinyl } from 'react-icons/fa';
+import {
+  FaPlay,
+  FaCompactDisc,
+  FaRecordVinyl,
+  FaUsers,
+  FaCalendarDay,
+} from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import { generatePlayerName } from '../lib/nameGenerator';
 import { useGame } from '../contexts/GameContext';
+import { useAuth } from '../contexts/AuthContext';
 import GameJamBanner from '../components/game/JamBanner';
 import Button from '../components/ui/Button';
 
@@ -31,7 +38,8 @@ const buttonTextureKeyframes = `
 
 const Home = () => {
   const navigate = useNavigate();
-  const { createGame, startGame } = useGame();
+  const { createGame, currentGame } = useGame();
+  const { user } = useAuth();
   const [loading, setLoading] = useState(false);
 
   const handlePlayNow = async () => {
@@ -41,14 +49,10 @@ const Home = () => {
       // Generate a random player name
       const playerName = generatePlayerName();
 
-      // Create and start a single player game
-      const { success, gameId, error } = await createGame(playerName);
+      // Create a single player game - it starts straight away
+      const { success, gameId } = await createGame(playerName);
 
       if (success && gameId) {
-        // Start the game silently
-        await startGame(gameId);
-
-        // Navigate to the game
         navigate(`/game/${gameId}`);
       } else {
         toast.error('Failed to create game');
@@ -60,6 +64,27 @@ const Home = () => {
     }
   };
 
+  // A lobby game waits for friends and the host's settings
+  const handleHostGame = async () => {
+    setLoading(true);
+
+    try {
+      const { success, gameId } = await createGame(generatePlayerName(), {
+        lobby: true,
+      });
+
+      if (success && gameId) {
+        navigate(`/lobby/${gameId}`);
+      } else {
+        toast.error('Failed to create game');
+      }
+    } catch {
+      toast.error('An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div
       className="min-h-screen bg-white flex flex-col"
@@ -123,6 +148,36 @@ const Home = () => {
             </div>
           </div>
 
+          {/* Resume - the last unfinished game, from any device */}
+          {currentGame && currentGame.status !== 'completed' && (
+            <div style={{ textAlign: 'center', marginBottom: '24px' }}>
+              <button
+                onClick={() =>
+                  navigate(
+                    currentGame.status === 'waiting'
+                      ? `/lobby/${currentGame.id}`
+                      : `/game/${currentGame.id}`
+                  )
+                }
+                disabled={loading}
+                style={{
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  padding: '8px 20px',
+                  border: '2px solid #333',
+                  borderRadius: '50px',
+                  background: 'white',
+                  fontSize: '18px',
+                  fontWeight: 'bold',
+                  cursor: 'pointer',
+                }}
+              >
+                <FaPlay style={{ marginRight: '8px' }} /> Resume{' '}
+                {currentGame.name}
+              </button>
+            </div>
+          )}
+
           {/* Play button - updated with silvery gradient */}
           <button
             onClick={handlePlayNow}
@@ -171,28 +226,88 @@ const Home = () => {
             PLAY NOW
           </button>
 
-          {/* Multiplayer Coming Soon */}
+          {/* Multiplayer */}
           <div
             style={{
               textAlign: 'center',
               marginBottom: '24px',
             }}
           >
-            <p
+            <button
+              onClick={handleHostGame}
+              disabled={loading}
               style={{
-                fontWeight: 'bold',
+                display: 'inline-flex',
+                alignItems: 'center',
+                padding: '8px 20px',
+                border: '2px solid #333',
+                borderRadius: '50px',
+                background: 'white',
                 fontSize: '18px',
-                marginBottom: '4px',
+                fontWeight: 'bold',
+                marginBottom: '8px',
+                cursor: 'pointer',
               }}
             >
-              Multiplayer Coming Soon
+              <FaUsers style={{ marginRight: '8px' }} /> Play With Friends
+            </button>
+            <p style={{ fontSize: '14px' }}>
+              Host a game, share the link and see who can build the most
+              valuable record collection!
             </p>
+          </div>
+
+          {/* Daily Dig */}
+          <div
+            style={{
+              textAlign: 'center',
+              marginBottom: '24px',
+            }}
+          >
+            <button
+              onClick={() => navigate('/daily')}
+              disabled={loading}
+              style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                padding: '8px 20px',
+                border: '2px solid #333',
+                borderRadius: '50px',
+                background: 'white',
+                fontSize: '18px',
+                fontWeight: 'bold',
+                marginBottom: '8px',
+                cursor: 'pointer',
+              }}
+            >
+              <FaCalendarDay style={{ marginRight: '8px' }} /> Daily Dig
+            </button>
             <p style={{ fontSize: '14px' }}>
-              Challenge friends to see who can build the most valuable record
-              collection!
+              The same shops for everyone, every day. One scored attempt - see
+              where you land on the leaderboard!
             </p>
           </div>
 
+          {/* Account */}
+          <p
+            style={{
+              textAlign: 'center',
+              fontSize: '14px',
+              marginBottom: '24px',
+            }}
+          >
+            {user && !user.is_anonymous ? (
+              <>Signed in as {user.user_metadata?.username || user.email}</>
+            ) : (
+              <button
+                onClick={() => navigate('/auth')}
+                style={{ textDecoration: 'underline', cursor: 'pointer' }}
+              >
+                Save your games to an account
+              </button>
+            )}
+          </p>
+
           {/* Game Description */}
           <div
             style={{
@@ -10,12 +10,21 @@ import {
   FaWallet,
   FaMoneyBillWave,
   FaCompactDisc,
+  FaHistory,
 } from 'react-icons/fa';
 import { useGame } from '../contexts/GameContext';
 import { sellRecord } from '../lib/gameActions';
 import toast from 'react-hot-toast';
 import GameHeader from '../components/ui/GameHeader';
 import SlimProductCard from '../components/ui/SlimProductCard';
+import { getLoanSettlement } from '../lib/loans';
+import { getMargin, getUnrealizedProfit } from '../lib/standings';
+import { getBestKnownBuyer } from '../lib/notebook';
+import { formatGameTime } from '../lib/timeUtils';
+import * as gameAPI from '../services/gameAPI';
+
+const formatProfit = (value) =>
+  `${value < 0 ? '-' : '+'}$${Math.abs(value || 0).toFixed(2)}`;
 
 const Inventory = () => {
   const { gameId } = useParams();
@@ -23,10 +32,12 @@ const Inventory = () => {
   const {
     playerInventory,
     player,
+    currentGame,
     refreshPlayerInventory,
     refreshPlayerData,
     getNetWorth,
     getInventoryValue,
+    realizedProfit,
   } = useGame();
 
   const [searchTerm, setSearchTerm] = useState('');
@@ -34,6 +45,7 @@ const Inventory = () => {
   const [sortDirection, setSortDirection] = useState('asc');
   const [filteredInventory, setFilteredInventory] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [notebook, setNotebook] = useState([]);
 
   // Refresh data when component mounts
   useEffect(() => {
@@ -52,6 +64,30 @@ const Inventory = () => {
     loadData();
   }, [refreshPlayerData, refreshPlayerInventory]);
 
+  // Prices noted on store visits, for the best known buyer of each record
+  useEffect(() => {
+    if (!player?.id) return;
+    let cancelled = false;
+
+    gameAPI.fetchPriceNotebook(player.id, gameId).then((notes) => {
+      if (!cancelled) setNotebook(notes);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [player?.id, gameId]);
+
+  const describeBestBuyer = (item) => {
+    const note = getBestKnownBuyer(notebook, item);
+    return note
+      ? `Best known buyer: ${note.stores?.name || 'a store'}, $${Number(
+          note.sell_price
+        ).toFixed(
+          2
+        )} at ${formatGameTime(note.sell_hour, currentGame?.max_hours)}`
+      : null;
+  };
+
   // Initialize with the player's inventory
   useEffect(() => {
     if (playerInventory) {
@@ -102,10 +138,12 @@ const Inventory = () => {
           bValue = b.estimated_current_price || b.purchase_price || 0;
           break;
         case 'profit':
-          aValue =
-            (a.estimated_current_price || a.purchase_price) - a.purchase_price;
-          bValue =
-            (b.estimated_current_price || b.purchase_price) - b.purchase_price;
+          aValue = getUnrealizedProfit(a);
+          bValue = getUnrealizedProfit(b);
+          break;
+        case 'margin':
+          aValue = getMargin(a);
+          bValue = getMargin(b);
           break;
         case 'quantity':
           aValue = a.quantity || 0;
@@ -195,26 +233,12 @@ const Inventory = () => {
   };
 
   // Calculate values using context methods
-  const netWorth = player
-    ? player.cash -
-      player.loan_amount +
-      (playerInventory
-        ? playerInventory.reduce((sum, item) => {
-            // Use purchase price as fallback for value
-            const itemValue =
-              item.estimated_current_price || item.purchase_price || 0;
-            return sum + itemValue * (item.quantity || 1);
-          }, 0)
-        : 0)
-    : 0;
-
-  const totalInventoryValue = playerInventory
-    ? playerInventory.reduce((sum, item) => {
-        const itemValue =
-          item.estimated_current_price || item.purchase_price || 0;
-        return sum + itemValue * (item.quantity || 1);
-      }, 0)
-    : 0;
+  const netWorth = getNetWorth();
+  const totalInventoryValue = getInventoryValue();
+  const unrealizedProfit = (playerInventory || []).reduce(
+    (sum, item) => sum + getUnrealizedProfit(item),
+    0
+  );
 
   const cashAmount = player?.cash || 0;
   const loanAmount = player?.loan_amount || 0;
@@ -398,10 +422,60 @@ const Inventory = () => {
                     />
                     -${Math.round(loanAmount)}
                   </div>
+                  {loanAmount > 0 && (
+                    <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                      {player.loan_interest_rate}%/day &middot; $
+                      {Math.round(getLoanSettlement(loanAmount))} if unpaid at
+                      game end
+                    </div>
+                  )}
                 </div>
               </div>
+
+              <div
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  marginTop: '12px',
+                  fontSize: '14px',
+                  color: '#4b5563',
+                }}
+              >
+                <span>
+                  Unrealized:{' '}
+                  <span
+                    style={{
+                      color: unrealizedProfit >= 0 ? '#047857' : '#dc2626',
+                    }}
+                  >
+                    {formatProfit(unrealizedProfit)}
+                  </span>
+                </span>
+                <span>
+                  Realized:{' '}
+                  <span
+                    style={{
+                      color: realizedProfit >= 0 ? '#047857' : '#dc2626',
+                    }}
+                  >
+                    {formatProfit(realizedProfit)}
+                  </span>
+                </span>
+              </div>
             </div>
 
+            <button
+              onClick={() => navigate(`/game/${gameId}/ledger`)}
+              className="w-full mb-4 p-3 flex items-center justify-between bg-white rounded-lg shadow text-left"
+            >
+              <span className="flex items-center font-bold">
+                <FaHistory className="mr-2 text-blue-600" /> Trade log
+              </span>
+              <span className="text-sm text-gray-500">
+                Every buy, sale, fare and loan
+              </span>
+            </button>
+
             {/* Sort options - horizontal scrollable buttons */}
             <div
               style={{
@@ -418,6 +492,7 @@ const Inventory = () => {
                 'Year',
                 'Price',
                 'Profit',
+                'Margin',
                 'Qty',
                 'Rarity',
               ].map((field) => (
@@ -467,6 +542,7 @@ const Inventory = () => {
                     key={item.uniqueId}
                     item={item}
                     actionType="none"
+                    hint={describeBestBuyer(item)}
                   />
                 ))
               )}
@@ -3,14 +3,14 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useParams, Link } from 'react-router-dom';
 import { FaUserPlus, FaDice, FaSpinner } from 'react-icons/fa';
 import toast from 'react-hot-toast';
-import { supabase } from '../lib/supabase';
+import { db } from '../lib/backend';
 import { useGame } from '../contexts/GameContext';
 import { generatePlayerName } from '../lib/nameGenerator';
 
 const JoinGame = () => {
   const { gameId } = useParams();
   const navigate = useNavigate();
-  const { joinGame, loadGame, playerId } = useGame();
+  const { joinGame, loadGame, userId } = useGame();
 
   const [loading, setLoading] = useState(true);
   const [joining, setJoining] = useState(false);
@@ -27,7 +27,7 @@ const JoinGame = () => {
 
   useEffect(() => {
     const checkGame = async () => {
-      if (!gameId || !playerId) return;
+      if (!gameId || !userId) return;
 
       try {
         setLoading(true);
@@ -41,13 +41,15 @@ const JoinGame = () => {
           navigate(
             result.game.status === 'waiting'
               ? `/lobby/${gameId}`
-              : `/game/${gameId}`
+              : result.game.status === 'completed'
+                ? `/game/${gameId}/results`
+                : `/game/${gameId}`
           );
           return;
         }
 
         // Check if game exists
-        const { data: gameData, error: gameError } = await supabase
+        const { data: gameData, error: gameError } = await db
           .from('games')
           .select('*')
           .eq('id', gameId)
@@ -63,7 +65,7 @@ const JoinGame = () => {
         }
 
         if (gameData.status === 'completed') {
-          setError('This game has already ended.');
+          navigate(`/game/${gameId}/results`, { replace: true });
           return;
         }
 
@@ -73,7 +75,7 @@ const JoinGame = () => {
         }
 
         // Count existing players
-        const { data: players, error: playersError } = await supabase
+        const { data: players, error: playersError } = await db
           .from('players')
           .select('id', { count: 'exact' })
           .eq('game_id', gameId);
@@ -99,7 +101,7 @@ const JoinGame = () => {
     };
 
     checkGame();
-  }, [gameId, loadGame, navigate, playerId]);
+  }, [gameId, loadGame, navigate, userId]);
 
   const handlePlayerNameChange = (e) => {
     setPlayerName(e.target.value);
@@ -112,7 +114,7 @@ const JoinGame = () => {
   };
 
   const handleJoinGame = async () => {
-    if (!gameId || !playerId || joining) return;
+    if (!gameId || !userId || joining) return;
 
     try {
       setJoining(true);
@@ -0,0 +1,207 @@
+// src/pages/Ledger.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  FaArrowLeft,
+  FaSearch,
+  FaSpinner,
+  FaFileCsv,
+  FaFileCode,
+} from 'react-icons/fa';
+import { useGame } from '../contexts/GameContext';
+import * as gameAPI from '../services/gameAPI';
+import { formatGameTime } from '../lib/timeUtils';
+import {
+  LEDGER_FILTERS,
+  filterLedger,
+  ledgerToCsv,
+  ledgerToJson,
+  toLedgerRows,
+} from '../lib/ledger';
+import Button from '../components/ui/Button';
+
+const formatMoney = (value) =>
+  `${value < 0 ? '-' : ''}$${Math.abs(value || 0).toFixed(2)}`;
+
+const download = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const Ledger = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+  const { player, currentGame } = useGame();
+
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+
+  // Reload whenever the hour or the player's cash moves
+  useEffect(() => {
+    if (!player?.id) return;
+    let cancelled = false;
+
+    gameAPI.fetchLedger(player.id, gameId).then((data) => {
+      if (cancelled) return;
+      setTransactions(data);
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [player?.id, player?.cash, gameId, currentGame?.current_hour]);
+
+  const rows = useMemo(() => toLedgerRows(transactions), [transactions]);
+  const visible = filterLedger(rows, { type: filter, search });
+  const realized = visible.reduce((sum, row) => sum + (row.profit || 0), 0);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <FaSpinner className="animate-spin text-4xl text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-24">
+      <div className="max-w-xl mx-auto p-4 mt-4">
+        <div className="header-row">
+          <div className="flex items-center">
+            <button
+              onClick={() => navigate(`/game/${gameId}/inventory`)}
+              className="vinyl-back-button"
+            >
+              <FaArrowLeft />
+            </button>
+          </div>
+          <h1 className="text-2xl font-bold font-records">TRADE LOG</h1>
+        </div>
+
+        <div className="relative mb-3">
+          <FaSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search records, stores, boroughs..."
+            className="w-full pl-10 pr-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+
+        <div className="flex gap-2 mb-3 overflow-x-auto">
+          {Object.entries(LEDGER_FILTERS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setFilter(key)}
+              className={`px-4 py-2 rounded-lg border whitespace-nowrap ${
+                filter === key
+                  ? 'bg-blue-100 border-blue-300'
+                  : 'bg-white border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between mb-4 text-sm">
+          <span className="text-gray-600">
+            Realized profit:{' '}
+            <span className={realized >= 0 ? 'text-green-600' : 'text-red-600'}>
+              {formatMoney(realized)}
+            </span>
+          </span>
+          <div className="flex gap-2">
+            <Button
+              size="sm"
+              variant="secondary"
+              icon={<FaFileCsv />}
+              disabled={!visible.length}
+              onClick={() =>
+                download(
+                  `trades-${gameId}.csv`,
+                  ledgerToCsv(visible),
+                  'text/csv'
+                )
+              }
+            >
+              CSV
+            </Button>
+            <Button
+              size="sm"
+              variant="secondary"
+              icon={<FaFileCode />}
+              disabled={!visible.length}
+              onClick={() =>
+                download(
+                  `trades-${gameId}.json`,
+                  ledgerToJson(visible),
+                  'application/json'
+                )
+              }
+            >
+              JSON
+            </Button>
+          </div>
+        </div>
+
+        {visible.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-6 text-center">
+            <p className="text-gray-500 italic">
+              {rows.length ? 'Nothing matches' : 'No trades yet'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {visible.map((row) => (
+              <div key={row.id} className="p-3 bg-white rounded-lg shadow">
+                <div className="flex justify-between">
+                  <div className="font-bold">
+                    {row.label}
+                    {row.record &&
+                      ` ${row.quantity > 1 ? `${row.quantity} × ` : ''}${row.record}`}
+                  </div>
+                  <div
+                    className={
+                      row.total >= 0 ? 'text-green-600' : 'text-red-600'
+                    }
+                  >
+                    {row.total >= 0 ? '+' : ''}
+                    {formatMoney(row.total)}
+                  </div>
+                </div>
+                <div className="flex justify-between text-xs text-gray-500">
+                  <div>
+                    {formatGameTime(row.hour, currentGame?.max_hours)}
+                    {row.store && ` · ${row.store}`}
+                    {row.borough && ` · ${row.borough}`}
+                    {row.condition && ` · ${row.condition}`}
+                  </div>
+                  {row.profit !== null && (
+                    <div
+                      className={
+                        row.profit >= 0 ? 'text-green-600' : 'text-red-600'
+                      }
+                    >
+                      {row.profit >= 0 ? '+' : ''}
+                      {formatMoney(row.profit)} profit
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Ledger;
@@ -0,0 +1,195 @@
+// src/pages/LoanShark.jsx
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaHandHoldingUsd, FaSpinner } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import { useGame } from '../contexts/GameContext';
+import Button from '../components/ui/Button';
+import {
+  LOAN_SHARK,
+  HOURS_PER_DAY,
+  accrueInterest,
+  getAvailableCredit,
+  getBookNetWorth,
+  getCreditLimit,
+  getLoanSettlement,
+  isLoanSharkBorough,
+} from '../lib/loans';
+import { ACTION_COSTS } from '../lib/actionEconomy';
+
+const formatMoney = (value) => `$${(value || 0).toFixed(2)}`;
+
+const LoanShark = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+  const {
+    player,
+    playerInventory,
+    borrow,
+    repay,
+    refreshPlayerData,
+    refreshPlayerInventory,
+  } = useGame();
+
+  const [amount, setAmount] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    refreshPlayerData();
+    refreshPlayerInventory();
+  }, [refreshPlayerData, refreshPlayerInventory]);
+
+  if (!player) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <FaSpinner className="animate-spin text-4xl text-blue-600" />
+      </div>
+    );
+  }
+
+  const loanAmount = player.loan_amount || 0;
+  const interestRate = player.loan_interest_rate || 0;
+  const creditLimit = getCreditLimit(
+    getBookNetWorth(player, playerInventory || [])
+  );
+  const availableCredit = getAvailableCredit(player, playerInventory || []);
+  const nextHourInterest =
+    accrueInterest(loanAmount, interestRate) - loanAmount;
+  const atLoanShark = isLoanSharkBorough(player.boroughs);
+
+  const handleLoan = async (action) => {
+    const value = parseFloat(amount);
+    if (!(value > 0)) {
+      toast.error('Enter an amount greater than $0');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result =
+        action === 'borrow' ? await borrow(value) : await repay(value);
+
+      if (!result.success) {
+        toast.error(result.error?.message || 'Sal is not in the mood');
+        return;
+      }
+
+      toast.success(
+        action === 'borrow'
+          ? `Borrowed ${formatMoney(value)}`
+          : `Repaid ${formatMoney(loanAmount - (result.player?.loan_amount || 0))}`
+      );
+      setAmount('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-24">
+      <div className="max-w-xl mx-auto p-4 mt-4">
+        <div className="header-row">
+          <div className="flex items-center">
+            <button
+              onClick={() => navigate(`/game/${gameId}`)}
+              className="vinyl-back-button"
+            >
+              <FaArrowLeft />
+            </button>
+          </div>
+          <h1 className="text-2xl font-bold font-records">LOAN SHARK</h1>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-4 mb-4">
+          <div className="flex items-center mb-2">
+            <FaHandHoldingUsd className="text-2xl text-red-600 mr-2" />
+            <h2 className="text-lg font-bold">{LOAN_SHARK.name}</h2>
+          </div>
+          <table className="w-full text-sm">
+            <tbody>
+              <tr>
+                <td className="py-1 text-gray-600">You owe</td>
+                <td className="py-1 text-right font-bold text-red-600">
+                  {formatMoney(loanAmount)}
+                </td>
+              </tr>
+              <tr>
+                <td className="py-1 text-gray-600">Interest</td>
+                <td className="py-1 text-right">
+                  {interestRate}% a day (+{formatMoney(nextHourInterest)} next
+                  hour)
+                </td>
+              </tr>
+              <tr>
+                <td className="py-1 text-gray-600">Credit limit</td>
+                <td className="py-1 text-right">{formatMoney(creditLimit)}</td>
+              </tr>
+              <tr>
+                <td className="py-1 text-gray-600">Available to borrow</td>
+                <td className="py-1 text-right">
+                  {formatMoney(availableCredit)}
+                </td>
+              </tr>
+              <tr>
+                <td className="py-1 text-gray-600">
+                  Owed if the game ends now
+                </td>
+                <td className="py-1 text-right text-amber-700">
+                  {formatMoney(getLoanSettlement(loanAmount))}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            Interest compounds every hour (
+            {(interestRate / HOURS_PER_DAY).toFixed(2)}% per hour). Whatever you
+            still owe at the end of the game comes out of your cash with a
+            penalty.
+          </p>
+        </div>
+
+        {atLoanShark ? (
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <input
+              type="number"
+              min="0"
+              step="1"
+              placeholder="Amount"
+              className="w-full mb-3 px-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+            <div className="flex gap-3">
+              <Button
+                variant="record"
+                fullWidth
+                onClick={() => handleLoan('borrow')}
+                disabled={submitting || availableCredit <= 0}
+              >
+                Borrow
+              </Button>
+              <Button
+                variant="record"
+                fullWidth
+                onClick={() => handleLoan('repay')}
+                disabled={submitting || loanAmount <= 0}
+              >
+                Repay
+              </Button>
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+              Each deal costs {ACTION_COSTS.loan} action.
+            </p>
+          </div>
+        ) : (
+          <p className="text-center text-gray-500">
+            Sal only does business in the {LOAN_SHARK.borough}. Travel there to
+            borrow or repay.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoanShark;
@@ -1,16 +1,35 @@
 // src/pages/Lobby.jsx
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, useParams, Link } from 'react-router-dom';
-import { FaUsers, FaCopy, FaPlay, FaArrowLeft } from 'react-icons/fa';
+import {
+  FaUsers,
+  FaCopy,
+  FaPlay,
+  FaArrowLeft,
+  FaCheck,
+  FaTimes,
+  FaRobot,
+} from 'react-icons/fa';
 import toast from 'react-hot-toast';
-import { supabase } from '../lib/supabase';
+import { db } from '../lib/backend';
 import { useGame } from '../contexts/GameContext';
+import { subscribeToGame } from '../lib/realtime';
+import { setResumeGame } from '../lib/identity';
+import {
+  getGameSettings,
+  getStartBlocker,
+  MAX_PLAYERS,
+  validateGameSettings,
+} from '../lib/gameSettings';
+import { getRivalName, RIVAL_STRATEGIES } from '../lib/rivals';
+import * as gameAPI from '../services/gameAPI';
+import GameSettingsPanel from '../components/ui/GameSettingsPanel';
 import React from 'react';
 
 const Lobby = () => {
   const { gameId } = useParams();
   const navigate = useNavigate();
-  const { currentGame, player, players, loadGame, startGame, playerId } =
+  const { currentGame, player, players, loadGame, startGame, userId } =
     useGame();
 
   const [loading, setLoading] = useState(true);
@@ -18,13 +37,13 @@ const Lobby = () => {
   const [error, setError] = useState('');
   const [lobbyPlayers, setLobbyPlayers] = useState([]);
   const [isCreator, setIsCreator] = useState(false);
-  const [pollingInterval, setPollingInterval] = useState(null);
+  const [boroughs, setBoroughs] = useState([]);
   const [attemptedLoad, setAttemptedLoad] = useState(false);
   const loadingStarted = useRef(false);
 
   useEffect(() => {
-    // Skip if we've already attempted to load
-    if (attemptedLoad) {
+    // Skip until we know who is playing, or if we've already attempted to load
+    if (!userId || attemptedLoad) {
       return;
     }
 
@@ -40,8 +59,8 @@ const Lobby = () => {
 
     // Load initial game data
     const initLobby = async () => {
-      if (!gameId || !playerId) {
-        setError('Missing game ID or player ID');
+      if (!gameId || !userId) {
+        setError('Missing game ID or user ID');
         setLoading(false);
         return;
       }
@@ -64,12 +83,9 @@ const Lobby = () => {
         }
 
         // Set creator status
-        setIsCreator(result.game.created_by === playerId);
+        setIsCreator(result.game.created_by === result.player?.user_id);
 
-        // For now, don't start polling to see if that's the issue
-        // startPolling();
-
-        // Load players manually once
+        // Load players once - the subscription below keeps them current
         fetchPlayers();
       } catch (err) {
         console.error('Error initializing lobby:', err);
@@ -80,40 +96,21 @@ const Lobby = () => {
     };
 
     // Only run if we have the required IDs
-    if (playerId && gameId) {
+    if (userId && gameId) {
       initLobby();
     } else {
       setLoading(false);
     }
+  }, [gameId, userId, attemptedLoad]);
 
-    // Clean up polling on unmount
-    return () => {
-      if (pollingInterval) {
-        clearInterval(pollingInterval);
-      }
-    };
-  }, [gameId, playerId, attemptedLoad]);
-
-  // Set up polling to refresh player list
-  const startPolling = () => {
-    if (pollingInterval) {
-      clearInterval(pollingInterval);
-    }
-
-    const interval = setInterval(fetchPlayers, 3000); // Poll every 3 seconds
-    setPollingInterval(interval);
-
-    console.log('Started polling with interval ID:', interval);
-  };
-
-  const fetchPlayers = async () => {
+  const fetchPlayers = useCallback(async () => {
     if (!gameId) return;
 
     try {
       // Get players for this game
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('players')
-        .select('id, username, user_id')
+        .select('id, username, user_id, is_ready, is_rival, rival_strategy')
         .eq('game_id', gameId);
 
       if (error) throw error;
@@ -121,7 +118,7 @@ const Lobby = () => {
       setLobbyPlayers(data || []);
 
       // Also check game status in case it started from another client
-      const { data: gameData, error: gameError } = await supabase
+      const { data: gameData, error: gameError } = await db
         .from('games')
         .select('status')
         .eq('id', gameId)
@@ -136,6 +133,79 @@ const Lobby = () => {
     } catch (err) {
       console.error('Error fetching players:', err);
     }
+  }, [gameId, navigate]);
+
+  // Players joining or leaving and the host starting the game are pushed
+  useEffect(() => {
+    if (!gameId) return;
+
+    return subscribeToGame(gameId, {
+      onGameChange: (game) => {
+        if (game.status === 'active') navigate(`/game/${gameId}`);
+      },
+      onPlayerChange: (row, eventType) => {
+        if (eventType === 'DELETE' && row.id === player?.id) {
+          toast.error('The host removed you from the game');
+          setResumeGame(null);
+          navigate('/');
+          return;
+        }
+        fetchPlayers();
+      },
+    });
+  }, [gameId, navigate, fetchPlayers, player?.id]);
+
+  // Every borough, for the host to pick which are in play
+  useEffect(() => {
+    db.from('boroughs')
+      .select('id, name')
+      .order('name')
+      .then(({ data }) => setBoroughs(data || []));
+  }, []);
+
+  const settings = getGameSettings(currentGame);
+  const startBlocker = getStartBlocker(lobbyPlayers, currentGame?.created_by);
+
+  const handleSettingChange = async (key, value) => {
+    const problem = validateGameSettings(
+      { ...settings, [key]: value },
+      boroughs
+    );
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+
+    const { success, error } = await gameAPI.updateGameSettings(gameId, {
+      [key]: value,
+    });
+    if (!success) toast.error(error?.message || 'Failed to save the setting');
+  };
+
+  const handleToggleReady = async () => {
+    const { success } = await gameAPI.setPlayerReady(
+      player.id,
+      !player.is_ready
+    );
+    if (!success) toast.error('Failed to update your status');
+  };
+
+  const handleKick = async (kicked) => {
+    const { success, error } = await gameAPI.kickPlayer(gameId, kicked.id);
+    if (!success) {
+      toast.error(error?.message || 'Failed to remove the player');
+    }
+  };
+
+  const handleAddRival = async (strategy) => {
+    const { success, error } = await gameAPI.addRival(
+      gameId,
+      strategy,
+      getRivalName(lobbyPlayers)
+    );
+    if (!success) {
+      toast.error(error?.message || 'Failed to add the rival');
+    }
   };
 
   const handleCopyLink = () => {
@@ -146,7 +216,7 @@ const Lobby = () => {
   };
 
   const handleStartGame = async () => {
-    if (!isCreator || lobbyPlayers.length < 1) return;
+    if (!isCreator || startBlocker) return;
 
     const { success, error } = await startGame(gameId);
 
@@ -232,32 +302,87 @@ const Lobby = () => {
           <div className="p-6">
             <div className="mb-6">
               <h2 className="text-lg font-semibold mb-2 flex items-center">
-                <FaUsers className="mr-2" /> Players ({lobbyPlayers.length}/4)
+                <FaUsers className="mr-2" /> Players ({lobbyPlayers.length}/
+                {MAX_PLAYERS})
               </h2>
               <ul className="bg-gray-50 border rounded-md divide-y">
                 {lobbyPlayers.map((p) => (
                   <li key={p.id} className="p-3 flex items-center">
-                    <span className="flex-1 font-medium">{p.username}</span>
-                    {p.user_id === playerId && (
+                    {p.user_id ? (
+                      <Link
+                        to={`/profile/${p.user_id}`}
+                        className="flex-1 font-medium hover:underline"
+                      >
+                        {p.username}
+                      </Link>
+                    ) : (
+                      <span className="flex-1 font-medium">{p.username}</span>
+                    )}
+                    {p.id === player?.id && (
                       <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full">
                         You
                       </span>
                     )}
-                    {currentGame?.created_by === p.user_id && (
+                    {p.is_rival ? (
+                      <span className="text-xs bg-purple-100 text-purple-800 px-2 py-1 rounded-full ml-2 flex items-center">
+                        <FaRobot className="mr-1" />
+                        {RIVAL_STRATEGIES[p.rival_strategy]?.label || 'Rival'}
+                      </span>
+                    ) : currentGame?.created_by === p.user_id ? (
                       <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full ml-2">
                         Host
                       </span>
+                    ) : (
+                      <span
+                        className={`text-xs px-2 py-1 rounded-full ml-2 ${
+                          p.is_ready
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-gray-100 text-gray-600'
+                        }`}
+                      >
+                        {p.is_ready ? 'Ready' : 'Not ready'}
+                      </span>
+                    )}
+                    {isCreator && currentGame?.created_by !== p.user_id && (
+                      <button
+                        onClick={() => handleKick(p)}
+                        title={`Remove ${p.username}`}
+                        className="ml-2 text-gray-400 hover:text-red-600"
+                      >
+                        <FaTimes />
+                      </button>
                     )}
                   </li>
                 ))}
                 {Array.from({
-                  length: Math.max(0, 4 - lobbyPlayers.length),
+                  length: Math.max(0, MAX_PLAYERS - lobbyPlayers.length),
                 }).map((_, i) => (
                   <li key={`empty-${i}`} className="p-3 text-gray-400 italic">
                     Waiting for player...
                   </li>
                 ))}
               </ul>
+              {isCreator && lobbyPlayers.length < MAX_PLAYERS && (
+                <div className="mt-3">
+                  <div className="text-sm font-medium mb-1">
+                    Add a computer rival
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {Object.entries(RIVAL_STRATEGIES).map(
+                      ([strategy, { label, description }]) => (
+                        <button
+                          key={strategy}
+                          onClick={() => handleAddRival(strategy)}
+                          title={description}
+                          className="px-3 py-1 rounded-md text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center"
+                        >
+                          <FaRobot className="mr-1" /> {label}
+                        </button>
+                      )
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
 
             <div className="mb-6">
@@ -285,23 +410,61 @@ const Lobby = () => {
               </p>
             </div>
 
+            <div className="mb-6">
+              <h2 className="text-lg font-semibold mb-2">Game Settings</h2>
+              <GameSettingsPanel
+                settings={settings}
+                boroughs={boroughs}
+                editable={isCreator}
+                onChange={handleSettingChange}
+              />
+              <p className="text-sm text-gray-600 mt-2">
+                Everyone plays each hour at once. With a turn timer, players who
+                haven't ended their turn when it runs out are ended for them.
+              </p>
+              {currentGame?.seed && (
+                <p className="text-sm text-gray-600 mt-2">
+                  Seed {currentGame.seed} - games with the same seed start with
+                  the same stock and follow the same market.
+                </p>
+              )}
+            </div>
+
             <div className="mt-8 flex justify-end">
               {isCreator ? (
-                <button
-                  onClick={handleStartGame}
-                  disabled={lobbyPlayers.length < 1}
-                  className={`px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center ${
-                    lobbyPlayers.length < 1
-                      ? 'opacity-50 cursor-not-allowed'
-                      : ''
-                  }`}
-                >
-                  <FaPlay className="mr-2" /> Start Game
-                </button>
+                <div className="flex items-center gap-3">
+                  {startBlocker && (
+                    <span className="text-sm text-gray-600 italic">
+                      {startBlocker}
+                    </span>
+                  )}
+                  <button
+                    onClick={handleStartGame}
+                    disabled={Boolean(startBlocker)}
+                    className={`px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center ${
+                      startBlocker ? 'opacity-50 cursor-not-allowed' : ''
+                    }`}
+                  >
+                    <FaPlay className="mr-2" /> Start Game
+                  </button>
+                </div>
               ) : (
-                <p className="text-gray-600 italic">
-                  Waiting for the host to start the game...
-                </p>
+                <div className="flex items-center gap-3">
+                  <span className="text-gray-600 italic">
+                    Waiting for the host to start the game...
+                  </span>
+                  <button
+                    onClick={handleToggleReady}
+                    className={`px-4 py-2 rounded-md flex items-center text-white ${
+                      player?.is_ready
+                        ? 'bg-gray-500 hover:bg-gray-600'
+                        : 'bg-green-600 hover:bg-green-700'
+                    }`}
+                  >
+                    <FaCheck className="mr-2" />
+                    {player?.is_ready ? 'Not Ready' : "I'm Ready"}
+                  </button>
+                </div>
               )}
             </div>
           </div>
@@ -0,0 +1,105 @@
+// src/pages/Profile.jsx
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaSpinner, FaUser } from 'react-icons/fa';
+import * as gameAPI from '../services/gameAPI';
+import { getProfileStats } from '../lib/profile';
+import Button from '../components/ui/Button';
+
+const formatMoney = (value) =>
+  value === null
+    ? '-'
+    : `${value < 0 ? '-' : ''}$${Math.abs(value || 0).toFixed(2)}`;
+
+const Stat = ({ label, children }) => (
+  <div className="p-4 bg-white rounded-lg shadow-md">
+    <div className="text-sm text-gray-500">{label}</div>
+    <div className="text-xl font-bold">{children}</div>
+  </div>
+);
+
+const Profile = () => {
+  const { userId } = useParams();
+  const navigate = useNavigate();
+
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    gameAPI.fetchPlayerProfile(userId).then((data) => {
+      if (cancelled) return;
+      setProfile(data);
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <FaSpinner className="animate-spin text-4xl text-blue-600" />
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-50 p-4">
+        <p className="text-gray-600 mb-4">Couldn't find that player.</p>
+        <Button onClick={() => navigate('/')}>Home</Button>
+      </div>
+    );
+  }
+
+  const stats = getProfileStats(profile);
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-12">
+      <div className="max-w-xl mx-auto p-4">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center text-blue-600 mb-4"
+        >
+          <FaArrowLeft className="mr-2" /> Back
+        </button>
+
+        <h1 className="text-3xl font-bold font-records mb-1 flex items-center">
+          <FaUser className="mr-2" /> {profile.username || 'Player'}
+        </h1>
+        <p className="text-gray-500 mb-6">
+          Lifetime stats from {stats.gamesPlayed} finished{' '}
+          {stats.gamesPlayed === 1 ? 'game' : 'games'}
+        </p>
+
+        <div className="grid grid-cols-2 gap-3">
+          <Stat label="Games played">{stats.gamesPlayed}</Stat>
+          <Stat label="Wins">{stats.wins}</Stat>
+          <Stat label="Average net worth">
+            {formatMoney(stats.averageNetWorth)}
+          </Stat>
+          <Stat label="Best net worth">{formatMoney(stats.bestNetWorth)}</Stat>
+          <Stat label="Records flipped">{stats.recordsFlipped}</Stat>
+          <Stat label="Favorite genre">{stats.favoriteGenre || '-'}</Stat>
+        </div>
+
+        <div className="p-4 bg-white rounded-lg shadow-md mt-3">
+          <div className="text-sm text-gray-500">Most profitable borough</div>
+          <div className="text-xl font-bold">
+            {stats.topBorough
+              ? `${stats.topBorough.name} (+${formatMoney(
+                  stats.topBorough.profit
+                )})`
+              : '-'}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
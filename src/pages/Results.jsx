@@ -0,0 +1,193 @@
+// src/pages/Results.jsx
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { FaTrophy, FaSpinner, FaArrowLeft, FaRobot } from 'react-icons/fa';
+import { useGame } from '../contexts/GameContext';
+import * as gameAPI from '../services/gameAPI';
+import { getStandings } from '../lib/standings';
+import { RIVAL_STRATEGIES } from '../lib/rivals';
+import { generatePlayerName } from '../lib/nameGenerator';
+import { isDailyDig } from '../lib/dailyDig';
+import Button from '../components/ui/Button';
+import NetWorthChart from '../components/ui/NetWorthChart';
+
+const formatMoney = (value) =>
+  `${value < 0 ? '-' : ''}$${Math.abs(value || 0).toFixed(2)}`;
+
+const Flip = ({ label, flip }) => {
+  if (!flip) return null;
+
+  const { transaction, cost, profit } = flip;
+  return (
+    <div className="text-xs text-gray-600">
+      {label}: {transaction.products?.name || 'A record'} - paid{' '}
+      {formatMoney(cost)}, sold for {formatMoney(Number(transaction.price))}{' '}
+      <span className={profit >= 0 ? 'text-green-600' : 'text-red-600'}>
+        ({profit >= 0 ? '+' : ''}
+        {formatMoney(profit)})
+      </span>
+    </div>
+  );
+};
+
+const Results = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+  const { player, createGame } = useGame();
+
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    gameAPI.fetchGameResults(gameId).then((data) => {
+      if (cancelled) return;
+      setResults(data);
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <FaSpinner className="animate-spin text-4xl text-blue-600" />
+      </div>
+    );
+  }
+
+  if (!results) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-50 p-4">
+        <p className="text-gray-600 mb-4">Couldn't load this game.</p>
+        <Button onClick={() => navigate('/')}>Home</Button>
+      </div>
+    );
+  }
+
+  const { game, players, inventory, transactions, snapshots } = results;
+  const standings = getStandings(players, inventory, transactions);
+  const finished = game.status === 'completed';
+
+  // A solo game on the same board
+  const handleReplaySeed = async () => {
+    const { success, gameId: newGameId } = await createGame(
+      generatePlayerName(),
+      { seed: game.seed }
+    );
+    if (success && newGameId) navigate(`/game/${newGameId}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-12">
+      <div className="max-w-xl mx-auto p-4">
+        {!finished && (
+          <button
+            onClick={() => navigate(`/game/${gameId}`)}
+            className="flex items-center text-blue-600 mb-4"
+          >
+            <FaArrowLeft className="mr-2" /> Back to the game
+          </button>
+        )}
+
+        <h1 className="text-3xl font-bold font-records mb-1">
+          {finished ? 'Final Standings' : 'Standings So Far'}
+        </h1>
+        <p className="text-gray-500 mb-6">
+          {game.name}
+          {game.seed && ` - seed ${game.seed}`}
+        </p>
+
+        <div className="space-y-3 mb-8">
+          {standings.map((entry) => (
+            <div
+              key={entry.id}
+              className={`p-4 bg-white rounded-lg shadow-md ${
+                entry.id === player?.id ? 'ring-2 ring-blue-500' : ''
+              }`}
+            >
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center font-bold text-lg">
+                  {entry.rank === 1 ? (
+                    <FaTrophy className="text-yellow-500 mr-2" />
+                  ) : (
+                    <span className="w-6 mr-2 text-gray-400">
+                      #{entry.rank}
+                    </span>
+                  )}
+                  {entry.user_id ? (
+                    <Link
+                      to={`/profile/${entry.user_id}`}
+                      className="hover:underline"
+                    >
+                      {entry.username || 'Player'}
+                    </Link>
+                  ) : (
+                    entry.username || 'Player'
+                  )}
+                  {entry.is_rival && (
+                    <FaRobot
+                      className="ml-2 text-gray-400"
+                      title={
+                        RIVAL_STRATEGIES[entry.rival_strategy]?.label || 'Rival'
+                      }
+                    />
+                  )}
+                </div>
+                <div className="font-bold text-lg">
+                  {formatMoney(entry.netWorth)}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-2 text-sm mb-2">
+                <div>
+                  <div className="text-gray-500">Cash</div>
+                  {formatMoney(entry.cash)}
+                </div>
+                <div>
+                  <div className="text-gray-500">Records</div>
+                  {formatMoney(entry.inventoryValue)}
+                </div>
+                <div>
+                  <div className="text-gray-500">Loan</div>
+                  {formatMoney(entry.loan_amount)}
+                </div>
+              </div>
+
+              <Flip label="Best flip" flip={entry.bestFlip} />
+              <Flip label="Worst flip" flip={entry.worstFlip} />
+            </div>
+          ))}
+        </div>
+
+        <h2 className="text-xl font-bold mb-3">Net Worth by Hour</h2>
+        <div className="p-4 bg-white rounded-lg shadow-md mb-8">
+          <NetWorthChart
+            players={standings}
+            snapshots={snapshots}
+            maxHours={game.max_hours || 24}
+          />
+        </div>
+
+        {isDailyDig(game) && (
+          <Button fullWidth className="mb-3" onClick={() => navigate('/daily')}>
+            Daily Dig Leaderboard
+          </Button>
+        )}
+        {finished && game.seed && !isDailyDig(game) && (
+          <Button fullWidth className="mb-3" onClick={handleReplaySeed}>
+            Play this seed again
+          </Button>
+        )}
+        <Button variant="record" fullWidth onClick={() => navigate('/')}>
+          Back to Home
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default Results;
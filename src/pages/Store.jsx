@@ -10,27 +10,32 @@ import {
   FaCompactDisc,
 } from 'react-icons/fa';
 import toast from 'react-hot-toast';
-import { supabase } from '../lib/supabase';
+import { db } from '../lib/backend';
 import { useGame } from '../contexts/GameContext';
+import { getStoreInventory, getSellPrices } from '../lib/gameActions';
 import {
-  getStoreInventory,
-  buyRecord,
-  sellRecord,
-  getSellPrices,
-} from '../lib/gameActions';
+  calculateBuyPrice,
+  calculateSellPrice,
+  reconcileBreakdown,
+} from '../lib/pricing';
+import { getEventPriceFactor } from '../lib/events';
+import { getClockHour } from '../lib/timeUtils';
 import ActionButton from '../components/ui/ActionButton';
 import ProductCard from '../components/ui/ProductCard';
 import { motion, AnimatePresence } from 'framer-motion';
 import SlimProductCard from '../components/ui/SlimProductCard';
+import PriceBreakdownModal from '../components/ui/PriceBreakdownModal';
 
 const Store = () => {
   const { gameId, boroughId, storeId } = useParams();
   const navigate = useNavigate();
   const {
+    currentGame,
     player,
     playerInventory,
-    refreshPlayerInventory,
-    refreshPlayerData,
+    buyProduct,
+    sellProduct,
+    activeEvents,
     loading: gameLoading,
   } = useGame();
 
@@ -49,6 +54,8 @@ const Store = () => {
   const [key, setKey] = useState(0);
   const [listView, setListView] = useState(true);
   const [inventoryStorePrices, setInventoryStorePrices] = useState({});
+  // Buy or sell waiting on the player to confirm its price breakdown
+  const [pendingTrade, setPendingTrade] = useState(null);
 
   // Add a ref to track when prices have been calculated
   const pricesCalculated = useRef(false);
@@ -56,6 +63,47 @@ const Store = () => {
   // Add a new state variable to track price stability
   const [priceStabilityKey, setPriceStabilityKey] = useState(Date.now());
 
+  // Itemized prices from the same formula and inputs the server uses
+  const getBuyBreakdown = useCallback(
+    (record) =>
+      reconcileBreakdown(
+        calculateBuyPrice({
+          basePrice: record.products?.base_price,
+          condition: record.condition,
+          store,
+          boroughModifier: borough?.price_modifier ?? null,
+        }),
+        record.current_price,
+        'Market swing'
+      ),
+    [store, borough]
+  );
+
+  const clockHour = currentGame
+    ? getClockHour(currentGame.current_hour, currentGame.max_hours)
+    : null;
+
+  const getSellBreakdown = useCallback(
+    (item) =>
+      calculateSellPrice({
+        purchasePrice: item.purchase_price ?? null,
+        basePrice: item.products?.base_price ?? null,
+        condition: item.condition,
+        genre: item.products?.genre,
+        store,
+        boroughModifier: borough?.price_modifier ?? null,
+        hour: clockHour,
+        shelf: storeInventory.filter(
+          (stock) => stock.product_id === item.product_id
+        ),
+        eventFactor: getEventPriceFactor(activeEvents, {
+          genre: item.products?.genre,
+          boroughId: store?.borough_id,
+        }),
+      }),
+    [store, borough, clockHour, storeInventory, activeEvents]
+  );
+
   // Convert to useCallback to prevent recreation - MOVED THIS FUNCTION ABOVE THE USEEFFECT THAT REFERENCES IT
   const loadInventoryStorePrices = useCallback(async () => {
     if (!store || !playerInventory?.length) return;
@@ -88,7 +136,7 @@ const Store = () => {
           console.warn(`Item ${item.id} is missing purchase_price!`, item);
         }
 
-        const response = await supabase.rpc('get_sell_price', {
+        const response = await db.rpc('get_sell_price', {
           p_player_id: player.id,
           p_store_id: store.id,
           p_inventory_id: item.id,
@@ -109,26 +157,10 @@ const Store = () => {
       } else {
         console.log('FALLBACK: All database calls failed, using basic pricing');
 
-        // Fall back to basic pricing - ensure purchase_price is used if available
+        // Fall back to pricing locally with the same formula as the server
         const basicPrices = {};
         playerInventory.forEach((item) => {
-          // Log each item's purchase_price for debugging
-          console.log(
-            `Fallback pricing for ${item.id}: purchase_price=${item.purchase_price}, condition=${item.condition}`
-          );
-
-          // Default to 10 only if purchase_price is truly missing
-          const basePriceToUse = parseFloat(item.purchase_price) || 10;
-
-          basicPrices[item.id] =
-            basePriceToUse *
-            (item.condition === 'Mint'
-              ? 1.5
-              : item.condition === 'Good'
-              ? 1.0
-              : item.condition === 'Fair'
-              ? 0.7
-              : 0.5);
+          basicPrices[item.id] = getSellBreakdown(item).price;
         });
         setInventoryStorePrices(basicPrices);
       }
@@ -139,7 +171,7 @@ const Store = () => {
     } finally {
       setLoading(false);
     }
-  }, [store?.id, player?.id, gameId, playerInventory, priceStabilityKey]);
+  }, [store, getSellBreakdown, player?.id, playerInventory]);
 
   useEffect(() => {
     if (gameId && boroughId && storeId) {
@@ -187,10 +219,10 @@ const Store = () => {
       // Use Promise.all to fetch data in parallel
       const [boroughResponse, storeResponse] = await Promise.all([
         // 1. Fetch the borough
-        supabase.from('boroughs').select('*').eq('id', boroughId).single(),
+        db.from('boroughs').select('*').eq('id', boroughId).single(),
 
         // 2. Fetch the specific store
-        supabase
+        db
           .from('stores')
           .select('*')
           .eq('id', storeId)
@@ -208,7 +240,7 @@ const Store = () => {
       let currentStore;
       if (storeResponse.error) {
         // If we can't find the specific store, try to get any store in this borough
-        const { data: anyStore, error: anyStoreError } = await supabase
+        const { data: anyStore, error: anyStoreError } = await db
           .from('stores')
           .select('*')
           .eq('borough_id', boroughId)
@@ -275,6 +307,49 @@ const Store = () => {
     }
   };
 
+  // Show the price breakdown before buying
+  const confirmBuy = (productId, quantity = 1, inventoryId) => {
+    const record = storeInventory.find(
+      (item) => item.id === inventoryId || item.displayId === inventoryId
+    );
+    if (!record) {
+      toast.error('Exact record not found. Please try again.');
+      return;
+    }
+
+    setPendingTrade({
+      type: 'buy',
+      args: [productId, quantity, inventoryId],
+      quantity,
+      // Copies of the same row share a price, so they can be bought together
+      maxQuantity: record.originalQuantity || 1,
+      recordName: record.products?.name || 'Record',
+      breakdown: getBuyBreakdown(record),
+    });
+  };
+
+  // Show the price breakdown before selling
+  const confirmSell = (productId, quantity = 1, inventoryId) => {
+    const item = playerInventory.find((record) => record.id === inventoryId);
+    if (!item) {
+      toast.error('Cannot find this record in your inventory');
+      return;
+    }
+
+    setPendingTrade({
+      type: 'sell',
+      args: [productId, quantity, inventoryId],
+      quantity,
+      maxQuantity: item.quantity || 1,
+      recordName: item.products?.name || 'Record',
+      breakdown: reconcileBreakdown(
+        getSellBreakdown(item),
+        inventoryStorePrices[inventoryId],
+        'Current market'
+      ),
+    });
+  };
+
   const handleBuy = async (productId, quantity = 1, inventoryId) => {
     if (!player) return;
 
@@ -301,27 +376,15 @@ const Store = () => {
       // Make sure we have the product ID from the record
       const productIdToUse = recordToBuy.product_id || productId;
       const recordPrice = recordToBuy.current_price;
-      const recordCondition = recordToBuy.condition || 'Good';
 
-      // Check if player has enough cash
-      if (player.cash < recordPrice) {
-        toast.error(
-          `Not enough cash. This record costs $${recordPrice.toFixed(2)}.`
-        );
-        return;
-      }
+      const totalPrice = recordPrice * quantity;
 
-      // Check if player already owns this record with the same condition
-      const alreadyOwnsWithSameCondition = playerInventory.some(
-        (item) =>
-          item.product_id === productIdToUse &&
-          item.condition === recordCondition
-      );
-
-      if (alreadyOwnsWithSameCondition) {
-        // Handle the duplicate condition case
+      // Check if player has enough cash
+      if (player.cash < totalPrice) {
         toast.error(
-          `You already own this record in ${recordCondition} condition. Due to inventory system limitations, you can't own duplicates of the same record with the same condition. Try finding a different condition copy.`
+          `Not enough cash. ${
+            quantity > 1 ? `${quantity} copies cost` : 'This record costs'
+          } $${totalPrice.toFixed(2)}.`
         );
         return;
       }
@@ -329,45 +392,38 @@ const Store = () => {
       // Optimistically update UI before making the actual request
       setLoading(true);
 
-      // IMPORTANT: Always buy with quantity=1 since the database function ignores quantity
-      // and always inserts with quantity=1
-      const result = await buyRecord(
-        player.id,
-        gameId,
-        currentStoreId,
+      // Each card is one copy; copies you already own in this condition stack
+      const result = await buyProduct(
         productIdToUse,
-        1 // Force quantity to 1
+        quantity,
+        currentStoreId,
+        recordToBuy.id
       );
 
       if (result.success) {
         toast.success(
-          `Purchased "${
+          `Purchased ${quantity > 1 ? `${quantity} × ` : ''}"${
             recordToBuy.products?.name || 'Record'
-          }" for $${recordPrice.toFixed(2)}`
+          }" for $${totalPrice.toFixed(2)}`
         );
 
-        // Optimistically update the store inventory
-        const updatedInventory = storeInventory.filter(
-          (item) => item.displayId !== recordToBuy.displayId
-        );
+        // Optimistically take the bought copies' cards off the shelf
+        let cardsToRemove = quantity;
+        const updatedInventory = storeInventory.filter((item) => {
+          if (cardsToRemove > 0 && item.id === recordToBuy.id) {
+            cardsToRemove -= 1;
+            return false;
+          }
+          return true;
+        });
         setStoreInventory(updatedInventory);
 
         // If in swipe mode, update the current index if needed
         if (!listView && currentIndex >= updatedInventory.length) {
           setCurrentIndex(Math.max(0, updatedInventory.length - 1));
         }
-
-        // Refresh player inventory without reloading everything
-        await refreshPlayerInventory();
       } else {
-        // Special handling for the duplicate key error
-        if (result.error?.code === '23505') {
-          toast.error(
-            `You already own this record in ${recordCondition} condition. Try a different condition.`
-          );
-        } else {
-          toast.error(result.error?.message || 'Purchase failed');
-        }
+        toast.error(result.error?.message || 'Purchase failed');
       }
     } catch (error) {
       toast.error('An unexpected error occurred');
@@ -397,56 +453,21 @@ const Store = () => {
       // Set loading state
       setLoading(true);
 
-      // Check where this item was originally purchased
-      const { data: purchaseHistory } = await supabase
-        .from('transactions')
-        .select('*')
-        .eq('player_id', player.id)
-        .eq('product_id', productId)
-        .eq('transaction_type', 'buy')
-        .order('created_at', { ascending: false })
-        .limit(1);
-
-      const isSameStore = purchaseHistory?.[0]?.store_id === store.id;
-      const originalPrice = purchaseHistory?.[0]?.price;
-
-      // Check to make sure same-store selling is at a loss
-      if (
-        isSameStore &&
-        originalPrice &&
-        inventoryStorePrices[inventoryId] > originalPrice
-      ) {
-        toast.error('Cannot sell for more than you paid at the same store!');
-        setLoading(false);
-        return;
-      }
-
+      // The server refuses to flip a record back to the store it was bought
+      // from at a profit (check_same_store_flip), so its error is shown below
       // Store the price before the record is sold for proper toast message
       const sellPrice = inventoryStorePrices[inventoryId];
       const recordName = inventoryItem.product_name || 'Record';
 
-      const result = await sellRecord(
-        player.id,
-        gameId,
-        store.id,
-        productId,
-        quantity,
-        inventoryId
-      );
+      const result = await sellProduct(inventoryId, quantity, store.id);
 
       if (result.success) {
         // Show success message with the pre-calculated price
-        toast.success(`${recordName} sold for $${sellPrice.toFixed(2)}!`);
-
-        // Immediately update the player inventory state to remove the sold item
-        if (refreshPlayerInventory) {
-          await refreshPlayerInventory();
-        }
-
-        // IMPORTANT: Also refresh player data to update cash balance
-        if (refreshPlayerData) {
-          await refreshPlayerData();
-        }
+        toast.success(
+          quantity > 1
+            ? `${quantity} × ${recordName} sold for $${(sellPrice * quantity).toFixed(2)}!`
+            : `${recordName} sold for $${sellPrice.toFixed(2)}!`
+        );
       } else {
         const errorMessage = result.error?.message || 'Failed to sell record';
         toast.error(errorMessage);
@@ -478,7 +499,7 @@ const Store = () => {
     // Make sure to use the actual ID, not the uniqueId with suffix
     const inventoryId = currentItem.id;
 
-    handleBuy(productId, 1, inventoryId);
+    confirmBuy(productId, 1, inventoryId);
 
     setDirection('right');
     setTimeout(() => {
@@ -619,6 +640,7 @@ const Store = () => {
                         // Ensure all price fields are properly passed
                         estimated_current_price: item.current_price,
                         current_price: item.current_price,
+                        previous_price: item.previous_price,
                       };
 
                       return (
@@ -626,7 +648,7 @@ const Store = () => {
                           key={transformedItem.displayId}
                           item={transformedItem}
                           actionType="buy"
-                          onAction={handleBuy}
+                          onAction={confirmBuy}
                         />
                       );
                     })}
@@ -692,8 +714,8 @@ const Store = () => {
                             direction === 'left'
                               ? -300
                               : direction === 'right'
-                              ? 300
-                              : 0,
+                                ? 300
+                                : 0,
                           opacity: 0,
                         }}
                         transition={{ duration: 0.3 }}
@@ -767,7 +789,7 @@ const Store = () => {
                             id: item.id, // Keep the original ID for database operations
                           }}
                           actionType="sell"
-                          onAction={handleSell}
+                          onAction={confirmSell}
                           storePrice={inventoryStorePrices[item.id]}
                         />
                       );
@@ -779,6 +801,29 @@ const Store = () => {
           </div>
         </div>
       </div>
+
+      <PriceBreakdownModal
+        isOpen={Boolean(pendingTrade)}
+        onClose={() => setPendingTrade(null)}
+        onConfirm={() => {
+          const { type, args, quantity } = pendingTrade;
+          if (type === 'buy') handleBuy(args[0], quantity, args[2]);
+          else handleSell(args[0], quantity, args[2]);
+        }}
+        title={
+          pendingTrade?.type === 'buy'
+            ? 'Buy this record?'
+            : 'Sell this record?'
+        }
+        recordName={pendingTrade?.recordName}
+        breakdown={pendingTrade?.breakdown}
+        quantity={pendingTrade?.quantity}
+        maxQuantity={pendingTrade?.maxQuantity}
+        onQuantityChange={(quantity) =>
+          setPendingTrade((prev) => ({ ...prev, quantity }))
+        }
+        confirmText={pendingTrade?.type === 'buy' ? 'Buy' : 'Sell'}
+      />
     </div>
   );
 };
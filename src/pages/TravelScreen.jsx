@@ -14,9 +14,16 @@ import {
   FaBolt,
 } from 'react-icons/fa';
 import toast from 'react-hot-toast';
-import { supabase } from '../lib/supabase';
+import { db } from '../lib/backend';
 import { useGame } from '../contexts/GameContext';
 import Button from '../components/ui/Button';
+import { findBoroughDistance, isTaxiOnly, quoteTravel } from '../lib/travel';
+import { getCarrier } from '../lib/carriers';
+import { isSubwayOut } from '../lib/events';
+import { getStoreNotes } from '../lib/notebook';
+import { formatGameTime } from '../lib/timeUtils';
+import { isBoroughEnabled } from '../lib/gameSettings';
+import * as gameAPI from '../services/gameAPI';
 
 // NYC borough coordinates (static)
 const boroughCoordinates = {
@@ -168,7 +175,7 @@ const TransportOption = memo(
         </span>
       </div>
 
-      {/* Unavailable overlay for Staten Island */}
+      {/* Unavailable overlay - Staten Island or a carrier rules it out */}
       {disabled && (
         <div
           style={{
@@ -195,18 +202,31 @@ const TransportOption = memo(
   )
 );
 
+// Notes shown per store in the drawer
+const NOTES_PER_STORE = 3;
+
 // Optimize store row to avoid rerenders
-const StoreInfo = memo(({ store, formatTime }) => (
+const StoreInfo = memo(({ store, formatTime, notes = [], maxHours }) => (
   <div className="text-xs text-center font-sans">
     {store.name} • {store.specialty_genre || 'Various'} •{' '}
     {formatTime(store.open_hour)}-{formatTime(store.close_hour)}
+    {notes.slice(0, NOTES_PER_STORE).map((note) => (
+      <div key={note.id} className="text-gray-500">
+        Last seen: {note.products?.name || 'A record'}, {note.condition}
+        {note.buy_price !== null &&
+          `, $${Number(note.buy_price).toFixed(2)} at ${formatGameTime(note.buy_hour, maxHours)}`}
+        {note.sell_price !== null &&
+          `, pays $${Number(note.sell_price).toFixed(2)} at ${formatGameTime(note.sell_hour, maxHours)}`}
+      </div>
+    ))}
   </div>
 ));
 
 const TravelScreen = () => {
   const { gameId } = useParams();
   const navigate = useNavigate();
-  const { currentGame, player, travelToNeighborhood } = useGame();
+  const { currentGame, player, travelToNeighborhood, activeEvents } =
+    useGame();
   const drawerRef = useRef(null);
 
   // State
@@ -219,6 +239,7 @@ const TravelScreen = () => {
   const [boroughDistances, setBoroughDistances] = useState([]);
   const [neighborhoodStores, setNeighborhoodStores] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [notebook, setNotebook] = useState([]);
 
   // Format time efficiently
   const formatTime = useCallback((hour) => {
@@ -228,6 +249,19 @@ const TravelScreen = () => {
     return `${displayHour}${period}`;
   }, []);
 
+  // Prices the player noted on earlier store visits
+  useEffect(() => {
+    if (!player?.id) return;
+    let cancelled = false;
+
+    gameAPI.fetchPriceNotebook(player.id, gameId).then((notes) => {
+      if (!cancelled) setNotebook(notes);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [player?.id, gameId]);
+
   // Load data once - optimized with caching
   useEffect(() => {
     let isMounted = true;
@@ -245,7 +279,7 @@ const TravelScreen = () => {
           now - cacheData.neighborhoods.timestamp > CACHE_TIMEOUT
         ) {
           fetchPromises.push(
-            supabase
+            db
               .from('boroughs')
               .select('*')
               .then((result) => {
@@ -260,7 +294,7 @@ const TravelScreen = () => {
           now - cacheData.transportMethods.timestamp > CACHE_TIMEOUT
         ) {
           fetchPromises.push(
-            supabase
+            db
               .from('transportation_methods')
               .select('*')
               .order('speed_factor', { ascending: true })
@@ -276,7 +310,7 @@ const TravelScreen = () => {
           now - cacheData.boroughDistances.timestamp > CACHE_TIMEOUT
         ) {
           fetchPromises.push(
-            supabase
+            db
               .from('borough_distances')
               .select('*')
               .then((result) => {
@@ -421,7 +455,7 @@ const TravelScreen = () => {
         }
 
         // If not cached, fetch stores
-        const { data, error } = await supabase
+        const { data, error } = await db
           .from('stores')
           .select('id, name, specialty_genre, open_hour, close_hour')
           .eq('borough_id', boroughId);
@@ -453,6 +487,17 @@ const TravelScreen = () => {
     [neighborhoods, player?.current_borough_id]
   );
 
+  // Boroughs the host left out of the game aren't on the map
+  const playableNeighborhoods = useMemo(
+    () =>
+      neighborhoods.filter(
+        (n) =>
+          n.id === player?.current_borough_id ||
+          isBoroughEnabled(currentGame, n.id)
+      ),
+    [neighborhoods, player?.current_borough_id, currentGame]
+  );
+
   // Event handlers with useCallback
   const handleSelectNeighborhood = useCallback(
     (neighborhood, e) => {
@@ -478,7 +523,17 @@ const TravelScreen = () => {
 
     try {
       setIsLoading(true);
-      await travelToNeighborhood(selectedNeighborhood.id, selectedTransport.id);
+      const result = await travelToNeighborhood(
+        selectedNeighborhood.id,
+        selectedTransport.id
+      );
+
+      if (!result.success) {
+        toast.error(result.message || 'Failed to travel');
+        setIsLoading(false);
+        return;
+      }
+
       navigate(`/game/${gameId}`, {
         state: { refresh: true },
         replace: true,
@@ -518,36 +573,30 @@ const TravelScreen = () => {
         return { time: 1, cost: 0 };
       }
 
-      const distanceRecord = boroughDistances.find(
-        (d) =>
-          (d.from_borough_id === fromBoroughId &&
-            d.to_borough_id === toBoroughId) ||
-          (d.from_borough_id === toBoroughId &&
-            d.to_borough_id === fromBoroughId)
-      );
-
       const transport = transportOptions.find((t) => t.id === transportId);
-      if (!distanceRecord || !transport) return { time: 1, cost: 0 };
-
-      // Calculate time and cost
-      let time = 1;
-      let cost = transport.base_cost || 0;
-
-      const transportType = transport.name.toLowerCase();
-      if (transportType.includes('walk')) {
-        time = distanceRecord.walking_time || 3;
-      } else if (transportType.includes('subway')) {
-        time = distanceRecord.subway_time || 2;
-      } else if (transportType.includes('taxi')) {
-        time = distanceRecord.taxi_time || 1;
-        if (distanceRecord.taxi_cost) {
-          cost = distanceRecord.taxi_cost;
-        }
-      }
-
-      return { time, cost };
+      if (!transport) return { time: 1, cost: 0 };
+
+      // Same rules travel_to_borough charges by
+      return quoteTravel({
+        from: neighborhoods.find((n) => n.id === fromBoroughId),
+        to: neighborhoods.find((n) => n.id === toBoroughId),
+        method: transport,
+        distance: findBoroughDistance(
+          boroughDistances,
+          fromBoroughId,
+          toBoroughId
+        ),
+        carrier: getCarrier(player?.carrier_type),
+        subwayOut: isSubwayOut(activeEvents),
+      });
     },
-    [boroughDistances, transportOptions]
+    [
+      boroughDistances,
+      transportOptions,
+      neighborhoods,
+      player?.carrier_type,
+      activeEvents,
+    ]
   );
 
   // Automatically select taxi when Staten Island is involved
@@ -555,15 +604,8 @@ const TravelScreen = () => {
     if (!selectedNeighborhood || !transportOptions.length) return;
 
     // Check if travel involves Staten Island
-    const currentNeighborhoodName = neighborhoods
-      .find((n) => n.id === player?.current_borough_id)
-      ?.name?.toLowerCase();
-
-    const selectedNeighborhoodName = selectedNeighborhood?.name?.toLowerCase();
-
     const involvesStatenIsland =
-      currentNeighborhoodName === 'staten island' ||
-      selectedNeighborhoodName === 'staten island';
+      isTaxiOnly(currentNeighborhood) || isTaxiOnly(selectedNeighborhood);
 
     if (involvesStatenIsland) {
       // Find and auto-select the taxi option
@@ -581,26 +623,16 @@ const TravelScreen = () => {
   }, [
     selectedNeighborhood,
     transportOptions,
-    neighborhoods,
-    player?.current_borough_id,
+    currentNeighborhood,
     selectedTransport,
   ]);
 
   // Determine if Staten Island is involved - memoized to reduce recalculations
   const involvesStatenIsland = useMemo(() => {
-    if (!selectedNeighborhood || !neighborhoods.length || !player) return false;
-
-    const currentNeighborhoodName = neighborhoods
-      .find((n) => n.id === player.current_borough_id)
-      ?.name?.toLowerCase();
-
-    const selectedNeighborhoodName = selectedNeighborhood?.name?.toLowerCase();
+    if (!selectedNeighborhood || !player) return false;
 
-    return (
-      currentNeighborhoodName === 'staten island' ||
-      selectedNeighborhoodName === 'staten island'
-    );
-  }, [selectedNeighborhood, neighborhoods, player]);
+    return isTaxiOnly(currentNeighborhood) || isTaxiOnly(selectedNeighborhood);
+  }, [selectedNeighborhood, currentNeighborhood, player]);
 
   // Loading state
   if (dataLoading || !player) {
@@ -642,7 +674,7 @@ const TravelScreen = () => {
 
       <div className="travel-container">
         {/* Location Markers */}
-        {neighborhoods.map((neighborhood) => (
+        {playableNeighborhoods.map((neighborhood) => (
           <LocationMarker
             key={neighborhood.id}
             neighborhood={neighborhood}
@@ -700,6 +732,8 @@ const TravelScreen = () => {
                       key={store.id}
                       store={store}
                       formatTime={formatTime}
+                      notes={getStoreNotes(notebook, store.id)}
+                      maxHours={currentGame?.max_hours}
                     />
                   ))}
                 </div>
@@ -744,10 +778,8 @@ const TravelScreen = () => {
                     transport.id
                   );
 
-                  // Instead of recalculating this for each transport option, use our memo
-                  const isDisabled =
-                    involvesStatenIsland &&
-                    !transport.name.toLowerCase().includes('taxi');
+                  // Staten Island and some carriers rule out a transport
+                  const isDisabled = Boolean(travelDetails.error);
 
                   // Highlight taxi for Staten Island
                   const isStatenIslandTaxi =
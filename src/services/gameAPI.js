@@ -1,4 +1,14 @@
-import { supabase, supabaseNoCache, clearSupabaseCache } from '../lib/supabase';
+import { db, dbNoCache } from '../lib/backend';
+import { newSeed } from '../lib/seed';
+import { getUserId } from '../lib/identity';
+import {
+  DAILY_DIG_NAME,
+  formatDailyDate,
+  getDailyDate,
+  getPeriodStart,
+  LEADERBOARD_SIZE,
+  rankDailyScores,
+} from '../lib/dailyDig';
 
 // Cache timeout (2 minutes)
 const CACHE_TIMEOUT = 2 * 60 * 1000;
@@ -9,7 +19,6 @@ const gameDataCache = {
   players: {},
   playerInventory: {},
   boroughs: null,
-  travelInfo: {},
 };
 
 // --- Cache Utility Functions ---
@@ -49,139 +58,98 @@ const removeFromCache = (cacheSection, key) => {
 };
 
 // --- GAME MANAGEMENT ---
-export const createGame = async (playerName) => {
+export const createGame = async (
+  playerName,
+  { lobby = false, seed = newSeed(), daily = false } = {}
+) => {
   try {
-    // Get or create user ID
-    const { data: userData } = await supabase.auth.getUser();
-    let userId = userData?.user?.id || localStorage.getItem('deliWarsPlayerId');
-
-    if (!userId) {
-      userId = crypto.randomUUID();
-      localStorage.setItem('deliWarsPlayerId', userId);
+    // The server creates the game as the signed-in user - a new guest if
+    // nobody is signed in yet
+    await getUserId();
+
+    // A Daily Dig is played on the day's board
+    let dailyDig = null;
+    if (daily) {
+      const { data, error } = await db.rpc('get_daily_dig');
+      if (error) return { success: false, error };
+      dailyDig = data;
     }
 
-    // Create game and get Downtown borough in parallel
-    const [gameResult, boroughResult] = await Promise.all([
-      supabase
-        .from('games')
-        .insert({
-          name: `${playerName}'s Game`,
-          created_by: userId,
-          status: 'waiting',
-          current_hour: 24,
-          max_hours: 24,
-        })
-        .select()
-        .single(),
-
-      supabase
-        .from('boroughs')
-        .select('id, name')
-        .eq('name', 'Downtown')
-        .single(),
-    ]);
+    // The game and the host's player are created together, so a failure
+    // can't leave a game without its host
+    const { data: created, error: createError } = await db.rpc('create_game', {
+      p_name: dailyDig
+        ? `${DAILY_DIG_NAME} - ${formatDailyDate(dailyDig.daily_date)}`
+        : `${playerName}'s Game`,
+      p_username: playerName,
+      p_seed: seed,
+      p_daily: Boolean(dailyDig),
+    });
 
-    if (gameResult.error) return { success: false, error: gameResult.error };
-    if (boroughResult.error)
-      return { success: false, error: boroughResult.error };
+    if (createError) return { success: false, error: createError };
+    if (!created?.success) {
+      return { success: false, error: new Error(created?.error) };
+    }
 
-    const game = gameResult.data;
-    const downtown = boroughResult.data;
+    const gameId = created.game_id;
 
-    // Create player
-    const { data: player, error: playerError } = await supabase
+    const { data: player, error: playerError } = await db
       .from('players')
-      .insert({
-        user_id: userId,
-        game_id: game.id,
-        username: playerName,
-        current_borough_id: downtown.id,
-        cash: 100,
-        loan_amount: 100,
-        inventory_capacity: 10,
-      })
       .select('*, boroughs:current_borough_id (id, name)')
+      .eq('id', created.player_id)
       .single();
 
-    if (playerError) {
-      await supabase.from('games').delete().eq('id', game.id);
-      return { success: false, error: playerError };
-    }
+    if (playerError) return { success: false, error: playerError };
 
     const playerWithBorough = {
       ...player,
       current_borough: player.boroughs?.name || 'Unknown Location',
     };
 
-    // Initialize game data with timeout
-    const initResult = await initializeWithTimeout(game.id);
+    // Only the day's first Daily Dig counts towards the leaderboard. It's
+    // entered before it starts, on the default settings.
+    let scored = false;
+    if (dailyDig) {
+      const { data: entry } = await db.rpc('enter_daily_dig', {
+        p_game_id: gameId,
+        p_player_id: player.id,
+      });
+      scored = Boolean(entry?.scored);
+    }
 
-    // Set game to active
-    await supabase
-      .from('games')
-      .update({
-        status: 'active',
-        started_at: new Date().toISOString(),
-      })
-      .eq('id', game.id);
+    // Solo games start straight away; lobby games wait for the host.
+    // Starting stocks the shelves.
+    if (!lobby) {
+      await db.rpc('start_game', { p_game_id: gameId });
+    }
 
     // Get final game state
-    const { data: finalGame } = await supabase
+    const { data: game } = await db
       .from('games')
       .select('*')
-      .eq('id', game.id)
+      .eq('id', gameId)
       .single();
 
     // Cache the game and player data for future use
-    setInCache(gameDataCache.games, game.id, finalGame || game);
+    if (game) setInCache(gameDataCache.games, gameId, game);
     setInCache(gameDataCache.players, player.id, playerWithBorough);
 
     return {
       success: true,
-      gameId: game.id,
+      gameId,
       playerId: player.id,
-      game: finalGame || game,
+      game,
       player: playerWithBorough,
-      partialInit: initResult?.partialInit,
+      scored,
     };
   } catch (error) {
     return { success: false, error };
   }
 };
 
-// Helper for game initialization with timeout
-const initializeWithTimeout = async (gameId, timeout = 15000) => {
-  let timeoutId;
-  try {
-    const initPromise = supabase.rpc('initialize_game_data', {
-      game_id: gameId,
-    });
-    const timeoutPromise = new Promise((_, reject) => {
-      timeoutId = setTimeout(
-        () => reject(new Error('Game initialization timed out')),
-        timeout
-      );
-    });
-
-    const result = await Promise.race([initPromise, timeoutPromise]);
-    return result;
-  } catch (error) {
-    return { partialInit: true };
-  } finally {
-    if (timeoutId) clearTimeout(timeoutId);
-  }
-};
-
 export const joinGame = async (gameId, userId, playerName = null) => {
   try {
-    // Get or create user ID
-    if (!userId) {
-      userId = localStorage.getItem('deliWarsPlayerId');
-      if (!userId) {
-        userId = crypto.randomUUID();
-        localStorage.setItem('deliWarsPlayerId', userId);
-      }
-    }
+    if (!userId) userId = await getUserId();
 
     // Check for cached game
     let game = getFromCache(gameDataCache.games, gameId);
@@ -194,7 +162,7 @@ export const joinGame = async (gameId, userId, playerName = null) => {
 
     if (!game) {
       fetchPromises.push(
-        supabase
+        db
           .from('games')
           .select('*')
           .eq('id', gameId)
@@ -210,7 +178,7 @@ export const joinGame = async (gameId, userId, playerName = null) => {
     // Fetch borough data if needed and not in cache
     if (!gameDataCache.boroughs?.data) {
       fetchPromises.push(
-        supabase
+        db
           .from('boroughs')
           .select('id')
           .limit(1)
@@ -239,11 +207,18 @@ export const joinGame = async (gameId, userId, playerName = null) => {
     }
 
     if (game.status === 'completed') {
-      throw new Error('This game has already ended');
+      // Nothing to join - callers send the player to the results instead
+      return {
+        success: false,
+        gameOver: true,
+        gameId,
+        game,
+        error: new Error('This game has already ended'),
+      };
     }
 
     // Check if player is already in the game
-    const { data: existingPlayer } = await supabase
+    const { data: existingPlayer } = await db
       .from('players')
       .select('*')
       .eq('game_id', gameId)
@@ -279,13 +254,13 @@ export const joinGame = async (gameId, userId, playerName = null) => {
     }
 
     // Get player data and update username
-    const { data: playerData } = await supabase
+    const { data: playerData } = await db
       .from('players')
       .select('*')
       .eq('id', newPlayerId)
       .single();
 
-    await supabase
+    await db
       .from('players')
       .update({ username: username })
       .eq('id', newPlayerId);
@@ -331,7 +306,7 @@ export const loadGame = async (gameId, playerIdToUse) => {
 
     if (!results.game) {
       fetchPromises.push(
-        supabase
+        db
           .from('games')
           .select('*')
           .eq('id', gameId)
@@ -350,7 +325,7 @@ export const loadGame = async (gameId, playerIdToUse) => {
 
     if (!results.player) {
       fetchPromises.push(
-        supabase
+        db
           .from('players')
           .select('*, boroughs:current_borough_id (id, name)')
           .eq('id', playerIdToUse)
@@ -369,9 +344,11 @@ export const loadGame = async (gameId, playerIdToUse) => {
 
     // Always fetch all players (to ensure we have latest status)
     fetchPromises.push(
-      supabase
+      db
         .from('players')
-        .select('id, username, cash, current_borough_id, turn_completed')
+        .select(
+          'id, username, cash, current_borough_id, turn_completed, is_rival, rival_strategy'
+        )
         .eq('game_id', gameId)
         .then((result) => {
           if (!result.error) {
@@ -382,7 +359,7 @@ export const loadGame = async (gameId, playerIdToUse) => {
 
     if (!results.inventory) {
       fetchPromises.push(
-        supabase
+        db
           .from('player_inventory')
           .select(
             `*, products:product_id (name, description, genre, artist, year)`
@@ -422,7 +399,7 @@ export const loadGame = async (gameId, playerIdToUse) => {
           }
         } else {
           // Fetch borough data if needed
-          const { data: borough } = await supabase
+          const { data: borough } = await db
             .from('boroughs')
             .select('name')
             .eq('id', results.player.current_borough_id)
@@ -455,94 +432,87 @@ export const loadGame = async (gameId, playerIdToUse) => {
 
 export const startGame = async (gameId) => {
   try {
-    const { error } = await supabase
-      .from('games')
-      .update({
-        status: 'active',
-        current_hour: 24,
-        started_at: new Date().toISOString(),
-      })
-      .eq('id', gameId);
+    // The server applies the lobby settings and checks everyone is ready
+    const { data, error } = await db.rpc('start_game', {
+      p_game_id: gameId,
+    });
 
     // Clear cache for this game as it's now active
     removeFromCache(gameDataCache.games, gameId);
 
-    return !error;
-  } catch {
-    return false;
+    if (error) return { success: false, error };
+    if (!data?.success) {
+      return { success: false, error: new Error(data?.error) };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error };
   }
 };
 
-export const endPlayerTurn = async (playerId, gameId) => {
+export const updateGameSettings = async (gameId, settings) => {
   try {
-    // Get players and mark current player's turn complete in parallel
-    const [playersResult, markResult] = await Promise.all([
-      supabase
-        .from('players')
-        .select('id, turn_completed')
-        .eq('game_id', gameId),
-      supabase
-        .from('players')
-        .update({ turn_completed: true })
-        .eq('id', playerId),
-    ]);
-
-    if (playersResult.error || markResult.error)
-      throw new Error('Failed to process turn');
+    // The server checks the caller is the host and the game hasn't started
+    const { data, error } = await db.rpc('update_game_settings', {
+      p_game_id: gameId,
+      p_settings: settings,
+    });
 
-    // Check if all players done
-    const allCompleted = playersResult.data.every(
-      (p) => p.id === playerId || p.turn_completed === true
-    );
+    removeFromCache(gameDataCache.games, gameId);
 
-    if (!allCompleted) {
-      return { success: true, allCompleted: false };
+    if (error) return { success: false, error };
+    if (!data?.success) {
+      return { success: false, error: new Error(data?.error) };
     }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error };
+  }
+};
 
-    // Update game if all players done
-    const { data: gameData } = await supabase
-      .from('games')
-      .select('current_hour')
-      .eq('id', gameId)
-      .single();
+export const setPlayerReady = async (playerId, isReady) => {
+  try {
+    const { error } = await db
+      .from('players')
+      .update({ is_ready: isReady })
+      .eq('id', playerId);
 
-    const nextHour = gameData.current_hour - 1;
-    const gameOver = nextHour <= 0;
-
-    // Update game and reset player turns
-    await Promise.all([
-      supabase
-        .from('games')
-        .update({
-          current_hour: nextHour,
-          current_player_id: null,
-          status: gameOver ? 'completed' : 'active',
-          ended_at: gameOver ? new Date().toISOString() : null,
-        })
-        .eq('id', gameId),
+    return error ? { success: false, error } : { success: true };
+  } catch (error) {
+    return { success: false, error };
+  }
+};
 
-      supabase
-        .from('players')
-        .update({ turn_completed: false })
-        .eq('game_id', gameId),
-    ]);
+export const kickPlayer = async (gameId, playerId) => {
+  try {
+    const { data, error } = await db.rpc('kick_player', {
+      p_game_id: gameId,
+      p_player_id: playerId,
+    });
 
-    // Clear game and player caches
-    removeFromCache(gameDataCache.games, gameId);
+    if (error) return { success: false, error };
+    if (!data?.success) {
+      return { success: false, error: new Error(data?.error) };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error };
+  }
+};
 
-    // Clear player cache for all players in this game
-    Object.keys(gameDataCache.players).forEach((key) => {
-      if (gameDataCache.players[key].data?.game_id === gameId) {
-        removeFromCache(gameDataCache.players, key);
-      }
+export const addRival = async (gameId, strategy, username) => {
+  try {
+    const { data, error } = await db.rpc('add_rival', {
+      p_game_id: gameId,
+      p_strategy: strategy,
+      p_username: username,
     });
 
-    return {
-      success: true,
-      allCompleted: true,
-      nextHour,
-      gameOver,
-    };
+    if (error) return { success: false, error };
+    if (!data?.success) {
+      return { success: false, error: new Error(data?.error) };
+    }
+    return { success: true, playerId: data.player_id };
   } catch (error) {
     return { success: false, error };
   }
@@ -551,14 +521,9 @@ export const endPlayerTurn = async (playerId, gameId) => {
 // --- PLAYER DATA ---
 export const fetchPlayerWithBorough = async (playerId) => {
   try {
-    // Clear cache to ensure fresh data
-    removeFromCache(gameDataCache.players, playerId);
-
-    // Clear supabase cache too for good measure
-    clearSupabaseCache();
-
-    // Use no-cache client explicitly for player data
-    const { data, error } = await supabaseNoCache
+    // The no-cache client always reads the current row; realtime updates
+    // mean this is only called on load and after a move
+    const { data, error } = await dbNoCache
       .from('players')
       .select('*, boroughs:current_borough_id (id, name)')
       .eq('id', playerId)
@@ -578,7 +543,7 @@ export const fetchPlayerWithBorough = async (playerId) => {
 export const fetchPlayerInventory = async (playerId) => {
   try {
     // Get fresh data from the database each time, without relying on cache
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('player_inventory')
       .select(
         `id, 
@@ -586,6 +551,7 @@ export const fetchPlayerInventory = async (playerId) => {
         product_id, 
         quantity, 
         purchase_price, 
+        estimated_current_price,
         condition, 
         quality_rating,
         products:product_id (
@@ -607,7 +573,7 @@ export const fetchPlayerInventory = async (playerId) => {
 
 export const getInventoryItem = async (inventoryItemId) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('player_inventory')
       .select('product_id')
       .eq('id', inventoryItemId)
@@ -619,56 +585,6 @@ export const getInventoryItem = async (inventoryItemId) => {
   }
 };
 
-export const updatePlayerActions = async (playerId, actionsUsed) => {
-  try {
-    const { data, error } = await supabase
-      .from('players')
-      .update({ actions_used_this_hour: actionsUsed })
-      .eq('id', playerId)
-      .select()
-      .single();
-
-    // Update player in cache if it exists
-    if (!error && data) {
-      const cachedPlayer = getFromCache(gameDataCache.players, playerId);
-      if (cachedPlayer) {
-        setInCache(gameDataCache.players, playerId, {
-          ...cachedPlayer,
-          actions_used_this_hour: actionsUsed,
-        });
-      }
-    }
-
-    return error ? null : data;
-  } catch {
-    return null;
-  }
-};
-
-export const setPlayerOverflow = async (playerId, overflow) => {
-  try {
-    const { error } = await supabase
-      .from('players')
-      .update({ actions_overflow: overflow })
-      .eq('id', playerId);
-
-    // Update player in cache if it exists
-    if (!error) {
-      const cachedPlayer = getFromCache(gameDataCache.players, playerId);
-      if (cachedPlayer) {
-        setInCache(gameDataCache.players, playerId, {
-          ...cachedPlayer,
-          actions_overflow: overflow,
-        });
-      }
-    }
-
-    return !error;
-  } catch {
-    return false;
-  }
-};
-
 // --- GAME DATA ---
 export const fetchGame = async (gameId) => {
   try {
@@ -676,7 +592,7 @@ export const fetchGame = async (gameId) => {
     const cached = getFromCache(gameDataCache.games, gameId);
     if (cached) return cached;
 
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('games')
       .select('*')
       .eq('id', gameId)
@@ -691,106 +607,213 @@ export const fetchGame = async (gameId) => {
   }
 };
 
-export const advanceGameHour = async (gameId, newHour, playerId) => {
+// Market events change every hour, so they are never cached
+export const fetchMarketEvents = async (gameId) => {
   try {
-    // Run operations in parallel
-    const [gameResult, playerResult] = await Promise.all([
-      // Update game hour
-      supabase.from('games').update({ current_hour: newHour }).eq('id', gameId),
+    const { data, error } = await db
+      .from('market_events')
+      .select('*')
+      .eq('game_id', gameId)
+      .order('started_hour', { ascending: false });
 
-      // Get player overflow
-      supabase
-        .from('players')
-        .select('actions_overflow')
-        .eq('id', playerId)
-        .single(),
+    return error ? [] : data;
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Everything the results screen needs for a game
+ * @param {string} gameId - UUID of the game
+ * @returns {Promise<Object|null>} - { game, players, inventory, transactions, snapshots }
+ */
+export const fetchGameResults = async (gameId) => {
+  try {
+    const [game, players, snapshots, transactions] = await Promise.all([
+      db.from('games').select('*').eq('id', gameId).single(),
+      db.from('players').select('*').eq('game_id', gameId),
+      db
+        .from('net_worth_snapshots')
+        .select('*')
+        .eq('game_id', gameId)
+        .order('hour', { ascending: false }),
+      db
+        .from('transactions')
+        .select('*, products:product_id (name, artist)')
+        .eq('game_id', gameId)
+        .order('created_at', { ascending: true }),
     ]);
 
-    if (gameResult.error) return false;
+    if (game.error || players.error) return null;
 
-    // Apply overflow
-    const overflowActions = playerResult.data?.actions_overflow || 0;
-    const { error: playerError } = await supabase
-      .from('players')
-      .update({
-        actions_used_this_hour: overflowActions,
-        actions_overflow: 0,
-      })
-      .eq('id', playerId);
+    const { data: inventory } = await db
+      .from('player_inventory')
+      .select('*')
+      .in(
+        'player_id',
+        players.data.map((p) => p.id)
+      );
 
-    // Clear cached game data since it's been updated
-    removeFromCache(gameDataCache.games, gameId);
+    return {
+      game: game.data,
+      players: players.data,
+      inventory: inventory || [],
+      transactions: transactions.data || [],
+      snapshots: snapshots.data || [],
+    };
+  } catch {
+    return null;
+  }
+};
 
-    // Update player in cache if it exists
-    if (!playerError) {
-      const cachedPlayer = getFromCache(gameDataCache.players, playerId);
-      if (cachedPlayer) {
-        setInCache(gameDataCache.players, playerId, {
-          ...cachedPlayer,
-          actions_used_this_hour: overflowActions,
-          actions_overflow: 0,
-        });
-      }
-    }
+/**
+ * A player's trade log, newest first
+ * @param {string} playerId - UUID of the player
+ * @param {string} gameId - UUID of the game
+ * @returns {Promise<Array>} - transactions rows with products, stores and boroughs
+ */
+export const fetchLedger = async (playerId, gameId) => {
+  try {
+    const { data, error } = await db
+      .from('transactions')
+      .select(
+        '*, products:product_id (name, artist), stores:store_id (name), boroughs:borough_id (name)'
+      )
+      .eq('player_id', playerId)
+      .eq('game_id', gameId)
+      .order('created_at', { ascending: false });
+
+    return error ? [] : data;
+  } catch {
+    return [];
+  }
+};
 
-    return !playerError;
+/**
+ * Every price a player has noted in a game
+ * @param {string} playerId - UUID of the player
+ * @param {string} gameId - UUID of the game
+ * @returns {Promise<Array>} - price_notebook rows with products and stores
+ */
+export const fetchPriceNotebook = async (playerId, gameId) => {
+  try {
+    const { data, error } = await db
+      .from('price_notebook')
+      .select('*, products:product_id (name, artist), stores:store_id (name)')
+      .eq('player_id', playerId)
+      .eq('game_id', gameId);
+
+    return error ? [] : data;
   } catch {
-    return false;
+    return [];
   }
 };
 
-// --- TRAVEL ---
-export const getTravelInfo = async (playerId, transportationId, boroughId) => {
+/**
+ * A Daily Dig leaderboard
+ * @param {string} period - 'day', 'week' or 'all' (see LEADERBOARD_PERIODS)
+ * @returns {Promise<Array>} - Ranked daily_scores rows, best first
+ */
+export const fetchDailyLeaderboard = async (period) => {
   try {
-    // Check cache first with a composite key
-    const cacheKey = `${playerId}-${transportationId}-${boroughId}`;
-    const cached = getFromCache(gameDataCache.travelInfo, cacheKey);
-    if (cached) return cached;
+    const today = getDailyDate();
+    const from = getPeriodStart(period, today);
 
-    const { data, error } = await supabase
-      .from('transportation_options')
-      .select('action_cost, monetary_cost')
-      .eq('player_id', playerId)
-      .eq('transportation_id', transportationId)
-      .eq('to_borough_id', boroughId)
-      .maybeSingle();
+    let query = db
+      .from('daily_scores')
+      .select('*')
+      .not('net_worth', 'is', null)
+      .lte('daily_date', today);
+    if (from) query = query.gte('daily_date', from);
 
-    if (error) return null;
+    const { data, error } = await query
+      .order('net_worth', { ascending: false })
+      .limit(LEADERBOARD_SIZE);
 
-    const result = data || { action_cost: 1, monetary_cost: 0 };
+    return error ? [] : rankDailyScores(data);
+  } catch {
+    return [];
+  }
+};
 
-    // Cache the results
-    return setInCache(gameDataCache.travelInfo, cacheKey, result);
+/**
+ * The viewer's scored Daily Dig for today, if they've started one
+ * @returns {Promise<Object|null>} - daily_scores row
+ */
+export const fetchDailyAttempt = async () => {
+  try {
+    const userId = await getUserId();
+
+    const { data } = await db
+      .from('daily_scores')
+      .select('*')
+      .eq('daily_date', getDailyDate())
+      .eq('user_id', userId);
+
+    return data?.[0] || null;
   } catch {
     return null;
   }
 };
 
-export const movePlayer = async (playerId, boroughId, newCash) => {
+/**
+ * Everything a player profile is worked out from: the user's completed
+ * games, everyone's final state in them and the user's trades
+ * @param {string} userId - players.user_id
+ * @returns {Promise<Object|null>} - For getProfileStats(), plus the
+ *   username the user last played under
+ */
+export const fetchPlayerProfile = async (userId) => {
   try {
-    const { error } = await supabase
+    const { data: mine, error } = await db
       .from('players')
-      .update({
-        current_borough_id: boroughId,
-        cash: newCash,
-      })
-      .eq('id', playerId);
+      .select('id, game_id, username, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
 
-    // Update player in cache if it exists
-    if (!error) {
-      const cachedPlayer = getFromCache(gameDataCache.players, playerId);
-      if (cachedPlayer) {
-        setInCache(gameDataCache.players, playerId, {
-          ...cachedPlayer,
-          current_borough_id: boroughId,
-          cash: newCash,
-        });
-      }
-    }
+    if (error || !mine?.length) return null;
+
+    const { data: games } = await db
+      .from('games')
+      .select('*')
+      .in(
+        'id',
+        mine.map((p) => p.game_id)
+      )
+      .eq('status', 'completed');
+    const gameIds = (games || []).map((g) => g.id);
+
+    const [players, transactions] = await Promise.all([
+      db.from('players').select('*').in('game_id', gameIds),
+      db
+        .from('transactions')
+        .select('*, products:product_id (genre), boroughs:borough_id (name)')
+        .in(
+          'player_id',
+          mine.map((p) => p.id)
+        )
+        .in('game_id', gameIds)
+        .order('created_at', { ascending: true }),
+    ]);
 
-    return !error;
+    const { data: inventory } = await db
+      .from('player_inventory')
+      .select('*')
+      .in(
+        'player_id',
+        (players.data || []).map((p) => p.id)
+      );
+
+    return {
+      userId,
+      username: mine[0].username,
+      games: games || [],
+      players: players.data || [],
+      inventory: inventory || [],
+      transactions: transactions.data || [],
+    };
   } catch {
-    return false;
+    return null;
   }
 };
 
@@ -0,0 +1,214 @@
+// src/services/rivalPlayer.js
+import { db } from '../lib/backend';
+import {
+  buyRecord,
+  claimRivalTurns,
+  endTurn,
+  getBoroughDistances,
+  getBoroughStores,
+  getStoreInventory,
+  getTransportationMethods,
+  sellRecord,
+  travelToBorough,
+  visitStore,
+} from '../lib/gameActions';
+import { getActionsRemaining } from '../lib/actionEconomy';
+import { getCarrier } from '../lib/carriers';
+import { getActiveEvents, isSubwayOut } from '../lib/events';
+import { isBoroughEnabled } from '../lib/gameSettings';
+import { findBoroughDistance, quoteTravel } from '../lib/travel';
+import {
+  getRivalGenre,
+  getRivalRng,
+  pickRivalStore,
+  pickRivalTrip,
+  planRivalTrades,
+} from '../lib/rivals';
+import { fetchMarketEvents, fetchPlayerInventory } from './gameAPI';
+
+/**
+ * Plays the AI rivals' hours (see src/lib/rivals.js). Every player's client
+ * runs this whenever a rival has an unfinished turn, and whichever holds
+ * the claim from claim_rival_turns() makes the moves. Every move goes
+ * through the same action RPCs a person's would, so the server checks and
+ * charges it the same way.
+ */
+
+// True once an action has used up the rival's hour
+const turnIsOver = (result) =>
+  result.success &&
+  Boolean(
+    result.hourAdvanced || result.gameOver || result.player?.turn_completed
+  );
+
+// Travels somewhere else in the game
+const playTrip = async (rival, game, world, rng) => {
+  const from = world.boroughs.find((b) => b.id === rival.current_borough_id);
+  const carrier = getCarrier(rival.carrier_type);
+  const subwayOut = isSubwayOut(world.events);
+
+  const trips = world.boroughs
+    .filter((b) => b.id !== from?.id && isBoroughEnabled(game, b.id))
+    .flatMap((borough) =>
+      world.methods.map((method) => ({
+        borough,
+        method,
+        quote: quoteTravel({
+          from,
+          to: borough,
+          method,
+          distance: findBoroughDistance(world.distances, from?.id, borough.id),
+          carrier,
+          subwayOut,
+        }),
+      }))
+    );
+
+  const trip = pickRivalTrip({ trips, cash: Number(rival.cash), rng });
+  if (!trip) return null;
+
+  return travelToBorough(rival.id, game.id, trip.borough.id, trip.method.id);
+};
+
+// Walks into a store and trades there
+const playStore = async (rival, game, store, genre) => {
+  const visit = await visitStore(rival.id, game.id, store.id);
+  if (!visit.success || turnIsOver(visit)) return visit;
+
+  const me = visit.player;
+  const [inventory, { items: shelf }] = await Promise.all([
+    fetchPlayerInventory(rival.id),
+    getStoreInventory(store.id, game.id),
+  ]);
+
+  const offers = {};
+  for (const item of inventory || []) {
+    const { data } = await db.rpc('get_sell_price', {
+      p_player_id: rival.id,
+      p_store_id: store.id,
+      p_inventory_id: item.id,
+    });
+    offers[item.id] = Number(data || 0);
+  }
+
+  const used = (inventory || []).reduce(
+    (sum, item) => sum + (item.quantity || 0),
+    0
+  );
+  const { sells, buys } = planRivalTrades({
+    rival: me,
+    game,
+    inventory: inventory || [],
+    offers,
+    shelf,
+    actions: getActionsRemaining(me, game),
+    space: me.inventory_capacity - used,
+    genre,
+  });
+
+  let result = visit;
+  for (const item of sells) {
+    result = await sellRecord(
+      rival.id,
+      game.id,
+      store.id,
+      item.product_id,
+      1,
+      item.id
+    );
+    if (turnIsOver(result)) return result;
+  }
+  for (const item of buys) {
+    result = await buyRecord(
+      rival.id,
+      game.id,
+      store.id,
+      item.product_id,
+      1,
+      item.id
+    );
+    if (turnIsOver(result)) return result;
+  }
+  return result;
+};
+
+// One rival's hour, ending with its turn. True if that advanced the hour.
+const playRivalHour = async (rival, game, world) => {
+  const rng = getRivalRng(rival, game);
+  const genre =
+    rival.rival_strategy === 'genre_specialist'
+      ? getRivalGenre(rival, world.genres)
+      : null;
+
+  const stores = await getBoroughStores(rival.current_borough_id, game.id);
+  const choice = pickRivalStore({ rival, game, stores, genre, rng });
+
+  const result = choice.travel
+    ? await playTrip(rival, game, world, rng)
+    : await playStore(rival, game, choice.store, genre);
+
+  // Trades the server turned down just end the rival's hour early
+  const last =
+    result && turnIsOver(result) ? result : await endTurn(rival.id, game.id);
+  return Boolean(last.hourAdvanced || last.gameOver);
+};
+
+// The map, fetched once per run
+const loadWorld = async () => {
+  const [boroughs, products, methods, distances] = await Promise.all([
+    db.from('boroughs').select('id, name'),
+    db.from('products').select('genre'),
+    getTransportationMethods(),
+    getBoroughDistances(),
+  ]);
+
+  return {
+    boroughs: boroughs.data || [],
+    genres: [...new Set((products.data || []).map((p) => p.genre))],
+    methods,
+    distances,
+  };
+};
+
+/**
+ * Play every rival whose turn isn't over yet. Keeps going while the hour
+ * moves on, since the last rival to finish can advance it
+ * @param {string} gameId - UUID of the game
+ * @returns {Promise<boolean>} - False if another client holds the claim
+ */
+export const playRivalTurns = async (gameId) => {
+  let world = null;
+  let lastHour = null;
+
+  for (;;) {
+    const { data: game } = await db
+      .from('games')
+      .select('*')
+      .eq('id', gameId)
+      .single();
+    if (!game || game.status !== 'active') return true;
+    if (game.current_hour === lastHour) return true;
+    lastHour = game.current_hour;
+
+    const { data: rivals } = await db
+      .from('players')
+      .select('*')
+      .eq('game_id', gameId)
+      .eq('is_rival', true)
+      .eq('turn_completed', false);
+    if (!rivals?.length) return true;
+
+    world = world || (await loadWorld());
+    world.events = getActiveEvents(
+      await fetchMarketEvents(gameId),
+      game.current_hour
+    );
+
+    // The rest start again on the new hour if this one advanced it
+    for (const rival of rivals) {
+      const claim = await claimRivalTurns(gameId);
+      if (!claim.success) return false;
+      if (await playRivalHour(rival, game, world)) break;
+    }
+  }
+};
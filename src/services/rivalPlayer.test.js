@@ -0,0 +1,165 @@
+// src/services/rivalPlayer.test.js
+import { describe, expect, it, vi } from 'vitest';
+
+// Always the in-memory backend, whatever .env.local points at
+vi.stubEnv('VITE_DATA_BACKEND', 'local');
+const { backend, db } = await import('../lib/backend');
+const { playRivalTurns } = await import('./rivalPlayer');
+
+const { database } = backend;
+
+// RPCs act as the signed-in user; each one has its email as password
+const signUp = async (email) =>
+  (await db.auth.signUp({ email, password: email })).data.user.id;
+const signIn = (email) =>
+  db.auth.signInWithPassword({ email, password: email });
+
+const HOST = await signUp('host@example.com');
+
+// Seed 4242's first five hours, the rivals setting out from Downtown at 9 AM
+const MOVES_4242 = [
+  ['Wax Wanda', 15, 'travel', null, 'Bronx', 0],
+  ['B-Side Benny', 15, 'travel', null, 'Bronx', 0],
+  ['Crate Digger Carl', 15, 'travel', null, 'Bronx', 0],
+  ['Wax Wanda', 14, 'travel', null, 'Brooklyn', 0],
+  ['B-Side Benny', 14, 'travel', null, 'Staten Island', 55],
+  ['Crate Digger Carl', 14, 'buy', 'Kind of Blue', 'Boogie Down Wax', 16.37],
+  [
+    'Crate Digger Carl',
+    14,
+    'buy',
+    'The Velvet Underground & Nico',
+    'Boogie Down Wax',
+    38.54,
+  ],
+  ['B-Side Benny', 13, 'buy', 'Back in Black', 'Ferry Terminal Vinyl', 6.78],
+  ['B-Side Benny', 13, 'buy', 'Remain in Light', 'Ferry Terminal Vinyl', 10.04],
+  ['Crate Digger Carl', 13, 'buy', 'Kind of Blue', 'Boogie Down Wax', 16.02],
+  ['Wax Wanda', 12, 'travel', null, 'Queens', 0],
+  ['B-Side Benny', 12, 'buy', 'Back in Black', 'Ferry Terminal Vinyl', 6.93],
+  ['Wax Wanda', 11, 'buy', 'Horses', 'Deep Cuts', 31.01],
+  ['Crate Digger Carl', 11, 'travel', null, 'Brooklyn', 0],
+];
+
+// A started game on `seed` with the host and three rivals. Overnight hours
+// are skipped, so play opens at 9 AM with the stores open.
+const startGame = async (seed) => {
+  const [game] = database.insertRows('games', {
+    name: 'Rivals',
+    seed,
+    created_by: HOST,
+    skip_overnight: true,
+  });
+  const [host] = database.insertRows('players', {
+    game_id: game.id,
+    user_id: HOST,
+    username: 'Host',
+    is_ready: true,
+  });
+  for (const [strategy, username] of [
+    ['genre_specialist', 'Wax Wanda'],
+    ['arbitrageur', 'B-Side Benny'],
+    ['hoarder', 'Crate Digger Carl'],
+  ]) {
+    await db.rpc('add_rival', {
+      p_game_id: game.id,
+      p_strategy: strategy,
+      p_username: username,
+    });
+  }
+  await db.rpc('start_game', { p_game_id: game.id });
+  return { game, host };
+};
+
+// Every rival move in a game as [rival, hour, type, record, where, price],
+// where is the store traded with or the borough travelled to
+const rivalMoves = (gameId) => {
+  const name = (table, id) => database.find(table, (r) => r.id === id)?.name;
+
+  return database
+    .filter(
+      'transactions',
+      (t) =>
+        t.game_id === gameId &&
+        database.find('players', (p) => p.id === t.player_id)?.is_rival
+    )
+    .map((t) => [
+      database.find('players', (p) => p.id === t.player_id).username,
+      t.hour,
+      t.transaction_type,
+      name('products', t.product_id) ?? null,
+      name('stores', t.store_id) ?? name('boroughs', t.borough_id) ?? null,
+      t.price,
+    ]);
+};
+
+// The host ends each hour once the rivals have played it
+const playHours = async ({ game, host }, hours) => {
+  for (let i = 0; i < hours; i++) {
+    expect(await playRivalTurns(game.id)).toBe(true);
+    await db.rpc('player_end_turn', {
+      p_player_id: host.id,
+      p_game_id: game.id,
+    });
+  }
+  return rivalMoves(game.id);
+};
+
+describe('playRivalTurns', () => {
+  it('makes the same moves for the same seed', async () => {
+    const first = await playHours(await startGame(4242), 5);
+    const second = await playHours(await startGame(4242), 5);
+
+    expect(second).toEqual(first);
+    expect(first).toEqual(MOVES_4242);
+  });
+
+  it('leaves the rivals to whoever holds the claim until it runs out', async () => {
+    const { game } = await startGame(7);
+    database.insertRows('players', {
+      game_id: game.id,
+      user_id: await signUp('guest@example.com'),
+      username: 'Guest',
+    });
+
+    const claim = await db.rpc('claim_rival_turns', { p_game_id: game.id });
+    expect(claim.data.success).toBe(true);
+
+    await signIn('host@example.com');
+    expect(await playRivalTurns(game.id)).toBe(false);
+    expect(rivalMoves(game.id)).toEqual([]);
+
+    // Without the claim the host can't act for a rival either
+    const rival = database.find(
+      'players',
+      (p) => p.game_id === game.id && p.is_rival
+    );
+    const { data: move } = await db.rpc('player_end_turn', {
+      p_player_id: rival.id,
+      p_game_id: game.id,
+    });
+    expect(move).toEqual({ success: false, error: "That isn't your player" });
+
+    // The guest's tab closes and the claim lapses
+    database.updateRows('games', (g) => g.id === game.id, {
+      rivals_claimed_until: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    expect(await playRivalTurns(game.id)).toBe(true);
+    expect(
+      database.filter(
+        'players',
+        (p) => p.game_id === game.id && p.is_rival && !p.turn_completed
+      )
+    ).toEqual([]);
+  });
+
+  it('is only open to players in the game', async () => {
+    const { game } = await startGame(7);
+    await signUp('stranger@example.com');
+    const { data } = await db.rpc('claim_rival_turns', { p_game_id: game.id });
+    await signIn('host@example.com');
+
+    expect(data.success).toBe(false);
+  });
+});